@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+/**
+ * mailchimp command, see resources/js/node/cli.js
+ *
+ * Run with: npx mailchimp --help
+ */
+
+const { run } = require('../resources/js/node/cli.js');
+
+run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
@@ -11,562 +11,7495 @@ class MailchimpAPI {
         this.csrfTokenName = options.csrfTokenName || 'CRAFT_CSRF_TOKEN';
         this.csrfTokenValue = options.csrfTokenValue || '';
         this.listId = options.listId || '';
+        this.mergeFieldMappings = options.mergeFieldMappings || {};
+        this.mergeFieldValidation = options.mergeFieldValidation || false;
+        this.mergeFieldSchemas = new Map();
+        this.doubleOptin = options.doubleOptin || false;
+        this.marketingPermissions = new Map();
+        this.marketingPermissionIds = options.marketingPermissionIds || {};
+        this.locale = options.locale || MailchimpAPI.detectLocale();
+        this.messages = options.messages || {};
+        this.translate = options.t || null;
+        this.memberLanguage = options.memberLanguage ?? true;
+        this.emailValidator = options.emailValidation instanceof EmailValidator
+            ? options.emailValidation
+            : new EmailValidator({
+                translate: (code, params) => this.t(`email.${code}`, params, null),
+                ...options.emailValidation
+            });
         this.debug = options.debug || false;
         this.onError = options.onError || this.defaultErrorHandler;
         this.onSuccess = options.onSuccess || null;
+        this.onRetry = options.onRetry || null;
+        this.onConsent = options.onConsent || null;
+        this.retry = this.normalizeRetryPolicy(options.retry);
+        this.throwOnError = options.throwOnError || false;
+        this.batchResponseEndpoint = options.batchResponseEndpoint || '/actions/mailchimp/api/batch-response';
+        this.batchSize = options.batchSize || 500; // Operations per batch
         this.requestTimeout = options.requestTimeout || 30000; // 30 seconds
+        this.transport = options.transport || new FetchTransport();
+        this.rateLimit = options.rateLimit || 30; // Requests per minute allowed by the proxy
+        this.requestLog = [];
+        this.throttleQueue = Promise.resolve();
+        this.cache = options.cache
+            ? new ResponseCache({
+                debug: this.debug,
+                ...(options.cache === true ? {} : options.cache),
+                log: (message, data) => this.log(message, data)
+            })
+            : null;
+        this.inflight = new Map();
+        this.middleware = [];
+        this.offlineQueue = options.offlineQueue
+            ? new OfflineQueue(this, options.offlineQueue === true ? {} : options.offlineQueue)
+            : null;
     }
 
     /**
      * Make a request to the Mailchimp API
+     *
+     * Options:
+     * - signal: AbortSignal to cancel the request
+     * - throttle: wait for a free slot in the proxy rate limit before sending
+     * - retry: retry policy override for this call, or false to disable retries
+     * - onRetry: retry hook for this call, replacing the global one
+     * - throwOnError: reject with a MailchimpError instead of resolving with the error envelope
+     * - cache: set to false to bypass the response cache
+     * - queue: keep the write in the offline queue when the network is unavailable
+     * - csrf: { name, value } CSRF token to send instead of the configured one
+     * - headers: extra HTTP headers for the proxy request
      */
-    async request(method, endpoint, params = {}) {
-        const requestData = {
+    async request(method, endpoint, params = {}, options = {}) {
+        const context = {
             method: method,
             endpoint: endpoint,
             params: params,
-            [this.csrfTokenName]: this.csrfTokenValue
+            options: options,
+            headers: { ...options.headers },
+            result: null,
+            log: (message, data, level) => this.log(message, data, level),
+            api: this
         };
 
-        if (this.debug) {
-            console.log('Mailchimp API Request:', requestData);
-        }
+        await this.runMiddleware(context);
 
-        try {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), this.requestTimeout);
-
-            const response = await fetch(this.endpoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json',
-                    'X-Requested-With': 'XMLHttpRequest'
-                },
-                body: JSON.stringify(requestData),
-                signal: controller.signal
-            });
+        const result = context.result;
 
-            clearTimeout(timeoutId);
+        // Cancellation is requested by the caller, so it is not reported as an error
+        if (result.success && this.onSuccess) {
+            this.onSuccess(result);
+        } else if (!result.success && this.onError && !options.signal?.aborted) {
+            this.onError(result);
+        }
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+        if (!result.success && (options.throwOnError ?? this.throwOnError)) {
+            if (result.reason === 'aborted') {
+                throw this.createAbortError();
             }
 
-            const result = await response.json();
+            throw MailchimpError.fromResponse(result);
+        }
 
-            if (this.debug) {
-                console.log('Mailchimp API Response:', result);
-            }
+        return result;
+    }
+
+    /**
+     * Serve GET requests from the cache and share identical in-flight requests
+     *
+     * Successful writes invalidate the cached entries they affect.
+     */
+    async cachedRequest(method, endpoint, params, options) {
+        if (!this.cache || options.cache === false) {
+            return await this.execute(method, endpoint, params, options);
+        }
+
+        if (String(method).toUpperCase() !== 'GET') {
+            const result = await this.execute(method, endpoint, params, options);
 
-            if (result.success && this.onSuccess) {
-                this.onSuccess(result);
-            } else if (!result.success && this.onError) {
-                this.onError(result);
+            if (result.success) {
+                this.cache.invalidateFor(endpoint);
             }
 
             return result;
+        }
 
-        } catch (error) {
-            const errorResult = {
-                success: false,
-                error: error.name === 'AbortError' ? 'Request timeout' : error.message,
-                code: 500
-            };
+        const cached = this.cache.get(endpoint, params);
+        if (cached) {
+            return cached;
+        }
 
-            if (this.debug) {
-                console.error('Mailchimp API Error:', error);
+        // Requests with their own AbortSignal are not shared, one caller must not cancel another
+        if (options.signal) {
+            const result = await this.execute(method, endpoint, params, options);
+            if (result.success) {
+                this.cache.set(endpoint, params, result);
             }
+            return result;
+        }
 
-            if (this.onError) {
-                this.onError(errorResult);
+        const key = this.cache.getKey(endpoint, params);
+
+        if (this.inflight.has(key)) {
+            if (this.cache.debug) {
+                this.log('Mailchimp API Cache joined in-flight request:', endpoint);
             }
+        } else {
+            const pending = this.execute(method, endpoint, params, options).then(result => {
+                if (result.success) {
+                    this.cache.set(endpoint, params, result);
+                }
+                return result;
+            }).finally(() => {
+                this.inflight.delete(key);
+            });
 
-            return errorResult;
+            this.inflight.set(key, pending);
         }
+
+        // Every caller gets its own copy of the shared result
+        return JSON.parse(JSON.stringify(await this.inflight.get(key)));
     }
 
     /**
-     * MD5 hash function for email addresses
+     * Add a middleware function to the request pipeline
+     *
+     * Middleware is called as fn(context, next) in the order it was added.
+     * The context holds method, endpoint, params, options, headers and log,
+     * all of which may be changed before calling next(). next() resolves with
+     * the response envelope, which is also available as context.result and
+     * may be replaced afterwards. Returning an envelope, or setting
+     * context.result, without calling next() skips the request entirely.
      */
-    md5(string) {
-        if (typeof CryptoJS !== 'undefined' && CryptoJS.MD5) {
-            return CryptoJS.MD5(string.toLowerCase()).toString();
+    use(fn) {
+        if (typeof fn !== 'function') {
+            throw new TypeError('Middleware must be a function');
         }
-        
-        // Fallback warning if CryptoJS is not available
-        console.warn('CryptoJS not available. Email hashing may not work correctly.');
-        return string.toLowerCase();
+
+        this.middleware.push(fn);
+        return this;
     }
 
     /**
-     * Check if an email address is subscribed to the list
+     * Run a request context through the middleware chain
      */
-    async checkSubscription(email) {
-        if (!email) {
-            throw new Error('Email address is required');
+    async runMiddleware(context) {
+        const middleware = this.middleware.slice();
+
+        const dispatch = async (index) => {
+            if (index === middleware.length) {
+                context.result = await this.handle(context);
+                return context.result;
+            }
+
+            let called = false;
+            const next = async () => {
+                if (called) {
+                    throw new Error('next() called multiple times');
+                }
+
+                called = true;
+                return await dispatch(index + 1);
+            };
+
+            const returned = await middleware[index](context, next);
+
+            if (returned && typeof returned === 'object') {
+                context.result = returned;
+            }
+
+            return context.result;
+        };
+
+        await dispatch(0);
+
+        if (!context.result) {
+            throw new Error(`Mailchimp middleware did not produce a result for ${context.method} ${context.endpoint}`);
         }
 
-        const subscriberHash = this.md5(email);
-        const endpoint = `/lists/${this.listId}/members/${subscriberHash}`;
-        
-        return await this.request('GET', endpoint);
+        return context.result;
     }
 
     /**
-     * Get all members of the list
+     * Perform the request described by a middleware context
      */
-    async getMembers(params = {}) {
-        const endpoint = `/lists/${this.listId}/members`;
-        return await this.request('GET', endpoint, params);
-    }
+    async handle(context) {
+        const { method, endpoint, params } = context;
+        const options = { ...context.options, headers: context.headers, log: context.log };
+        const queueable = options.queue && this.offlineQueue && String(method).toUpperCase() !== 'GET';
+        let result;
 
-    /**
-     * Get specific list information
-     */
-    async getList(listId = null) {
-        const id = listId || this.listId;
-        const endpoint = `/lists/${id}`;
-        return await this.request('GET', endpoint);
-    }
+        // Known to be offline, do not wait for the request to fail
+        if (queueable && typeof navigator !== 'undefined' && navigator.onLine === false) {
+            result = { success: false, error: 'No network connection', code: 500, reason: 'network' };
+        } else {
+            result = await this.cachedRequest(method, endpoint, params, options);
+        }
 
-    /**
-     * Get all lists
-     */
-    async getLists() {
-        return await this.request('GET', '/lists');
+        if (queueable && result.reason === 'network') {
+            const entry = await this.offlineQueue.add(method, endpoint, params);
+            result.queued = true;
+            result.queueId = entry.id;
+        }
+
+        return result;
     }
 
     /**
-     * Get list signup URL
+     * Write a debug message when debug mode is on
      */
-    async getListSignupUrl(listId = null) {
-        const id = listId || this.listId;
-        const response = await this.getList(id);
-        
-        if (response.success && response.data?.subscribe_url_long) {
-            return response.data.subscribe_url_long;
+    log(message, data, level = 'log') {
+        if (this.debug) {
+            console[level](message, data);
         }
-        
-        return null;
     }
 
     /**
-     * Add or update a member
+     * Clear cached responses matching a pattern, or the whole cache
+     *
+     * String patterns match an endpoint and everything below it, with *
+     * standing for one path segment. Regular expressions are tested against
+     * the endpoint.
      */
-    async addOrUpdateMember(email, data = {}) {
-        if (!email) {
-            throw new Error('Email address is required');
+    invalidate(pattern = null) {
+        if (!this.cache) {
+            return;
         }
 
-        const subscriberHash = this.md5(email);
-        const endpoint = `/lists/${this.listId}/members/${subscriberHash}`;
-        
-        const memberData = {
-            email_address: email,
-            status: 'subscribed',
-            ...data
-        };
-
-        return await this.request('PUT', endpoint, memberData);
+        if (pattern === null) {
+            this.cache.clear();
+        } else {
+            this.cache.invalidate(pattern);
+        }
     }
 
     /**
-     * Unsubscribe a member
+     * Send a request, retrying it according to the retry policy
      */
-    async unsubscribeMember(email) {
-        return await this.addOrUpdateMember(email, { status: 'unsubscribed' });
-    }
+    async execute(method, endpoint, params = {}, options = {}) {
+        const retry = this.getRetryPolicy(method, options.retry);
+        const onRetry = options.onRetry || this.onRetry;
+        const log = options.log || ((message, data, level) => this.log(message, data, level));
+        let attempt = 1;
+        let result;
 
-    /**
-     * Subscribe a member
-     */
-    async subscribeMember(email, mergeFields = {}) {
-        const data = { status: 'subscribed' };
-        
-        if (Object.keys(mergeFields).length > 0) {
-            data.merge_fields = mergeFields;
+        while (true) {
+            result = await this.send(method, endpoint, params, options);
+
+            if (result.success || options.signal?.aborted || !retry || attempt >= retry.maxAttempts) {
+                break;
+            }
+
+            if (!this.isRetryable(result, retry)) {
+                break;
+            }
+
+            const delay = this.getRetryDelay(attempt, result, retry);
+            attempt++;
+
+            log(`Mailchimp API Retry ${attempt}/${retry.maxAttempts} in ${delay}ms:`, result);
+
+            if (onRetry) {
+                onRetry({
+                    attempt: attempt,
+                    maxAttempts: retry.maxAttempts,
+                    delay: delay,
+                    method: method,
+                    endpoint: endpoint,
+                    result: result
+                });
+            }
+
+            try {
+                await this.wait(delay, options.signal);
+            } catch (error) {
+                result = { success: false, error: 'Request aborted', code: 500, reason: 'aborted' };
+                break;
+            }
         }
 
-        return await this.addOrUpdateMember(email, data);
+        return result;
     }
 
     /**
-     * Get subscription status in a user-friendly format
+     * Send a single request to the proxy endpoint
+     *
+     * Always resolves with a response envelope, even for network errors.
      */
-    async getSubscriptionStatus(email) {
+    async send(method, endpoint, params = {}, options = {}) {
         try {
-            const response = await this.checkSubscription(email);
-            
-            if (response.success) {
-                return {
-                    found: true,
-                    status: response.data.status,
-                    email: response.data.email_address,
-                    subscribed: response.data.status === 'subscribed',
-                    unsubscribed: response.data.status === 'unsubscribed',
-                    pending: response.data.status === 'pending',
-                    cleaned: response.data.status === 'cleaned',
-                    data: response.data
-                };
-            } else if (response.code === 404) {
-                return {
-                    found: false,
-                    status: 'not_found',
-                    email: email,
-                    subscribed: false,
-                    unsubscribed: false,
-                    pending: false,
-                    cleaned: false,
-                    data: null
-                };
+            if (options.throttle) {
+                await this.throttle(options.signal);
             } else {
-                throw new Error(response.error?.detail || 'Unknown error');
+                this.recordRequest();
             }
         } catch (error) {
-            throw error;
+            return { success: false, error: 'Request aborted', code: 500, reason: 'aborted' };
         }
-    }
 
-    /**
-     * Batch subscribe multiple email addresses
-     */
-    async batchSubscribe(emails, options = {}) {
-        if (!Array.isArray(emails) || emails.length === 0) {
-            throw new Error('Emails must be a non-empty array');
+        const log = options.log || ((message, data, level) => this.log(message, data, level));
+        const csrf = options.csrf || { name: this.csrfTokenName, value: this.csrfTokenValue };
+        const requestData = {
+            method: method,
+            endpoint: endpoint,
+            params: params,
+            [csrf.name]: csrf.value
+        };
+
+        log('Mailchimp API Request:', requestData);
+
+        const controller = new AbortController();
+        const abortRequest = () => controller.abort();
+        let timeoutId = null;
+
+        if (options.signal) {
+            if (options.signal.aborted) {
+                controller.abort();
+            } else {
+                options.signal.addEventListener('abort', abortRequest, { once: true });
+            }
         }
 
-        const operations = emails.map((email, index) => ({
-            method: 'PUT',
-            path: `/lists/${this.listId}/members/${this.md5(email)}`,
-            body: JSON.stringify({
-                email_address: email,
-                status: 'subscribed',
-                ...options
-            })
-        }));
+        try {
+            timeoutId = setTimeout(abortRequest, this.requestTimeout);
 
-        return await this.request('POST', '/batches', {
-            operations: operations
-        });
+            const result = await this.transport.send({
+                url: this.endpoint,
+                method: method,
+                endpoint: endpoint,
+                params: params,
+                csrf: csrf,
+                headers: { ...options.headers },
+                signal: controller.signal
+            });
+
+            log('Mailchimp API Response:', result);
+
+            return result;
+
+        } catch (error) {
+            let message = error.message;
+            let reason = error.status ? 'http' : 'network';
+
+            if (error.name === 'AbortError') {
+                reason = options.signal?.aborted ? 'aborted' : 'timeout';
+                message = reason === 'aborted' ? 'Request aborted' : 'Request timeout';
+            }
+
+            // reason tells client-side failures apart from errors reported by the proxy
+            const errorResult = {
+                success: false,
+                error: message,
+                code: error.status || 500,
+                reason: reason
+            };
+
+            if (error.retryAfter) {
+                errorResult.retryAfter = error.retryAfter;
+            }
+
+            log('Mailchimp API Error:', error, 'error');
+
+            return errorResult;
+
+        } finally {
+            clearTimeout(timeoutId);
+
+            if (options.signal) {
+                options.signal.removeEventListener('abort', abortRequest);
+            }
+        }
     }
 
     /**
-     * Batch unsubscribe multiple email addresses
+     * Build a complete retry policy from the retry option
+     *
+     * Returns null when retries are disabled.
      */
-    async batchUnsubscribe(emails) {
-        if (!Array.isArray(emails) || emails.length === 0) {
-            throw new Error('Emails must be a non-empty array');
+    normalizeRetryPolicy(retry) {
+        if (!retry) {
+            return null;
         }
 
-        const operations = emails.map(email => ({
-            method: 'PATCH',
-            path: `/lists/${this.listId}/members/${this.md5(email)}`,
-            body: JSON.stringify({
-                status: 'unsubscribed'
-            })
-        }));
-
-        return await this.request('POST', '/batches', {
-            operations: operations
-        });
+        return {
+            maxAttempts: 3,
+            baseDelay: 500,
+            maxDelay: 10000,
+            retryOn: [429, 500, 502, 503, 504],
+            methods: ['GET', 'PUT', 'DELETE'],
+            ...(retry === true ? {} : retry)
+        };
     }
 
     /**
-     * Add tags to a member
+     * Resolve the retry policy for a call, applying any per-call override
      */
-    async addTags(email, tags) {
-        if (!email) {
-            throw new Error('Email address is required');
+    getRetryPolicy(method, override = undefined) {
+        if (override === false) {
+            return null;
         }
-        
-        if (!Array.isArray(tags) || tags.length === 0) {
-            throw new Error('Tags must be a non-empty array');
+
+        let policy = this.retry;
+
+        if (override === true) {
+            policy = policy || this.normalizeRetryPolicy(true);
+        } else if (override) {
+            policy = { ...(policy || this.normalizeRetryPolicy(true)), ...override };
         }
 
-        const subscriberHash = this.md5(email);
-        const endpoint = `/lists/${this.listId}/members/${subscriberHash}/tags`;
-        
-        return await this.request('POST', endpoint, {
-            tags: tags.map(tag => ({ name: tag, status: 'active' }))
-        });
+        if (!policy || !policy.methods.includes(String(method).toUpperCase())) {
+            return null;
+        }
+
+        return policy;
     }
 
     /**
-     * Remove tags from a member
+     * Check whether a failed response is worth another attempt
      */
-    async removeTags(email, tags) {
-        if (!email) {
-            throw new Error('Email address is required');
-        }
-        
-        if (!Array.isArray(tags) || tags.length === 0) {
-            throw new Error('Tags must be a non-empty array');
-        }
-
-        const subscriberHash = this.md5(email);
-        const endpoint = `/lists/${this.listId}/members/${subscriberHash}/tags`;
-        
-        return await this.request('POST', endpoint, {
-            tags: tags.map(tag => ({ name: tag, status: 'inactive' }))
-        });
+    isRetryable(result, policy) {
+        return policy.retryOn.includes(result.code);
     }
 
     /**
-     * Get tags for a member
+     * Delay before the next attempt, honouring Retry-After when present
+     *
+     * Uses exponential backoff with equal jitter: half of the delay is fixed,
+     * the other half random, so parallel clients do not retry in lockstep.
      */
-    async getTags(email) {
-        if (!email) {
-            throw new Error('Email address is required');
+    getRetryDelay(attempt, result, policy) {
+        const retryAfter = this.parseRetryAfter(result.retryAfter);
+
+        if (retryAfter !== null) {
+            return retryAfter;
         }
 
-        const subscriberHash = this.md5(email);
-        const endpoint = `/lists/${this.listId}/members/${subscriberHash}/tags`;
-        
-        return await this.request('GET', endpoint);
+        const delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+        return Math.round(delay / 2 + Math.random() * delay / 2);
     }
 
     /**
-     * Add member to a segment
+     * Convert a Retry-After value (seconds or HTTP date) to milliseconds
      */
-    async addToSegment(email, segmentId) {
-        if (!email || !segmentId) {
-            throw new Error('Email and segment ID are required');
+    parseRetryAfter(value) {
+        if (value === null || value === undefined || value === '') {
+            return null;
         }
 
-        const subscriberHash = this.md5(email);
-        const endpoint = `/lists/${this.listId}/segments/${segmentId}/members`;
-        
-        return await this.request('POST', endpoint, {
-            email_address: email
-        });
+        const seconds = Number(value);
+        if (!Number.isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+
+        const date = Date.parse(value);
+        if (!Number.isNaN(date)) {
+            return Math.max(0, date - Date.now());
+        }
+
+        return null;
     }
 
     /**
-     * Get all segments for the list
+     * Wait until a request fits in the proxy rate limit and reserve its slot
+     *
+     * Callers are queued so concurrent requests cannot claim the same slot.
      */
-    async getSegments(params = {}) {
-        const endpoint = `/lists/${this.listId}/segments`;
-        return await this.request('GET', endpoint, params);
+    throttle(signal = null) {
+        const slot = this.throttleQueue.then(async () => {
+            while (true) {
+                this.throwIfAborted(signal);
+
+                const now = Date.now();
+                this.pruneRequestLog(now);
+
+                if (this.requestLog.length < this.rateLimit) {
+                    this.requestLog.push(now);
+                    return;
+                }
+
+                await this.wait(this.requestLog[0] + MailchimpAPI.RATE_LIMIT_WINDOW - now, signal);
+            }
+        });
+
+        // Keep the queue alive when a waiting caller is aborted
+        this.throttleQueue = slot.catch(() => {});
+
+        return slot;
     }
 
     /**
-     * Get all campaigns
+     * Count an unthrottled request against the proxy rate limit
      */
-    async getCampaigns(params = {}) {
-        return await this.request('GET', '/campaigns', params);
+    recordRequest() {
+        const now = Date.now();
+        this.pruneRequestLog(now);
+        this.requestLog.push(now);
     }
 
     /**
-     * Get campaign content
+     * Forget requests that are outside the rate limit window
      */
-    async getCampaignContent(campaignId) {
-        if (!campaignId) {
-            throw new Error('Campaign ID is required');
-        }
+    pruneRequestLog(now) {
+        const start = now - MailchimpAPI.RATE_LIMIT_WINDOW;
+        const expired = this.requestLog.findIndex(time => time > start);
 
-        const endpoint = `/campaigns/${campaignId}/content`;
-        return await this.request('GET', endpoint);
+        this.requestLog.splice(0, expired === -1 ? this.requestLog.length : expired);
     }
 
     /**
-     * Trigger an automation workflow for a subscriber
+     * Resolve after the given delay, rejecting early when the signal aborts
      */
-    async triggerAutomation(workflowId, email) {
-        if (!workflowId || !email) {
-            throw new Error('Workflow ID and email are required');
-        }
+    wait(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(this.createAbortError());
+                return;
+            }
 
-        const endpoint = `/automations/${workflowId}/emails/queue`;
-        
-        return await this.request('POST', endpoint, {
-            email_address: email
+            const onAbort = () => {
+                clearTimeout(timeoutId);
+                reject(this.createAbortError());
+            };
+
+            const timeoutId = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                resolve();
+            }, Math.max(0, ms));
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
         });
     }
 
     /**
-     * Pause automation for a subscriber
+     * Throw an AbortError if the signal has been aborted
      */
-    async pauseAutomation(workflowId, email) {
-        if (!workflowId || !email) {
-            throw new Error('Workflow ID and email are required');
+    throwIfAborted(signal) {
+        if (signal?.aborted) {
+            throw this.createAbortError();
         }
+    }
 
-        const subscriberHash = this.md5(email);
-        const endpoint = `/automations/${workflowId}/removed-subscribers`;
-        
-        return await this.request('POST', endpoint, {
-            email_address: email
-        });
+    /**
+     * Create an error matching the one fetch rejects with on abort
+     */
+    createAbortError() {
+        const error = new Error('The operation was aborted');
+        error.name = 'AbortError';
+        return error;
     }
 
     /**
-     * Search members across all lists
+     * Calculate the Mailchimp subscriber hash for an email address
+     *
+     * Mailchimp identifies members by the MD5 hash of the trimmed, lowercased
+     * email address. Web Crypto does not implement MD5, so the bundled
+     * implementation is used in every environment.
      */
-    async searchMembers(query, options = {}) {
-        if (!query) {
-            throw new Error('Search query is required');
+    subscriberHash(email) {
+        if (!email) {
+            throw new ValidationError('Email address is required', { field: 'email_address' });
         }
 
-        const params = {
-            query: query,
-            ...options
-        };
+        return MailchimpAPI.md5Hex(String(email).trim().toLowerCase());
+    }
 
-        return await this.request('GET', '/search-members', params);
+    /**
+     * MD5 hash function for email addresses
+     *
+     * Kept for backwards compatibility, use subscriberHash() instead
+     */
+    md5(string) {
+        return this.subscriberHash(string);
     }
 
     /**
-     * Get member activity
+     * Hex encoded MD5 digest of the UTF-8 bytes of a string
      */
-    async getMemberActivity(email) {
-        if (!email) {
-            throw new Error('Email address is required');
+    static md5Hex(string) {
+        const bytes = new TextEncoder().encode(String(string));
+        const shifts = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+        const constants = [];
+
+        for (let i = 0; i < 64; i++) {
+            constants[i] = Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) | 0;
         }
 
-        const subscriberHash = this.md5(email);
-        const endpoint = `/lists/${this.listId}/members/${subscriberHash}/activity`;
-        
-        return await this.request('GET', endpoint);
+        // Pad the message to a multiple of 64 bytes with the bit length at the end
+        const words = [];
+        const length = bytes.length;
+
+        for (let i = 0; i < length; i++) {
+            words[i >> 2] |= bytes[i] << ((i % 4) * 8);
+        }
+
+        words[length >> 2] |= 0x80 << ((length % 4) * 8);
+
+        const blockCount = ((length + 8) >> 6) + 1;
+        for (let i = 0; i < blockCount * 16; i++) {
+            words[i] = words[i] | 0;
+        }
+
+        words[blockCount * 16 - 2] = (length * 8) | 0;
+        words[blockCount * 16 - 1] = Math.floor(length / 0x20000000) | 0;
+
+        let a0 = 0x67452301;
+        let b0 = 0xefcdab89 | 0;
+        let c0 = 0x98badcfe | 0;
+        let d0 = 0x10325476;
+
+        for (let block = 0; block < blockCount * 16; block += 16) {
+            let a = a0;
+            let b = b0;
+            let c = c0;
+            let d = d0;
+
+            for (let i = 0; i < 64; i++) {
+                let f;
+                let g;
+
+                if (i < 16) {
+                    f = (b & c) | (~b & d);
+                    g = i;
+                } else if (i < 32) {
+                    f = (d & b) | (~d & c);
+                    g = (5 * i + 1) % 16;
+                } else if (i < 48) {
+                    f = b ^ c ^ d;
+                    g = (3 * i + 5) % 16;
+                } else {
+                    f = c ^ (b | ~d);
+                    g = (7 * i) % 16;
+                }
+
+                const shift = shifts[(i >> 4) * 4 + (i % 4)];
+                const sum = (a + f + constants[i] + words[block + g]) | 0;
+
+                a = d;
+                d = c;
+                c = b;
+                b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
+            }
+
+            a0 = (a0 + a) | 0;
+            b0 = (b0 + b) | 0;
+            c0 = (c0 + c) | 0;
+            d0 = (d0 + d) | 0;
+        }
+
+        let hex = '';
+        for (const word of [a0, b0, c0, d0]) {
+            for (let i = 0; i < 4; i++) {
+                hex += ((word >>> (i * 8)) & 0xff).toString(16).padStart(2, '0');
+            }
+        }
+
+        return hex;
     }
 
     /**
-     * Get member events (more detailed than activity)
+     * Check if an email address is subscribed to the list
      */
-    async getMemberEvents(email, params = {}) {
+    async checkSubscription(email, options = {}) {
         if (!email) {
-            throw new Error('Email address is required');
+            throw new ValidationError('Email address is required', { field: 'email_address' });
         }
 
-        const subscriberHash = this.md5(email);
-        const endpoint = `/lists/${this.listId}/members/${subscriberHash}/events`;
+        const subscriberHash = this.subscriberHash(email);
+        const endpoint = `/lists/${this.listId}/members/${subscriberHash}`;
         
+        return await this.request('GET', endpoint, {}, options);
+    }
+
+    /**
+     * Get all members of the list
+     */
+    async getMembers(params = {}) {
+        const endpoint = `/lists/${this.listId}/members`;
         return await this.request('GET', endpoint, params);
     }
 
     /**
-     * Update member interests/groups
+     * Iterate over every member of the list, one page at a time
      */
-    async updateMemberInterests(email, interests) {
-        if (!email) {
-            throw new Error('Email address is required');
-        }
+    iterateMembers(params = {}, options = {}) {
+        return this.paginate(`/lists/${this.listId}/members`, 'members', params, options);
+    }
 
-        const subscriberHash = this.md5(email);
-        const endpoint = `/lists/${this.listId}/members/${subscriberHash}`;
-        
-        return await this.request('PATCH', endpoint, {
-            interests: interests
-        });
+    /**
+     * Get every member of the list as a single array
+     */
+    async getAllMembers(params = {}, options = {}) {
+        return await this.collect(this.iterateMembers(params, options));
     }
 
     /**
-     * Get interest categories (groups) for the list
+     * Get specific list information
      */
-    async getInterestCategories() {
-        const endpoint = `/lists/${this.listId}/interest-categories`;
+    async getList(listId = null) {
+        const id = listId || this.listId;
+        const endpoint = `/lists/${id}`;
         return await this.request('GET', endpoint);
     }
 
     /**
-     * Archive a member (different from unsubscribe)
+     * Get all lists
      */
-    async archiveMember(email) {
-        if (!email) {
-            throw new Error('Email address is required');
-        }
+    async getLists(params = {}) {
+        return await this.request('GET', '/lists', params);
+    }
 
-        const subscriberHash = this.md5(email);
-        const endpoint = `/lists/${this.listId}/members/${subscriberHash}`;
-        
-        return await this.request('DELETE', endpoint);
+    /**
+     * Iterate over every list in the account
+     */
+    iterateLists(params = {}, options = {}) {
+        return this.paginate('/lists', 'lists', params, options);
     }
 
     /**
-     * Permanently delete a member
+     * Get every list in the account as a single array
      */
-    async permanentlyDeleteMember(email) {
-        if (!email) {
-            throw new Error('Email address is required');
-        }
+    async getAllLists(params = {}, options = {}) {
+        return await this.collect(this.iterateLists(params, options));
+    }
 
-        const subscriberHash = this.md5(email);
-        const endpoint = `/lists/${this.listId}/members/${subscriberHash}/actions/delete-permanent`;
+    /**
+     * Get list signup URL
+     */
+    async getListSignupUrl(listId = null) {
+        const id = listId || this.listId;
+        const response = await this.getList(id);
         
-        return await this.request('POST', endpoint);
+        if (response.success && response.data?.subscribe_url_long) {
+            return response.data.subscribe_url_long;
+        }
+        
+        return null;
     }
 
     /**
-     * Default error handler
+     * Get the merge fields of the list
      */
-    defaultErrorHandler(error) {
-        console.error('Mailchimp API Error:', error);
+    async getMergeFields(params = {}) {
+        const endpoint = `/lists/${this.listId}/merge-fields`;
+        return await this.request('GET', endpoint, params);
     }
 
     /**
-     * Validate email format
+     * Iterate over every merge field of the list
      */
-    isValidEmail(email) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return emailRegex.test(email);
+    iterateMergeFields(params = {}, options = {}) {
+        return this.paginate(`/lists/${this.listId}/merge-fields`, 'merge_fields', params, options);
     }
 
     /**
-     * Check if email domain is blocked (international TLDs)
+     * Load the merge field schema of the list
+     *
+     * The schema is kept for the lifetime of this instance, pass
+     * { refresh: true } to load it again.
      */
-    isDomainBlocked(email) {
-        const blockedTlds = ['.cn', '.ru', '.tk', '.ml', '.ga', '.cf'];
-        const domain = email.toLowerCase();
-        return blockedTlds.some(tld => domain.endsWith(tld));
+    async getMergeFieldSchema(options = {}) {
+        if (!options.refresh && this.mergeFieldSchemas.has(this.listId)) {
+            return this.mergeFieldSchemas.get(this.listId);
+        }
+
+        const fields = await this.collect(this.iterateMergeFields({}, { pageSize: 1000, signal: options.signal }));
+        const schema = new MergeFieldSchema(fields, this.mergeFieldMappings, (code, params) => this.t(`merge_field.${code}`, params, null));
+
+        this.mergeFieldSchemas.set(this.listId, schema);
+        return schema;
     }
 
     /**
-     * Validate email for subscription
+     * Validate merge fields against the list schema
+     *
+     * Keys may be friendly names (firstName), merge tags or field names.
+     * Resolves with { valid, mergeFields, errors } where mergeFields is keyed
+     * by merge tag and each error is { field, tag, code, message }.
+     *
+     * Options:
+     * - partial: skip the required field check, for updates of existing members
+     * - refresh: load the schema again
      */
-    validateEmail(email) {
-        if (!email) {
-            return { valid: false, error: 'Email address is required' };
+    async validateMergeFields(data = {}, options = {}) {
+        const schema = await this.getMergeFieldSchema(options);
+        return schema.validate(data, options);
+    }
+
+    /**
+     * Map, and when enabled validate, the merge fields of a member write
+     *
+     * Validation is skipped when the schema cannot be loaded, Mailchimp
+     * still validates the write itself.
+     */
+    async prepareMergeFields(mergeFields, options = {}) {
+        if (!(options.validate ?? this.mergeFieldValidation)) {
+            return this.formatMergeFields(mergeFields);
         }
 
-        if (!this.isValidEmail(email)) {
-            return { valid: false, error: 'Please enter a valid email address' };
+        let validation;
+
+        try {
+            validation = await this.validateMergeFields(mergeFields, { partial: options.partial });
+        } catch (error) {
+            this.log('Mailchimp API Merge field schema unavailable:', error, 'warn');
+            return this.formatMergeFields(mergeFields);
         }
 
-        if (this.isDomainBlocked(email)) {
-            return { valid: false, error: 'Sorry, this domain is not part of our target audience.' };
+        if (!validation.valid) {
+            throw new ValidationError('Some merge fields are invalid', { errors: validation.errors });
         }
 
-        return { valid: true };
+        return validation.mergeFields;
     }
 
     /**
-     * Format merge fields for easier use
+     * Add or update a member
+     *
+     * Options:
+     * - validate: validate merge fields against the list schema before sending
+     *   (defaults to the mergeFieldValidation option)
+     * - partial: skip the required merge field check (default true)
+     * - consent: marketing permissions to send, see resolveConsent()
+     * - formId, consentWording, onConsent: see updateMarketingPermissions()
+     *
+     * Subscribing members get the language of the active locale unless
+     * data.language is given or the memberLanguage option is false.
      */
-    formatMergeFields(data) {
-        const formatted = {};
-        
-        for (const [key, value] of Object.entries(data)) {
-            // Convert to uppercase if not already
-            const fieldKey = key.toUpperCase();
-            formatted[fieldKey] = value;
+    async addOrUpdateMember(email, data = {}, options = {}) {
+        if (!email) {
+            throw new ValidationError('Email address is required', { field: 'email_address' });
         }
+
+        const subscriberHash = this.subscriberHash(email);
+        const endpoint = `/lists/${this.listId}/members/${subscriberHash}`;
         
-        return formatted;
+        const memberData = {
+            email_address: email,
+            status: 'subscribed',
+            ...data
+        };
+
+        // status_if_new on its own leaves the status of existing members alone
+        if (data.status_if_new && !data.status) {
+            delete memberData.status;
+        }
+
+        const language = this.memberLanguage ? this.getMemberLanguage() : null;
+
+        if (language && !data.language && ['subscribed', 'pending'].includes(memberData.status || memberData.status_if_new)) {
+            memberData.language = language;
+        }
+
+        if (data.merge_fields) {
+            memberData.merge_fields = await this.prepareMergeFields(data.merge_fields, {
+                validate: options.validate,
+                partial: options.partial ?? true
+            });
+        }
+
+        if (!options.consent) {
+            return await this.request('PUT', endpoint, memberData, { queue: true });
+        }
+
+        const permissions = await this.resolveConsent(options.consent);
+        memberData.marketing_permissions = MailchimpAPI.toMarketingPermissions(permissions);
+
+        const response = await this.request('PUT', endpoint, memberData, { queue: true });
+        await this.recordConsent(email, permissions, response, options);
+
+        return response;
     }
 
     /**
-     * Helper to build query string from params
+     * Update some fields of an existing member
+     *
+     * Sends one PATCH with the given fields only. Merge fields are prepared
+     * as in addOrUpdateMember(), without the required field check.
+     *
+     * Options:
+     * - validate: validate merge fields against the list schema before sending
+     *   (defaults to the mergeFieldValidation option)
+     * - queue: keep the write in the offline queue when the network is
+     *   unavailable (default true)
      */
-    buildQueryString(params) {
-        const queryParts = [];
-        
-        for (const [key, value] of Object.entries(params)) {
-            if (value !== null && value !== undefined) {
-                queryParts.push(`${encodeURIComponent(key)}=${encodeURIComponent(value)}`);
+    async updateMember(email, data = {}, options = {}) {
+        if (!email) {
+            throw new ValidationError('Email address is required', { field: 'email_address' });
+        }
+
+        const subscriberHash = this.subscriberHash(email);
+        const endpoint = `/lists/${this.listId}/members/${subscriberHash}`;
+        const changes = { ...data };
+
+        if (data.merge_fields) {
+            changes.merge_fields = await this.prepareMergeFields(data.merge_fields, {
+                validate: options.validate,
+                partial: true
+            });
+        }
+
+        return await this.request('PATCH', endpoint, changes, { queue: options.queue ?? true });
+    }
+
+    /**
+     * Change the email address of a member, keeping its history
+     *
+     * PATCHes the email_address of the existing member, so its tags,
+     * interests and activity move with it, as when the member changes the
+     * address themselves. Webhooks report the change as upemail when they
+     * are subscribed to API changes.
+     *
+     * Options:
+     * - onConflict: what to do when the new address is already a member
+     *   - abort (default): change nothing and fail with a MemberExistsError
+     *   - merge: copy merge fields the new member has no value for, the
+     *     interests and the tags of the old member to the new one, then
+     *     archive the old member
+     *   - archive: archive the old member and keep the new one as it is
+     * - fields: other member fields to change, sent in the same PATCH as the
+     *   address; merge fields are prepared as in updateMember(). After a
+     *   merge or archive they are PATCHed onto the new member
+     * - validate: validate the merge fields of fields before sending
+     *
+     * The new member keeps its own status in both cases, and activity can
+     * not be moved between members: it stays with the archived one.
+     *
+     * The response also has subscriberHash (the hash to use from now on),
+     * previousHash and resolution: changed, merged, archived or aborted.
+     * Cached responses for both addresses are cleared.
+     */
+    async changeEmail(oldEmail, newEmail, options = {}) {
+        const { onConflict = 'abort', fields = {} } = options;
+
+        if (!oldEmail) {
+            throw new ValidationError('Email address is required', { field: 'email_address' });
+        }
+
+        if (!['abort', 'merge', 'archive'].includes(onConflict)) {
+            throw new ValidationError(`Unknown conflict resolution ${onConflict}`, { field: 'onConflict' });
+        }
+
+        const validation = this.validateEmail(newEmail);
+
+        if (!validation.valid) {
+            throw new ValidationError(validation.error, { field: 'email_address' });
+        }
+
+        const previousHash = this.subscriberHash(oldEmail);
+        const subscriberHash = this.subscriberHash(newEmail);
+        const result = (response, resolution) => ({
+            ...response,
+            subscriberHash: response.success ? subscriberHash : previousHash,
+            previousHash: previousHash,
+            resolution: resolution
+        });
+
+        const changes = { ...fields };
+
+        if (fields.merge_fields) {
+            changes.merge_fields = await this.prepareMergeFields(fields.merge_fields, {
+                validate: options.validate,
+                partial: true
+            });
+        }
+
+        const response = await this.request('PATCH', `/lists/${this.listId}/members/${previousHash}`, {
+            ...changes,
+            email_address: String(newEmail).trim()
+        }, {
+            throwOnError: false
+        });
+
+        if (response.success || subscriberHash === previousHash) {
+            this.invalidateMember(oldEmail, newEmail);
+            return this.checkResult(result(response, 'changed'));
+        }
+
+        // Mailchimp reports the conflict as Member Exists or as a plain 400
+        const error = MailchimpError.fromResponse(response);
+        const exists = error instanceof MemberExistsError
+            || (error instanceof ValidationError && (await this.getSubscriptionStatus(newEmail, { cache: false })).found);
+
+        if (!exists) {
+            return this.checkResult(result(response, 'changed'));
+        }
+
+        if (onConflict === 'abort') {
+            const conflict = new MemberExistsError(error.detail || `${newEmail} is already a list member`);
+
+            if (this.throwOnError) {
+                throw conflict;
             }
+            return result(conflict.toResponse(), 'aborted');
         }
-        
-        return queryParts.length > 0 ? '?' + queryParts.join('&') : '';
+
+        let merged = null;
+
+        if (onConflict === 'merge') {
+            merged = await this.mergeMember(oldEmail, newEmail);
+
+            if (!merged.success) {
+                return this.checkResult(result(merged, 'merged'));
+            }
+        }
+
+        const archived = await this.archiveMember(oldEmail);
+        this.invalidateMember(oldEmail, newEmail);
+
+        if (!archived.success) {
+            return this.checkResult(result(archived, onConflict === 'merge' ? 'merged' : 'archived'));
+        }
+
+        if (Object.keys(changes).length > 0) {
+            const updated = await this.request('PATCH', `/lists/${this.listId}/members/${subscriberHash}`, changes, {
+                throwOnError: false
+            });
+
+            return this.checkResult(result(updated, onConflict === 'merge' ? 'merged' : 'archived'));
+        }
+
+        return result(merged || archived, onConflict === 'merge' ? 'merged' : 'archived');
+    }
+
+    /**
+     * Copy the merge fields, interests and tags of one member to another
+     *
+     * Only merge fields the target has no value for are copied, interests
+     * are only ever added. Resolves with the response of the last write.
+     */
+    async mergeMember(fromEmail, intoEmail) {
+        const members = `/lists/${this.listId}/members`;
+        const [from, into] = await Promise.all([
+            this.request('GET', `${members}/${this.subscriberHash(fromEmail)}`, {}, { cache: false, throwOnError: false }),
+            this.request('GET', `${members}/${this.subscriberHash(intoEmail)}`, {}, { cache: false, throwOnError: false })
+        ]);
+
+        if (!from.success || !into.success) {
+            return from.success ? into : from;
+        }
+
+        const isEmpty = value => value === undefined || value === null
+            || (typeof value === 'object' ? Object.values(value).every(part => part === '' || part === null) : value === '');
+        const changes = { merge_fields: {}, interests: {} };
+
+        for (const [tag, value] of Object.entries(from.data.merge_fields || {})) {
+            if (!isEmpty(value) && isEmpty(into.data.merge_fields?.[tag])) {
+                changes.merge_fields[tag] = value;
+            }
+        }
+
+        for (const [id, selected] of Object.entries(from.data.interests || {})) {
+            if (selected && !into.data.interests?.[id]) {
+                changes.interests[id] = true;
+            }
+        }
+
+        let response = into;
+
+        if (Object.keys(changes.merge_fields).length > 0 || Object.keys(changes.interests).length > 0) {
+            response = await this.updateMember(intoEmail, changes, { validate: false, queue: false });
+
+            if (!response.success) {
+                return response;
+            }
+        }
+
+        const existing = new Set((into.data.tags || []).map(tag => tag.name));
+        const tags = (from.data.tags || []).map(tag => tag.name).filter(name => !existing.has(name));
+
+        if (tags.length > 0) {
+            const tagResponse = await this.addTags(intoEmail, tags);
+
+            if (!tagResponse.success) {
+                return tagResponse;
+            }
+        }
+
+        return response;
+    }
+
+    /**
+     * Clear cached responses for the members behind some email addresses
+     */
+    invalidateMember(...emails) {
+        for (const email of emails) {
+            this.invalidate(`/lists/${this.listId}/members/${this.subscriberHash(email)}`);
+        }
+
+        this.invalidate('/search-members');
+    }
+
+    /**
+     * Throw for unsuccessful responses when throwOnError is set
+     */
+    checkResult(response) {
+        if (!response.success && this.throwOnError) {
+            throw MailchimpError.fromResponse(response);
+        }
+
+        return response;
+    }
+
+    /**
+     * Unsubscribe a member
+     */
+    async unsubscribeMember(email) {
+        return await this.addOrUpdateMember(email, { status: 'unsubscribed' });
+    }
+
+    /**
+     * Subscribe a member
+     *
+     * With merge field validation enabled, required merge fields are checked
+     * too. Other options are passed on to addOrUpdateMember().
+     *
+     * Options:
+     * - doubleOptin: add new members as pending so Mailchimp sends them a
+     *   confirmation email (defaults to the doubleOptin option)
+     *
+     * With double opt-in, existing subscribers keep their status and members
+     * who are pending or unsubscribed get a new confirmation email. The
+     * response then also has previousStatus and confirmationSent.
+     */
+    async subscribeMember(email, mergeFields = {}, options = {}) {
+        const { doubleOptin = this.doubleOptin, ...memberOptions } = options;
+        const data = doubleOptin ? { status_if_new: 'pending' } : { status: 'subscribed' };
+        
+        if (Object.keys(mergeFields).length > 0 || (options.validate ?? this.mergeFieldValidation)) {
+            data.merge_fields = mergeFields;
+        }
+
+        if (!doubleOptin) {
+            return await this.addOrUpdateMember(email, data, { partial: false, ...memberOptions });
+        }
+
+        let previous = null;
+
+        try {
+            previous = await this.getSubscriptionStatus(email, { cache: false });
+        } catch (error) {
+            // Offline: send the write anyway so the offline queue can keep it
+            if (!(error instanceof NetworkError)) {
+                if (this.throwOnError) {
+                    throw error;
+                }
+                return error.toResponse();
+            }
+        }
+
+        if (previous && (previous.pending || previous.unsubscribed)) {
+            data.status = 'pending';
+        }
+
+        const response = await this.addOrUpdateMember(email, data, { partial: false, ...memberOptions });
+
+        response.previousStatus = previous ? previous.status : null;
+        response.confirmationSent = Boolean(response.success && response.data?.status === 'pending');
+
+        return response;
+    }
+
+    /**
+     * Send a new confirmation email to a pending member
+     *
+     * Mailchimp sends the confirmation email again whenever a member is set
+     * to pending, this works for unsubscribed members too.
+     */
+    async resendConfirmation(email) {
+        if (!email) {
+            throw new ValidationError('Email address is required', { field: 'email_address' });
+        }
+
+        return await this.addOrUpdateMember(email, { status: 'pending' });
+    }
+
+    /**
+     * Poll the status of a pending member until they confirm
+     *
+     * Options:
+     * - interval: delay before the first check in ms (default 5000)
+     * - maxInterval: longest delay between checks in ms (default 30000)
+     * - factor: growth of the delay after each check (default 1.5)
+     * - timeout: stop polling after this many ms (default 600000)
+     * - signal: AbortSignal to stop polling
+     * - onPoll: called with { attempt, status } after each check
+     *
+     * Resolves with { confirmed, status, attempts, timedOut }. Polling stops
+     * as soon as the member is no longer pending. Network errors are retried
+     * on the next check.
+     */
+    async waitForConfirmation(email, options = {}) {
+        const maxInterval = options.maxInterval || 30000;
+        const factor = options.factor || 1.5;
+        const timeout = options.timeout ?? 600000;
+        const started = Date.now();
+        let delay = options.interval || 5000;
+        let attempts = 0;
+        let status = 'pending';
+
+        while (Date.now() - started + delay <= timeout) {
+            await this.wait(delay, options.signal);
+            attempts++;
+
+            try {
+                const result = await this.getSubscriptionStatus(email, {
+                    cache: false,
+                    throttle: true,
+                    signal: options.signal
+                });
+
+                status = result.status;
+
+                if (options.onPoll) {
+                    options.onPoll({ attempt: attempts, status: result });
+                }
+
+                if (!result.pending) {
+                    return { confirmed: result.subscribed, status: status, attempts: attempts, timedOut: false };
+                }
+            } catch (error) {
+                this.throwIfAborted(options.signal);
+
+                if (!(error instanceof NetworkError || error instanceof TimeoutError || error instanceof RateLimitError)) {
+                    throw error;
+                }
+            }
+
+            delay = Math.min(delay * factor, maxInterval);
+        }
+
+        return { confirmed: false, status: status, attempts: attempts, timedOut: true };
+    }
+
+    /**
+     * Get subscription status in a user-friendly format
+     *
+     * Options are passed on to request(), for example { cache: false }.
+     */
+    async getSubscriptionStatus(email, options = {}) {
+        try {
+            // A 404 is an answer here, not an error
+            const response = await this.checkSubscription(email, { ...options, throwOnError: false });
+            
+            if (response.success) {
+                return {
+                    found: true,
+                    status: response.data.status,
+                    email: response.data.email_address,
+                    subscribed: response.data.status === 'subscribed',
+                    unsubscribed: response.data.status === 'unsubscribed',
+                    pending: response.data.status === 'pending',
+                    cleaned: response.data.status === 'cleaned',
+                    data: response.data
+                };
+            } else if (response.code === 404) {
+                return {
+                    found: false,
+                    status: 'not_found',
+                    email: email,
+                    subscribed: false,
+                    unsubscribed: false,
+                    pending: false,
+                    cleaned: false,
+                    data: null
+                };
+            } else {
+                throw MailchimpError.fromResponse(response);
+            }
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    /**
+     * Batch subscribe multiple email addresses
+     */
+    async batchSubscribe(emails, options = {}) {
+        if (!Array.isArray(emails) || emails.length === 0) {
+            throw new ValidationError('Emails must be a non-empty array', { field: 'emails' });
+        }
+
+        const operations = emails.map(email => ({
+            method: 'PUT',
+            path: `/lists/${this.listId}/members/${this.subscriberHash(email)}`,
+            operation_id: String(email).trim(),
+            body: JSON.stringify({
+                email_address: email,
+                status: 'subscribed',
+                ...options
+            })
+        }));
+
+        return await this.submitBatch(operations);
+    }
+
+    /**
+     * Batch unsubscribe multiple email addresses
+     */
+    async batchUnsubscribe(emails) {
+        if (!Array.isArray(emails) || emails.length === 0) {
+            throw new ValidationError('Emails must be a non-empty array', { field: 'emails' });
+        }
+
+        const operations = emails.map(email => ({
+            method: 'PATCH',
+            path: `/lists/${this.listId}/members/${this.subscriberHash(email)}`,
+            operation_id: String(email).trim(),
+            body: JSON.stringify({
+                status: 'unsubscribed'
+            })
+        }));
+
+        return await this.submitBatch(operations);
+    }
+
+    /**
+     * Submit batch operations, split into batches of batchSize operations
+     *
+     * Returns a BatchJob tracking every submitted batch. Submission stops at
+     * the first batch Mailchimp rejects.
+     */
+    async submitBatch(operations) {
+        const job = new BatchJob(this);
+
+        for (let offset = 0; offset < operations.length; offset += this.batchSize) {
+            const chunk = operations.slice(offset, offset + this.batchSize);
+            const response = await this.request('POST', '/batches', {
+                operations: chunk
+            }, {
+                throwOnError: false
+            });
+
+            job.addBatch(response, chunk);
+
+            if (!response.success) {
+                break;
+            }
+        }
+
+        if (!job.success && this.throwOnError) {
+            const error = MailchimpError.fromResponse(job.toResponse());
+            error.batchJob = job;
+            throw error;
+        }
+
+        return job;
+    }
+
+    /**
+     * Download the results archive of a finished batch through the proxy
+     *
+     * Mailchimp stores the results on a host without CORS headers, so the
+     * proxy fetches the gzipped tar archive on our behalf.
+     */
+    async getBatchArchive(batchId, options = {}) {
+        try {
+            await this.throttle(options.signal);
+
+            const transport = typeof this.transport.archive === 'function' ? this.transport : new FetchTransport();
+
+            return await transport.archive({
+                url: this.batchResponseEndpoint,
+                batchId: batchId,
+                csrf: { name: this.csrfTokenName, value: this.csrfTokenValue },
+                signal: options.signal
+            });
+
+        } catch (error) {
+            if (error instanceof MailchimpError || error.name === 'AbortError') {
+                throw error;
+            }
+
+            throw MailchimpError.fromResponse({
+                success: false,
+                error: error.message,
+                code: error.status || 500,
+                reason: error.status ? 'http' : 'network'
+            });
+        }
+    }
+
+    /**
+     * Add tags to a member
+     */
+    async addTags(email, tags) {
+        if (!email) {
+            throw new ValidationError('Email address is required', { field: 'email_address' });
+        }
+        
+        if (!Array.isArray(tags) || tags.length === 0) {
+            throw new ValidationError('Tags must be a non-empty array', { field: 'tags' });
+        }
+
+        const subscriberHash = this.subscriberHash(email);
+        const endpoint = `/lists/${this.listId}/members/${subscriberHash}/tags`;
+        
+        return await this.request('POST', endpoint, {
+            tags: tags.map(tag => ({ name: tag, status: 'active' }))
+        }, {
+            queue: true
+        });
+    }
+
+    /**
+     * Remove tags from a member
+     */
+    async removeTags(email, tags) {
+        if (!email) {
+            throw new ValidationError('Email address is required', { field: 'email_address' });
+        }
+        
+        if (!Array.isArray(tags) || tags.length === 0) {
+            throw new ValidationError('Tags must be a non-empty array', { field: 'tags' });
+        }
+
+        const subscriberHash = this.subscriberHash(email);
+        const endpoint = `/lists/${this.listId}/members/${subscriberHash}/tags`;
+        
+        return await this.request('POST', endpoint, {
+            tags: tags.map(tag => ({ name: tag, status: 'inactive' }))
+        }, {
+            queue: true
+        });
+    }
+
+    /**
+     * Get one page of the tags of a member, see getAllMemberTags() for all of them
+     */
+    async getTags(email) {
+        if (!email) {
+            throw new ValidationError('Email address is required', { field: 'email_address' });
+        }
+
+        const subscriberHash = this.subscriberHash(email);
+        const endpoint = `/lists/${this.listId}/members/${subscriberHash}/tags`;
+        
+        return await this.request('GET', endpoint);
+    }
+
+    /**
+     * Iterate over every tag of a member
+     */
+    iterateMemberTags(email, params = {}, options = {}) {
+        const subscriberHash = this.subscriberHash(email);
+        return this.paginate(`/lists/${this.listId}/members/${subscriberHash}/tags`, 'tags', params, options);
+    }
+
+    /**
+     * Get every tag of a member as a single array
+     */
+    async getAllMemberTags(email, params = {}, options = {}) {
+        return await this.collect(this.iterateMemberTags(email, params, options));
+    }
+
+    /**
+     * Give a member exactly the given tags
+     *
+     * Compares the tags with the ones the member has, ignoring case, and
+     * sends the difference in one request. The response also has the added
+     * and removed tag names; nothing is sent when they are both empty.
+     *
+     * Options:
+     * - keep: tags to leave alone, such as ones managed by automations
+     */
+    async setTags(email, desiredTags, options = {}) {
+        if (!email) {
+            throw new ValidationError('Email address is required', { field: 'email_address' });
+        }
+
+        if (!Array.isArray(desiredTags)) {
+            throw new ValidationError('Tags must be an array', { field: 'tags' });
+        }
+
+        const key = name => String(name).trim().toLowerCase();
+        const current = (await this.getAllMemberTags(email)).map(tag => tag.name);
+        const have = new Set(current.map(key));
+        const want = new Set(desiredTags.map(key));
+        const keep = new Set((options.keep || []).map(key));
+
+        const added = desiredTags.filter((name, index) => !have.has(key(name))
+            && desiredTags.findIndex(other => key(other) === key(name)) === index);
+        const removed = current.filter(name => !want.has(key(name)) && !keep.has(key(name)));
+
+        if (added.length === 0 && removed.length === 0) {
+            return { success: true, data: null, status: 204, added: [], removed: [] };
+        }
+
+        const subscriberHash = this.subscriberHash(email);
+        const endpoint = `/lists/${this.listId}/members/${subscriberHash}/tags`;
+
+        const response = await this.request('POST', endpoint, {
+            tags: [
+                ...added.map(name => ({ name: String(name).trim(), status: 'active' })),
+                ...removed.map(name => ({ name: name, status: 'inactive' }))
+            ]
+        }, {
+            queue: true
+        });
+
+        return { ...response, added: added, removed: removed };
+    }
+
+    /**
+     * Get one page of the tags of the list
+     *
+     * Tags are static segments; this uses the tag search, which also finds
+     * tags no member has yet.
+     */
+    async getListTags(params = {}) {
+        return await this.request('GET', `/lists/${this.listId}/tag-search`, params);
+    }
+
+    /**
+     * Iterate over every tag of the list, optionally only those matching params.name
+     */
+    iterateListTags(params = {}, options = {}) {
+        return this.paginate(`/lists/${this.listId}/tag-search`, 'tags', params, options);
+    }
+
+    /**
+     * Get every tag of the list as a single array
+     */
+    async getAllListTags(params = {}, options = {}) {
+        return await this.collect(this.iterateListTags(params, options));
+    }
+
+    /**
+     * Search the tags of the list by name
+     *
+     * Mailchimp matches names starting with the search term.
+     */
+    async searchTags(name, params = {}) {
+        if (!name) {
+            throw new ValidationError('Search name is required', { field: 'name' });
+        }
+
+        return await this.getListTags({ ...params, name: name });
+    }
+
+    /**
+     * Find a tag of the list by its exact name, ignoring case
+     *
+     * Resolves with { id, name } or null.
+     */
+    async findTag(name) {
+        const wanted = String(name).trim().toLowerCase();
+
+        for await (const tag of this.iterateListTags({ name: String(name).trim() })) {
+            if (tag.name.toLowerCase() === wanted) {
+                return tag;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Resolve a tag given by ID or name to its { id, name }
+     *
+     * IDs are numbers or { id } and are trusted without a request; strings
+     * are always names, as for segment(). Unknown names resolve with null,
+     * or are created with create: true. Failed lookups throw a
+     * MailchimpError, like the iterators.
+     */
+    async resolveTag(tag, options = {}) {
+        const given = tag !== null && typeof tag === 'object' ? tag : null;
+        const id = given ? given.id : tag;
+
+        if (typeof id === 'number' || (given && id !== undefined && id !== null && id !== '')) {
+            return { id: Number(id), name: given?.name ?? null };
+        }
+
+        const name = given ? given.name : tag;
+
+        if (name === undefined || name === null || String(name).trim() === '') {
+            throw new ValidationError('Tag is required', { field: 'tag' });
+        }
+
+        const found = await this.findTag(name);
+
+        if (found || !options.create) {
+            return found;
+        }
+
+        const response = await this.request('POST', `/lists/${this.listId}/segments`, {
+            name: String(name).trim(),
+            static_segment: []
+        }, {
+            throwOnError: true
+        });
+
+        this.invalidate(`/lists/${this.listId}/tag-search`);
+
+        return { id: response.data.id, name: response.data.name };
+    }
+
+    /**
+     * Add a tag to many members
+     *
+     * The tag (an ID or a name) is created when it does not exist yet. See
+     * updateTagMembers() for the response.
+     */
+    async tagMembers(tag, emails) {
+        return await this.updateTagMembers(tag, emails, 'members_to_add');
+    }
+
+    /**
+     * Remove a tag from many members
+     *
+     * See updateTagMembers() for the response.
+     */
+    async untagMembers(tag, emails) {
+        return await this.updateTagMembers(tag, emails, 'members_to_remove');
+    }
+
+    /**
+     * Add members to or remove them from a tag
+     *
+     * The response data also has the resolved tag, see updateSegmentMembers().
+     */
+    async updateTagMembers(tag, emails, action) {
+        if (!Array.isArray(emails) || emails.length === 0) {
+            throw new ValidationError('Emails must be a non-empty array', { field: 'emails' });
+        }
+
+        const resolved = await this.resolveTag(tag, { create: action === 'members_to_add' });
+
+        // Nobody can have a tag that does not exist
+        if (!resolved) {
+            return {
+                success: true,
+                data: { tag: null, total_added: 0, total_removed: 0, error_count: 0, errors: [] },
+                status: 200
+            };
+        }
+
+        const response = await this.updateSegmentMembers(resolved.id, emails, action);
+        response.data = { tag: resolved, ...response.data };
+
+        return response;
+    }
+
+    /**
+     * Rename a tag of the list, given by ID or name
+     */
+    async renameTag(tag, newName) {
+        if (!newName || !String(newName).trim()) {
+            throw new ValidationError('New tag name is required', { field: 'name' });
+        }
+
+        const resolved = await this.resolveTag(tag);
+
+        if (!resolved) {
+            return this.checkResult(new NotFoundError(`Tag ${tag?.name ?? tag} not found`).toResponse());
+        }
+
+        const response = await this.request('PATCH', `/lists/${this.listId}/segments/${resolved.id}`, {
+            name: String(newName).trim()
+        });
+
+        this.invalidate(`/lists/${this.listId}/tag-search`);
+        this.invalidate(`/lists/${this.listId}/members`);
+
+        return response;
+    }
+
+    /**
+     * Delete a tag of the list, given by ID or name, removing it from every member
+     */
+    async deleteTag(tag) {
+        const resolved = await this.resolveTag(tag);
+
+        if (!resolved) {
+            return this.checkResult(new NotFoundError(`Tag ${tag?.name ?? tag} not found`).toResponse());
+        }
+
+        return await this.deleteSegment(resolved.id);
+    }
+
+    /**
+     * Add member to a segment
+     */
+    async addToSegment(email, segmentId) {
+        if (!email || !segmentId) {
+            throw new ValidationError('Email and segment ID are required');
+        }
+
+        const subscriberHash = this.subscriberHash(email);
+        const endpoint = `/lists/${this.listId}/segments/${segmentId}/members`;
+        
+        return await this.request('POST', endpoint, {
+            email_address: email
+        });
+    }
+
+    /**
+     * Get all segments for the list
+     */
+    async getSegments(params = {}) {
+        const endpoint = `/lists/${this.listId}/segments`;
+        return await this.request('GET', endpoint, params);
+    }
+
+    /**
+     * Iterate over every segment of the list
+     */
+    iterateSegments(params = {}, options = {}) {
+        return this.paginate(`/lists/${this.listId}/segments`, 'segments', params, options);
+    }
+
+    /**
+     * Get every segment of the list as a single array
+     */
+    async getAllSegments(params = {}, options = {}) {
+        return await this.collect(this.iterateSegments(params, options));
+    }
+
+    /**
+     * Get a segment of the list, including its member count and conditions
+     */
+    async getSegment(segmentId) {
+        if (!segmentId) {
+            throw new ValidationError('Segment ID is required', { field: 'segmentId' });
+        }
+
+        return await this.request('GET', `/lists/${this.listId}/segments/${segmentId}`);
+    }
+
+    /**
+     * Find a segment of the list by its exact name, ignoring case
+     *
+     * params can narrow the search, for example { type: 'saved' }. Resolves
+     * with the segment or null.
+     */
+    async findSegment(name, params = {}) {
+        const wanted = String(name).trim().toLowerCase();
+
+        for await (const segment of this.iterateSegments(params)) {
+            if (segment.name.toLowerCase() === wanted) {
+                return segment;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Build a saved segment from conditions, see SegmentBuilder
+     *
+     * Pass the name of a new or existing segment, or the ID (a number or
+     * { id }) of an existing one. Strings are always names, as for tags.
+     */
+    segment(nameOrId) {
+        return new SegmentBuilder(this, nameOrId);
+    }
+
+    /**
+     * Create a static segment, optionally with members
+     *
+     * Members are added in requests of 500 after the segment is created, the
+     * response data is the new segment.
+     */
+    async createStaticSegment(name, emails = []) {
+        if (!name || !String(name).trim()) {
+            throw new ValidationError('Segment name is required', { field: 'name' });
+        }
+
+        const response = await this.request('POST', `/lists/${this.listId}/segments`, {
+            name: String(name).trim(),
+            static_segment: []
+        });
+
+        if (!response.success || emails.length === 0) {
+            return response;
+        }
+
+        const added = await this.addSegmentMembers(response.data.id, emails);
+
+        if (!added.success) {
+            return added;
+        }
+
+        return { ...response, data: { ...response.data, member_count: added.data.total_added } };
+    }
+
+    /**
+     * Add many members to a static segment
+     */
+    async addSegmentMembers(segmentId, emails) {
+        return await this.updateSegmentMembers(segmentId, emails, 'members_to_add');
+    }
+
+    /**
+     * Remove many members from a static segment
+     */
+    async removeSegmentMembers(segmentId, emails) {
+        return await this.updateSegmentMembers(segmentId, emails, 'members_to_remove');
+    }
+
+    /**
+     * Add members to or remove them from a static segment, 500 addresses per request
+     *
+     * Resolves with the totals of all requests: { total_added,
+     * total_removed, error_count, errors }, where errors lists the addresses
+     * Mailchimp refused. Sending stops at the first request Mailchimp rejects.
+     */
+    async updateSegmentMembers(segmentId, emails, action) {
+        if (!segmentId) {
+            throw new ValidationError('Segment ID is required', { field: 'segmentId' });
+        }
+
+        if (!Array.isArray(emails) || emails.length === 0) {
+            throw new ValidationError('Emails must be a non-empty array', { field: 'emails' });
+        }
+
+        const endpoint = `/lists/${this.listId}/segments/${segmentId}`;
+        const data = { total_added: 0, total_removed: 0, error_count: 0, errors: [] };
+        let response = null;
+
+        for (let offset = 0; offset < emails.length; offset += 500) {
+            response = await this.request('POST', endpoint, {
+                [action]: emails.slice(offset, offset + 500).map(email => String(email).trim())
+            }, {
+                throttle: true,
+                throwOnError: false
+            });
+
+            if (!response.success) {
+                break;
+            }
+
+            data.total_added += response.data.total_added || 0;
+            data.total_removed += response.data.total_removed || 0;
+            data.error_count += response.data.error_count || 0;
+            data.errors.push(...(response.data.errors || []));
+        }
+
+        this.invalidate(`/lists/${this.listId}/members`);
+        this.invalidate('/search-members');
+
+        if (!response.success) {
+            return this.checkResult({ ...response, data: data });
+        }
+
+        return { success: true, data: data, status: response.status };
+    }
+
+    /**
+     * Delete a segment or tag of the list
+     */
+    async deleteSegment(segmentId) {
+        if (!segmentId) {
+            throw new ValidationError('Segment ID is required', { field: 'segmentId' });
+        }
+
+        const response = await this.request('DELETE', `/lists/${this.listId}/segments/${segmentId}`);
+
+        this.invalidate(`/lists/${this.listId}/tag-search`);
+        this.invalidate(`/lists/${this.listId}/members`);
+
+        return response;
+    }
+
+    /**
+     * Get all campaigns
+     */
+    async getCampaigns(params = {}) {
+        return await this.request('GET', '/campaigns', params);
+    }
+
+    /**
+     * Iterate over every campaign
+     */
+    iterateCampaigns(params = {}, options = {}) {
+        return this.paginate('/campaigns', 'campaigns', params, options);
+    }
+
+    /**
+     * Get every campaign as a single array
+     */
+    async getAllCampaigns(params = {}, options = {}) {
+        return await this.collect(this.iterateCampaigns(params, options));
+    }
+
+    /**
+     * Get campaign content
+     */
+    async getCampaignContent(campaignId) {
+        if (!campaignId) {
+            throw new ValidationError('Campaign ID is required', { field: 'campaign_id' });
+        }
+
+        const endpoint = `/campaigns/${campaignId}/content`;
+        return await this.request('GET', endpoint);
+    }
+
+    /**
+     * Create a regular campaign for the list or one of its segments
+     *
+     * settings are Mailchimp's campaign settings: subject_line, from_name
+     * and reply_to are required, preview_text, title and the others are
+     * optional.
+     *
+     * Options:
+     * - listId: audience to send to (defaults to the client's list)
+     * - segmentId: saved or static segment of that audience to send to
+     * - type: campaign type (default regular)
+     * - tracking: Mailchimp tracking settings, such as { opens: true }
+     */
+    async createCampaign(settings = {}, options = {}) {
+        for (const field of ['subject_line', 'from_name', 'reply_to']) {
+            if (!settings[field] || !String(settings[field]).trim()) {
+                throw new ValidationError(`${field} is required`, { field: field });
+            }
+        }
+
+        const replyTo = this.validateEmail(settings.reply_to);
+
+        if (!replyTo.valid) {
+            throw new ValidationError(replyTo.error, { field: 'reply_to' });
+        }
+
+        const recipients = { list_id: options.listId || this.listId };
+
+        if (!recipients.list_id) {
+            throw new ValidationError('List ID is required', { field: 'list_id' });
+        }
+
+        if (options.segmentId) {
+            recipients.segment_opts = { saved_segment_id: Number(options.segmentId) };
+        }
+
+        const campaign = {
+            type: options.type || 'regular',
+            recipients: recipients,
+            settings: settings
+        };
+
+        if (options.tracking) {
+            campaign.tracking = options.tracking;
+        }
+
+        return await this.request('POST', '/campaigns', campaign);
+    }
+
+    /**
+     * Update the settings of a campaign that has not been sent yet
+     */
+    async updateCampaignSettings(campaignId, settings) {
+        if (!campaignId) {
+            throw new ValidationError('Campaign ID is required', { field: 'campaign_id' });
+        }
+
+        return await this.request('PATCH', `/campaigns/${campaignId}`, { settings: settings });
+    }
+
+    /**
+     * Set the content of a campaign
+     *
+     * content is one of:
+     * - { html, plain_text }: custom HTML, the plain text is generated when left out
+     * - { template: { id, sections } }: a saved template, with the HTML of
+     *   its mc:edit regions replaced by sections (region name => HTML)
+     * - { url }: HTML fetched by Mailchimp from a public URL
+     */
+    async setCampaignContent(campaignId, content = {}) {
+        if (!campaignId) {
+            throw new ValidationError('Campaign ID is required', { field: 'campaign_id' });
+        }
+
+        if (content.template) {
+            if (!content.template.id) {
+                throw new ValidationError('Template ID is required', { field: 'template' });
+            }
+
+            if (content.template.sections && typeof content.template.sections !== 'object') {
+                throw new ValidationError('Template sections must map region names to HTML', { field: 'template' });
+            }
+        } else if (!content.html && !content.url) {
+            throw new ValidationError('Content needs html, template or url', { field: 'content' });
+        }
+
+        return await this.request('PUT', `/campaigns/${campaignId}/content`, content);
+    }
+
+    /**
+     * Run Mailchimp's send checklist for a campaign
+     *
+     * The response also has ready, errors and warnings, each an array of
+     * { id, heading, details } items. A campaign can only be sent when ready.
+     */
+    async getSendChecklist(campaignId) {
+        if (!campaignId) {
+            throw new ValidationError('Campaign ID is required', { field: 'campaign_id' });
+        }
+
+        const response = await this.request('GET', `/campaigns/${campaignId}/send-checklist`, {}, { cache: false });
+
+        if (!response.success) {
+            return response;
+        }
+
+        const items = (response.data.items || []).map(item => ({
+            type: item.type,
+            id: item.id,
+            heading: item.heading,
+            details: item.details
+        }));
+
+        return {
+            ...response,
+            ready: Boolean(response.data.is_ready),
+            errors: items.filter(item => item.type === 'error'),
+            warnings: items.filter(item => item.type === 'warning')
+        };
+    }
+
+    /**
+     * Send a test of a campaign to reviewers
+     *
+     * type is html (default) or plaintext.
+     */
+    async sendTestEmail(campaignId, emails, type = 'html') {
+        if (!campaignId) {
+            throw new ValidationError('Campaign ID is required', { field: 'campaign_id' });
+        }
+
+        if (!Array.isArray(emails) || emails.length === 0) {
+            throw new ValidationError('Emails must be a non-empty array', { field: 'emails' });
+        }
+
+        const invalid = emails.find(email => !this.isValidEmail(email));
+
+        if (invalid !== undefined) {
+            throw new ValidationError(`${invalid} is not a valid email address`, { field: 'emails' });
+        }
+
+        if (!['html', 'plaintext'].includes(type)) {
+            throw new ValidationError('Test email type must be html or plaintext', { field: 'send_type' });
+        }
+
+        return await this.request('POST', `/campaigns/${campaignId}/actions/test`, {
+            test_emails: emails.map(email => String(email).trim()),
+            send_type: type
+        });
+    }
+
+    /**
+     * Schedule a campaign
+     *
+     * Mailchimp only schedules on the quarter hour, so time (a Date or
+     * anything Date accepts) must be in the future at :00, :15, :30 or :45.
+     *
+     * Options:
+     * - timewarp: send at this time in each recipient's time zone
+     * - batchDelivery: { batch_delay, batch_count } to send in batches
+     */
+    async scheduleCampaign(campaignId, time, options = {}) {
+        if (!campaignId) {
+            throw new ValidationError('Campaign ID is required', { field: 'campaign_id' });
+        }
+
+        const date = new Date(time);
+
+        if (Number.isNaN(date.getTime()) || date.getTime() <= Date.now()) {
+            throw new ValidationError('The schedule time must be a date in the future', { field: 'schedule_time' });
+        }
+
+        if (date.getUTCMinutes() % 15 !== 0 || date.getUTCSeconds() !== 0 || date.getUTCMilliseconds() !== 0) {
+            throw new ValidationError('Campaigns can only be scheduled on the quarter hour', { field: 'schedule_time' });
+        }
+
+        const params = { schedule_time: date.toISOString() };
+
+        if (options.timewarp) {
+            params.timewarp = true;
+        }
+
+        if (options.batchDelivery) {
+            params.batch_delivery = options.batchDelivery;
+        }
+
+        return await this.request('POST', `/campaigns/${campaignId}/actions/schedule`, params);
+    }
+
+    /**
+     * Unschedule a scheduled campaign, it goes back to being a draft
+     */
+    async unscheduleCampaign(campaignId) {
+        if (!campaignId) {
+            throw new ValidationError('Campaign ID is required', { field: 'campaign_id' });
+        }
+
+        return await this.request('POST', `/campaigns/${campaignId}/actions/unschedule`);
+    }
+
+    /**
+     * Send a campaign now
+     *
+     * Runs the send checklist first and does not send when it has errors;
+     * the failed response then has the checklist's errors and warnings.
+     *
+     * Options:
+     * - checklist: set to false to skip the send checklist
+     */
+    async sendCampaign(campaignId, options = {}) {
+        if (!campaignId) {
+            throw new ValidationError('Campaign ID is required', { field: 'campaign_id' });
+        }
+
+        if (options.checklist !== false) {
+            const checklist = await this.getSendChecklist(campaignId);
+
+            if (!checklist.success) {
+                return checklist;
+            }
+
+            if (!checklist.ready) {
+                const error = new ValidationError('The campaign is not ready to send', {
+                    status: 400,
+                    errors: checklist.errors.map(item => ({ field: item.id, message: `${item.heading}: ${item.details}` }))
+                });
+
+                return this.checkResult({
+                    ...error.toResponse(),
+                    errors: checklist.errors,
+                    warnings: checklist.warnings
+                });
+            }
+        }
+
+        return await this.request('POST', `/campaigns/${campaignId}/actions/send`);
+    }
+
+    /**
+     * Get one page of campaign reports
+     */
+    async getReports(params = {}) {
+        return await this.request('GET', '/reports', params);
+    }
+
+    /**
+     * Iterate over the reports of every sent campaign
+     */
+    iterateReports(params = {}, options = {}) {
+        return this.paginate('/reports', 'reports', params, options);
+    }
+
+    /**
+     * Get every campaign report as a single array
+     */
+    async getAllReports(params = {}, options = {}) {
+        return await this.collect(this.iterateReports(params, options));
+    }
+
+    /**
+     * Get the report of a sent campaign
+     *
+     * The response also has summary, see summarizeReport(). Options are
+     * passed on to request().
+     */
+    async getCampaignReport(campaignId, options = {}) {
+        if (!campaignId) {
+            throw new ValidationError('Campaign ID is required', { field: 'campaign_id' });
+        }
+
+        const response = await this.request('GET', `/reports/${campaignId}`, {}, options);
+
+        if (!response.success) {
+            return response;
+        }
+
+        return { ...response, summary: MailchimpAPI.summarizeReport(response.data) };
+    }
+
+    /**
+     * Get one page of the links clicked in a campaign, with their click counts
+     */
+    async getClickDetails(campaignId, params = {}) {
+        if (!campaignId) {
+            throw new ValidationError('Campaign ID is required', { field: 'campaign_id' });
+        }
+
+        return await this.request('GET', `/reports/${campaignId}/click-details`, params);
+    }
+
+    /**
+     * Iterate over every link clicked in a campaign
+     */
+    iterateClickDetails(campaignId, params = {}, options = {}) {
+        return this.paginate(`/reports/${campaignId}/click-details`, 'urls_clicked', params, options);
+    }
+
+    /**
+     * Get every link clicked in a campaign as a single array
+     */
+    async getAllClickDetails(campaignId, params = {}, options = {}) {
+        return await this.collect(this.iterateClickDetails(campaignId, params, options));
+    }
+
+    /**
+     * Get one page of the members who opened a campaign
+     *
+     * params.since limits the opens to those after an ISO 8601 time.
+     */
+    async getOpenDetails(campaignId, params = {}) {
+        if (!campaignId) {
+            throw new ValidationError('Campaign ID is required', { field: 'campaign_id' });
+        }
+
+        return await this.request('GET', `/reports/${campaignId}/open-details`, params);
+    }
+
+    /**
+     * Iterate over every member who opened a campaign
+     */
+    iterateOpenDetails(campaignId, params = {}, options = {}) {
+        return this.paginate(`/reports/${campaignId}/open-details`, 'members', params, options);
+    }
+
+    /**
+     * Get every member who opened a campaign as a single array
+     */
+    async getAllOpenDetails(campaignId, params = {}, options = {}) {
+        return await this.collect(this.iterateOpenDetails(campaignId, params, options));
+    }
+
+    /**
+     * Get the delivery, open and click statistics of a campaign per email domain
+     */
+    async getDomainPerformance(campaignId) {
+        if (!campaignId) {
+            throw new ValidationError('Campaign ID is required', { field: 'campaign_id' });
+        }
+
+        return await this.request('GET', `/reports/${campaignId}/domain-performance`);
+    }
+
+    /**
+     * Get one page of the activity of each recipient of a campaign
+     */
+    async getEmailActivity(campaignId, params = {}) {
+        if (!campaignId) {
+            throw new ValidationError('Campaign ID is required', { field: 'campaign_id' });
+        }
+
+        return await this.request('GET', `/reports/${campaignId}/email-activity`, params);
+    }
+
+    /**
+     * Iterate over the activity of every recipient of a campaign
+     */
+    iterateEmailActivity(campaignId, params = {}, options = {}) {
+        return this.paginate(`/reports/${campaignId}/email-activity`, 'emails', params, options);
+    }
+
+    /**
+     * Get the opens, clicks and bounces of a campaign as one timeline
+     *
+     * Resolves with { email, action, timestamp, url, type } events, oldest
+     * first. params.since limits the activity to that after an ISO 8601
+     * time; options are passed on to paginate().
+     */
+    async getActivityTimeline(campaignId, params = {}, options = {}) {
+        if (!campaignId) {
+            throw new ValidationError('Campaign ID is required', { field: 'campaign_id' });
+        }
+
+        const events = [];
+
+        for await (const recipient of this.iterateEmailActivity(campaignId, params, options)) {
+            for (const activity of recipient.activity || []) {
+                events.push({
+                    email: recipient.email_address,
+                    action: activity.action,
+                    timestamp: activity.timestamp,
+                    url: activity.url || null,
+                    type: activity.type || null
+                });
+            }
+        }
+
+        return events.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+    }
+
+    /**
+     * Compare the reports of several campaigns
+     *
+     * Resolves with { success, rows, totals, errors }: a summarizeReport()
+     * row per campaign in the given order, totals over all of them with
+     * their rates and the campaigns whose report failed as { campaignId,
+     * error }. success is false when any report failed.
+     *
+     * Options:
+     * - sortBy: summary field to sort the rows by, highest first
+     */
+    async compareCampaigns(campaignIds, options = {}) {
+        if (!Array.isArray(campaignIds) || campaignIds.length === 0) {
+            throw new ValidationError('Campaign IDs must be a non-empty array', { field: 'campaign_ids' });
+        }
+
+        const rows = [];
+        const errors = [];
+
+        for (const campaignId of campaignIds) {
+            const response = await this.getCampaignReport(campaignId, { throttle: true, throwOnError: false });
+
+            if (response.success) {
+                rows.push(response.summary);
+            } else {
+                errors.push({ campaignId: campaignId, error: MailchimpError.fromResponse(response) });
+            }
+        }
+
+        if (options.sortBy) {
+            rows.sort((a, b) => (b[options.sortBy] ?? 0) - (a[options.sortBy] ?? 0));
+        }
+
+        const totals = { campaigns: rows.length };
+
+        for (const field of MailchimpAPI.REPORT_COUNTS) {
+            totals[field] = rows.reduce((sum, row) => sum + row[field], 0);
+        }
+
+        return { success: errors.length === 0, rows: rows, totals: MailchimpAPI.addReportRates(totals), errors: errors };
+    }
+
+    /**
+     * Flatten a campaign report into counts and rates
+     *
+     * Rates are fractions from 0 to 1. Like Mailchimp, open, click and
+     * unsubscribe rates are relative to the delivered emails (sent minus
+     * bounced), the click-to-open rate to the unique opens.
+     */
+    static summarizeReport(report) {
+        const bounces = report.bounces || {};
+        const opens = report.opens || {};
+        const clicks = report.clicks || {};
+        const bounced = (bounces.hard_bounces || 0) + (bounces.soft_bounces || 0) + (bounces.syntax_errors || 0);
+
+        return MailchimpAPI.addReportRates({
+            campaignId: report.id,
+            title: report.campaign_title || '',
+            subject: report.subject_line || '',
+            sendTime: report.send_time || null,
+            sent: report.emails_sent || 0,
+            delivered: Math.max(0, (report.emails_sent || 0) - bounced),
+            opens: opens.opens_total || 0,
+            uniqueOpens: opens.unique_opens || 0,
+            clicks: clicks.clicks_total || 0,
+            uniqueClicks: clicks.unique_subscriber_clicks || 0,
+            hardBounces: bounces.hard_bounces || 0,
+            softBounces: bounces.soft_bounces || 0,
+            bounces: bounced,
+            unsubscribes: report.unsubscribed || 0,
+            abuseReports: report.abuse_reports || 0
+        });
+    }
+
+    /**
+     * Add the rates to report counts
+     */
+    static addReportRates(counts) {
+        const rate = (part, whole) => (whole > 0 ? part / whole : 0);
+
+        return {
+            ...counts,
+            openRate: rate(counts.uniqueOpens, counts.delivered),
+            clickRate: rate(counts.uniqueClicks, counts.delivered),
+            clickToOpenRate: rate(counts.uniqueClicks, counts.uniqueOpens),
+            bounceRate: rate(counts.bounces, counts.sent),
+            unsubscribeRate: rate(counts.unsubscribes, counts.delivered),
+            abuseRate: rate(counts.abuseReports, counts.delivered)
+        };
+    }
+
+    /**
+     * Get one page of the classic automations of the account
+     */
+    async getAutomations(params = {}) {
+        return await this.request('GET', '/automations', params);
+    }
+
+    /**
+     * Iterate over every classic automation
+     */
+    iterateAutomations(params = {}, options = {}) {
+        return this.paginate('/automations', 'automations', params, options);
+    }
+
+    /**
+     * Get every classic automation as a single array
+     */
+    async getAllAutomations(params = {}, options = {}) {
+        return await this.collect(this.iterateAutomations(params, options));
+    }
+
+    /**
+     * Get a classic automation workflow
+     */
+    async getAutomation(workflowId) {
+        if (!workflowId) {
+            throw new ValidationError('Workflow ID is required', { field: 'workflow_id' });
+        }
+
+        return await this.request('GET', `/automations/${workflowId}`);
+    }
+
+    /**
+     * Get the emails of an automation workflow, in the order they are sent
+     */
+    async getAutomationEmails(workflowId) {
+        if (!workflowId) {
+            throw new ValidationError('Workflow ID is required', { field: 'workflow_id' });
+        }
+
+        const response = await this.request('GET', `/automations/${workflowId}/emails`);
+
+        if (response.success) {
+            response.data.emails = [...(response.data.emails || [])].sort((a, b) => (a.position || 0) - (b.position || 0));
+        }
+
+        return response;
+    }
+
+    /**
+     * Start every email of a workflow, undone by pauseWorkflow()
+     */
+    async startWorkflow(workflowId) {
+        if (!workflowId) {
+            throw new ValidationError('Workflow ID is required', { field: 'workflow_id' });
+        }
+
+        return await this.request('POST', `/automations/${workflowId}/actions/start-all-emails`);
+    }
+
+    /**
+     * Pause every email of a workflow, undone by startWorkflow()
+     *
+     * Subscribers stay in the queues and continue when the workflow starts again.
+     */
+    async pauseWorkflow(workflowId) {
+        if (!workflowId) {
+            throw new ValidationError('Workflow ID is required', { field: 'workflow_id' });
+        }
+
+        return await this.request('POST', `/automations/${workflowId}/actions/pause-all-emails`);
+    }
+
+    /**
+     * Start one email of a workflow, undone by pauseWorkflowEmail()
+     */
+    async startWorkflowEmail(workflowId, emailId) {
+        if (!workflowId || !emailId) {
+            throw new ValidationError('Workflow ID and email ID are required', { field: 'workflow_email_id' });
+        }
+
+        return await this.request('POST', `/automations/${workflowId}/emails/${emailId}/actions/start`);
+    }
+
+    /**
+     * Pause one email of a workflow, undone by startWorkflowEmail()
+     */
+    async pauseWorkflowEmail(workflowId, emailId) {
+        if (!workflowId || !emailId) {
+            throw new ValidationError('Workflow ID and email ID are required', { field: 'workflow_email_id' });
+        }
+
+        return await this.request('POST', `/automations/${workflowId}/emails/${emailId}/actions/pause`);
+    }
+
+    /**
+     * Get the subscribers queued for an email of a workflow
+     */
+    async getAutomationQueue(workflowId, emailId) {
+        if (!workflowId || !emailId) {
+            throw new ValidationError('Workflow ID and email ID are required', { field: 'workflow_email_id' });
+        }
+
+        return await this.request('GET', `/automations/${workflowId}/emails/${emailId}/queue`);
+    }
+
+    /**
+     * Where a subscriber is in a workflow
+     *
+     * Resolves with { success, data: { removed, emails } }: emails has an
+     * entry per workflow email, { id, position, title, status, queued,
+     * nextSend }, and removed tells whether the subscriber was removed from
+     * the workflow for good.
+     */
+    async getAutomationQueueState(workflowId, email) {
+        if (!workflowId || !email) {
+            throw new ValidationError('Workflow ID and email are required', { field: 'email_address' });
+        }
+
+        const subscriberHash = this.subscriberHash(email);
+        const emails = await this.getAutomationEmails(workflowId);
+
+        if (!emails.success) {
+            return emails;
+        }
+
+        const state = { removed: false, emails: [] };
+
+        for (const workflowEmail of emails.data.emails) {
+            const queued = await this.request('GET', `/automations/${workflowId}/emails/${workflowEmail.id}/queue/${subscriberHash}`, {}, {
+                throttle: true,
+                throwOnError: false
+            });
+
+            // Subscribers who are not queued for an email are a 404
+            if (!queued.success && queued.code !== 404) {
+                return this.checkResult(queued);
+            }
+
+            state.emails.push({
+                id: workflowEmail.id,
+                position: workflowEmail.position,
+                title: workflowEmail.settings?.title || workflowEmail.settings?.subject_line || '',
+                status: workflowEmail.status,
+                queued: queued.success,
+                nextSend: queued.success ? queued.data.next_send : null
+            });
+        }
+
+        const removed = await this.request('GET', `/automations/${workflowId}/removed-subscribers/${subscriberHash}`, {}, {
+            throttle: true,
+            throwOnError: false
+        });
+
+        if (!removed.success && removed.code !== 404) {
+            return this.checkResult(removed);
+        }
+
+        state.removed = removed.success;
+
+        return { success: true, data: state, status: 200 };
+    }
+
+    /**
+     * Add a subscriber to the queue of a workflow email
+     *
+     * Without emailId the first email of the workflow is used. The workflow
+     * must be started and the subscriber a member of its list.
+     */
+    async triggerAutomation(workflowId, email, emailId = null) {
+        if (!workflowId || !email) {
+            throw new ValidationError('Workflow ID and email are required');
+        }
+
+        if (!emailId) {
+            const emails = await this.getAutomationEmails(workflowId);
+
+            if (!emails.success) {
+                return emails;
+            }
+
+            if (emails.data.emails.length === 0) {
+                return this.checkResult(new NotFoundError(`Workflow ${workflowId} has no emails`).toResponse());
+            }
+
+            emailId = emails.data.emails[0].id;
+        }
+
+        return await this.request('POST', `/automations/${workflowId}/emails/${emailId}/queue`, {
+            email_address: email
+        });
+    }
+
+    /**
+     * Remove a subscriber from a workflow for good
+     *
+     * This can not be undone: Mailchimp never adds the subscriber to this
+     * workflow again. Mailchimp can not pause a workflow for one subscriber.
+     */
+    async removeFromAutomationPermanently(workflowId, email) {
+        if (!workflowId || !email) {
+            throw new ValidationError('Workflow ID and email are required');
+        }
+
+        return await this.request('POST', `/automations/${workflowId}/removed-subscribers`, {
+            email_address: email
+        });
+    }
+
+    /**
+     * Removed: this never paused anything, it removed the subscriber for good
+     *
+     * Throws without sending a request. Use removeFromAutomationPermanently(),
+     * or pauseWorkflow() and pauseWorkflowEmail() to pause a workflow.
+     */
+    async pauseAutomation() {
+        throw new MailchimpError(
+            'pauseAutomation() permanently removed the subscriber from the workflow and is no longer available. ' +
+            'Use removeFromAutomationPermanently() for that, or pauseWorkflow() and pauseWorkflowEmail() to pause a workflow.'
+        );
+    }
+
+    /**
+     * Trigger a Customer Journey step for a contact
+     *
+     * The step must be an "API trigger" starting point of the journey. Sends
+     * what the journey sends, so it can not be undone.
+     */
+    async triggerJourneyStep(journeyId, stepId, email) {
+        if (!journeyId || !stepId || !email) {
+            throw new ValidationError('Journey ID, step ID and email are required');
+        }
+
+        return await this.request('POST', `/customer-journeys/journeys/${journeyId}/steps/${stepId}/actions/trigger`, {
+            email_address: email
+        });
+    }
+
+    /**
+     * Search members across all lists
+     */
+    async searchMembers(query, options = {}) {
+        if (!query) {
+            throw new ValidationError('Search query is required', { field: 'query' });
+        }
+
+        const params = {
+            query: query,
+            ...options
+        };
+
+        return await this.request('GET', '/search-members', params);
+    }
+
+    /**
+     * Iterate over member search results
+     *
+     * Mailchimp does not page /search-members, so this yields the exact
+     * matches followed by the remaining full search matches of one request.
+     */
+    async *iterateSearchMembers(query, params = {}, options = {}) {
+        if (!query) {
+            throw new ValidationError('Search query is required', { field: 'query' });
+        }
+
+        const signal = options.signal || null;
+        const response = await this.request('GET', '/search-members', { query: query, ...params }, {
+            signal: signal,
+            throttle: true
+        });
+
+        this.throwIfAborted(signal);
+
+        if (!response.success) {
+            throw MailchimpError.fromResponse(response);
+        }
+
+        const seen = new Set();
+        const matches = [
+            ...(response.data.exact_matches?.members || []),
+            ...(response.data.full_search?.members || [])
+        ];
+
+        for (const member of matches) {
+            if (seen.has(member.id)) {
+                continue;
+            }
+
+            seen.add(member.id);
+            yield member;
+        }
+    }
+
+    /**
+     * Get every member search result as a single array
+     */
+    async searchAllMembers(query, params = {}, options = {}) {
+        return await this.collect(this.iterateSearchMembers(query, params, options));
+    }
+
+    /**
+     * Get member activity
+     */
+    async getMemberActivity(email) {
+        if (!email) {
+            throw new ValidationError('Email address is required', { field: 'email_address' });
+        }
+
+        const subscriberHash = this.subscriberHash(email);
+        const endpoint = `/lists/${this.listId}/members/${subscriberHash}/activity`;
+        
+        return await this.request('GET', endpoint);
+    }
+
+    /**
+     * Get member events (more detailed than activity)
+     */
+    async getMemberEvents(email, params = {}) {
+        if (!email) {
+            throw new ValidationError('Email address is required', { field: 'email_address' });
+        }
+
+        const subscriberHash = this.subscriberHash(email);
+        const endpoint = `/lists/${this.listId}/members/${subscriberHash}/events`;
+        
+        return await this.request('GET', endpoint, params);
+    }
+
+    /**
+     * Update member interests/groups
+     */
+    async updateMemberInterests(email, interests) {
+        if (!email) {
+            throw new ValidationError('Email address is required', { field: 'email_address' });
+        }
+
+        const subscriberHash = this.subscriberHash(email);
+        const endpoint = `/lists/${this.listId}/members/${subscriberHash}`;
+        
+        return await this.request('PATCH', endpoint, {
+            interests: interests
+        }, {
+            queue: true
+        });
+    }
+
+    /**
+     * Get interest categories (groups) for the list
+     */
+    async getInterestCategories() {
+        const endpoint = `/lists/${this.listId}/interest-categories`;
+        return await this.request('GET', endpoint);
+    }
+
+    /**
+     * Get the interests (group names) of an interest category
+     */
+    async getInterests(categoryId, params = {}) {
+        if (!categoryId) {
+            throw new ValidationError('Interest category ID is required', { field: 'interest_category_id' });
+        }
+
+        const endpoint = `/lists/${this.listId}/interest-categories/${categoryId}/interests`;
+        return await this.request('GET', endpoint, params);
+    }
+
+    /**
+     * Load every interest category of the list with its interests
+     *
+     * Resolves with [{ id, title, type, interests: [{ id, name }] }] in
+     * display order.
+     */
+    async getInterestGroups(options = {}) {
+        const pageOptions = { pageSize: 1000, signal: options.signal };
+        const byOrder = (a, b) => (a.display_order ?? 0) - (b.display_order ?? 0);
+        const categories = await this.collect(this.paginate(`/lists/${this.listId}/interest-categories`, 'categories', {}, pageOptions));
+        const groups = [];
+
+        for (const category of categories.sort(byOrder)) {
+            const endpoint = `/lists/${this.listId}/interest-categories/${category.id}/interests`;
+            const interests = await this.collect(this.paginate(endpoint, 'interests', {}, pageOptions));
+
+            groups.push({
+                id: category.id,
+                title: category.title,
+                type: category.type,
+                interests: interests.sort(byOrder).map(interest => ({ id: interest.id, name: interest.name }))
+            });
+        }
+
+        return groups;
+    }
+
+    /**
+     * Get the marketing permissions (GDPR fields) of the list
+     *
+     * Mailchimp only reports marketing permissions on members, so they are
+     * read from the first member of the list; a list without members has
+     * none yet. Resolves with [{ id, text, channel }] and keeps the result
+     * for the lifetime of this instance, pass { refresh: true } to reload.
+     */
+    async getMarketingPermissions(options = {}) {
+        if (!options.refresh && this.marketingPermissions.has(this.listId)) {
+            return this.marketingPermissions.get(this.listId);
+        }
+
+        const response = await this.request('GET', `/lists/${this.listId}/members`, {
+            count: 1,
+            fields: 'members.marketing_permissions'
+        }, {
+            signal: options.signal,
+            throwOnError: false
+        });
+
+        if (!response.success) {
+            throw MailchimpError.fromResponse(response);
+        }
+
+        const member = (response.data.members || [])[0];
+        const permissions = (member?.marketing_permissions || []).map(permission => ({
+            id: permission.marketing_permission_id,
+            text: permission.text,
+            channel: MailchimpAPI.getPermissionChannel(permission.text)
+        }));
+
+        this.marketingPermissions.set(this.listId, permissions);
+        return permissions;
+    }
+
+    /**
+     * Get the channel of a marketing permission from its text
+     *
+     * Returns email, direct_mail, customized_ads or null.
+     */
+    static getPermissionChannel(text) {
+        const normalized = String(text || '').toLowerCase();
+
+        if (normalized.includes('direct mail')) {
+            return 'direct_mail';
+        }
+
+        if (normalized.includes('advertis')) {
+            return 'customized_ads';
+        }
+
+        if (normalized.includes('email') || normalized.includes('e-mail')) {
+            return 'email';
+        }
+
+        return null;
+    }
+
+    /**
+     * Check that a key has the form of a marketing permission ID
+     *
+     * Mailchimp's IDs are hexadecimal, unlike channels and permission texts.
+     */
+    static isPermissionId(key) {
+        return /^[0-9a-f]{8,}$/i.test(String(key));
+    }
+
+    /**
+     * Resolve consent to the list's marketing permissions
+     *
+     * Consent is an object of permission => boolean, or an array of granted
+     * permissions, in which case all others are declined. Permissions are
+     * given by ID, channel (email, direct_mail, customized_ads) or text.
+     * Resolves with [{ id, text, channel, enabled }].
+     *
+     * When the list's permissions can not be loaded (no members yet, or
+     * offline), only IDs and keys of the marketingPermissionIds option are
+     * accepted, as channels and texts can not be resolved.
+     */
+    async resolveConsent(consent) {
+        let permissions = [];
+
+        try {
+            permissions = await this.getMarketingPermissions();
+        } catch (error) {
+            // Offline: permission IDs can still be sent as they are
+            this.log('Mailchimp API Marketing permissions unavailable:', error, 'warn');
+        }
+
+        const resolved = new Map();
+        const errors = [];
+        const entries = Array.isArray(consent) ? consent.map(key => [key, true]) : Object.entries(consent);
+
+        if (Array.isArray(consent)) {
+            permissions.forEach(permission => resolved.set(permission.id, { ...permission, enabled: false }));
+        }
+
+        for (const [key, enabled] of entries) {
+            const id = this.marketingPermissionIds[key] || key;
+            const permission = permissions.find(item => item.id === id
+                || item.channel === id
+                || String(item.text).toLowerCase() === String(id).toLowerCase());
+
+            if (!permission && (permissions.length > 0 || !MailchimpAPI.isPermissionId(id))) {
+                errors.push({
+                    field: key,
+                    code: 'unknown_permission',
+                    message: this.t('consent.unknown_permission', { permission: key })
+                });
+                continue;
+            }
+
+            const channel = ['email', 'direct_mail', 'customized_ads'].includes(key) ? key : null;
+            const base = permission || { id: id, text: null, channel: channel };
+            resolved.set(base.id, { ...base, enabled: Boolean(enabled) });
+        }
+
+        if (errors.length > 0) {
+            throw new ValidationError('Unknown marketing permissions', { errors: errors });
+        }
+
+        return Array.from(resolved.values());
+    }
+
+    /**
+     * Build the consent record of a submission for an audit log
+     *
+     * The record has no IP address. The wording shown next to the
+     * checkboxes is stored as a hash, so changes to it can be proven later.
+     */
+    async createConsentRecord(email, permissions, options = {}) {
+        const wording = options.wording ?? permissions.map(permission => permission.text).filter(Boolean).join('\n');
+
+        return {
+            email: String(email).trim(),
+            listId: this.listId,
+            formId: options.formId || null,
+            timestamp: new Date().toISOString(),
+            permissions: permissions.map(({ id, text, channel, enabled }) => ({ id, text, channel, enabled })),
+            wordingHash: await MailchimpAPI.hashText(wording)
+        };
+    }
+
+    /**
+     * Hash a text with SHA-256, or MD5 where SubtleCrypto is unavailable
+     *
+     * The algorithm is part of the result, for example "sha256:9f86...".
+     */
+    static async hashText(text) {
+        const subtle = typeof crypto !== 'undefined' ? crypto.subtle : null;
+
+        if (subtle) {
+            const digest = await subtle.digest('SHA-256', new TextEncoder().encode(text));
+            const hex = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+            return `sha256:${hex}`;
+        }
+
+        return `md5:${MailchimpAPI.md5Hex(text)}`;
+    }
+
+    /**
+     * Report the consent record of a member write
+     */
+    async recordConsent(email, permissions, response, options = {}) {
+        const onConsent = options.onConsent || this.onConsent;
+
+        if (!onConsent) {
+            return null;
+        }
+
+        const record = await this.createConsentRecord(email, permissions, {
+            formId: options.formId,
+            wording: options.consentWording
+        });
+
+        record.success = Boolean(response.success);
+        record.queued = Boolean(response.queued);
+
+        onConsent(record);
+        return record;
+    }
+
+    /**
+     * Get the marketing permissions a member has granted
+     *
+     * Resolves with [{ id, text, channel, enabled }].
+     */
+    async getMemberMarketingPermissions(email) {
+        const response = await this.checkSubscription(email, { throwOnError: false });
+
+        if (!response.success) {
+            throw MailchimpError.fromResponse(response);
+        }
+
+        return (response.data.marketing_permissions || []).map(permission => ({
+            id: permission.marketing_permission_id,
+            text: permission.text,
+            channel: MailchimpAPI.getPermissionChannel(permission.text),
+            enabled: Boolean(permission.enabled)
+        }));
+    }
+
+    /**
+     * Update the marketing permissions of a member
+     *
+     * Options:
+     * - formId: form the consent was given in, for the consent record
+     * - consentWording: consent text shown to the member (default: the permission texts)
+     * - onConsent: consent record hook for this call, replacing the global one
+     */
+    async updateMarketingPermissions(email, consent, options = {}) {
+        if (!email) {
+            throw new ValidationError('Email address is required', { field: 'email_address' });
+        }
+
+        const permissions = await this.resolveConsent(consent);
+        const subscriberHash = this.subscriberHash(email);
+        const endpoint = `/lists/${this.listId}/members/${subscriberHash}`;
+
+        const response = await this.request('PATCH', endpoint, {
+            marketing_permissions: MailchimpAPI.toMarketingPermissions(permissions)
+        }, {
+            queue: true
+        });
+
+        await this.recordConsent(email, permissions, response, options);
+        return response;
+    }
+
+    /**
+     * Convert resolved permissions to the marketing_permissions of the API
+     */
+    static toMarketingPermissions(permissions) {
+        return permissions.map(permission => ({
+            marketing_permission_id: permission.id,
+            enabled: permission.enabled
+        }));
+    }
+
+    /**
+     * Archive a member (different from unsubscribe)
+     */
+    async archiveMember(email) {
+        if (!email) {
+            throw new ValidationError('Email address is required', { field: 'email_address' });
+        }
+
+        const subscriberHash = this.subscriberHash(email);
+        const endpoint = `/lists/${this.listId}/members/${subscriberHash}`;
+        
+        return await this.request('DELETE', endpoint);
+    }
+
+    /**
+     * Permanently delete a member
+     */
+    async permanentlyDeleteMember(email) {
+        if (!email) {
+            throw new ValidationError('Email address is required', { field: 'email_address' });
+        }
+
+        const subscriberHash = this.subscriberHash(email);
+        const endpoint = `/lists/${this.listId}/members/${subscriberHash}/actions/delete-permanent`;
+        
+        return await this.request('POST', endpoint);
+    }
+
+    /**
+     * Page through a list endpoint, yielding its items one by one
+     *
+     * Options:
+     * - pageSize: items per request (max 1000, defaults to params.count or 100)
+     * - concurrency: pages requested in parallel after the first one
+     * - signal: AbortSignal to stop paging early
+     *
+     * Every page waits for a free slot in the proxy rate limit.
+     */
+    async *paginate(endpoint, itemsKey, params = {}, options = {}) {
+        const pageSize = Math.min(options.pageSize || params.count || 100, 1000);
+        const concurrency = Math.max(1, options.concurrency || 1);
+        const signal = options.signal || null;
+        let offset = params.offset || 0;
+
+        const fetchPage = async (pageOffset) => {
+            const response = await this.request('GET', endpoint, {
+                ...params,
+                count: pageSize,
+                offset: pageOffset
+            }, {
+                signal: signal,
+                throttle: true
+            });
+
+            this.throwIfAborted(signal);
+
+            if (!response.success) {
+                throw MailchimpError.fromResponse(response);
+            }
+
+            return response.data;
+        };
+
+        // The first page tells us how many items there are in total
+        const firstPage = await fetchPage(offset);
+        const total = firstPage.total_items || 0;
+        const firstItems = firstPage[itemsKey] || [];
+
+        yield* firstItems;
+        offset += pageSize;
+
+        if (firstItems.length < pageSize) {
+            return;
+        }
+
+        while (offset < total) {
+            const offsets = [];
+
+            while (offsets.length < concurrency && offset < total) {
+                offsets.push(offset);
+                offset += pageSize;
+            }
+
+            const pages = await Promise.all(offsets.map(fetchPage));
+
+            for (const page of pages) {
+                const items = page[itemsKey] || [];
+                yield* items;
+
+                // The list shrank while paging, there is nothing further along
+                if (items.length < pageSize) {
+                    return;
+                }
+            }
+        }
+    }
+
+    /**
+     * Collect the items of an async iterator into an array
+     */
+    async collect(iterator) {
+        const items = [];
+
+        for await (const item of iterator) {
+            items.push(item);
+        }
+
+        return items;
+    }
+
+    /**
+     * Default error handler
+     */
+    defaultErrorHandler(error) {
+        console.error('Mailchimp API Error:', error);
+    }
+
+    /**
+     * Validate email format
+     */
+    isValidEmail(email) {
+        return EmailValidator.isValidSyntax(email);
+    }
+
+    /**
+     * Check if email domain is blocked by the emailValidation domain lists
+     */
+    isDomainBlocked(email) {
+        return this.emailValidator.isBlocked(email);
+    }
+
+    /**
+     * Validate email for subscription
+     *
+     * Runs the built-in rules of the email validator. Returns { valid,
+     * error, code, errors, warnings, suggestion }, where error and code
+     * describe the first error.
+     */
+    validateEmail(email) {
+        return this.emailValidator.validateSync(email);
+    }
+
+    /**
+     * Validate email for subscription, including custom async validators
+     */
+    async validateEmailAsync(email) {
+        return await this.emailValidator.validate(email);
+    }
+
+    /**
+     * Translate a message key for the active locale
+     *
+     * The t option is asked first, with (key, params, locale), and may return
+     * nothing to fall through to the messages option and the bundled
+     * catalogue. Unknown keys resolve to fallback, the key itself by default.
+     */
+    t(key, params = {}, fallback = key) {
+        let message = this.translate ? this.translate(key, params, this.locale) : null;
+
+        if (message === null || message === undefined) {
+            message = this.messages[key] ?? MailchimpAPI.findMessage(this.locale, key) ?? fallback;
+        }
+
+        return message === null || message === undefined ? message : MailchimpAPI.formatMessage(message, params);
+    }
+
+    /**
+     * Fill [data-mailchimp-text] elements with the message they name, and
+     * [data-mailchimp-placeholder] and [data-mailchimp-label] inputs with a
+     * placeholder and an aria-label
+     */
+    localize(root) {
+        root.querySelectorAll('[data-mailchimp-text]').forEach(element => {
+            element.textContent = this.t(element.dataset.mailchimpText);
+        });
+        root.querySelectorAll('[data-mailchimp-placeholder]').forEach(element => {
+            element.placeholder = this.t(element.dataset.mailchimpPlaceholder);
+        });
+        root.querySelectorAll('[data-mailchimp-label]').forEach(element => {
+            element.setAttribute('aria-label', this.t(element.dataset.mailchimpLabel));
+        });
+    }
+
+    /**
+     * Mailchimp language code for the active locale, or null without a locale
+     *
+     * de-AT becomes de, while the regional languages Mailchimp knows keep
+     * their region (es-ES becomes es_ES).
+     */
+    getMemberLanguage() {
+        if (!this.locale) {
+            return null;
+        }
+
+        const [language, region] = String(this.locale).split(/[-_]/);
+        const regional = region ? `${language.toLowerCase()}_${region.toUpperCase()}` : null;
+
+        return MailchimpAPI.MEMBER_LANGUAGES.includes(regional) ? regional : language.toLowerCase();
+    }
+
+    /**
+     * Locale of the page from <html lang>, or null outside a browser
+     */
+    static detectLocale() {
+        if (typeof document === 'undefined' || !document.documentElement) {
+            return null;
+        }
+
+        return document.documentElement.lang || null;
+    }
+
+    /**
+     * Look a message up in the bundled catalogue
+     *
+     * Tries the full locale (de-at), its primary language (de) and English.
+     */
+    static findMessage(locale, key) {
+        const full = String(locale || '').toLowerCase().replace('_', '-');
+        const candidates = [full, full.split('-')[0], 'en'].filter(Boolean);
+
+        for (const candidate of candidates) {
+            const messages = MailchimpAPI.translations[candidate];
+
+            if (messages && messages[key] !== undefined) {
+                return messages[key];
+            }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Messages of one catalogue section without their prefix
+     */
+    static getMessages(locale, section) {
+        const prefix = `${section}.`;
+
+        return Object.fromEntries(Object.entries(MailchimpAPI.translations[locale] || {})
+            .filter(([key]) => key.startsWith(prefix))
+            .map(([key, message]) => [key.slice(prefix.length), message]));
+    }
+
+    /**
+     * Replace {name} placeholders with parameters
+     */
+    static formatMessage(message, params = {}) {
+        return String(message).replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match);
+    }
+
+    /**
+     * Format merge fields for easier use
+     *
+     * Keys listed in mergeFieldMappings are replaced by their merge tag.
+     */
+    formatMergeFields(data) {
+        const formatted = {};
+        
+        for (const [key, value] of Object.entries(data)) {
+            // Convert to uppercase if not already
+            const fieldKey = (this.mergeFieldMappings[key] || key).toUpperCase();
+            formatted[fieldKey] = value;
+        }
+        
+        return formatted;
+    }
+
+    /**
+     * Helper to build query string from params
+     */
+    buildQueryString(params) {
+        const queryParts = [];
+        
+        for (const [key, value] of Object.entries(params)) {
+            if (value !== null && value !== undefined) {
+                queryParts.push(`${encodeURIComponent(key)}=${encodeURIComponent(value)}`);
+            }
+        }
+        
+        return queryParts.length > 0 ? '?' + queryParts.join('&') : '';
+    }
+}
+
+/**
+ * Bundled message catalogue, keyed by locale and then by message key
+ *
+ * Keys are reason codes prefixed with where they come from: email.* for
+ * the email validator, merge_field.* for merge field validation,
+ * consent.* for marketing permissions, error.* for failures shown to
+ * visitors and ui.* for the text of the Twig components. {name}
+ * placeholders are filled in by MailchimpAPI#t(). Missing keys fall back
+ * to the primary language and then to English.
+ */
+MailchimpAPI.translations = {
+    en: {
+        'email.required': 'Email address is required',
+        'email.invalid': 'Please enter a valid email address',
+        'email.invalid_syntax': 'Please enter a valid email address',
+        'email.blocked_domain': 'Sorry, this domain is not part of our target audience.',
+        'email.disposable_domain': 'Please use a permanent email address, not a disposable one.',
+        'email.role_account': 'Please use a personal email address rather than a shared one.',
+        'email.typo': 'Did you mean {suggestion}?',
+        'merge_field.required': '{field} is required',
+        'merge_field.unknown_field': '{field} is not a merge field of this list',
+        'merge_field.too_long': '{field} must be at most {max} characters',
+        'merge_field.invalid_number': '{field} must be a number',
+        'merge_field.invalid_date': '{field} must be a date in the format {format}',
+        'merge_field.invalid_address': '{field} must include a street address, city, state and ZIP code',
+        'merge_field.invalid_choice': '{field} must be one of: {choices}',
+        'merge_field.invalid_zip': '{field} must be a US ZIP code',
+        'merge_field.invalid_phone': '{field} must be a US phone number',
+        'merge_field.invalid_url': '{field} must be a URL starting with http:// or https://',
+        'merge_field.invalid_type': '{field} must be text',
+        'consent.unknown_permission': '{permission} is not a marketing permission of this list',
+        'error.generic': 'Something went wrong. Please try again.',
+        'error.subscribe': 'Unable to subscribe. Please try again.',
+        'error.status_check': 'Unable to check subscription status. Please try again.',
+        'error.status': 'Your subscription status is: {status}. Please contact support for assistance.',
+        'ui.email': 'Email address',
+        'ui.email_placeholder': 'your.email@example.com',
+        'ui.first_name': 'First name',
+        'ui.last_name': 'Last name',
+        'ui.subscribe': 'Subscribe',
+        'ui.checking': 'Checking...',
+        'ui.checking_status': 'Checking subscription status...',
+        'ui.already_subscribed_title': 'Already Subscribed',
+        'ui.already_subscribed': 'This email address is already subscribed.',
+        'ui.unsubscribed_title': 'Previously Unsubscribed',
+        'ui.unsubscribed': 'This email address was previously unsubscribed.',
+        'ui.unsubscribe_reason': 'Reason: {reason}',
+        'ui.resubscribe': 'Resubscribe',
+        'ui.subscribed_title': 'Thank You!',
+        'ui.subscribed': 'You are now subscribed.',
+        'ui.pending_title': 'Almost Done',
+        'ui.pending': 'Please check your email to confirm your subscription.',
+        'ui.confirmed_title': 'Confirmed!',
+        'ui.confirmed': 'Your subscription is confirmed.',
+        'ui.queued_title': 'Almost There',
+        'ui.queued': "You appear to be offline. We'll finish signing you up when you're back online.",
+        'ui.error_title': 'Error',
+        'ui.error': 'An error occurred while checking your subscription status.',
+        'ui.ok': 'OK',
+        'ui.cancel': 'Cancel',
+        'ui.try_again': 'Try Again',
+        'error.load': 'Unable to load your preferences. Please try again.',
+        'error.save': 'Your changes could not be saved. Please try again.',
+        'error.email_exists': 'This email address is already subscribed.',
+        'ui.loading_preferences': 'Loading your preferences...',
+        'ui.not_found': 'We could not find a subscription for this email address.',
+        'ui.email_format': 'Email format',
+        'ui.format_html': 'HTML',
+        'ui.format_text': 'Plain text',
+        'ui.interests': 'Interests',
+        'ui.subscription': 'Subscription',
+        'ui.stay_subscribed': 'Keep sending me emails',
+        'ui.pause': 'Pause emails for now',
+        'ui.unsubscribe': 'Unsubscribe from all emails',
+        'ui.save': 'Save preferences',
+        'ui.saved': 'Your preferences have been saved.',
+        'ui.saved_offline': "You appear to be offline. We'll save your changes when you're back online."
+    },
+    de: {
+        'email.required': 'Bitte geben Sie Ihre E-Mail-Adresse ein',
+        'email.invalid': 'Bitte geben Sie eine gültige E-Mail-Adresse ein',
+        'email.invalid_syntax': 'Bitte geben Sie eine gültige E-Mail-Adresse ein',
+        'email.blocked_domain': 'Diese Domain gehört leider nicht zu unserer Zielgruppe.',
+        'email.disposable_domain': 'Bitte verwenden Sie eine dauerhafte E-Mail-Adresse, keine Wegwerfadresse.',
+        'email.role_account': 'Bitte verwenden Sie eine persönliche statt einer gemeinsam genutzten E-Mail-Adresse.',
+        'email.typo': 'Meinten Sie {suggestion}?',
+        'merge_field.required': '{field} ist ein Pflichtfeld',
+        'merge_field.unknown_field': '{field} ist kein Feld dieser Liste',
+        'merge_field.too_long': '{field} darf höchstens {max} Zeichen lang sein',
+        'merge_field.invalid_number': '{field} muss eine Zahl sein',
+        'merge_field.invalid_date': '{field} muss ein Datum im Format {format} sein',
+        'merge_field.invalid_address': '{field} muss Straße, Ort, Bundesstaat und Postleitzahl enthalten',
+        'merge_field.invalid_choice': '{field} muss einer der folgenden Werte sein: {choices}',
+        'merge_field.invalid_zip': '{field} muss eine US-Postleitzahl sein',
+        'merge_field.invalid_phone': '{field} muss eine US-Telefonnummer sein',
+        'merge_field.invalid_url': '{field} muss eine URL sein, die mit http:// oder https:// beginnt',
+        'merge_field.invalid_type': '{field} muss ein Text sein',
+        'consent.unknown_permission': '{permission} ist keine Einwilligungsoption dieser Liste',
+        'error.generic': 'Etwas ist schiefgelaufen. Bitte versuchen Sie es erneut.',
+        'error.subscribe': 'Die Anmeldung ist fehlgeschlagen. Bitte versuchen Sie es erneut.',
+        'error.status_check': 'Der Anmeldestatus konnte nicht geprüft werden. Bitte versuchen Sie es erneut.',
+        'error.status': 'Ihr Anmeldestatus lautet: {status}. Bitte wenden Sie sich an unseren Support.',
+        'ui.email': 'E-Mail-Adresse',
+        'ui.email_placeholder': 'ihre.email@beispiel.de',
+        'ui.first_name': 'Vorname',
+        'ui.last_name': 'Nachname',
+        'ui.subscribe': 'Anmelden',
+        'ui.checking': 'Wird geprüft...',
+        'ui.checking_status': 'Anmeldestatus wird geprüft...',
+        'ui.already_subscribed_title': 'Bereits angemeldet',
+        'ui.already_subscribed': 'Diese E-Mail-Adresse ist bereits angemeldet.',
+        'ui.unsubscribed_title': 'Früher abgemeldet',
+        'ui.unsubscribed': 'Diese E-Mail-Adresse wurde früher abgemeldet.',
+        'ui.unsubscribe_reason': 'Grund: {reason}',
+        'ui.resubscribe': 'Erneut anmelden',
+        'ui.subscribed_title': 'Vielen Dank!',
+        'ui.subscribed': 'Sie sind jetzt angemeldet.',
+        'ui.pending_title': 'Fast geschafft',
+        'ui.pending': 'Bitte bestätigen Sie Ihre Anmeldung über den Link in der E-Mail, die wir Ihnen gesendet haben.',
+        'ui.confirmed_title': 'Bestätigt!',
+        'ui.confirmed': 'Ihre Anmeldung ist bestätigt.',
+        'ui.queued_title': 'Gleich geschafft',
+        'ui.queued': 'Sie scheinen offline zu sein. Wir schließen Ihre Anmeldung ab, sobald Sie wieder online sind.',
+        'ui.error_title': 'Fehler',
+        'ui.error': 'Beim Prüfen Ihres Anmeldestatus ist ein Fehler aufgetreten.',
+        'ui.ok': 'OK',
+        'ui.cancel': 'Abbrechen',
+        'ui.try_again': 'Erneut versuchen',
+        'error.load': 'Ihre Einstellungen konnten nicht geladen werden. Bitte versuchen Sie es erneut.',
+        'error.save': 'Ihre Änderungen konnten nicht gespeichert werden. Bitte versuchen Sie es erneut.',
+        'error.email_exists': 'Diese E-Mail-Adresse ist bereits angemeldet.',
+        'ui.loading_preferences': 'Ihre Einstellungen werden geladen...',
+        'ui.not_found': 'Für diese E-Mail-Adresse wurde kein Abonnement gefunden.',
+        'ui.email_format': 'E-Mail-Format',
+        'ui.format_html': 'HTML',
+        'ui.format_text': 'Nur Text',
+        'ui.interests': 'Interessen',
+        'ui.subscription': 'Abonnement',
+        'ui.stay_subscribed': 'Weiterhin E-Mails erhalten',
+        'ui.pause': 'E-Mails vorübergehend pausieren',
+        'ui.unsubscribe': 'Von allen E-Mails abmelden',
+        'ui.save': 'Einstellungen speichern',
+        'ui.saved': 'Ihre Einstellungen wurden gespeichert.',
+        'ui.saved_offline': 'Sie scheinen offline zu sein. Wir speichern Ihre Änderungen, sobald Sie wieder online sind.'
+    },
+    fr: {
+        'email.required': "L'adresse e-mail est obligatoire",
+        'email.invalid': 'Veuillez saisir une adresse e-mail valide',
+        'email.invalid_syntax': 'Veuillez saisir une adresse e-mail valide',
+        'email.blocked_domain': 'Désolé, ce domaine ne fait pas partie de notre public cible.',
+        'email.disposable_domain': 'Veuillez utiliser une adresse e-mail permanente, et non une adresse jetable.',
+        'email.role_account': "Veuillez utiliser une adresse e-mail personnelle plutôt qu'une adresse partagée.",
+        'email.typo': 'Vouliez-vous dire {suggestion} ?',
+        'merge_field.required': '{field} est obligatoire',
+        'merge_field.unknown_field': "{field} n'est pas un champ de cette liste",
+        'merge_field.too_long': '{field} ne doit pas dépasser {max} caractères',
+        'merge_field.invalid_number': '{field} doit être un nombre',
+        'merge_field.invalid_date': '{field} doit être une date au format {format}',
+        'merge_field.invalid_address': '{field} doit comporter une adresse, une ville, un État et un code postal',
+        'merge_field.invalid_choice': "{field} doit être l'une des valeurs suivantes : {choices}",
+        'merge_field.invalid_zip': '{field} doit être un code postal américain',
+        'merge_field.invalid_phone': '{field} doit être un numéro de téléphone américain',
+        'merge_field.invalid_url': '{field} doit être une URL commençant par http:// ou https://',
+        'merge_field.invalid_type': '{field} doit être du texte',
+        'consent.unknown_permission': "{permission} n'est pas une autorisation marketing de cette liste",
+        'error.generic': "Une erreur s'est produite. Veuillez réessayer.",
+        'error.subscribe': "L'inscription a échoué. Veuillez réessayer.",
+        'error.status_check': "Impossible de vérifier le statut de l'inscription. Veuillez réessayer.",
+        'error.status': 'Le statut de votre inscription est : {status}. Veuillez contacter le support.',
+        'ui.email': 'Adresse e-mail',
+        'ui.email_placeholder': 'votre.email@exemple.fr',
+        'ui.first_name': 'Prénom',
+        'ui.last_name': 'Nom',
+        'ui.subscribe': "S'inscrire",
+        'ui.checking': 'Vérification...',
+        'ui.checking_status': "Vérification du statut de l'inscription...",
+        'ui.already_subscribed_title': 'Déjà inscrit',
+        'ui.already_subscribed': 'Cette adresse e-mail est déjà inscrite.',
+        'ui.unsubscribed_title': 'Désinscription antérieure',
+        'ui.unsubscribed': 'Cette adresse e-mail a été désinscrite.',
+        'ui.unsubscribe_reason': 'Motif : {reason}',
+        'ui.resubscribe': 'Se réinscrire',
+        'ui.subscribed_title': 'Merci !',
+        'ui.subscribed': 'Vous êtes maintenant inscrit.',
+        'ui.pending_title': 'Presque terminé',
+        'ui.pending': 'Veuillez consulter vos e-mails pour confirmer votre inscription.',
+        'ui.confirmed_title': 'Confirmé !',
+        'ui.confirmed': 'Votre inscription est confirmée.',
+        'ui.queued_title': 'Presque fini',
+        'ui.queued': 'Vous semblez être hors ligne. Nous finaliserons votre inscription dès votre retour en ligne.',
+        'ui.error_title': 'Erreur',
+        'ui.error': "Une erreur s'est produite lors de la vérification de votre inscription.",
+        'ui.ok': 'OK',
+        'ui.cancel': 'Annuler',
+        'ui.try_again': 'Réessayer',
+        'error.load': 'Impossible de charger vos préférences. Veuillez réessayer.',
+        'error.save': "Vos modifications n'ont pas pu être enregistrées. Veuillez réessayer.",
+        'error.email_exists': 'Cette adresse e-mail est déjà inscrite.',
+        'ui.loading_preferences': 'Chargement de vos préférences...',
+        'ui.not_found': "Aucun abonnement n'a été trouvé pour cette adresse e-mail.",
+        'ui.email_format': 'Format des e-mails',
+        'ui.format_html': 'HTML',
+        'ui.format_text': 'Texte brut',
+        'ui.interests': "Centres d'intérêt",
+        'ui.subscription': 'Abonnement',
+        'ui.stay_subscribed': 'Continuer à recevoir les e-mails',
+        'ui.pause': 'Suspendre les e-mails pour le moment',
+        'ui.unsubscribe': 'Me désinscrire de tous les e-mails',
+        'ui.save': 'Enregistrer les préférences',
+        'ui.saved': 'Vos préférences ont été enregistrées.',
+        'ui.saved_offline': 'Vous semblez être hors ligne. Nous enregistrerons vos modifications dès votre retour en ligne.'
+    },
+    es: {
+        'email.required': 'La dirección de correo electrónico es obligatoria',
+        'email.invalid': 'Introduce una dirección de correo electrónico válida',
+        'email.invalid_syntax': 'Introduce una dirección de correo electrónico válida',
+        'email.blocked_domain': 'Lo sentimos, este dominio no forma parte de nuestro público objetivo.',
+        'email.disposable_domain': 'Usa una dirección de correo permanente, no una desechable.',
+        'email.role_account': 'Usa una dirección de correo personal en lugar de una compartida.',
+        'email.typo': '¿Quisiste decir {suggestion}?',
+        'merge_field.required': '{field} es obligatorio',
+        'merge_field.unknown_field': '{field} no es un campo de esta lista',
+        'merge_field.too_long': '{field} debe tener como máximo {max} caracteres',
+        'merge_field.invalid_number': '{field} debe ser un número',
+        'merge_field.invalid_date': '{field} debe ser una fecha con el formato {format}',
+        'merge_field.invalid_address': '{field} debe incluir dirección, ciudad, estado y código postal',
+        'merge_field.invalid_choice': '{field} debe ser uno de los siguientes valores: {choices}',
+        'merge_field.invalid_zip': '{field} debe ser un código postal de EE. UU.',
+        'merge_field.invalid_phone': '{field} debe ser un número de teléfono de EE. UU.',
+        'merge_field.invalid_url': '{field} debe ser una URL que empiece por http:// o https://',
+        'merge_field.invalid_type': '{field} debe ser texto',
+        'consent.unknown_permission': '{permission} no es un permiso de marketing de esta lista',
+        'error.generic': 'Algo salió mal. Inténtalo de nuevo.',
+        'error.subscribe': 'No se pudo completar la suscripción. Inténtalo de nuevo.',
+        'error.status_check': 'No se pudo comprobar el estado de la suscripción. Inténtalo de nuevo.',
+        'error.status': 'El estado de tu suscripción es: {status}. Ponte en contacto con el servicio de atención al cliente.',
+        'ui.email': 'Correo electrónico',
+        'ui.email_placeholder': 'tu.correo@ejemplo.com',
+        'ui.first_name': 'Nombre',
+        'ui.last_name': 'Apellidos',
+        'ui.subscribe': 'Suscribirse',
+        'ui.checking': 'Comprobando...',
+        'ui.checking_status': 'Comprobando el estado de la suscripción...',
+        'ui.already_subscribed_title': 'Ya estás suscrito',
+        'ui.already_subscribed': 'Esta dirección de correo ya está suscrita.',
+        'ui.unsubscribed_title': 'Baja anterior',
+        'ui.unsubscribed': 'Esta dirección de correo se dio de baja anteriormente.',
+        'ui.unsubscribe_reason': 'Motivo: {reason}',
+        'ui.resubscribe': 'Volver a suscribirse',
+        'ui.subscribed_title': '¡Gracias!',
+        'ui.subscribed': 'Ya estás suscrito.',
+        'ui.pending_title': 'Casi listo',
+        'ui.pending': 'Revisa tu correo para confirmar la suscripción.',
+        'ui.confirmed_title': '¡Confirmado!',
+        'ui.confirmed': 'Tu suscripción está confirmada.',
+        'ui.queued_title': 'Ya casi está',
+        'ui.queued': 'Parece que no tienes conexión. Completaremos tu suscripción cuando vuelvas a estar en línea.',
+        'ui.error_title': 'Error',
+        'ui.error': 'Se produjo un error al comprobar el estado de tu suscripción.',
+        'ui.ok': 'Aceptar',
+        'ui.cancel': 'Cancelar',
+        'ui.try_again': 'Reintentar',
+        'error.load': 'No se pudieron cargar tus preferencias. Inténtalo de nuevo.',
+        'error.save': 'No se pudieron guardar los cambios. Inténtalo de nuevo.',
+        'error.email_exists': 'Esta dirección de correo electrónico ya está suscrita.',
+        'ui.loading_preferences': 'Cargando tus preferencias...',
+        'ui.not_found': 'No encontramos ninguna suscripción para esta dirección de correo.',
+        'ui.email_format': 'Formato de los correos',
+        'ui.format_html': 'HTML',
+        'ui.format_text': 'Texto sin formato',
+        'ui.interests': 'Intereses',
+        'ui.subscription': 'Suscripción',
+        'ui.stay_subscribed': 'Seguir recibiendo correos',
+        'ui.pause': 'Pausar los correos por ahora',
+        'ui.unsubscribe': 'Darme de baja de todos los correos',
+        'ui.save': 'Guardar preferencias',
+        'ui.saved': 'Tus preferencias se han guardado.',
+        'ui.saved_offline': 'Parece que no tienes conexión. Guardaremos tus cambios cuando vuelvas a estar en línea.'
+    },
+    nl: {
+        'email.required': 'E-mailadres is verplicht',
+        'email.invalid': 'Vul een geldig e-mailadres in',
+        'email.invalid_syntax': 'Vul een geldig e-mailadres in',
+        'email.blocked_domain': 'Dit domein valt helaas niet binnen onze doelgroep.',
+        'email.disposable_domain': 'Gebruik een vast e-mailadres, geen wegwerpadres.',
+        'email.role_account': 'Gebruik een persoonlijk e-mailadres in plaats van een gedeeld adres.',
+        'email.typo': 'Bedoelde je {suggestion}?',
+        'merge_field.required': '{field} is verplicht',
+        'merge_field.unknown_field': '{field} is geen veld van deze lijst',
+        'merge_field.too_long': '{field} mag maximaal {max} tekens bevatten',
+        'merge_field.invalid_number': '{field} moet een getal zijn',
+        'merge_field.invalid_date': '{field} moet een datum zijn in het formaat {format}',
+        'merge_field.invalid_address': '{field} moet een straat, plaats, staat en postcode bevatten',
+        'merge_field.invalid_choice': '{field} moet een van de volgende waarden zijn: {choices}',
+        'merge_field.invalid_zip': '{field} moet een Amerikaanse postcode zijn',
+        'merge_field.invalid_phone': '{field} moet een Amerikaans telefoonnummer zijn',
+        'merge_field.invalid_url': '{field} moet een URL zijn die begint met http:// of https://',
+        'merge_field.invalid_type': '{field} moet tekst zijn',
+        'consent.unknown_permission': '{permission} is geen marketingtoestemming van deze lijst',
+        'error.generic': 'Er ging iets mis. Probeer het opnieuw.',
+        'error.subscribe': 'Aanmelden is mislukt. Probeer het opnieuw.',
+        'error.status_check': 'De inschrijvingsstatus kon niet worden gecontroleerd. Probeer het opnieuw.',
+        'error.status': 'Je inschrijvingsstatus is: {status}. Neem contact op met onze klantenservice.',
+        'ui.email': 'E-mailadres',
+        'ui.email_placeholder': 'jouw.email@voorbeeld.nl',
+        'ui.first_name': 'Voornaam',
+        'ui.last_name': 'Achternaam',
+        'ui.subscribe': 'Aanmelden',
+        'ui.checking': 'Bezig met controleren...',
+        'ui.checking_status': 'Inschrijvingsstatus wordt gecontroleerd...',
+        'ui.already_subscribed_title': 'Al aangemeld',
+        'ui.already_subscribed': 'Dit e-mailadres is al aangemeld.',
+        'ui.unsubscribed_title': 'Eerder afgemeld',
+        'ui.unsubscribed': 'Dit e-mailadres is eerder afgemeld.',
+        'ui.unsubscribe_reason': 'Reden: {reason}',
+        'ui.resubscribe': 'Opnieuw aanmelden',
+        'ui.subscribed_title': 'Bedankt!',
+        'ui.subscribed': 'Je bent nu aangemeld.',
+        'ui.pending_title': 'Bijna klaar',
+        'ui.pending': 'Controleer je e-mail om je inschrijving te bevestigen.',
+        'ui.confirmed_title': 'Bevestigd!',
+        'ui.confirmed': 'Je inschrijving is bevestigd.',
+        'ui.queued_title': 'Bijna klaar',
+        'ui.queued': 'Je lijkt offline te zijn. We ronden je aanmelding af zodra je weer online bent.',
+        'ui.error_title': 'Fout',
+        'ui.error': 'Er is een fout opgetreden bij het controleren van je inschrijvingsstatus.',
+        'ui.ok': 'OK',
+        'ui.cancel': 'Annuleren',
+        'ui.try_again': 'Opnieuw proberen',
+        'error.load': 'Je voorkeuren konden niet worden geladen. Probeer het opnieuw.',
+        'error.save': 'Je wijzigingen konden niet worden opgeslagen. Probeer het opnieuw.',
+        'error.email_exists': 'Dit e-mailadres is al aangemeld.',
+        'ui.loading_preferences': 'Je voorkeuren worden geladen...',
+        'ui.not_found': 'We hebben geen inschrijving gevonden voor dit e-mailadres.',
+        'ui.email_format': 'E-mailformaat',
+        'ui.format_html': 'HTML',
+        'ui.format_text': 'Platte tekst',
+        'ui.interests': 'Interesses',
+        'ui.subscription': 'Inschrijving',
+        'ui.stay_subscribed': 'E-mails blijven ontvangen',
+        'ui.pause': 'E-mails voorlopig pauzeren',
+        'ui.unsubscribe': 'Afmelden voor alle e-mails',
+        'ui.save': 'Voorkeuren opslaan',
+        'ui.saved': 'Je voorkeuren zijn opgeslagen.',
+        'ui.saved_offline': 'Je lijkt offline te zijn. We slaan je wijzigingen op zodra je weer online bent.'
+    }
+};
+
+// Regional member languages Mailchimp supports, others use the primary language
+MailchimpAPI.MEMBER_LANGUAGES = ['es_ES', 'fr_CA', 'pt_PT'];
+
+// Window of the proxy rate limit in milliseconds
+MailchimpAPI.RATE_LIMIT_WINDOW = 60000;
+
+// Report counts that add up across campaigns, see compareCampaigns()
+MailchimpAPI.REPORT_COUNTS = ['sent', 'delivered', 'opens', 'uniqueOpens', 'clicks', 'uniqueClicks', 'hardBounces', 'softBounces', 'bounces', 'unsubscribes', 'abuseReports'];
+
+/**
+ * Base class for errors raised by MailchimpAPI
+ *
+ * Mirrors Mailchimp's problem-detail document: status, type, title, detail,
+ * instance and the per-field errors[] list.
+ */
+class MailchimpError extends Error {
+    constructor(message, details = {}) {
+        super(message || details.detail || details.title || 'Unknown error');
+        this.name = 'MailchimpError';
+        this.status = details.status ?? null;
+        this.type = details.type || null;
+        this.title = details.title || null;
+        this.detail = details.detail || message || null;
+        this.instance = details.instance || null;
+        this.errors = details.errors || [];
+        this.response = details.response || null;
+    }
+
+    /**
+     * Create the matching error subclass for an unsuccessful response envelope
+     */
+    static fromResponse(response) {
+        const problem = response.error && typeof response.error === 'object' ? response.error : {};
+        const details = {
+            status: problem.status ?? response.code ?? null,
+            type: problem.type,
+            title: problem.title,
+            detail: typeof response.error === 'string' ? response.error : problem.detail,
+            instance: problem.instance,
+            errors: problem.errors,
+            response: response
+        };
+
+        // Missing fields must not override the defaults of the subclasses
+        for (const key of Object.keys(details)) {
+            if (details[key] === undefined || details[key] === null) {
+                delete details[key];
+            }
+        }
+
+        if (response.reason === 'timeout') {
+            return new TimeoutError(details.detail, details);
+        }
+
+        if (response.reason === 'network') {
+            return new NetworkError(details.detail, details);
+        }
+
+        if (details.status === 429) {
+            return new RateLimitError(details.detail, { ...details, retryAfter: response.retryAfter });
+        }
+
+        if (details.status === 404) {
+            return new NotFoundError(details.detail, details);
+        }
+
+        if (details.title === 'Member Exists') {
+            return new MemberExistsError(details.detail, details);
+        }
+
+        if (details.status === 400) {
+            return new ValidationError(details.detail, details);
+        }
+
+        return new MailchimpError(details.detail, details);
+    }
+
+    /**
+     * The error as a response envelope, for code that expects the old format
+     */
+    toResponse() {
+        if (this.response) {
+            return this.response;
+        }
+
+        return {
+            success: false,
+            error: {
+                type: this.type,
+                title: this.title,
+                status: this.status,
+                detail: this.detail,
+                instance: this.instance,
+                errors: this.errors
+            },
+            code: this.status
+        };
+    }
+}
+
+/**
+ * Invalid input, rejected either locally before sending or by Mailchimp (400)
+ *
+ * Local validation errors have no status and name the offending field in errors[].
+ */
+class ValidationError extends MailchimpError {
+    constructor(message, details = {}) {
+        const errors = details.errors || (details.field ? [{ field: details.field, message: message }] : []);
+        super(message, { title: 'Invalid Resource', ...details, errors: errors });
+        this.name = 'ValidationError';
+    }
+}
+
+/**
+ * The requested resource does not exist (404)
+ */
+class NotFoundError extends MailchimpError {
+    constructor(message, details = {}) {
+        super(message, { title: 'Resource Not Found', status: 404, ...details });
+        this.name = 'NotFoundError';
+    }
+}
+
+/**
+ * Too many requests, either to the proxy or to Mailchimp (429)
+ */
+class RateLimitError extends MailchimpError {
+    constructor(message, details = {}) {
+        super(message, { title: 'Too Many Requests', status: 429, ...details });
+        this.name = 'RateLimitError';
+        this.retryAfter = details.retryAfter ?? null;
+    }
+}
+
+/**
+ * The request did not complete within requestTimeout
+ */
+class TimeoutError extends MailchimpError {
+    constructor(message, details = {}) {
+        super(message, { title: 'Request Timeout', ...details });
+        this.name = 'TimeoutError';
+    }
+}
+
+/**
+ * The proxy could not be reached
+ */
+class NetworkError extends MailchimpError {
+    constructor(message, details = {}) {
+        super(message, { title: 'Network Error', ...details });
+        this.name = 'NetworkError';
+    }
+}
+
+/**
+ * The email address is already a member of the list
+ */
+class MemberExistsError extends ValidationError {
+    constructor(message, details = {}) {
+        super(message, { title: 'Member Exists', status: 400, ...details });
+        this.name = 'MemberExistsError';
+    }
+}
+
+/**
+ * Tracks one or more Mailchimp batch operations until they finish
+ *
+ * Returned by batchSubscribe() and batchUnsubscribe(). For backwards
+ * compatibility it also exposes the success, data, error and code fields of
+ * the response to the first submitted batch.
+ *
+ * Events: pending, started, finished, progress and error.
+ */
+class BatchJob {
+    constructor(api) {
+        this.api = api;
+        this.batches = [];
+        this.status = 'pending';
+        this.totalOperations = 0;
+        this.finishedOperations = 0;
+        this.erroredOperations = 0;
+        this.results = null;
+        this.listeners = {};
+
+        this.success = true;
+        this.data = null;
+        this.error = null;
+        this.code = null;
+    }
+
+    /**
+     * Record the response to a submitted batch
+     */
+    addBatch(response, operations) {
+        if (this.data === null && response.success) {
+            this.data = response.data;
+            this.code = response.status;
+        }
+
+        if (!response.success) {
+            this.success = false;
+            this.error = response.error;
+            this.code = response.code;
+            this.failedResponse = response;
+            return;
+        }
+
+        this.batches.push({
+            id: response.data.id,
+            status: response.data.status || 'pending',
+            operations: operations,
+            data: response.data
+        });
+
+        this.totalOperations += operations.length;
+    }
+
+    /**
+     * ID of the first batch
+     */
+    get id() {
+        return this.batches[0]?.id || null;
+    }
+
+    /**
+     * IDs of every batch in the job
+     */
+    get ids() {
+        return this.batches.map(batch => batch.id);
+    }
+
+    /**
+     * Register an event handler
+     */
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+        return this;
+    }
+
+    /**
+     * Remove an event handler
+     */
+    off(event, handler) {
+        this.listeners[event] = (this.listeners[event] || []).filter(listener => listener !== handler);
+        return this;
+    }
+
+    /**
+     * Call the handlers of an event
+     */
+    emit(event, payload) {
+        for (const handler of this.listeners[event] || []) {
+            handler(payload);
+        }
+    }
+
+    /**
+     * Current progress of the job
+     */
+    getProgress() {
+        return {
+            ids: this.ids,
+            status: this.status,
+            total_operations: this.totalOperations,
+            finished_operations: this.finishedOperations,
+            errored_operations: this.erroredOperations
+        };
+    }
+
+    /**
+     * Fetch the status of every unfinished batch and update the progress
+     */
+    async refresh(options = {}) {
+        for (const batch of this.batches) {
+            if (batch.status === 'finished') {
+                continue;
+            }
+
+            const response = await this.api.request('GET', `/batches/${batch.id}`, {}, {
+                signal: options.signal,
+                throttle: true,
+                throwOnError: false,
+                cache: false
+            });
+
+            this.api.throwIfAborted(options.signal);
+
+            if (!response.success) {
+                throw MailchimpError.fromResponse(response);
+            }
+
+            batch.status = response.data.status;
+            batch.data = response.data;
+        }
+
+        const previousStatus = this.status;
+
+        this.finishedOperations = this.sum('finished_operations');
+        this.erroredOperations = this.sum('errored_operations');
+
+        if (this.batches.every(batch => batch.status === 'finished')) {
+            this.status = 'finished';
+        } else if (this.batches.every(batch => batch.status === 'pending')) {
+            this.status = 'pending';
+        } else {
+            this.status = 'started';
+        }
+
+        const progress = this.getProgress();
+
+        if (this.status !== previousStatus) {
+            this.emit(this.status, progress);
+        }
+
+        this.emit('progress', progress);
+
+        return progress;
+    }
+
+    /**
+     * Sum a counter over every batch
+     */
+    sum(field) {
+        return this.batches.reduce((total, batch) => total + (batch.data?.[field] || 0), 0);
+    }
+
+    /**
+     * Poll until every batch has finished, then resolve with the per-email results
+     *
+     * Options:
+     * - interval: delay between polls in ms (default 5000)
+     * - signal: AbortSignal to stop waiting
+     * - results: set to false to skip downloading the results archives
+     */
+    async wait(options = {}) {
+        const interval = options.interval || 5000;
+
+        try {
+            if (!this.success) {
+                throw MailchimpError.fromResponse(this.toResponse());
+            }
+
+            this.emit('pending', this.getProgress());
+
+            while ((await this.refresh(options)).status !== 'finished') {
+                await this.api.wait(interval, options.signal);
+            }
+
+            if (options.results !== false) {
+                await this.getResults(options);
+            }
+
+            return {
+                ...this.getProgress(),
+                results: this.results
+            };
+
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                this.emit('error', error);
+            }
+
+            throw error;
+        }
+    }
+
+    /**
+     * Download and parse the results of every finished batch
+     *
+     * Resolves with an object keyed by email address.
+     */
+    async getResults(options = {}) {
+        const results = {};
+
+        for (const batch of this.batches) {
+            if (batch.status !== 'finished') {
+                throw new MailchimpError(`Batch ${batch.id} has not finished yet`);
+            }
+
+            if (!batch.data?.response_body_url) {
+                continue;
+            }
+
+            const archive = await this.api.getBatchArchive(batch.id, options);
+
+            for (const entry of await BatchJob.parseArchive(archive)) {
+                let body = entry.response;
+
+                try {
+                    body = typeof body === 'string' ? JSON.parse(body) : body;
+                } catch (error) {
+                    // Keep the raw response body
+                }
+
+                const success = entry.status_code >= 200 && entry.status_code < 300;
+
+                results[entry.operation_id] = {
+                    email: entry.operation_id,
+                    status_code: entry.status_code,
+                    success: success,
+                    data: success ? body : null,
+                    error: success ? null : MailchimpError.fromResponse({
+                        success: false,
+                        error: body,
+                        code: entry.status_code
+                    })
+                };
+            }
+        }
+
+        this.results = results;
+
+        return results;
+    }
+
+    /**
+     * Stop every unfinished batch
+     */
+    async cancel() {
+        for (const batch of this.batches) {
+            if (batch.status !== 'finished') {
+                await this.api.request('DELETE', `/batches/${batch.id}`);
+            }
+        }
+    }
+
+    /**
+     * The submission as a response envelope
+     */
+    toResponse() {
+        if (this.failedResponse) {
+            return this.failedResponse;
+        }
+
+        return {
+            success: true,
+            data: this.data,
+            status: this.code
+        };
+    }
+
+    /**
+     * Extract the operation results from a gzipped tar batch archive
+     *
+     * The archive holds JSON files, each with an array of
+     * { status_code, operation_id, response } entries.
+     */
+    static async parseArchive(archive) {
+        const entries = [];
+        const decoder = new TextDecoder();
+
+        for (const file of BatchJob.untar(await BatchJob.gunzip(archive))) {
+            if (!file.name.endsWith('.json')) {
+                continue;
+            }
+
+            const content = JSON.parse(decoder.decode(file.content));
+            entries.push(...(Array.isArray(content) ? content : [content]));
+        }
+
+        return entries;
+    }
+
+    /**
+     * Decompress gzip data with the built-in DecompressionStream
+     */
+    static async gunzip(buffer) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new MailchimpError('Batch results require DecompressionStream support');
+        }
+
+        const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Split a tar archive into its regular files
+     */
+    static untar(bytes) {
+        const files = [];
+        const decoder = new TextDecoder();
+        let offset = 0;
+
+        while (offset + 512 <= bytes.length) {
+            const header = bytes.subarray(offset, offset + 512);
+
+            // The archive ends with empty blocks
+            if (header.every(byte => byte === 0)) {
+                break;
+            }
+
+            const field = (start, length) => decoder.decode(header.subarray(start, start + length)).replace(/\0.*$/s, '');
+            const size = parseInt(field(124, 12).trim(), 8) || 0;
+            const type = field(156, 1);
+            const prefix = field(345, 155);
+            const name = field(0, 100);
+
+            offset += 512;
+
+            // Regular files only, skipping directories and extended headers
+            if (type === '0' || type === '') {
+                files.push({
+                    name: prefix ? `${prefix}/${name}` : name,
+                    content: bytes.subarray(offset, offset + size)
+                });
+            }
+
+            offset += Math.ceil(size / 512) * 512;
+        }
+
+        return files;
+    }
+}
+
+/**
+ * Response cache for GET requests made through MailchimpAPI
+ *
+ * Entries are stored as JSON in a Storage-like backend (getItem, setItem,
+ * removeItem, key, length): an in-memory store by default, sessionStorage
+ * when requested. With debug on, hits and invalidations are written to the
+ * log option, which MailchimpAPI points at its own debug log.
+ */
+class ResponseCache {
+    constructor(options = {}) {
+        this.ttl = options.ttl ?? 60000; // 1 minute
+        this.ttls = options.ttls || {};
+        this.prefix = options.prefix || 'mailchimp:';
+        this.debug = options.debug || false;
+        this.log = options.log || (() => {});
+        this.storage = ResponseCache.createStorage(options.storage);
+    }
+
+    /**
+     * Resolve the storage option to a Storage-like object
+     */
+    static createStorage(storage = 'memory') {
+        if (storage === 'session') {
+            try {
+                if (typeof sessionStorage !== 'undefined') {
+                    return sessionStorage;
+                }
+            } catch (error) {
+                // sessionStorage is blocked, fall back to memory
+            }
+
+            storage = 'memory';
+        }
+
+        if (storage === 'memory') {
+            const items = new Map();
+
+            return {
+                getItem: key => (items.has(key) ? items.get(key) : null),
+                setItem: (key, value) => items.set(key, String(value)),
+                removeItem: key => items.delete(key),
+                key: index => Array.from(items.keys())[index] ?? null,
+                get length() {
+                    return items.size;
+                }
+            };
+        }
+
+        return storage;
+    }
+
+    /**
+     * Check whether an endpoint matches a pattern
+     *
+     * String patterns match the endpoint and everything below it, with *
+     * standing for one path segment. Regular expressions are tested as-is.
+     */
+    static matches(endpoint, pattern) {
+        if (pattern instanceof RegExp) {
+            return pattern.test(endpoint);
+        }
+
+        const source = String(pattern)
+            .replace(/\/+$/, '')
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('[^/]+');
+
+        return new RegExp(`^${source}(/.*)?$`).test(endpoint);
+    }
+
+    /**
+     * Cache key for an endpoint and its query parameters
+     */
+    getKey(endpoint, params = {}) {
+        const query = Object.keys(params).sort().map(key => [key, params[key]]);
+        return `${this.prefix}${endpoint}?${JSON.stringify(query)}`;
+    }
+
+    /**
+     * Time to live for an endpoint, the first matching ttls pattern wins
+     */
+    getTtl(endpoint) {
+        for (const [pattern, ttl] of Object.entries(this.ttls)) {
+            if (ResponseCache.matches(endpoint, pattern)) {
+                return ttl;
+            }
+        }
+
+        return this.ttl;
+    }
+
+    /**
+     * Get a cached response, or null when missing or expired
+     */
+    get(endpoint, params = {}) {
+        const key = this.getKey(endpoint, params);
+        const raw = this.storage.getItem(key);
+
+        if (!raw) {
+            return null;
+        }
+
+        try {
+            const entry = JSON.parse(raw);
+
+            if (entry.expires > Date.now()) {
+                if (this.debug) {
+                    this.log('Mailchimp API Cache hit:', { endpoint: endpoint, params: params });
+                }
+
+                return entry.result;
+            }
+        } catch (error) {
+            // Unreadable entries are dropped below
+        }
+
+        this.storage.removeItem(key);
+        return null;
+    }
+
+    /**
+     * Store a response for the TTL of its endpoint
+     */
+    set(endpoint, params, result) {
+        const ttl = this.getTtl(endpoint);
+
+        if (ttl <= 0) {
+            return;
+        }
+
+        try {
+            this.storage.setItem(this.getKey(endpoint, params), JSON.stringify({
+                endpoint: endpoint,
+                expires: Date.now() + ttl,
+                result: result
+            }));
+        } catch (error) {
+            // Storage is full, the response is simply not cached
+        }
+    }
+
+    /**
+     * Remove the entries whose endpoint matches
+     */
+    remove(test) {
+        const keys = [];
+
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key && key.startsWith(this.prefix)) {
+                keys.push(key);
+            }
+        }
+
+        for (const key of keys) {
+            const endpoint = key.slice(this.prefix.length, key.lastIndexOf('?'));
+
+            if (test(endpoint)) {
+                this.storage.removeItem(key);
+
+                if (this.debug) {
+                    this.log('Mailchimp API Cache invalidated:', endpoint);
+                }
+            }
+        }
+    }
+
+    /**
+     * Remove the entries matching a pattern
+     */
+    invalidate(pattern) {
+        this.remove(endpoint => ResponseCache.matches(endpoint, pattern));
+    }
+
+    /**
+     * Remove the entries made stale by a write to an endpoint
+     *
+     * Clears the written resource and everything below it, the collections
+     * above it (list stats and member listings change too) and, for member
+     * writes, the whole member including its tags, and search results.
+     */
+    invalidateFor(endpoint) {
+        const path = endpoint.split('?')[0].replace(/\/+$/, '');
+
+        if (path === '/batches' || path.startsWith('/batches/')) {
+            this.invalidate('/lists');
+            this.invalidate('/search-members');
+            return;
+        }
+
+        const segments = path.split('/');
+        const ancestors = new Set();
+
+        for (let i = 2; i < segments.length; i++) {
+            ancestors.add(segments.slice(0, i).join('/'));
+        }
+
+        const member = path.match(/^\/lists\/[^/]+\/members\/[^/]+/);
+        const roots = [path];
+
+        if (member) {
+            roots.push(member[0], '/search-members');
+        }
+
+        this.remove(cached => ancestors.has(cached) || roots.some(root => ResponseCache.matches(cached, root)));
+    }
+
+    /**
+     * Remove every entry
+     */
+    clear() {
+        this.remove(() => true);
+    }
+}
+
+/**
+ * Persistent queue for writes that failed because the network was unavailable
+ *
+ * Entries keep the CSRF token they were made with and are replayed in order
+ * when the browser comes back online or on the next page load. Writes to the
+ * same member endpoint are merged, so a subscriber is queued only once.
+ *
+ * Events: queued, replayed, failed, paused, drained and change.
+ */
+class OfflineQueue {
+    constructor(api, options = {}) {
+        this.api = api;
+        this.key = options.key || 'mailchimp:offline-queue';
+        this.storage = OfflineQueue.createStorage(options.storage, this.key);
+        this.listeners = {};
+        this.replaying = null;
+        this.operations = Promise.resolve();
+
+        if (options.autoReplay !== false) {
+            if (typeof window !== 'undefined' && window.addEventListener) {
+                window.addEventListener('online', () => this.autoReplay());
+            }
+
+            // Writes left over from a previous page load
+            setTimeout(() => this.autoReplay(), 0);
+        }
+    }
+
+    /**
+     * Replay for the online event and page loads, where nobody awaits it
+     *
+     * Failures, such as blocked storage, are reported with the error event
+     * ({ error }) instead of becoming unhandled rejections.
+     */
+    async autoReplay() {
+        try {
+            return await this.replay();
+        } catch (error) {
+            this.api.log('Mailchimp API Offline queue replay failed:', error, 'warn');
+
+            try {
+                this.emit('error', { error: error });
+            } catch (handlerError) {
+                this.api.log('Mailchimp API Offline queue error handler failed:', handlerError, 'error');
+            }
+
+            return null;
+        }
+    }
+
+    /**
+     * Resolve the storage option to an object with async read() and write()
+     */
+    static createStorage(storage, key) {
+        if (storage && typeof storage === 'object' && typeof storage.read === 'function') {
+            return storage;
+        }
+
+        if (!storage) {
+            storage = typeof indexedDB !== 'undefined' ? 'indexeddb' : 'local';
+        }
+
+        if (storage === 'indexeddb' && typeof indexedDB !== 'undefined') {
+            return OfflineQueue.createIndexedDbStorage(key);
+        }
+
+        let backend = null;
+
+        try {
+            if ((storage === 'indexeddb' || storage === 'local') && typeof localStorage !== 'undefined') {
+                backend = localStorage;
+            } else if (storage && typeof storage.getItem === 'function') {
+                backend = storage;
+            }
+        } catch (error) {
+            // localStorage is blocked, the queue only lives as long as the page
+        }
+
+        if (!backend) {
+            let entries = '[]';
+
+            return {
+                read: async () => JSON.parse(entries),
+                write: async (items) => {
+                    entries = JSON.stringify(items);
+                }
+            };
+        }
+
+        return {
+            read: async () => JSON.parse(backend.getItem(key) || '[]'),
+            write: async (items) => backend.setItem(key, JSON.stringify(items))
+        };
+    }
+
+    /**
+     * Storage keeping the queue as a single record in IndexedDB
+     */
+    static createIndexedDbStorage(key) {
+        const open = () => new Promise((resolve, reject) => {
+            const request = indexedDB.open('mailchimp', 1);
+            request.onupgradeneeded = () => request.result.createObjectStore('queues');
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        const transaction = async (mode, action) => {
+            const db = await open();
+
+            return new Promise((resolve, reject) => {
+                const request = action(db.transaction('queues', mode).objectStore('queues'));
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).finally(() => db.close());
+        };
+
+        return {
+            read: async () => (await transaction('readonly', store => store.get(key))) || [],
+            write: async (items) => {
+                await transaction('readwrite', store => store.put(items, key));
+            }
+        };
+    }
+
+    /**
+     * Register an event handler
+     */
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+        return this;
+    }
+
+    /**
+     * Remove an event handler
+     */
+    off(event, handler) {
+        this.listeners[event] = (this.listeners[event] || []).filter(listener => listener !== handler);
+        return this;
+    }
+
+    /**
+     * Call the handlers of an event
+     */
+    emit(event, payload) {
+        for (const handler of this.listeners[event] || []) {
+            handler(payload);
+        }
+    }
+
+    /**
+     * Run a read-modify-write of the stored entries, one at a time
+     */
+    update(change) {
+        const operation = this.operations.then(async () => {
+            const entries = await this.storage.read();
+            const result = change(entries);
+            await this.storage.write(entries);
+            return result;
+        });
+
+        this.operations = operation.catch(() => {});
+
+        return operation;
+    }
+
+    /**
+     * Queued entries, oldest first
+     */
+    async getEntries() {
+        await this.operations;
+        return await this.storage.read();
+    }
+
+    /**
+     * Number of queued entries
+     */
+    async size() {
+        return (await this.getEntries()).length;
+    }
+
+    /**
+     * Queue a write, merging it into an earlier write for the same member
+     *
+     * Member writes are matched by subscriber hash, see isSameWrite().
+     */
+    async add(method, endpoint, params = {}) {
+        const hash = (endpoint.match(/\/members\/([^/]+)/) || [])[1] || null;
+        const incoming = {
+            id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+            method: String(method).toUpperCase(),
+            endpoint: endpoint,
+            params: params,
+            subscriberHash: hash,
+            csrf: { name: this.api.csrfTokenName, value: this.api.csrfTokenValue },
+            queuedAt: new Date().toISOString()
+        };
+
+        const { entry, size } = await this.update(entries => {
+            const existing = entries.find(item => OfflineQueue.isSameWrite(item, incoming));
+
+            // Keep the position of the earlier write, later writes may depend on it
+            if (existing) {
+                // A PUT creates the member when it is missing, so it wins over a PATCH
+                existing.method = existing.method === 'PUT' ? 'PUT' : incoming.method;
+                existing.params = OfflineQueue.mergeParams(existing.params, incoming.params);
+                existing.csrf = incoming.csrf;
+                existing.queuedAt = incoming.queuedAt;
+                return { entry: existing, size: entries.length };
+            }
+
+            entries.push(incoming);
+            return { entry: incoming, size: entries.length };
+        });
+
+        this.emit('queued', { entry: entry, size: size });
+        this.emit('change', { size: size });
+
+        return entry;
+    }
+
+    /**
+     * Check whether two queued writes change the same thing
+     *
+     * Writes to a member are the same when they have the same subscriber
+     * hash, list and sub-resource (the member itself, or its tags), whatever
+     * the case or spacing of the address was. PUT and PATCH both write the
+     * member itself and are combined. Other writes match by method and
+     * endpoint.
+     */
+    static isSameWrite(earlier, later) {
+        if (!earlier.subscriberHash || earlier.subscriberHash !== later.subscriberHash) {
+            return earlier.method === later.method && earlier.endpoint === later.endpoint;
+        }
+
+        const memberWrite = method => method === 'PUT' || method === 'PATCH';
+
+        return earlier.endpoint === later.endpoint
+            && (earlier.method === later.method || (memberWrite(earlier.method) && memberWrite(later.method)));
+    }
+
+    /**
+     * Combine two writes to the same endpoint, the later one winning
+     */
+    static mergeParams(earlier, later) {
+        if (Array.isArray(earlier.tags) && Array.isArray(later.tags)) {
+            const tags = new Map(earlier.tags.map(tag => [tag.name, tag]));
+            later.tags.forEach(tag => tags.set(tag.name, tag));
+            return { ...earlier, ...later, tags: Array.from(tags.values()) };
+        }
+
+        const merged = { ...earlier, ...later };
+
+        for (const key of ['merge_fields', 'interests']) {
+            if (earlier[key] || later[key]) {
+                merged[key] = { ...earlier[key], ...later[key] };
+            }
+        }
+
+        return merged;
+    }
+
+    /**
+     * Remove a queued entry
+     */
+    async remove(id) {
+        const size = await this.update(entries => {
+            const index = entries.findIndex(entry => entry.id === id);
+            if (index !== -1) {
+                entries.splice(index, 1);
+            }
+            return entries.length;
+        });
+
+        this.emit('change', { size: size });
+    }
+
+    /**
+     * Remove every queued entry
+     */
+    async clear() {
+        await this.update(entries => {
+            entries.splice(0);
+        });
+
+        this.emit('change', { size: 0 });
+    }
+
+    /**
+     * Send the queued writes in order
+     *
+     * Stops at the first network failure and leaves the remaining entries
+     * queued. Writes that Mailchimp rejects are dropped and reported with
+     * the failed event. Concurrent calls share one replay.
+     */
+    replay() {
+        if (!this.replaying) {
+            this.replaying = this.replayEntries().finally(() => {
+                this.replaying = null;
+            });
+        }
+
+        return this.replaying;
+    }
+
+    /**
+     * Replay implementation, see replay()
+     */
+    async replayEntries() {
+        const summary = { replayed: 0, failed: 0, remaining: 0 };
+
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            summary.remaining = await this.size();
+            return summary;
+        }
+
+        for (const entry of await this.getEntries()) {
+            // A fresh token from the current page beats the one stored with the entry
+            const csrf = this.api.csrfTokenValue
+                ? { name: this.api.csrfTokenName, value: this.api.csrfTokenValue }
+                : entry.csrf;
+
+            const result = await this.api.request(entry.method, entry.endpoint, entry.params, {
+                csrf: csrf,
+                throttle: true,
+                throwOnError: false
+            });
+
+            if (result.reason === 'network') {
+                summary.remaining = await this.size();
+                this.emit('paused', { entry: entry, result: result, size: summary.remaining });
+                return summary;
+            }
+
+            await this.remove(entry.id);
+
+            if (result.success) {
+                summary.replayed++;
+                this.emit('replayed', { entry: entry, result: result });
+            } else {
+                summary.failed++;
+                this.emit('failed', { entry: entry, result: result });
+            }
+        }
+
+        summary.remaining = await this.size();
+
+        if (summary.replayed > 0 || summary.failed > 0) {
+            this.emit('drained', summary);
+        }
+
+        return summary;
+    }
+}
+
+/**
+ * Default transport: posts requests to the Craft proxy with fetch
+ *
+ * Transports send one request and resolve with the proxy's response
+ * envelope. They reject with an error carrying status (and retryAfter) when
+ * the proxy answers with an HTTP error, and with the fetch error otherwise.
+ * archive() resolves with the results archive of a batch as an ArrayBuffer.
+ */
+class FetchTransport {
+    /**
+     * Send a request: { url, method, endpoint, params, csrf, headers, signal }
+     */
+    async send(request) {
+        const response = await fetch(request.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                'X-Requested-With': 'XMLHttpRequest',
+                ...request.headers
+            },
+            body: JSON.stringify({
+                method: request.method,
+                endpoint: request.endpoint,
+                params: request.params,
+                ...(request.csrf ? { [request.csrf.name]: request.csrf.value } : {})
+            }),
+            signal: request.signal
+        });
+
+        if (!response.ok) {
+            throw FetchTransport.httpError(response);
+        }
+
+        const result = await response.json();
+
+        if (!result.success && result.retryAfter === undefined) {
+            const retryAfter = response.headers?.get('Retry-After');
+            if (retryAfter) {
+                result.retryAfter = retryAfter;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Download a batch results archive: { url, batchId, csrf, signal }
+     */
+    async archive(request) {
+        const response = await fetch(request.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Requested-With': 'XMLHttpRequest'
+            },
+            body: JSON.stringify({
+                batchId: request.batchId,
+                ...(request.csrf ? { [request.csrf.name]: request.csrf.value } : {})
+            }),
+            signal: request.signal
+        });
+
+        if (!response.ok) {
+            throw FetchTransport.httpError(response);
+        }
+
+        // Errors are reported as a JSON envelope, the archive itself is binary
+        const contentType = response.headers?.get('Content-Type') || '';
+        if (contentType.includes('json')) {
+            throw MailchimpError.fromResponse(await response.json());
+        }
+
+        return await response.arrayBuffer();
+    }
+
+    /**
+     * Error for an HTTP error response from the proxy
+     */
+    static httpError(response) {
+        const error = new Error(`HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        error.retryAfter = response.headers?.get('Retry-After') || null;
+        return error;
+    }
+}
+
+/**
+ * Scriptable transport for tests
+ *
+ * Responses are registered for a method and an endpoint pattern and tried in
+ * the order they were added. String patterns match the whole endpoint, with
+ * * standing for one path segment, regular expressions are tested as-is and
+ * the method '*' matches any method. Requests no route answers fail with
+ * code 501 and are kept in unmatched, every request is kept in requests.
+ */
+class MockTransport {
+    constructor() {
+        this.routes = [];
+        this.archives = new Map();
+        this.requests = [];
+        this.unmatched = [];
+    }
+
+    /**
+     * Answer requests for a method and endpoint pattern
+     *
+     * The response is one of:
+     * - the data of a successful response
+     * - a response envelope, such as MockTransport.reply() or MockTransport.error()
+     * - an Error to reject with, such as MockTransport.networkError()
+     * - a function called with { method, endpoint, params, headers, csrf } returning one of the above
+     *
+     * Options:
+     * - times: number of requests to answer before the route is removed
+     * - delay: milliseconds to wait before answering
+     */
+    on(method, pattern, response, options = {}) {
+        this.routes.push({
+            method: String(method).toUpperCase(),
+            pattern: pattern,
+            response: response,
+            times: options.times ?? Infinity,
+            delay: options.delay || 0
+        });
+        return this;
+    }
+
+    /**
+     * Answer the next request for a method and endpoint pattern only
+     */
+    once(method, pattern, response, options = {}) {
+        return this.on(method, pattern, response, { ...options, times: 1 });
+    }
+
+    /**
+     * Serve a batch results archive (ArrayBuffer, Uint8Array or Error)
+     */
+    onArchive(batchId, archive) {
+        this.archives.set(batchId, archive);
+        return this;
+    }
+
+    /**
+     * Remove all routes and archives and forget the requests made
+     */
+    reset() {
+        this.routes = [];
+        this.archives.clear();
+        this.requests = [];
+        this.unmatched = [];
+    }
+
+    /**
+     * Answer a request from the first matching route
+     */
+    async send(request) {
+        const call = {
+            method: String(request.method).toUpperCase(),
+            endpoint: request.endpoint,
+            params: request.params || {},
+            headers: request.headers || {},
+            csrf: request.csrf || null
+        };
+
+        this.requests.push(call);
+
+        const route = this.routes.find(candidate => (candidate.method === '*' || candidate.method === call.method)
+            && MockTransport.matches(call.endpoint, candidate.pattern));
+
+        if (!route) {
+            this.unmatched.push(call);
+            throw MockTransport.httpError(501, `No mock response for ${call.method} ${call.endpoint}`);
+        }
+
+        if (--route.times <= 0) {
+            this.routes.splice(this.routes.indexOf(route), 1);
+        }
+
+        if (route.delay) {
+            await MockTransport.wait(route.delay, request.signal);
+        }
+
+        const response = typeof route.response === 'function' ? await route.response(call) : route.response;
+
+        if (response instanceof Error) {
+            throw response;
+        }
+
+        // Copies keep tests from changing a canned response through a result
+        if (response && typeof response === 'object' && typeof response.success === 'boolean') {
+            return MockTransport.copy(response);
+        }
+
+        return MockTransport.reply(MockTransport.copy(response));
+    }
+
+    /**
+     * Serve the archive registered for the batch
+     */
+    async archive(request) {
+        const archive = this.archives.get(request.batchId);
+
+        if (archive === undefined) {
+            throw MockTransport.httpError(501, `No mock archive for batch ${request.batchId}`);
+        }
+
+        if (archive instanceof Error) {
+            throw archive;
+        }
+
+        return archive instanceof ArrayBuffer
+            ? archive
+            : archive.buffer.slice(archive.byteOffset, archive.byteOffset + archive.byteLength);
+    }
+
+    /**
+     * Check whether an endpoint matches a route pattern
+     */
+    static matches(endpoint, pattern) {
+        if (pattern instanceof RegExp) {
+            return pattern.test(endpoint);
+        }
+
+        const source = String(pattern)
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('[^/]+');
+
+        return new RegExp(`^${source}$`).test(endpoint);
+    }
+
+    /**
+     * Successful response envelope
+     */
+    static reply(data, status = 200) {
+        return { success: true, data: data ?? null, status: status };
+    }
+
+    /**
+     * Error envelope for a Mailchimp problem detail
+     */
+    static error(status, title, detail = '', errors = null) {
+        const problem = {
+            type: 'https://mailchimp.com/developer/marketing/docs/errors/',
+            title: title,
+            status: status,
+            detail: detail,
+            instance: ''
+        };
+
+        if (errors) {
+            problem.errors = errors;
+        }
+
+        return { success: false, error: problem, code: status };
+    }
+
+    /**
+     * Error envelope the proxy returns when its rate limit is exceeded
+     */
+    static rateLimited(retryAfter = 60) {
+        return {
+            success: false,
+            error: 'Rate limit exceeded. Maximum 30 requests per minute.',
+            code: 429,
+            retryAfter: retryAfter
+        };
+    }
+
+    /**
+     * Error for an HTTP error response from the proxy itself
+     */
+    static httpError(status, message = `HTTP error! status: ${status}`, retryAfter = null) {
+        const error = new Error(message);
+        error.status = status;
+        error.retryAfter = retryAfter;
+        return error;
+    }
+
+    /**
+     * Error fetch rejects with when the network is unavailable
+     */
+    static networkError(message = 'Failed to fetch') {
+        return new TypeError(message);
+    }
+
+    /**
+     * Wait before answering, rejecting when the request is aborted
+     */
+    static wait(delay, signal) {
+        return new Promise((resolve, reject) => {
+            const abort = () => {
+                clearTimeout(timeoutId);
+                const error = new Error('The operation was aborted');
+                error.name = 'AbortError';
+                reject(error);
+            };
+
+            const timeoutId = setTimeout(() => {
+                signal?.removeEventListener('abort', abort);
+                resolve();
+            }, delay);
+
+            if (signal?.aborted) {
+                abort();
+            } else {
+                signal?.addEventListener('abort', abort, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Deep copy of a JSON value
+     */
+    static copy(value) {
+        return value === undefined ? null : JSON.parse(JSON.stringify(value));
+    }
+}
+
+/**
+ * Transport that records sessions to a JSON fixture and plays them back
+ *
+ * In record mode requests go to another transport (a FetchTransport by
+ * default) and every request and its response or error is added to the
+ * fixture. In replay mode nothing is sent: each request is answered with
+ * the first unused recording of the same method, endpoint and parameters,
+ * so a session plays back the same way every time.
+ *
+ * Fixtures are scrubbed as they are recorded. Email addresses become
+ * scrubbed1@example.com, scrubbed2@example.com and so on in the order they
+ * appear, their subscriber hashes the hash of the replacement, and API keys
+ * a dummy key for the same data center. Replayed responses get the
+ * addresses the session used back. Requests that only carry a subscriber
+ * hash can be matched when the address is listed in the emails option.
+ * Batch archives are passed through when recording and not replayed.
+ */
+class RecordReplayTransport {
+    /**
+     * Options:
+     * - mode: 'record' or 'replay' (default 'replay' when a fixture is given)
+     * - fixture: recorded fixture, as an object or JSON string
+     * - transport: transport to record from (default FetchTransport)
+     * - emails: addresses the session uses, numbered before any others
+     * - scrub: function applied to every recorded string after the built-in scrubbing
+     */
+    constructor(options = {}) {
+        const fixture = typeof options.fixture === 'string' ? JSON.parse(options.fixture) : options.fixture;
+
+        this.mode = options.mode || (fixture ? 'replay' : 'record');
+        this.transport = options.transport || new FetchTransport();
+        this.interactions = fixture?.interactions ? [...fixture.interactions] : [];
+        this.scrubber = options.scrub || null;
+        this.used = new Set();
+        this.emails = new Map();
+        this.hashes = new Map();
+        this.count = 0;
+
+        (options.emails || []).forEach(email => this.replacement(email));
+    }
+
+    /**
+     * Replay a request, or send and record it
+     */
+    async send(request) {
+        if (this.mode === 'replay') {
+            return await this.replay(request);
+        }
+
+        const call = RecordReplayTransport.call(request);
+
+        try {
+            const response = await this.transport.send(request);
+            this.learn(call);
+            this.learn(response);
+            this.interactions.push({ request: this.scrub(call), response: this.scrub(response) });
+            return response;
+        } catch (error) {
+            // Aborts and timeouts depend on the moment, they are not recorded
+            if (error.name !== 'AbortError') {
+                this.learn(call);
+                this.interactions.push({
+                    request: this.scrub(call),
+                    error: this.scrub({
+                        name: error.name,
+                        message: error.message,
+                        status: error.status ?? null,
+                        retryAfter: error.retryAfter ?? null
+                    })
+                });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Download a batch archive through the recorded transport
+     */
+    async archive(request) {
+        if (this.mode === 'replay' || typeof this.transport.archive !== 'function') {
+            throw MockTransport.httpError(501, `Batch archives are not recorded (batch ${request.batchId})`);
+        }
+
+        return await this.transport.archive(request);
+    }
+
+    /**
+     * Answer a request from the fixture
+     */
+    async replay(request) {
+        const call = RecordReplayTransport.call(request);
+        this.learn(call);
+
+        const key = RecordReplayTransport.stringify(this.scrub(call));
+        const index = this.interactions.findIndex((interaction, position) => !this.used.has(position)
+            && RecordReplayTransport.stringify(interaction.request) === key);
+
+        if (index === -1) {
+            throw MockTransport.httpError(501, `No recorded response for ${call.method} ${call.endpoint}`);
+        }
+
+        this.used.add(index);
+
+        const interaction = this.interactions[index];
+
+        if (interaction.error) {
+            const error = new Error(this.restore(interaction.error.message));
+            error.name = interaction.error.name;
+
+            if (interaction.error.status) {
+                error.status = interaction.error.status;
+                error.retryAfter = interaction.error.retryAfter;
+            }
+
+            throw error;
+        }
+
+        this.learn(interaction.response);
+        return this.restore(interaction.response);
+    }
+
+    /**
+     * The fixture recorded so far, JSON.stringify(transport) serializes it
+     */
+    toJSON() {
+        return { version: 1, interactions: this.interactions };
+    }
+
+    /**
+     * Replacement for an email address, numbering addresses not seen before
+     */
+    replacement(email) {
+        const address = String(email).trim().toLowerCase();
+        const scrubbed = address.match(/^scrubbed(\d+)@example\.com$/);
+
+        // Replacements in replayed responses keep the numbering in step with the recording
+        if (scrubbed) {
+            this.count = Math.max(this.count, Number(scrubbed[1]));
+            return address;
+        }
+
+        if (!this.emails.has(address)) {
+            const replacement = `scrubbed${++this.count}@example.com`;
+            this.emails.set(address, replacement);
+            this.hashes.set(MailchimpAPI.md5Hex(address), MailchimpAPI.md5Hex(replacement));
+        }
+
+        return this.emails.get(address);
+    }
+
+    /**
+     * Number the email addresses in a value
+     */
+    learn(value) {
+        RecordReplayTransport.map(value, text => {
+            (text.match(RecordReplayTransport.EMAIL) || []).forEach(email => this.replacement(email));
+            return text;
+        });
+    }
+
+    /**
+     * Copy of a value with addresses, subscriber hashes and API keys replaced
+     */
+    scrub(value) {
+        return RecordReplayTransport.map(value, text => {
+            let result = text
+                .replace(RecordReplayTransport.API_KEY, (key, dc) => `${'0'.repeat(32)}-${dc}`)
+                .replace(RecordReplayTransport.EMAIL, email => this.replacement(email));
+
+            this.hashes.forEach((replacement, hash) => {
+                result = result.split(hash).join(replacement);
+            });
+
+            return this.scrubber ? this.scrubber(result) : result;
+        });
+    }
+
+    /**
+     * Copy of a recorded value with the session's addresses and hashes put back
+     */
+    restore(value) {
+        return RecordReplayTransport.map(value, text => {
+            let result = text;
+
+            this.emails.forEach((replacement, email) => {
+                result = result.split(replacement).join(email);
+            });
+            this.hashes.forEach((replacement, hash) => {
+                result = result.split(replacement).join(hash);
+            });
+
+            return result;
+        });
+    }
+
+    /**
+     * The parts of a request that identify it
+     */
+    static call(request) {
+        return {
+            method: String(request.method).toUpperCase(),
+            endpoint: request.endpoint,
+            params: MockTransport.copy(request.params || {})
+        };
+    }
+
+    /**
+     * Copy of a value with every string, keys included, passed through fn
+     */
+    static map(value, fn) {
+        if (typeof value === 'string') {
+            return fn(value);
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(item => RecordReplayTransport.map(item, fn));
+        }
+
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value)
+                .map(([key, item]) => [fn(key), RecordReplayTransport.map(item, fn)]));
+        }
+
+        return value;
+    }
+
+    /**
+     * JSON with sorted keys, so parameter order does not matter when matching
+     */
+    static stringify(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => RecordReplayTransport.stringify(item)).join(',')}]`;
+        }
+
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .map(key => `${JSON.stringify(key)}:${RecordReplayTransport.stringify(value[key])}`)
+                .join(',')}}`;
+        }
+
+        return JSON.stringify(value ?? null);
+    }
+}
+
+RecordReplayTransport.EMAIL = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+// Mailchimp API keys end in their data center, as in 0123...cdef-us6
+RecordReplayTransport.API_KEY = /\b[0-9a-f]{32}-([a-z]{2,3}\d+)\b/g;
+
+/**
+ * Merge field definitions of a list, used to map and validate merge fields
+ *
+ * Friendly keys are resolved to merge tags through the configured mappings
+ * (firstName => FNAME), then by tag, then by field name ignoring case,
+ * spaces and punctuation. Validation errors carry the key the caller used,
+ * the merge tag and a reason code, so forms can show them next to inputs.
+ * Messages come from translate(code, params) when given, in English otherwise.
+ */
+class MergeFieldSchema {
+    constructor(fields = [], mappings = {}, translate = null) {
+        this.fields = fields;
+        this.mappings = mappings;
+        this.translate = translate;
+        this.byTag = new Map(fields.map(field => [String(field.tag).toUpperCase(), field]));
+        this.byName = new Map(fields.map(field => [MergeFieldSchema.normalizeName(field.name), field]));
+    }
+
+    /**
+     * Reduce a field name to lowercase letters and digits
+     */
+    static normalizeName(name) {
+        return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Find the field definition for a friendly key or merge tag
+     */
+    getField(key) {
+        const mapped = this.mappings[key];
+
+        if (mapped && this.byTag.has(String(mapped).toUpperCase())) {
+            return this.byTag.get(String(mapped).toUpperCase());
+        }
+
+        return this.byTag.get(String(key).toUpperCase())
+            || this.byName.get(MergeFieldSchema.normalizeName(key))
+            || null;
+    }
+
+    /**
+     * Validate merge fields and convert them to merge tags
+     *
+     * Options:
+     * - partial: skip the required field check, for updates of existing members
+     *
+     * Returns { valid, mergeFields, errors }. Values are normalized on the
+     * way: dates are written in the list's date format and numeric strings
+     * become numbers.
+     */
+    validate(data = {}, options = {}) {
+        const mergeFields = {};
+        const errors = [];
+        const seen = new Set();
+
+        for (const [key, value] of Object.entries(data)) {
+            const field = this.getField(key);
+
+            if (!field) {
+                errors.push(this.error(key, null, 'unknown_field'));
+                continue;
+            }
+
+            seen.add(field.tag);
+
+            if (MergeFieldSchema.isEmpty(value)) {
+                if (field.required && !options.partial) {
+                    errors.push(this.error(key, field, 'required'));
+                } else {
+                    mergeFields[field.tag] = value ?? '';
+                }
+                continue;
+            }
+
+            const checked = MergeFieldSchema.checkValue(field, value);
+
+            if (checked.code) {
+                errors.push(this.error(key, field, checked.code, checked.params));
+            } else {
+                mergeFields[field.tag] = checked.value;
+            }
+        }
+
+        if (!options.partial) {
+            for (const field of this.fields) {
+                if (field.required && !seen.has(field.tag)) {
+                    const key = Object.keys(this.mappings).find(name => this.mappings[name] === field.tag) || field.tag;
+                    errors.push(this.error(key, field, 'required'));
+                }
+            }
+        }
+
+        return { valid: errors.length === 0, mergeFields: mergeFields, errors: errors };
+    }
+
+    /**
+     * Build a field-level error
+     */
+    error(key, field, code, params = {}) {
+        return {
+            field: key,
+            tag: field ? field.tag : null,
+            code: code,
+            message: this.message(code, { field: field ? field.name : key, ...params })
+        };
+    }
+
+    /**
+     * Message for a reason code
+     */
+    message(code, params = {}) {
+        const translated = this.translate ? this.translate(code, params) : null;
+        return MailchimpAPI.formatMessage(translated ?? MergeFieldSchema.MESSAGES[code] ?? code, params);
+    }
+
+    /**
+     * Check whether a value counts as not filled in
+     */
+    static isEmpty(value) {
+        if (value === null || value === undefined) {
+            return true;
+        }
+
+        if (typeof value === 'string') {
+            return value.trim() === '';
+        }
+
+        return typeof value === 'object' && !(value instanceof Date) && Object.values(value).every(part => MergeFieldSchema.isEmpty(part));
+    }
+
+    /**
+     * Check a single value against its field definition
+     *
+     * Returns { value } with the normalized value, or { code, params } with
+     * the message parameters of the reason code.
+     */
+    static checkValue(field, value) {
+        const options = field.options || {};
+        const invalid = (code, params = {}) => ({ code: code, params: params });
+
+        switch (field.type) {
+            case 'number': {
+                const number = typeof value === 'number' ? value : Number(String(value).trim());
+                if (typeof value === 'boolean' || !Number.isFinite(number)) {
+                    return invalid('invalid_number');
+                }
+                return { value: number };
+            }
+
+            case 'date':
+            case 'birthday': {
+                const format = options.date_format || (field.type === 'birthday' ? 'MM/DD' : 'MM/DD/YYYY');
+                const date = MergeFieldSchema.parseDate(value, format);
+                if (!date) {
+                    return invalid('invalid_date', { format: format });
+                }
+                return { value: MergeFieldSchema.formatDate(date, format) };
+            }
+
+            case 'address': {
+                if (typeof value !== 'object') {
+                    return invalid('invalid_address');
+                }
+                const missing = ['addr1', 'city', 'state', 'zip'].filter(part => MergeFieldSchema.isEmpty(value[part]));
+                if (missing.length > 0) {
+                    return invalid('invalid_address', { missing: missing.join(', ') });
+                }
+                return { value: value };
+            }
+
+            case 'dropdown':
+            case 'radio': {
+                const choices = options.choices || [];
+                if (!choices.includes(String(value))) {
+                    return invalid('invalid_choice', { choices: choices.join(', ') });
+                }
+                return { value: String(value) };
+            }
+
+            case 'zip':
+                if (!/^\d{5}(-\d{4})?$/.test(String(value).trim())) {
+                    return invalid('invalid_zip');
+                }
+                return { value: String(value).trim() };
+
+            case 'phone':
+                if (options.phone_format === 'US' && !/^\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}$/.test(String(value).trim())) {
+                    return invalid('invalid_phone');
+                }
+                return MergeFieldSchema.checkLength(field, String(value));
+
+            case 'url':
+            case 'imageurl':
+                if (!/^https?:\/\/\S+$/i.test(String(value).trim())) {
+                    return invalid('invalid_url');
+                }
+                return MergeFieldSchema.checkLength(field, String(value).trim());
+
+            default:
+                if (typeof value === 'object') {
+                    return invalid('invalid_type');
+                }
+                return MergeFieldSchema.checkLength(field, String(value));
+        }
+    }
+
+    /**
+     * Check a text value against the size of the field, or MAX_LENGTH
+     */
+    static checkLength(field, value) {
+        const size = Number(field.options?.size);
+        const max = Number.isInteger(size) && size > 0 ? size : MergeFieldSchema.MAX_LENGTH;
+
+        if (value.length > max) {
+            return { code: 'too_long', params: { max: max } };
+        }
+
+        return { value: value };
+    }
+
+    /**
+     * Parse a Date, an ISO date (YYYY-MM-DD) or a date in the field format
+     *
+     * Returns { year, month, day } or null. Birthdays have no year.
+     */
+    static parseDate(value, format) {
+        const hasYear = format.includes('YYYY');
+        let year = null;
+        let month;
+        let day;
+
+        if (value instanceof Date) {
+            if (Number.isNaN(value.getTime())) {
+                return null;
+            }
+            year = value.getFullYear();
+            month = value.getMonth() + 1;
+            day = value.getDate();
+        } else {
+            const text = String(value).trim();
+            const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+            const parts = text.split('/');
+
+            if (iso) {
+                [year, month, day] = iso.slice(1).map(Number);
+            } else if (parts.length === (hasYear ? 3 : 2) && parts.every(part => /^\d+$/.test(part))) {
+                const order = format.split('/');
+                month = Number(parts[order.indexOf('MM')]);
+                day = Number(parts[order.indexOf('DD')]);
+                year = hasYear ? Number(parts[order.indexOf('YYYY')]) : null;
+                if (hasYear && parts[order.indexOf('YYYY')].length !== 4) {
+                    return null;
+                }
+            } else {
+                return null;
+            }
+        }
+
+        if (hasYear && !year) {
+            return null;
+        }
+
+        // Birthdays allow 29 February, any leap year will do
+        const daysInMonth = new Date(Date.UTC(year || 2000, month, 0)).getUTCDate();
+
+        if (month < 1 || month > 12 || day < 1 || day > daysInMonth) {
+            return null;
+        }
+
+        return { year: hasYear ? year : null, month: month, day: day };
+    }
+
+    /**
+     * Write a parsed date in a Mailchimp date format
+     */
+    static formatDate(date, format) {
+        const pad = (number, length = 2) => String(number).padStart(length, '0');
+
+        return format
+            .replace('YYYY', pad(date.year, 4))
+            .replace('MM', pad(date.month))
+            .replace('DD', pad(date.day));
+    }
+}
+
+// Length limit for text merge fields without a size option
+MergeFieldSchema.MAX_LENGTH = 255;
+
+MergeFieldSchema.MESSAGES = MailchimpAPI.getMessages('en', 'merge_field');
+
+/**
+ * Email address validator built from a chain of rules
+ *
+ * The built-in rules check the syntax, allowed and blocked domains,
+ * disposable email providers, role accounts and common domain typos.
+ * Custom validators run last and may be async. Every rule reports issues
+ * as { code, level, message }: errors make the address invalid, warnings
+ * (role accounts and typos by default) are only reported.
+ *
+ * Domain patterns: "example.com" matches that domain only, "*.example.com"
+ * its subdomains and ".ru" or ".co.uk" every domain ending with it.
+ */
+class EmailValidator {
+    constructor(options = {}) {
+        this.allowedDomains = options.allowedDomains || [];
+        this.blockedDomains = [...EmailValidator.BLOCKED_DOMAINS, ...(options.blockedDomains || [])];
+        this.disposableDomains = options.disposableDomains === false
+            ? []
+            : [...EmailValidator.DISPOSABLE_DOMAINS, ...(Array.isArray(options.disposableDomains) ? options.disposableDomains : [])];
+        this.commonDomains = options.commonDomains || EmailValidator.COMMON_DOMAINS;
+        this.roleAccounts = options.roleAccounts ?? 'warn';
+        this.typos = options.typos ?? 'warn';
+        this.validators = options.validators || [];
+        this.messages = options.messages || {};
+        this.translate = options.translate || null;
+    }
+
+    /**
+     * Split an address into its local part and lowercase domain
+     */
+    static parse(email) {
+        const address = String(email ?? '').trim();
+        const at = address.lastIndexOf('@');
+
+        return {
+            email: address,
+            local: at === -1 ? address : address.slice(0, at),
+            domain: at === -1 ? '' : address.slice(at + 1).toLowerCase().replace(/\.$/, '')
+        };
+    }
+
+    /**
+     * Check the syntax of an address against RFC 5322
+     *
+     * Accepts dot-atom and quoted local parts and internationalized domain
+     * names. Comments and IP address literals are rejected, Mailchimp does
+     * not accept them.
+     */
+    static isValidSyntax(email) {
+        const { email: address, local, domain } = EmailValidator.parse(email);
+        const atom = "[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+";
+        const dotAtom = new RegExp(`^${atom}(?:\\.${atom})*$`);
+        const quoted = /^"(?:[\x20\x21\x23-\x5b\x5d-\x7e]|\\[\x20-\x7e])*"$/;
+
+        if (address.length > 254 || !address.includes('@') || local.length === 0 || local.length > 64) {
+            return false;
+        }
+
+        if (!dotAtom.test(local) && !quoted.test(local)) {
+            return false;
+        }
+
+        const labels = domain.split('.');
+
+        if (domain.length > 253 || labels.length < 2) {
+            return false;
+        }
+
+        const validLabels = labels.every(label => /^[\p{L}\p{N}](?:[\p{L}\p{N}-]{0,61}[\p{L}\p{N}])?$/u.test(label));
+        const tld = labels[labels.length - 1];
+
+        return validLabels && /^(?:\p{L}{2,63}|xn--[a-z0-9-]{1,59})$/u.test(tld);
+    }
+
+    /**
+     * Check whether a domain matches a domain pattern
+     */
+    static matchesDomain(domain, pattern) {
+        const normalized = String(pattern).trim().toLowerCase().replace(/^@/, '');
+
+        if (normalized.startsWith('*.')) {
+            return domain.endsWith(normalized.slice(1));
+        }
+
+        if (normalized.startsWith('.')) {
+            return domain.endsWith(normalized);
+        }
+
+        return domain === normalized;
+    }
+
+    /**
+     * Find the first pattern a domain matches
+     */
+    static findMatch(domain, patterns) {
+        return patterns.find(pattern => EmailValidator.matchesDomain(domain, pattern)) || null;
+    }
+
+    /**
+     * Check whether the domain of an address is blocked and not allowed
+     */
+    isBlocked(email) {
+        const { domain } = EmailValidator.parse(email);
+
+        if (!domain || EmailValidator.findMatch(domain, this.allowedDomains)) {
+            return false;
+        }
+
+        return EmailValidator.findMatch(domain, this.blockedDomains) !== null;
+    }
+
+    /**
+     * Check whether an address belongs to a disposable email provider
+     */
+    isDisposable(email) {
+        const { domain } = EmailValidator.parse(email);
+
+        return this.disposableDomains.some(provider => domain === provider || domain.endsWith(`.${provider}`));
+    }
+
+    /**
+     * Check whether an address belongs to a role rather than a person
+     */
+    static isRoleAccount(email) {
+        const { local } = EmailValidator.parse(email);
+        return EmailValidator.ROLE_ACCOUNTS.includes(local.toLowerCase().split('+')[0]);
+    }
+
+    /**
+     * Suggest a correction for a misspelt common domain, or null
+     */
+    suggest(email) {
+        const { local, domain } = EmailValidator.parse(email);
+
+        if (!domain || this.commonDomains.includes(domain)) {
+            return null;
+        }
+
+        let best = null;
+        let bestDistance = Infinity;
+
+        for (const candidate of this.commonDomains) {
+            const distance = EmailValidator.distance(domain, candidate);
+
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        }
+
+        if (best && bestDistance <= (domain.length > 9 ? 2 : 1)) {
+            return `${local}@${best}`;
+        }
+
+        const tld = domain.slice(domain.lastIndexOf('.') + 1);
+
+        if (EmailValidator.TLD_TYPOS[tld]) {
+            return `${local}@${domain.slice(0, domain.lastIndexOf('.') + 1)}${EmailValidator.TLD_TYPOS[tld]}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Edit distance between two strings, counting swapped neighbours as one edit
+     */
+    static distance(a, b) {
+        const rows = Array.from({ length: a.length + 1 }, (row, i) => [i, ...new Array(b.length).fill(0)]);
+
+        for (let j = 1; j <= b.length; j++) {
+            rows[0][j] = j;
+        }
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+
+                rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        return rows[a.length][b.length];
+    }
+
+    /**
+     * Build an issue with its message
+     *
+     * Messages given in the options win over translate(code, details), which
+     * wins over the English defaults.
+     */
+    issue(code, level, details = {}) {
+        const lookup = key => this.messages[key]
+            ?? (this.translate ? this.translate(key, details) : null)
+            ?? EmailValidator.MESSAGES[key];
+        const template = lookup(code) ?? lookup('invalid');
+        const message = MailchimpAPI.formatMessage(template, details);
+
+        return { code: code, level: level, message: message, ...details };
+    }
+
+    /**
+     * Run the built-in rules
+     *
+     * Returns a list of issues, empty for a valid address.
+     */
+    checkRules(email) {
+        const { email: address, domain } = EmailValidator.parse(email);
+        const issues = [];
+
+        if (!address) {
+            return [this.issue('required', 'error')];
+        }
+
+        if (!EmailValidator.isValidSyntax(address)) {
+            return [this.issue('invalid_syntax', 'error')];
+        }
+
+        const allowed = EmailValidator.findMatch(domain, this.allowedDomains) !== null;
+
+        if (!allowed) {
+            const blocked = EmailValidator.findMatch(domain, this.blockedDomains);
+
+            if (blocked) {
+                issues.push(this.issue('blocked_domain', 'error', { domain: domain, rule: blocked }));
+            } else if (this.isDisposable(address)) {
+                issues.push(this.issue('disposable_domain', 'error', { domain: domain }));
+            }
+        }
+
+        if (this.roleAccounts && EmailValidator.isRoleAccount(address)) {
+            issues.push(this.issue('role_account', this.roleAccounts === 'block' ? 'error' : 'warning'));
+        }
+
+        const suggestion = this.typos && !allowed ? this.suggest(address) : null;
+
+        if (suggestion) {
+            issues.push(this.issue('typo', this.typos === 'block' ? 'error' : 'warning', { suggestion: suggestion }));
+        }
+
+        return issues;
+    }
+
+    /**
+     * Validate an address with the built-in rules only
+     */
+    validateSync(email) {
+        return this.createResult(this.checkRules(email));
+    }
+
+    /**
+     * Validate an address with the built-in rules and custom validators
+     *
+     * Custom validators are called as fn(email, { local, domain }) and
+     * return (or resolve with) nothing for a valid address, or an issue
+     * { code, message, level }. They only run when the built-in rules found
+     * no errors.
+     */
+    async validate(email) {
+        const issues = this.checkRules(email);
+
+        if (!issues.some(issue => issue.level === 'error')) {
+            const parts = EmailValidator.parse(email);
+
+            for (const validator of this.validators) {
+                const issue = await validator(parts.email, parts);
+
+                if (issue) {
+                    const level = issue.level || 'error';
+                    issues.push({ ...this.issue(issue.code || 'invalid', level), ...issue, level: level });
+                }
+
+                if (issues.some(item => item.level === 'error')) {
+                    break;
+                }
+            }
+        }
+
+        return this.createResult(issues);
+    }
+
+    /**
+     * Summarize issues as a validation result
+     *
+     * error and code describe the first error, for forms that show one
+     * message at a time.
+     */
+    createResult(issues) {
+        const errors = issues.filter(issue => issue.level === 'error');
+        const warnings = issues.filter(issue => issue.level !== 'error');
+        const typo = issues.find(issue => issue.code === 'typo');
+
+        const result = {
+            valid: errors.length === 0,
+            errors: errors,
+            warnings: warnings,
+            suggestion: typo ? typo.suggestion : null
+        };
+
+        if (errors.length > 0) {
+            result.error = errors[0].message;
+            result.code = errors[0].code;
+        }
+
+        return result;
+    }
+}
+
+EmailValidator.MESSAGES = MailchimpAPI.getMessages('en', 'email');
+
+// Country TLDs blocked before the list became configurable
+EmailValidator.BLOCKED_DOMAINS = ['.cn', '.ru', '.tk', '.ml', '.ga', '.cf'];
+
+EmailValidator.DISPOSABLE_DOMAINS = [
+    '10minutemail.com', '10minutemail.net', '20minutemail.com', 'burnermail.io', 'discard.email',
+    'dispostable.com', 'emailfake.com', 'emailondeck.com', 'fakeinbox.com', 'fakemail.net',
+    'getairmail.com', 'getnada.com', 'guerrillamail.biz', 'guerrillamail.com', 'guerrillamail.de',
+    'guerrillamail.net', 'guerrillamail.org', 'guerrillamailblock.com', 'inboxkitten.com', 'jetable.org',
+    'mailcatch.com', 'maildrop.cc', 'mailinator.com', 'mailinator.net', 'mailnesia.com',
+    'mailpoof.com', 'mintemail.com', 'moakt.com', 'mohmal.com', 'mytemp.email',
+    'sharklasers.com', 'spambox.us', 'spamgourmet.com', 'tempail.com', 'tempinbox.com',
+    'temp-mail.org', 'tempmail.com', 'tempmail.net', 'tempr.email', 'throwawaymail.com',
+    'tmail.ws', 'tmpmail.org', 'trashmail.com', 'trashmail.de', 'trashmail.net',
+    'wegwerfmail.de', 'yopmail.com', 'yopmail.fr', 'yopmail.net'
+];
+
+EmailValidator.COMMON_DOMAINS = [
+    'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'yahoo.fr', 'hotmail.com', 'hotmail.co.uk',
+    'hotmail.fr', 'outlook.com', 'live.com', 'msn.com', 'icloud.com', 'me.com', 'mac.com', 'aol.com',
+    'proton.me', 'protonmail.com', 'gmx.de', 'gmx.at', 'gmx.ch', 'gmx.net', 'mail.com', 'web.de', 't-online.de',
+    'orange.fr', 'comcast.net'
+];
+
+EmailValidator.TLD_TYPOS = {
+    con: 'com', cmo: 'com', ocm: 'com', cpm: 'com', comm: 'com', vom: 'com', xom: 'com',
+    nte: 'net', nt: 'net', ogr: 'org', or: 'org'
+};
+
+EmailValidator.ROLE_ACCOUNTS = [
+    'abuse', 'admin', 'administrator', 'billing', 'careers', 'contact', 'help', 'hello', 'hostmaster',
+    'hr', 'info', 'jobs', 'mail', 'marketing', 'newsletter', 'no-reply', 'noreply', 'office',
+    'postmaster', 'privacy', 'root', 'sales', 'security', 'support', 'team', 'webmaster'
+];
+
+/**
+ * Fluent builder for saved (condition based) segments
+ *
+ *     mailchimp.segment('VIP')
+ *         .where('merge.CITY', 'is', 'Berlin')
+ *         .and('tag', 'contains', 'buyer')
+ *         .save();
+ *
+ * Fields are merge.TAG (or a friendly merge field name), email, tag,
+ * interest.CATEGORY_ID, rating, language and date_added. Conditions are
+ * checked when they are added, merge field conditions again against the
+ * list's merge field types when the segment is built. Mailchimp matches
+ * either all or any conditions of a segment, so and() and or() can not be
+ * mixed. Tag names are resolved to their IDs when the segment is built.
+ */
+class SegmentBuilder {
+    constructor(api, nameOrId) {
+        if (nameOrId === undefined || nameOrId === null || nameOrId === '') {
+            throw new ValidationError('Segment name is required', { field: 'name' });
+        }
+
+        const id = typeof nameOrId === 'object' ? nameOrId.id : nameOrId;
+
+        this.api = api;
+        this.id = typeof nameOrId === 'number' || typeof nameOrId === 'object' ? Number(id) : null;
+        this.name = this.id === null ? String(nameOrId).trim() : null;
+        this.match = null;
+        this.conditions = [];
+    }
+
+    /**
+     * Add the first condition
+     */
+    where(field, op, value) {
+        const kind = SegmentBuilder.getKind(field);
+        const ops = kind.merge ? SegmentBuilder.ALL_MERGE_OPS : Object.keys(kind.ops);
+
+        if (!ops.includes(op)) {
+            throw new ValidationError(`${field} does not support the ${op} operator, use one of ${ops.join(', ')}`, { field: field });
+        }
+
+        if (!SegmentBuilder.BLANK_OPS.includes(op) && (value === undefined || value === null || value === '')) {
+            throw new ValidationError(`${field} ${op} needs a value`, { field: field });
+        }
+
+        if (kind.type === 'MemberRating' && !(Number(value) >= 1 && Number(value) <= 5)) {
+            throw new ValidationError('Member ratings go from 1 to 5', { field: field });
+        }
+
+        this.conditions.push({ field: field, op: op, value: value });
+        return this;
+    }
+
+    /**
+     * Add a condition that must match as well
+     */
+    and(field, op, value) {
+        return this.join('all').where(field, op, value);
+    }
+
+    /**
+     * Add a condition that may match instead
+     */
+    or(field, op, value) {
+        return this.join('any').where(field, op, value);
+    }
+
+    /**
+     * Set how conditions are combined, refusing to mix and() and or()
+     */
+    join(match) {
+        if (this.conditions.length === 0) {
+            throw new ValidationError('Start the segment with where()', { field: 'conditions' });
+        }
+
+        if (this.match && this.match !== match) {
+            throw new ValidationError('Mailchimp segments match all or any conditions, and() and or() can not be mixed', { field: 'conditions' });
+        }
+
+        this.match = match;
+        return this;
+    }
+
+    /**
+     * Describe a condition field: its Mailchimp condition type and operators
+     */
+    static getKind(field) {
+        const [prefix, ...rest] = String(field).split('.');
+        const kind = SegmentBuilder.FIELDS[prefix];
+
+        if (!kind || (kind.merge || prefix === 'interest') !== rest.length > 0) {
+            throw new ValidationError(`Unknown segment field ${field}, use ${Object.keys(SegmentBuilder.FIELDS).join(', ')}`, { field: field });
+        }
+
+        return kind;
+    }
+
+    /**
+     * Build the segment options Mailchimp expects: { match, conditions }
+     *
+     * Loads the merge field schema for merge conditions and looks up tags
+     * given by name; unknown merge fields and tags are rejected.
+     */
+    async toOptions() {
+        if (this.conditions.length === 0) {
+            throw new ValidationError('A segment needs at least one condition', { field: 'conditions' });
+        }
+
+        const schema = this.conditions.some(condition => condition.field.startsWith('merge.'))
+            ? await this.api.getMergeFieldSchema()
+            : null;
+        const conditions = [];
+
+        for (const condition of this.conditions) {
+            conditions.push(await this.toCondition(condition, schema));
+        }
+
+        return { match: this.match || 'all', conditions: conditions };
+    }
+
+    /**
+     * Convert one condition to Mailchimp's format
+     */
+    async toCondition({ field, op, value }, schema) {
+        const kind = SegmentBuilder.getKind(field);
+        const target = field.slice(field.indexOf('.') + 1);
+
+        if (kind.merge) {
+            const mergeField = schema.getField(target);
+
+            if (!mergeField) {
+                throw new ValidationError(`Unknown merge field ${target}`, { field: field });
+            }
+
+            const type = SegmentBuilder.MERGE_TYPES[mergeField.type] || SegmentBuilder.MERGE_TYPES.text;
+
+            if (!type.ops.includes(op)) {
+                throw new ValidationError(`${mergeField.type} merge fields do not support the ${op} operator, use one of ${type.ops.join(', ')}`, { field: field });
+            }
+
+            return SegmentBuilder.withValue({ condition_type: type.type, field: mergeField.tag, op: op }, op, value);
+        }
+
+        if (kind.type === 'StaticSegment') {
+            const tag = await this.api.resolveTag(value);
+
+            if (!tag) {
+                throw new ValidationError(`Unknown tag ${value?.name ?? value}`, { field: field });
+            }
+
+            return { condition_type: kind.type, field: kind.field, op: kind.ops[op], value: tag.id };
+        }
+
+        if (kind.type === 'Interests') {
+            return {
+                condition_type: kind.type,
+                field: `interests-${target}`,
+                op: kind.ops[op],
+                value: Array.isArray(value) ? value : [value]
+            };
+        }
+
+        // Date conditions take the date as extra
+        if (kind.type === 'Date') {
+            return { condition_type: kind.type, field: kind.field, op: kind.ops[op], value: 'date', extra: value };
+        }
+
+        return SegmentBuilder.withValue({ condition_type: kind.type, field: kind.field, op: kind.ops[op] }, op, value);
+    }
+
+    /**
+     * Add the value to a condition, blank checks have none
+     */
+    static withValue(condition, op, value) {
+        return SegmentBuilder.BLANK_OPS.includes(op) ? condition : { ...condition, value: value };
+    }
+
+    /**
+     * Create the saved segment, or update it when one with the name exists
+     *
+     * Resolves with the response to the create or update; its data has the
+     * segment ID and member_count.
+     */
+    async save() {
+        const options = await this.toOptions();
+        const existing = this.id ? { id: this.id } : await this.api.findSegment(this.name, { type: 'saved' });
+
+        // Mailchimp wants the name with every update
+        if (!this.name) {
+            const current = await this.api.getSegment(this.id);
+
+            if (!current.success) {
+                return current;
+            }
+            this.name = current.data.name;
+        }
+
+        // A segment found by name keeps the spelling it has
+        const body = { name: existing && existing.name ? existing.name : this.name, options: options };
+        const response = existing
+            ? await this.api.request('PATCH', `/lists/${this.api.listId}/segments/${existing.id}`, body)
+            : await this.api.request('POST', `/lists/${this.api.listId}/segments`, body);
+
+        if (response.success) {
+            this.id = response.data.id;
+        }
+
+        return response;
+    }
+
+    /**
+     * Count the members matching the conditions without keeping a segment
+     *
+     * This writes to the audience: Mailchimp only counts members of saved
+     * segments, so a temporary segment is saved, its member_count read and
+     * the segment deleted again. When the delete fails twice, the result has
+     * cleanupFailed and the segmentId left behind in the audience.
+     * Resolves with { success, count, options } or an error response.
+     */
+    async preview() {
+        const options = await this.toOptions();
+        const response = await this.api.request('POST', `/lists/${this.api.listId}/segments`, {
+            name: `${this.name || `Segment ${this.id}`} (preview ${Date.now()})`,
+            options: options
+        });
+
+        if (!response.success) {
+            return response;
+        }
+
+        const segmentId = response.data.id;
+        const result = { success: true, count: response.data.member_count, options: options };
+
+        if (!(await this.deletePreview(segmentId))) {
+            result.cleanupFailed = true;
+            result.segmentId = segmentId;
+        }
+
+        return result;
+    }
+
+    /**
+     * Delete a preview segment, trying twice; resolves with whether it is gone
+     */
+    async deletePreview(segmentId) {
+        const endpoint = `/lists/${this.api.listId}/segments/${segmentId}`;
+        let failure = null;
+
+        for (let attempt = 0; attempt < 2; attempt++) {
+            try {
+                failure = await this.api.request('DELETE', endpoint, {}, { throwOnError: false });
+
+                // A segment that is already gone needs no cleanup
+                if (failure.success || failure.code === 404) {
+                    return true;
+                }
+            } catch (error) {
+                failure = error;
+            }
+        }
+
+        this.api.log(`Mailchimp API Preview segment ${segmentId} could not be deleted:`, failure, 'warn');
+        return false;
+    }
+}
+
+SegmentBuilder.BLANK_OPS = ['blank', 'blank_not'];
+
+// Operators per merge field type, merge fields of other types compare as text
+SegmentBuilder.MERGE_TYPES = {
+    text: { type: 'TextMerge', ops: ['is', 'not', 'contains', 'notcontain', 'starts', 'ends', 'greater', 'less', 'blank', 'blank_not'] },
+    number: { type: 'TextMerge', ops: ['is', 'not', 'greater', 'less', 'blank', 'blank_not'] },
+    dropdown: { type: 'SelectMerge', ops: ['is', 'not', 'contains', 'notcontain', 'blank', 'blank_not'] },
+    radio: { type: 'SelectMerge', ops: ['is', 'not', 'contains', 'notcontain', 'blank', 'blank_not'] },
+    date: { type: 'DateMerge', ops: ['is', 'not', 'greater', 'less', 'blank', 'blank_not'] },
+    birthday: { type: 'BirthdayMerge', ops: ['is', 'not', 'blank', 'blank_not'] },
+    address: { type: 'AddressMerge', ops: ['contains', 'notcontain', 'blank', 'blank_not'] },
+    zip: { type: 'ZipMerge', ops: ['is', 'not', 'blank', 'blank_not'] }
+};
+
+SegmentBuilder.ALL_MERGE_OPS = Array.from(new Set(Object.values(SegmentBuilder.MERGE_TYPES).flatMap(type => type.ops)));
+
+// Builder operators mapped to Mailchimp's, per field
+SegmentBuilder.FIELDS = {
+    merge: { merge: true },
+    email: {
+        type: 'EmailAddress',
+        field: 'EMAIL',
+        ops: { is: 'is', not: 'not', contains: 'contains', notcontain: 'notcontain', starts: 'starts', ends: 'ends' }
+    },
+    tag: {
+        type: 'StaticSegment',
+        field: 'static_segment',
+        ops: { is: 'static_is', contains: 'static_is', not: 'static_not', notcontain: 'static_not' }
+    },
+    interest: {
+        type: 'Interests',
+        ops: { contains: 'interestcontains', containsall: 'interestcontainsall', notcontain: 'interestnotcontains' }
+    },
+    rating: { type: 'MemberRating', field: 'rating', ops: { is: 'is', not: 'not', greater: 'greater', less: 'less' } },
+    language: { type: 'Language', field: 'language', ops: { is: 'is', not: 'not' } },
+    date_added: { type: 'Date', field: 'timestamp_opt', ops: { is: 'is', not: 'not', greater: 'greater', less: 'less' } }
+};
+
+/**
+ * Declarative signup form
+ *
+ * Enhances <form data-mailchimp-signup> with email validation, a status
+ * check and the subscribe and resubscribe flows. The form is configured with
+ * data attributes:
+ * - data-list-id: audience to subscribe to
+ * - data-tags: comma separated tags for new subscribers
+ * - data-double-optin: new subscribers must confirm by email
+ * - data-poll-confirmation: switch to the confirmed state once they do
+ * - data-signup-url: where previously unsubscribed visitors can resubscribe
+ * - data-csrf-name: name of the CSRF input (default CRAFT_CSRF_TOKEN)
+ * - data-form-id: form name for consent records (default: the form id)
+ * - data-blocked-domains, data-allowed-domains: comma separated domain
+ *   patterns for the email validator
+ * - data-locale: locale for messages and the member language (default:
+ *   <html lang>)
+ *
+ * Inputs are mapped by name: the email input, interests checkboxes
+ * (name="interests" with the interest ID as value), consent checkboxes
+ * (name="marketing_permissions" with a permission ID or channel as value)
+ * and merge fields for everything else, with ADDRESS[city] style names for
+ * address parts. Empty [data-mailchimp-permissions] elements are filled
+ * with a consent checkbox per marketing permission of the list.
+ * [data-mailchimp-text], [data-mailchimp-placeholder] and
+ * [data-mailchimp-label] elements get their text from the message
+ * catalogue, see MailchimpAPI#localize(). The
+ * current state is written to data-mailchimp-state and elements with
+ * data-mailchimp-show="state ..." are only visible in those states.
+ *
+ * Events: mailchimp:subscribed, mailchimp:confirmed, mailchimp:consent and
+ * mailchimp:error, dispatched on the form.
+ */
+class SignupForm {
+    constructor(form, options = {}) {
+        const data = form.dataset;
+
+        this.form = form;
+        this.tags = SignupForm.parseList(data.tags);
+        this.doubleOptin = data.doubleOptin !== undefined && data.doubleOptin !== 'false';
+        this.pollConfirmation = data.pollConfirmation !== undefined && data.pollConfirmation !== 'false';
+        this.signupUrl = data.signupUrl || options.signupUrl || '';
+        this.csrfName = data.csrfName || options.csrfTokenName || 'CRAFT_CSRF_TOKEN';
+        this.formId = data.formId || form.id || null;
+        this.api = options.api || new MailchimpAPI({
+            ...options,
+            emailValidation: SignupForm.getEmailValidation(data, options.emailValidation),
+            listId: data.listId || options.listId,
+            locale: data.locale || options.locale,
+            csrfTokenName: this.csrfName,
+            csrfTokenValue: SignupForm.findInput(form, this.csrfName)?.value || options.csrfTokenValue,
+            // Failures are reported through the form state and events
+            onError: options.onError || (() => {})
+        });
+        this.state = null;
+        this.email = '';
+        this.fields = { mergeFields: {}, interests: {}, consent: {} };
+        this.polling = null;
+        this.suggestion = null;
+
+        this.handleSubmit = event => {
+            event.preventDefault();
+            this.submit();
+        };
+        this.handleReset = () => this.reset();
+        this.handleSuggestion = () => this.acceptSuggestion();
+        this.handleResubscribe = event => {
+            // Links go to the signup URL, buttons resubscribe in place
+            if (event.currentTarget.tagName !== 'A') {
+                this.subscribe('pending');
+            }
+        };
+
+        form.addEventListener('submit', this.handleSubmit);
+        this.query('[data-mailchimp-reset]').forEach(element => element.addEventListener('click', this.handleReset));
+        this.query('[data-mailchimp-resubscribe]').forEach(element => element.addEventListener('click', this.handleResubscribe));
+        this.query('[data-mailchimp-suggestion]').forEach(element => element.addEventListener('click', this.handleSuggestion));
+
+        form.mailchimpSignup = this;
+        this.api.localize(form);
+        this.setState('idle');
+        this.renderPermissions();
+    }
+
+    /**
+     * Enhance every signup form below root that is not enhanced yet
+     */
+    static init(root = document, options = {}) {
+        return Array.from(root.querySelectorAll('form[data-mailchimp-signup]'))
+            .map(form => form.mailchimpSignup || new SignupForm(form, options));
+    }
+
+    /**
+     * Add the domain lists of the form to the email validation options
+     */
+    static getEmailValidation(data, emailValidation = {}) {
+        if (emailValidation instanceof EmailValidator || (!data.blockedDomains && !data.allowedDomains)) {
+            return emailValidation;
+        }
+
+        return {
+            ...emailValidation,
+            blockedDomains: [...(emailValidation.blockedDomains || []), ...SignupForm.parseList(data.blockedDomains)],
+            allowedDomains: [...(emailValidation.allowedDomains || []), ...SignupForm.parseList(data.allowedDomains)]
+        };
+    }
+
+    /**
+     * Split a comma separated attribute value
+     */
+    static parseList(value) {
+        return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+    }
+
+    /**
+     * Find a form control by name
+     */
+    static findInput(form, name) {
+        return Array.from(form.elements).find(element => element.name === name) || null;
+    }
+
+    /**
+     * Name of the email input, used for its field error
+     */
+    static findEmailName(form) {
+        const input = Array.from(form.elements).find(element => element.type === 'email' || element.name === 'email');
+        return input ? input.name : 'email';
+    }
+
+    /**
+     * Find elements inside the form
+     */
+    query(selector) {
+        return Array.from(this.form.querySelectorAll(selector));
+    }
+
+    /**
+     * Add a consent checkbox per marketing permission to empty permission containers
+     */
+    async renderPermissions() {
+        const containers = this.query('[data-mailchimp-permissions]')
+            .filter(container => container.querySelectorAll('input').length === 0);
+
+        if (containers.length === 0 || typeof document === 'undefined') {
+            return;
+        }
+
+        let permissions;
+
+        try {
+            permissions = await this.api.getMarketingPermissions();
+        } catch (error) {
+            return;
+        }
+
+        for (const container of containers) {
+            for (const permission of permissions) {
+                const label = document.createElement('label');
+                const input = document.createElement('input');
+
+                input.type = 'checkbox';
+                input.name = 'marketing_permissions';
+                input.value = permission.id;
+                label.dataset.mailchimpConsentText = '';
+                label.append(input, ` ${permission.text}`);
+                container.append(label);
+            }
+        }
+    }
+
+    /**
+     * Read the email address, merge fields, interests and consent from the form
+     */
+    collect() {
+        const result = { email: '', mergeFields: {}, interests: {}, consent: {} };
+        let emailFound = false;
+
+        for (const element of Array.from(this.form.elements)) {
+            const name = element.name;
+            const type = element.type;
+
+            if (!name || element.disabled || name === this.csrfName || ['submit', 'button', 'reset', 'file'].includes(type)) {
+                continue;
+            }
+
+            if (!emailFound && (type === 'email' || name === 'email')) {
+                result.email = String(element.value || '').trim();
+                emailFound = true;
+                continue;
+            }
+
+            if (name === 'interests' || name === 'interests[]') {
+                result.interests[element.value] = Boolean(element.checked);
+                continue;
+            }
+
+            if (name === 'marketing_permissions' || name === 'marketing_permissions[]') {
+                result.consent[element.value] = Boolean(element.checked);
+                continue;
+            }
+
+            if ((type === 'checkbox' || type === 'radio') && !element.checked) {
+                continue;
+            }
+
+            // Blank inputs must not clear what Mailchimp already knows
+            const value = String(element.value ?? '').trim();
+            if (value === '') {
+                continue;
+            }
+
+            const part = name.match(/^([^[\]]+)\[([^[\]]+)\]$/);
+
+            if (part) {
+                result.mergeFields[part[1]] = { ...result.mergeFields[part[1]], [part[2]]: value };
+            } else {
+                result.mergeFields[name] = value;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Validate the form and start the signup flow
+     */
+    async submit() {
+        if (this.state === 'loading') {
+            return;
+        }
+
+        if (this.polling) {
+            this.polling.abort();
+        }
+
+        const { email, mergeFields, interests, consent } = this.collect();
+        this.clearErrors();
+        this.setState('loading');
+
+        const validation = await this.api.validateEmailAsync(email);
+        this.showSuggestion(validation.suggestion);
+
+        if (!validation.valid) {
+            const field = SignupForm.findEmailName(this.form);
+            this.fail(new ValidationError(validation.error, {
+                errors: validation.errors.map(error => ({ ...error, field: field }))
+            }), 'invalid');
+            return;
+        }
+
+        this.email = email;
+        this.fields = { mergeFields: mergeFields, interests: interests, consent: consent };
+
+        let status = null;
+
+        try {
+            status = await this.api.getSubscriptionStatus(email);
+        } catch (error) {
+            // Offline: subscribe anyway so the offline queue can keep the write
+            if (!(error instanceof NetworkError)) {
+                this.fail(error);
+                return;
+            }
+        }
+
+        if (!status || !status.found || status.status === 'archived') {
+            await this.subscribe();
+        } else if (status.subscribed) {
+            this.setState('already-subscribed');
+        } else if (status.pending) {
+            await this.resendConfirmation();
+        } else if (status.unsubscribed) {
+            await this.showUnsubscribed();
+        } else {
+            this.fail(new MailchimpError(this.api.t('error.status', { status: status.status })));
+        }
+    }
+
+    /**
+     * Subscribe the submitted email address
+     *
+     * Previously unsubscribed members are resubscribed as pending, Mailchimp
+     * only lets them back in after they confirm by email.
+     */
+    async subscribe(status = this.doubleOptin ? 'pending' : 'subscribed') {
+        const data = { status: status };
+        const { mergeFields, interests } = this.fields;
+
+        if (Object.keys(mergeFields).length > 0) {
+            data.merge_fields = mergeFields;
+        }
+
+        if (Object.keys(interests).length > 0) {
+            data.interests = interests;
+        }
+
+        this.setState('loading');
+
+        try {
+            const response = await this.api.addOrUpdateMember(this.email, data, {
+                partial: false,
+                ...this.getConsentOptions()
+            });
+
+            if (!response.success && !response.queued) {
+                this.fail(MailchimpError.fromResponse(response));
+                return;
+            }
+
+            if (this.tags.length > 0) {
+                await this.addTags();
+            }
+
+            if (response.queued) {
+                this.waitForReplay(response.queueId, status);
+                this.setState('queued');
+                return;
+            }
+
+            this.subscribed(status, response);
+        } catch (error) {
+            this.fail(error, error instanceof ValidationError ? 'invalid' : 'error');
+        }
+    }
+
+    /**
+     * Tag the new member
+     *
+     * A failed tag update does not undo the subscription, it is logged and
+     * reported with mailchimp:tags-failed.
+     */
+    async addTags() {
+        let error = null;
+
+        try {
+            const response = await this.api.addTags(this.email, this.tags);
+
+            if (!response.success && !response.queued) {
+                error = MailchimpError.fromResponse(response);
+            }
+        } catch (caught) {
+            error = caught;
+        }
+
+        if (error) {
+            this.api.log('Mailchimp API Tagging the new subscriber failed:', error, 'warn');
+            this.dispatch('mailchimp:tags-failed', { email: this.email, tags: this.tags, error: error });
+        }
+    }
+
+    /**
+     * Member write options that send the consent given in the form
+     */
+    getConsentOptions() {
+        const consent = this.fields.consent;
+
+        if (Object.keys(consent).length === 0) {
+            return {};
+        }
+
+        const wording = this.query('[data-mailchimp-consent-text]')
+            .map(element => String(element.textContent).trim())
+            .filter(Boolean)
+            .join('\n');
+
+        return {
+            consent: consent,
+            formId: this.formId,
+            consentWording: wording || undefined,
+            onConsent: record => {
+                if (this.api.onConsent) {
+                    this.api.onConsent(record);
+                }
+
+                this.dispatch('mailchimp:consent', { email: record.email, record: record });
+            }
+        };
+    }
+
+    /**
+     * Send pending members their confirmation email again
+     */
+    async resendConfirmation() {
+        if (!this.doubleOptin) {
+            this.setState('pending');
+            return;
+        }
+
+        try {
+            const response = await this.api.resendConfirmation(this.email);
+
+            if (!response.success && !response.queued) {
+                this.fail(MailchimpError.fromResponse(response));
+                return;
+            }
+
+            this.setState('pending');
+            this.waitForConfirmation();
+        } catch (error) {
+            this.fail(error);
+        }
+    }
+
+    /**
+     * Poll until a pending member confirms, when data-poll-confirmation is set
+     */
+    async waitForConfirmation() {
+        if (!this.pollConfirmation) {
+            return;
+        }
+
+        if (this.polling) {
+            this.polling.abort();
+        }
+
+        const controller = new AbortController();
+        const email = this.email;
+        this.polling = controller;
+
+        try {
+            const result = await this.api.waitForConfirmation(email, { signal: controller.signal });
+
+            if (result.confirmed && this.state === 'pending' && this.email === email) {
+                this.setState('confirmed');
+                this.dispatch('mailchimp:confirmed', { email: email, attempts: result.attempts });
+            }
+        } catch (error) {
+            // Stopped by reset() or a new submission
+        } finally {
+            if (this.polling === controller) {
+                this.polling = null;
+            }
+        }
+    }
+
+    /**
+     * Finish a queued subscription once the offline queue has sent it
+     */
+    waitForReplay(queueId, status) {
+        const queue = this.api.offlineQueue;
+        const email = this.email;
+
+        const onReplayed = ({ entry, result }) => {
+            if (entry.id === queueId) {
+                queue.off('replayed', onReplayed);
+
+                if (this.state === 'queued' && this.email === email) {
+                    this.subscribed(status, result);
+                }
+            }
+        };
+
+        queue.on('replayed', onReplayed);
+    }
+
+    /**
+     * Show the subscribed state and tell listeners about it
+     */
+    subscribed(status, response) {
+        this.setState(status === 'pending' ? 'pending' : 'subscribed');
+        this.dispatch('mailchimp:subscribed', {
+            email: this.email,
+            status: status,
+            tags: this.tags,
+            response: response
+        });
+
+        if (status === 'pending') {
+            this.waitForConfirmation();
+        }
+    }
+
+    /**
+     * Offer previously unsubscribed visitors a way back in
+     */
+    async showUnsubscribed() {
+        let url = this.signupUrl;
+
+        if (!url && this.query('a[data-mailchimp-resubscribe]').length > 0) {
+            try {
+                url = await this.api.getListSignupUrl() || '';
+            } catch (error) {
+                url = '';
+            }
+        }
+
+        this.query('a[data-mailchimp-resubscribe]').forEach(link => {
+            link.href = url;
+        });
+
+        this.setState('unsubscribed');
+    }
+
+    /**
+     * Show an error, with field-level messages when the error has them
+     */
+    fail(error, state = 'error') {
+        const errors = error.errors || [];
+
+        for (const fieldError of errors) {
+            this.showFieldError(fieldError.field, fieldError.message);
+        }
+
+        this.setState(state, error.detail || error.message || this.api.t('error.generic'));
+        this.dispatch('mailchimp:error', {
+            email: this.email,
+            error: error,
+            errors: errors
+        });
+    }
+
+    /**
+     * Offer a corrected address in [data-mailchimp-suggestion] elements
+     */
+    showSuggestion(suggestion) {
+        this.suggestion = suggestion || null;
+
+        this.query('[data-mailchimp-suggestion]').forEach(element => {
+            element.textContent = suggestion ? this.api.emailValidator.issue('typo', 'warning', { suggestion: suggestion }).message : '';
+            element.hidden = !suggestion;
+        });
+    }
+
+    /**
+     * Replace the email address with the suggested correction
+     */
+    acceptSuggestion() {
+        const input = SignupForm.findInput(this.form, SignupForm.findEmailName(this.form));
+
+        if (input && this.suggestion) {
+            input.value = this.suggestion;
+        }
+
+        this.showSuggestion(null);
+    }
+
+    /**
+     * Mark an input as invalid and fill its error element
+     */
+    showFieldError(field, message) {
+        const input = SignupForm.findInput(this.form, field);
+
+        if (input) {
+            input.setAttribute('aria-invalid', 'true');
+        }
+
+        this.query('[data-mailchimp-error-for]')
+            .filter(element => element.dataset.mailchimpErrorFor === field)
+            .forEach(element => {
+                element.textContent = message;
+                element.hidden = false;
+            });
+    }
+
+    /**
+     * Remove all field errors
+     */
+    clearErrors() {
+        for (const element of Array.from(this.form.elements)) {
+            if (element.removeAttribute) {
+                element.removeAttribute('aria-invalid');
+            }
+        }
+
+        this.query('[data-mailchimp-error-for]').forEach(element => {
+            element.textContent = '';
+            element.hidden = true;
+        });
+    }
+
+    /**
+     * Switch the form to a state and show the matching elements
+     *
+     * States: idle, loading, invalid, error, subscribed, pending, confirmed,
+     * already-subscribed, unsubscribed and queued.
+     */
+    setState(state, message = '') {
+        this.state = state;
+        this.form.dataset.mailchimpState = state;
+        this.form.setAttribute('aria-busy', state === 'loading' ? 'true' : 'false');
+
+        this.query('[data-mailchimp-show]').forEach(element => {
+            element.hidden = !element.dataset.mailchimpShow.split(/\s+/).includes(state);
+        });
+
+        this.query('[data-mailchimp-message]').forEach(element => {
+            element.textContent = message;
+        });
+
+        this.query('button[type="submit"], input[type="submit"]').forEach(button => {
+            button.disabled = state === 'loading';
+        });
+    }
+
+    /**
+     * Go back to the empty form
+     */
+    reset() {
+        if (this.polling) {
+            this.polling.abort();
+        }
+
+        this.clearErrors();
+        this.setState('idle');
+    }
+
+    /**
+     * Dispatch a bubbling CustomEvent on the form
+     */
+    dispatch(name, detail) {
+        this.form.dispatchEvent(new CustomEvent(name, {
+            bubbles: true,
+            detail: { form: this.form, ...detail }
+        }));
+    }
+
+    /**
+     * Stop enhancing the form
+     */
+    destroy() {
+        if (this.polling) {
+            this.polling.abort();
+        }
+
+        this.form.removeEventListener('submit', this.handleSubmit);
+        this.query('[data-mailchimp-reset]').forEach(element => element.removeEventListener('click', this.handleReset));
+        this.query('[data-mailchimp-resubscribe]').forEach(element => element.removeEventListener('click', this.handleResubscribe));
+        this.query('[data-mailchimp-suggestion]').forEach(element => element.removeEventListener('click', this.handleSuggestion));
+        delete this.form.mailchimpSignup;
+    }
+}
+
+/**
+ * Preference centre for an existing member, enhancing forms marked with
+ * data-mailchimp-preferences
+ *
+ * The member is loaded into the form and changes are tracked against what
+ * Mailchimp has. Saving sends one PATCH with only the changed fields. The
+ * form shows the new values as saved straight away and rolls them back if
+ * Mailchimp rejects them. The form is configured with data attributes:
+ * - data-email: address of the member to edit
+ * - data-list-id, data-csrf-name, data-locale: as for SignupForm
+ * - data-pause-tag: tag that marks paused members (default "Paused")
+ *
+ * Inputs are mapped by name: email_address, email_type (html or text),
+ * subscription (subscribed, paused or unsubscribed), interests checkboxes
+ * or radios with the interest ID as value, and merge fields for everything
+ * else, with ADDRESS[city] style names for address parts. Empty
+ * [data-mailchimp-interests] elements are filled with the interest groups
+ * of the list. Mailchimp has no paused status: paused members stay
+ * subscribed and get the pause tag, which campaigns should exclude.
+ *
+ * States: loading, ready, dirty, saved, queued, invalid, error and
+ * not-found, shown with data-mailchimp-show as for SignupForm.
+ * Events: mailchimp:loaded, mailchimp:saved and mailchimp:error.
+ */
+class PreferenceCenter {
+    constructor(form, options = {}) {
+        const data = form.dataset;
+
+        this.form = form;
+        this.email = data.email || options.email || '';
+        this.pauseTag = data.pauseTag || options.pauseTag || 'Paused';
+        this.csrfName = data.csrfName || options.csrfTokenName || 'CRAFT_CSRF_TOKEN';
+        this.api = options.api || new MailchimpAPI({
+            ...options,
+            listId: data.listId || options.listId,
+            locale: data.locale || options.locale,
+            csrfTokenName: this.csrfName,
+            csrfTokenValue: SignupForm.findInput(form, this.csrfName)?.value || options.csrfTokenValue,
+            // Failures are reported through the form state and events
+            onError: options.onError || (() => {})
+        });
+        this.state = null;
+        this.original = null;
+        this.saving = Promise.resolve();
+
+        this.handleSubmit = event => {
+            event.preventDefault();
+            this.save();
+        };
+        this.handleChange = () => this.updateDirty();
+
+        form.addEventListener('submit', this.handleSubmit);
+        form.addEventListener('input', this.handleChange);
+        form.addEventListener('change', this.handleChange);
+
+        form.mailchimpPreferences = this;
+        this.api.localize(form);
+        this.loaded = this.load();
+    }
+
+    /**
+     * Enhance every preference form below root that is not enhanced yet
+     */
+    static init(root = document, options = {}) {
+        return Array.from(root.querySelectorAll('form[data-mailchimp-preferences]'))
+            .map(form => form.mailchimpPreferences || new PreferenceCenter(form, options));
+    }
+
+    /**
+     * Form values for a member as Mailchimp returns it
+     */
+    static fromMember(member, pauseTag) {
+        const paused = (member.tags || []).some(tag => tag.name === pauseTag);
+
+        return {
+            email_address: member.email_address,
+            email_type: member.email_type || 'html',
+            subscription: member.status === 'subscribed' && paused ? 'paused' : member.status,
+            merge_fields: { ...member.merge_fields },
+            interests: { ...member.interests }
+        };
+    }
+
+    /**
+     * Compare form values, treating numbers and their text as equal
+     */
+    static isEqual(a, b) {
+        if (a && b && typeof a === 'object' && typeof b === 'object') {
+            const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+            return Array.from(keys).every(key => PreferenceCenter.isEqual(a[key], b[key]));
+        }
+
+        return String(a ?? '') === String(b ?? '');
+    }
+
+    /**
+     * Find elements inside the form
+     */
+    query(selector) {
+        return Array.from(this.form.querySelectorAll(selector));
+    }
+
+    /**
+     * Form controls that hold member values
+     */
+    getControls() {
+        return Array.from(this.form.elements).filter(element => element.name
+            && element.name !== this.csrfName
+            && !['submit', 'button', 'reset', 'file'].includes(element.type));
+    }
+
+    /**
+     * Merge tag for an input name, following the merge field mappings
+     */
+    getMergeTag(name) {
+        return String(this.api.mergeFieldMappings[name] || name).toUpperCase();
+    }
+
+    /**
+     * Load the member and fill the form
+     */
+    async load() {
+        this.setState('loading');
+
+        let response;
+
+        try {
+            response = await this.api.checkSubscription(this.email, { cache: false, throwOnError: false });
+        } catch (error) {
+            this.fail(error, 'error', this.api.t('error.load'));
+            return;
+        }
+
+        if (!response.success) {
+            if (response.code === 404) {
+                this.setState('not-found');
+            } else {
+                this.fail(MailchimpError.fromResponse(response), 'error', this.api.t('error.load'));
+            }
+            return;
+        }
+
+        await this.renderInterests();
+
+        this.original = PreferenceCenter.fromMember(response.data, this.pauseTag);
+        this.fill(this.original);
+        this.setState('ready');
+        this.dispatch('mailchimp:loaded', { email: this.email, member: response.data });
+    }
+
+    /**
+     * Add the interest groups of the list to empty interest containers
+     *
+     * Checkbox categories get checkboxes, radio and dropdown categories get
+     * radios named interests[category ID]. Hidden categories are left out.
+     */
+    async renderInterests() {
+        const containers = this.query('[data-mailchimp-interests]')
+            .filter(container => container.querySelectorAll('input').length === 0);
+
+        if (containers.length === 0 || typeof document === 'undefined') {
+            return;
+        }
+
+        let groups;
+
+        try {
+            groups = await this.api.getInterestGroups();
+        } catch (error) {
+            return;
+        }
+
+        for (const container of containers) {
+            for (const group of groups.filter(item => item.type !== 'hidden')) {
+                const fieldset = document.createElement('fieldset');
+                const legend = document.createElement('legend');
+                const single = group.type === 'radio' || group.type === 'dropdown';
+
+                legend.textContent = group.title;
+                fieldset.append(legend);
+
+                for (const interest of group.interests) {
+                    const label = document.createElement('label');
+                    const input = document.createElement('input');
+
+                    input.type = single ? 'radio' : 'checkbox';
+                    input.name = single ? `interests[${group.id}]` : 'interests';
+                    input.value = interest.id;
+                    label.append(input, ` ${interest.name}`);
+                    fieldset.append(label);
+                }
+
+                container.append(fieldset);
+            }
+        }
+    }
+
+    /**
+     * Read the form into member values
+     *
+     * Fields without an input keep the loaded value, so they never count
+     * as changed. Blank inputs clear their merge field.
+     */
+    collect() {
+        const values = JSON.parse(JSON.stringify(this.original || PreferenceCenter.fromMember({}, this.pauseTag)));
+
+        for (const element of this.getControls()) {
+            const name = element.name;
+            const type = element.type;
+
+            if (name === 'interests' || name === 'interests[]' || name.startsWith('interests[')) {
+                values.interests[element.value] = Boolean(element.checked);
+                continue;
+            }
+
+            if ((type === 'checkbox' || type === 'radio') && !element.checked) {
+                continue;
+            }
+
+            const value = String(element.value ?? '').trim();
+
+            if (name === 'email_address' || type === 'email') {
+                values.email_address = value;
+                continue;
+            }
+
+            if (name === 'email_type' || name === 'subscription') {
+                values[name] = value;
+                continue;
+            }
+
+            const part = name.match(/^([^[\]]+)\[([^[\]]+)\]$/);
+
+            if (part) {
+                const tag = this.getMergeTag(part[1]);
+                const current = values.merge_fields[tag];
+                values.merge_fields[tag] = { ...(current && typeof current === 'object' ? current : {}), [part[2]]: value };
+            } else {
+                values.merge_fields[this.getMergeTag(name)] = value;
+            }
+        }
+
+        return values;
+    }
+
+    /**
+     * Write member values to the form
+     */
+    fill(values) {
+        for (const element of this.getControls()) {
+            const name = element.name;
+            const part = name.match(/^([^[\]]+)\[([^[\]]+)\]$/);
+            let value;
+
+            if (name === 'interests' || name === 'interests[]' || name.startsWith('interests[')) {
+                element.checked = Boolean(values.interests[element.value]);
+                continue;
+            }
+
+            if (name === 'email_address' || element.type === 'email') {
+                value = values.email_address;
+            } else if (name === 'email_type' || name === 'subscription') {
+                value = values[name];
+            } else if (part) {
+                value = (values.merge_fields[this.getMergeTag(part[1])] || {})[part[2]];
+            } else {
+                value = values.merge_fields[this.getMergeTag(name)];
+            }
+
+            if (element.type === 'checkbox' || element.type === 'radio') {
+                element.checked = String(value ?? '') === element.value;
+            } else {
+                element.value = value ?? '';
+            }
+        }
+    }
+
+    /**
+     * Fields that differ from what Mailchimp has
+     *
+     * Returns { email_address, email_type, subscription, merge_fields,
+     * interests } with only the changed entries.
+     */
+    getChanges(values = this.collect()) {
+        const changes = {};
+        const original = this.original;
+
+        if (!original) {
+            return changes;
+        }
+
+        if (String(values.email_address).toLowerCase() !== String(original.email_address).toLowerCase()) {
+            changes.email_address = values.email_address;
+        }
+
+        for (const field of ['email_type', 'subscription']) {
+            if (!PreferenceCenter.isEqual(values[field], original[field])) {
+                changes[field] = values[field];
+            }
+        }
+
+        for (const [tag, value] of Object.entries(values.merge_fields)) {
+            if (!PreferenceCenter.isEqual(value, original.merge_fields[tag])) {
+                changes.merge_fields = { ...changes.merge_fields, [tag]: value };
+            }
+        }
+
+        for (const [id, enabled] of Object.entries(values.interests)) {
+            if (enabled !== Boolean(original.interests[id])) {
+                changes.interests = { ...changes.interests, [id]: enabled };
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     * Whether the form has unsaved changes
+     */
+    isDirty() {
+        return Object.keys(this.getChanges()).length > 0;
+    }
+
+    /**
+     * Switch between ready and dirty as the visitor edits the form
+     */
+    updateDirty() {
+        if (!this.original || ['loading', 'not-found'].includes(this.state)) {
+            return;
+        }
+
+        this.setState(this.isDirty() ? 'dirty' : 'ready');
+    }
+
+    /**
+     * Member fields to PATCH for a set of changes
+     *
+     * A changed email address is sent with changeEmail() instead, together
+     * with these fields. Unsubscribed members who subscribe again are set to
+     * pending, Mailchimp only lets them back in after they confirm by email.
+     */
+    toPatch(changes, original) {
+        const patch = {};
+
+        for (const field of ['email_type', 'merge_fields', 'interests']) {
+            if (changes[field] !== undefined) {
+                patch[field] = changes[field];
+            }
+        }
+
+        if (changes.subscription === 'unsubscribed') {
+            patch.status = 'unsubscribed';
+        } else if (changes.subscription && original.subscription === 'unsubscribed') {
+            patch.status = 'pending';
+        }
+
+        return patch;
+    }
+
+    /**
+     * Save the changes
+     *
+     * Saves run one after another. Resolves with { success, changes,
+     * response } or { success: false, changes, error }; nothing is sent
+     * when nothing changed.
+     */
+    save() {
+        this.saving = this.saving.catch(() => null).then(() => this.commit());
+        return this.saving;
+    }
+
+    /**
+     * Send the changes, showing them as saved until Mailchimp says otherwise
+     */
+    async commit() {
+        const values = this.collect();
+        const changes = this.getChanges(values);
+        const previous = this.original;
+
+        if (!previous || Object.keys(changes).length === 0) {
+            return { success: true, changes: changes, response: null };
+        }
+
+        this.clearErrors();
+
+        if (changes.email_address !== undefined) {
+            const validation = this.api.validateEmail(changes.email_address);
+
+            if (!validation.valid) {
+                const error = new ValidationError(validation.error, {
+                    errors: validation.errors.map(item => ({ ...item, field: 'email_address' }))
+                });
+                this.fail(error, 'invalid');
+                return { success: false, changes: changes, error: error };
+            }
+        }
+
+        // Optimistic: the form already shows the new values
+        this.original = values;
+        this.setState('saved');
+        this.form.setAttribute('aria-busy', 'true');
+
+        let response = null;
+        // Values Mailchimp is known to have after each step
+        let saved = previous;
+
+        try {
+            const patch = this.toPatch(changes, previous);
+
+            if (changes.email_address !== undefined) {
+                // Anyone who can see the form could merge into another member's address
+                response = await this.api.changeEmail(previous.email_address, values.email_address, {
+                    onConflict: 'abort',
+                    fields: patch
+                });
+
+                if (response.resolution === 'aborted') {
+                    throw new MemberExistsError(this.api.t('error.email_exists'), { field: 'email_address' });
+                }
+
+                if (!response.success) {
+                    throw MailchimpError.fromResponse(response);
+                }
+            } else if (Object.keys(patch).length > 0) {
+                response = await this.api.updateMember(values.email_address, patch);
+
+                if (!response.success && !response.queued) {
+                    throw MailchimpError.fromResponse(response);
+                }
+            }
+
+            saved = { ...values, subscription: previous.subscription };
+            const paused = values.subscription === 'paused';
+
+            if (changes.subscription && paused !== (previous.subscription === 'paused')) {
+                const tagResponse = paused
+                    ? await this.api.addTags(values.email_address, [this.pauseTag])
+                    : await this.api.removeTags(values.email_address, [this.pauseTag]);
+
+                if (!tagResponse.success && !tagResponse.queued) {
+                    throw MailchimpError.fromResponse(tagResponse);
+                }
+
+                response = response || tagResponse;
+            }
+        } catch (error) {
+            this.email = saved.email_address;
+            this.rollback(saved);
+            this.fail(error, error instanceof ValidationError ? 'invalid' : 'error', this.api.t('error.save'));
+            return { success: false, changes: changes, error: error };
+        } finally {
+            this.form.setAttribute('aria-busy', 'false');
+        }
+
+        this.email = values.email_address;
+        this.setState(response && response.queued ? 'queued' : 'saved');
+        this.dispatch('mailchimp:saved', { email: this.email, changes: changes, response: response });
+
+        return { success: true, changes: changes, response: response };
+    }
+
+    /**
+     * Go back to values Mailchimp is known to have
+     */
+    rollback(values) {
+        this.original = values;
+        this.fill(values);
+    }
+
+    /**
+     * Show an error, with field-level messages when the error has them
+     */
+    fail(error, state = 'error', fallback = this.api.t('error.generic')) {
+        const errors = error.errors || [];
+
+        for (const fieldError of errors) {
+            this.showFieldError(fieldError.field, fieldError.message);
+        }
+
+        this.setState(state, state === 'invalid' ? error.detail || error.message : fallback);
+        this.dispatch('mailchimp:error', {
+            email: this.email,
+            error: error,
+            errors: errors
+        });
+    }
+
+    /**
+     * Mark an input as invalid and fill its error element
+     *
+     * Merge field errors name the merge tag, inputs may use a mapped name.
+     */
+    showFieldError(field, message) {
+        const inputs = this.getControls().filter(element => element.name === field || this.getMergeTag(element.name) === field);
+        const names = new Set([field, ...inputs.map(element => element.name)]);
+
+        inputs.forEach(element => element.setAttribute('aria-invalid', 'true'));
+
+        this.query('[data-mailchimp-error-for]')
+            .filter(element => names.has(element.dataset.mailchimpErrorFor))
+            .forEach(element => {
+                element.textContent = message;
+                element.hidden = false;
+            });
+    }
+
+    /**
+     * Remove all field errors
+     */
+    clearErrors() {
+        this.getControls().forEach(element => element.removeAttribute('aria-invalid'));
+
+        this.query('[data-mailchimp-error-for]').forEach(element => {
+            element.textContent = '';
+            element.hidden = true;
+        });
+    }
+
+    /**
+     * Switch the form to a state and show the matching elements
+     *
+     * States: loading, ready, dirty, saved, queued, invalid, error and
+     * not-found.
+     */
+    setState(state, message = '') {
+        this.state = state;
+        this.form.dataset.mailchimpState = state;
+        this.form.setAttribute('aria-busy', state === 'loading' ? 'true' : 'false');
+
+        this.query('[data-mailchimp-show]').forEach(element => {
+            element.hidden = !element.dataset.mailchimpShow.split(/\s+/).includes(state);
+        });
+
+        this.query('[data-mailchimp-message]').forEach(element => {
+            element.textContent = message;
+        });
+
+        this.query('button[type="submit"], input[type="submit"]').forEach(button => {
+            button.disabled = state === 'loading' || state === 'not-found';
+        });
+    }
+
+    /**
+     * Dispatch a bubbling CustomEvent on the form
+     */
+    dispatch(name, detail) {
+        this.form.dispatchEvent(new CustomEvent(name, {
+            bubbles: true,
+            detail: { form: this.form, ...detail }
+        }));
+    }
+
+    /**
+     * Stop enhancing the form
+     */
+    destroy() {
+        this.form.removeEventListener('submit', this.handleSubmit);
+        this.form.removeEventListener('input', this.handleChange);
+        this.form.removeEventListener('change', this.handleChange);
+        delete this.form.mailchimpPreferences;
+    }
+}
+
+MailchimpAPI.BatchJob = BatchJob;
+MailchimpAPI.ResponseCache = ResponseCache;
+MailchimpAPI.OfflineQueue = OfflineQueue;
+MailchimpAPI.FetchTransport = FetchTransport;
+MailchimpAPI.MockTransport = MockTransport;
+MailchimpAPI.RecordReplayTransport = RecordReplayTransport;
+MailchimpAPI.MergeFieldSchema = MergeFieldSchema;
+MailchimpAPI.EmailValidator = EmailValidator;
+MailchimpAPI.SegmentBuilder = SegmentBuilder;
+MailchimpAPI.SignupForm = SignupForm;
+MailchimpAPI.PreferenceCenter = PreferenceCenter;
+MailchimpAPI.MailchimpError = MailchimpError;
+MailchimpAPI.ValidationError = ValidationError;
+MailchimpAPI.NotFoundError = NotFoundError;
+MailchimpAPI.RateLimitError = RateLimitError;
+MailchimpAPI.TimeoutError = TimeoutError;
+MailchimpAPI.NetworkError = NetworkError;
+MailchimpAPI.MemberExistsError = MemberExistsError;
+
+// Enhance declarative signup and preference forms once the page has loaded,
+// scripts that call SignupForm.init() or PreferenceCenter.init() with their
+// own options first take precedence
+if (typeof document !== 'undefined' && typeof window !== 'undefined') {
+    const initForms = () => {
+        SignupForm.init(document);
+        PreferenceCenter.init(document);
+    };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => setTimeout(initForms, 0));
+    } else {
+        setTimeout(initForms, 0);
     }
 }
 
@@ -0,0 +1,709 @@
+/**
+ * mailchimp command-line tool for audience administration
+ *
+ * Built on MailchimpClient. Configuration comes from MAILCHIMP_API_KEY,
+ * MAILCHIMP_LIST_ID and MAILCHIMP_SERVER_PREFIX, read from the environment
+ * or from .env in the current directory. Results are printed as tables, or
+ * as JSON with --json. The exit code is 0 on success, 1 when a request or
+ * part of a batch fails and 2 for usage and configuration errors.
+ *
+ * Installed as the mailchimp command by bin/mailchimp.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { MailchimpClient, MailchimpAPI, MailchimpError } = require('./client.js');
+
+const USAGE = `Usage: mailchimp <command> [options]
+
+Commands:
+  lists                         Audiences of the account
+  members get <email>           Show a member
+  members subscribe <email>     Subscribe a member, with --merge and --double-optin
+  members unsubscribe <email>   Unsubscribe a member
+  members archive <email>       Archive a member
+  members delete <email>        Permanently delete a member, needs --yes
+  tags add <email> <tag>...     Add tags to a member
+  tags remove <email> <tag>...  Remove tags from a member
+  batch import <csv>            Import members from a CSV file with an email column
+  batch status <id>             Show the progress of a batch
+  segments                      Segments and tags of the audience
+  webhooks list                 Webhooks of the audience
+  webhooks create <url>         Add a webhook, with --events and --sources
+  ping                          Check the API key
+
+Options:
+  --list <id>          Audience ID (default MAILCHIMP_LIST_ID)
+  --json               Print JSON instead of tables
+  --dry-run            Print the changes that would be sent without sending them
+  --merge KEY=VALUE    Merge field for members subscribe, can be repeated
+  --double-optin       Add new members as pending, for members subscribe and batch import
+  --wait               Wait for batch import to finish and report failed rows
+  --interval <sec>     Seconds between batch status checks with --wait (default 5)
+  --events <names>     Webhook events, comma-separated (default subscribe,unsubscribe,profile,cleaned,upemail)
+  --sources <names>    Webhook sources, comma-separated (default user,admin)
+  --yes                Confirm members delete
+  -h, --help           Show this help
+
+Environment:
+  MAILCHIMP_API_KEY        API key (required)
+  MAILCHIMP_LIST_ID        Default audience ID
+  MAILCHIMP_SERVER_PREFIX  Data center, when the API key does not end in one
+  Variables not set are read from .env in the current directory.
+
+Exit codes: 0 success, 1 request failed, 2 usage or configuration error
+`;
+
+const OPTIONS = {
+    list: { type: 'string' },
+    json: { type: 'boolean' },
+    'dry-run': { type: 'boolean' },
+    merge: { type: 'string', multiple: true },
+    'double-optin': { type: 'boolean' },
+    wait: { type: 'boolean' },
+    interval: { type: 'string' },
+    events: { type: 'string' },
+    sources: { type: 'string' },
+    yes: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const WEBHOOK_EVENTS = ['subscribe', 'unsubscribe', 'profile', 'cleaned', 'upemail', 'campaign'];
+const WEBHOOK_SOURCES = ['user', 'admin', 'api'];
+
+/**
+ * Wrong arguments or configuration, reported with exit code 2
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Commands by name: the arguments they take and whether they need an audience
+ *
+ * Handlers resolve with { data, table, notes, failed }: data is printed with
+ * --json, table (an array of rows) otherwise, notes go to stderr and failed
+ * makes the exit code 1.
+ */
+const COMMANDS = {
+    'lists': {
+        args: [],
+        async run(client) {
+            const lists = await client.getAllLists();
+
+            return {
+                data: lists,
+                table: lists.map(list => ({
+                    ID: list.id,
+                    Name: list.name,
+                    Subscribed: list.stats?.member_count,
+                    Unsubscribed: list.stats?.unsubscribe_count,
+                    Created: list.date_created
+                }))
+            };
+        }
+    },
+
+    'members get': {
+        args: ['email'],
+        list: true,
+        async run(client, [email]) {
+            const response = await client.checkSubscription(email);
+            return { data: response.data, table: memberTable(response.data) };
+        }
+    },
+
+    'members subscribe': {
+        args: ['email'],
+        list: true,
+        async run(client, [email], values) {
+            const mergeFields = parseMergeOptions(values.merge || []);
+            const response = await client.subscribeMember(email, mergeFields, {
+                doubleOptin: Boolean(values['double-optin']),
+                validate: Object.keys(mergeFields).length > 0
+            });
+
+            return { data: response.data, table: memberTable(response.data) };
+        }
+    },
+
+    'members unsubscribe': {
+        args: ['email'],
+        list: true,
+        async run(client, [email]) {
+            const response = await client.unsubscribeMember(email);
+            return { data: response.data, table: memberTable(response.data) };
+        }
+    },
+
+    'members archive': {
+        args: ['email'],
+        list: true,
+        async run(client, [email]) {
+            await client.archiveMember(email);
+            return { data: { email_address: email, status: 'archived' }, table: [{ Email: email, Status: 'archived' }] };
+        }
+    },
+
+    'members delete': {
+        args: ['email'],
+        list: true,
+        async run(client, [email], values) {
+            if (!values.yes && !values['dry-run']) {
+                throw new UsageError('members delete removes the member for good and cannot be undone, add --yes to confirm');
+            }
+
+            await client.permanentlyDeleteMember(email);
+            return { data: { email_address: email, status: 'deleted' }, table: [{ Email: email, Status: 'deleted' }] };
+        }
+    },
+
+    'tags add': {
+        args: ['email', 'tags...'],
+        list: true,
+        async run(client, [email, ...tags]) {
+            await client.addTags(email, tags);
+            return tagResult(email, tags, 'active');
+        }
+    },
+
+    'tags remove': {
+        args: ['email', 'tags...'],
+        list: true,
+        async run(client, [email, ...tags]) {
+            await client.removeTags(email, tags);
+            return tagResult(email, tags, 'inactive');
+        }
+    },
+
+    'batch import': {
+        args: ['csv'],
+        list: true,
+        async run(client, [file], values) {
+            return await importMembers(client, file, values);
+        }
+    },
+
+    'batch status': {
+        args: ['id'],
+        async run(client, [id]) {
+            const response = await client.request('GET', `/batches/${encodeURIComponent(id)}`);
+            return { data: response.data, table: batchTable(response.data) };
+        }
+    },
+
+    'segments': {
+        args: [],
+        list: true,
+        async run(client) {
+            const segments = await client.getAllSegments();
+
+            return {
+                data: segments,
+                table: segments.map(segment => ({
+                    ID: segment.id,
+                    Name: segment.name,
+                    Type: segment.type,
+                    Members: segment.member_count,
+                    Updated: segment.updated_at
+                }))
+            };
+        }
+    },
+
+    'webhooks list': {
+        args: [],
+        list: true,
+        async run(client) {
+            const response = await client.request('GET', `/lists/${client.listId}/webhooks`);
+            const webhooks = response.data.webhooks || [];
+
+            return {
+                data: webhooks,
+                table: webhooks.map(webhook => ({
+                    ID: webhook.id,
+                    URL: webhook.url,
+                    Events: enabled(webhook.events),
+                    Sources: enabled(webhook.sources)
+                }))
+            };
+        }
+    },
+
+    'webhooks create': {
+        args: ['url'],
+        list: true,
+        async run(client, [url], values) {
+            const response = await client.request('POST', `/lists/${client.listId}/webhooks`, {
+                url: url,
+                events: parseFlags(values.events, WEBHOOK_EVENTS, 'subscribe,unsubscribe,profile,cleaned,upemail', 'event'),
+                sources: parseFlags(values.sources, WEBHOOK_SOURCES, 'user,admin', 'source')
+            });
+            const webhook = response.data || {};
+
+            return {
+                data: webhook,
+                table: [{ ID: webhook.id, URL: url, Events: enabled(webhook.events), Sources: enabled(webhook.sources) }]
+            };
+        }
+    },
+
+    'ping': {
+        args: [],
+        async run(client) {
+            const response = await client.request('GET', '/ping');
+            return { data: response.data, table: [{ Status: response.data?.health_status }] };
+        }
+    }
+};
+
+/**
+ * Run the tool with command-line arguments, resolves with the exit code
+ *
+ * io replaces process.stdout, process.stderr, process.env and the current
+ * directory for tests, io.client adds MailchimpClient options.
+ */
+async function run(argv, io = {}) {
+    const stdout = io.stdout || process.stdout;
+    const stderr = io.stderr || process.stderr;
+    let values = {};
+
+    try {
+        let positionals;
+
+        try {
+            ({ values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true }));
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+
+        if (values.help) {
+            stdout.write(USAGE);
+            return 0;
+        }
+
+        if (positionals.length === 0) {
+            stderr.write(USAGE);
+            return 2;
+        }
+
+        const [command, args] = findCommand(positionals);
+        const env = { ...readEnvFile(path.join(io.cwd || process.cwd(), '.env')), ...(io.env || process.env) };
+
+        if (!env.MAILCHIMP_API_KEY) {
+            throw new UsageError('MAILCHIMP_API_KEY is not set');
+        }
+
+        const client = new MailchimpClient({
+            env: env,
+            listId: values.list || env.MAILCHIMP_LIST_ID,
+            throwOnError: true,
+            onError: () => {},
+            ...io.client
+        });
+
+        if (command.list && !client.listId) {
+            throw new UsageError('No audience given, set MAILCHIMP_LIST_ID or use --list');
+        }
+
+        const planned = values['dry-run'] ? planWrites(client) : null;
+        const result = await command.run(client, args, values);
+
+        (result.notes || []).forEach(note => stderr.write(`${note}\n`));
+
+        if (planned) {
+            print(stdout, values, planned, planned.map(write => ({
+                Method: write.method,
+                Endpoint: write.endpoint,
+                Body: truncate(JSON.stringify(write.params), 60)
+            })));
+            stderr.write('Dry run, nothing was changed\n');
+        } else {
+            print(stdout, values, result.data, result.table);
+        }
+
+        return result.failed ? 1 : 0;
+
+    } catch (error) {
+        report(error, values, stdout, stderr);
+        return error instanceof UsageError ? 2 : 1;
+    }
+}
+
+/**
+ * Find the command named by the positional arguments and check its arguments
+ */
+function findCommand(positionals) {
+    const name = [`${positionals[0]} ${positionals[1]}`, positionals[0]].find(candidate => COMMANDS[candidate]);
+
+    if (!name) {
+        throw new UsageError(`Unknown command: ${positionals.slice(0, 2).join(' ')}`);
+    }
+
+    const command = COMMANDS[name];
+    const args = positionals.slice(name.split(' ').length);
+    const variadic = command.args.some(arg => arg.endsWith('...'));
+
+    if (args.length < command.args.length || (!variadic && args.length > command.args.length)) {
+        throw new UsageError(`Usage: mailchimp ${name} ${command.args.map(arg => `<${arg}>`).join(' ')}`.trim());
+    }
+
+    return [command, args];
+}
+
+/**
+ * MAILCHIMP_ variables from a .env file, as in examples/.env.example
+ */
+function readEnvFile(file) {
+    let content;
+
+    try {
+        content = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        return {};
+    }
+
+    const env = {};
+
+    for (const line of content.split(/\r?\n/)) {
+        const match = line.match(/^\s*(?:export\s+)?(MAILCHIMP_\w+)\s*=\s*(.*?)\s*$/);
+
+        if (match) {
+            env[match[1]] = match[2].replace(/^(['"])(.*)\1$/, '$2');
+        }
+    }
+
+    return env;
+}
+
+/**
+ * Answer writes with an empty success and keep them, so nothing is changed
+ */
+function planWrites(client) {
+    const planned = [];
+
+    client.use(async (context, next) => {
+        if (String(context.method).toUpperCase() === 'GET') {
+            return next();
+        }
+
+        planned.push({ method: String(context.method).toUpperCase(), endpoint: context.endpoint, params: context.params });
+        return { success: true, data: {}, status: 200 };
+    });
+
+    return planned;
+}
+
+/**
+ * Merge fields from --merge KEY=VALUE options
+ */
+function parseMergeOptions(options) {
+    const mergeFields = {};
+
+    for (const option of options) {
+        const separator = option.indexOf('=');
+
+        if (separator < 1) {
+            throw new UsageError(`--merge takes KEY=VALUE, got ${option}`);
+        }
+
+        mergeFields[option.slice(0, separator)] = option.slice(separator + 1);
+    }
+
+    return mergeFields;
+}
+
+/**
+ * Mailchimp's { name: true/false } object from a comma-separated list of names
+ */
+function parseFlags(value, names, defaults, label) {
+    const selected = String(value ?? defaults).split(',').map(name => name.trim()).filter(Boolean);
+    const unknown = selected.filter(name => !names.includes(name));
+
+    if (unknown.length > 0) {
+        throw new UsageError(`Unknown webhook ${label}: ${unknown.join(', ')} (use ${names.join(', ')})`);
+    }
+
+    return Object.fromEntries(names.map(name => [name, selected.includes(name)]));
+}
+
+/**
+ * Names set to true in a { name: true/false } object
+ */
+function enabled(flags) {
+    return Object.keys(flags || {}).filter(name => flags[name]).join(',');
+}
+
+/**
+ * Submit the rows of a CSV file as a batch of member upserts
+ *
+ * The email column is called email, email_address or Email Address, other
+ * columns are merge fields by tag or name. Existing members keep their
+ * status. Rows with an invalid address or invalid merge fields are skipped.
+ */
+async function importMembers(client, file, values) {
+    let content;
+
+    try {
+        content = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new UsageError(`Cannot read ${file}: ${error.code || error.message}`);
+    }
+
+    const [header = [], ...rows] = parseCsv(content);
+    const columns = header.map(name => name.trim());
+    const emailColumn = columns.findIndex(name => ['email', 'emailaddress'].includes(name.toLowerCase().replace(/[^a-z]/g, '')));
+
+    if (emailColumn === -1) {
+        throw new UsageError(`${file} has no email column`);
+    }
+
+    const operations = [];
+    const skipped = [];
+    const seen = new Map();
+
+    for (const [index, row] of rows.entries()) {
+        const line = index + 2;
+        const email = String(row[emailColumn] || '').trim();
+
+        if (row.every(value => value.trim() === '')) {
+            continue;
+        }
+
+        if (!MailchimpAPI.EmailValidator.isValidSyntax(email)) {
+            skipped.push({ row: line, email: email, error: 'Invalid email address' });
+            continue;
+        }
+
+        if (seen.has(email.toLowerCase())) {
+            skipped.push({ row: line, email: email, error: `Duplicate of row ${seen.get(email.toLowerCase())}` });
+            continue;
+        }
+
+        seen.set(email.toLowerCase(), line);
+
+        const fields = {};
+        columns.forEach((name, column) => {
+            if (column !== emailColumn && name && String(row[column] ?? '').trim() !== '') {
+                fields[name] = row[column].trim();
+            }
+        });
+
+        let mergeFields = {};
+
+        try {
+            mergeFields = Object.keys(fields).length > 0
+                ? await client.prepareMergeFields(fields, { validate: true, partial: true })
+                : {};
+        } catch (error) {
+            if (!(error instanceof MailchimpError) || error.status) {
+                throw error;
+            }
+
+            skipped.push({ row: line, email: email, error: error.errors.map(item => item.message).join('; ') || error.message });
+            continue;
+        }
+
+        operations.push({
+            method: 'PUT',
+            path: `/lists/${client.listId}/members/${client.subscriberHash(email)}`,
+            operation_id: email,
+            body: JSON.stringify({
+                email_address: email,
+                status_if_new: values['double-optin'] ? 'pending' : 'subscribed',
+                merge_fields: mergeFields
+            })
+        });
+    }
+
+    const notes = skipped.map(item => `Row ${item.row} skipped (${item.email || 'no email'}): ${item.error}`);
+
+    if (operations.length === 0) {
+        throw new MailchimpError(`${file} has no rows to import`, { errors: skipped.map(item => ({ field: `row ${item.row}`, message: item.error })) });
+    }
+
+    const job = await client.submitBatch(operations);
+
+    if (values['dry-run'] || !values.wait) {
+        return {
+            data: { batches: job.ids, operations: operations.length, skipped: skipped },
+            table: job.batches.map(batch => ({ Batch: batch.id, Status: batch.status, Operations: batch.operations.length })),
+            notes: notes,
+            failed: skipped.length > 0
+        };
+    }
+
+    const done = await job.wait({ interval: (Number(values.interval) || 5) * 1000 });
+    const failed = Object.values(done.results).filter(result => !result.success);
+
+    failed.forEach(result => {
+        const error = result.error || {};
+        notes.push(`${result.email} failed: ${[error.title, error.detail].filter(Boolean).join(': ') || `HTTP ${result.status_code}`}`);
+    });
+
+    return {
+        data: { ...done, skipped: skipped },
+        table: [{
+            Batches: job.ids.join(','),
+            Status: done.status,
+            Operations: done.total_operations,
+            Errored: done.errored_operations,
+            Skipped: skipped.length
+        }],
+        notes: notes,
+        failed: failed.length > 0 || skipped.length > 0
+    };
+}
+
+/**
+ * Rows of a CSV document, with quoted fields and "" escapes
+ */
+function parseCsv(content) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const text = content.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * Table rows for a member
+ */
+function memberTable(member) {
+    return [{
+        Email: member.email_address,
+        Status: member.status,
+        Name: member.full_name,
+        Language: member.language,
+        Tags: (member.tags || []).map(tag => tag.name).join(','),
+        'Last changed': member.last_changed,
+        ID: member.id
+    }];
+}
+
+/**
+ * Result of adding or removing tags
+ */
+function tagResult(email, tags, status) {
+    return {
+        data: { email_address: email, tags: tags.map(tag => ({ name: tag, status: status })) },
+        table: tags.map(tag => ({ Email: email, Tag: tag, Status: status }))
+    };
+}
+
+/**
+ * Table rows for a batch
+ */
+function batchTable(batch) {
+    return [{
+        ID: batch.id,
+        Status: batch.status,
+        Operations: batch.total_operations,
+        Finished: batch.finished_operations,
+        Errored: batch.errored_operations,
+        Submitted: batch.submitted_at,
+        Completed: batch.completed_at
+    }];
+}
+
+/**
+ * Print data as JSON with --json, rows as a table otherwise
+ */
+function print(stdout, values, data, rows) {
+    if (values.json) {
+        stdout.write(`${JSON.stringify(data ?? null, null, 2)}\n`);
+        return;
+    }
+
+    stdout.write(formatTable(rows || []));
+}
+
+/**
+ * Align rows of { column: value } objects under their column names
+ */
+function formatTable(rows) {
+    if (rows.length === 0) {
+        return '(none)\n';
+    }
+
+    const columns = Object.keys(rows[0]);
+    const cells = [
+        columns.map(column => column.toUpperCase()),
+        ...rows.map(row => columns.map(column => String(row[column] ?? '')))
+    ];
+    const widths = columns.map((column, index) => Math.max(...cells.map(line => line[index].length)));
+
+    return cells.map(line => line.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd()).join('\n') + '\n';
+}
+
+/**
+ * Shorten text to a number of characters
+ */
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+/**
+ * Print an error, as JSON with --json
+ */
+function report(error, values, stdout, stderr) {
+    const message = error instanceof MailchimpError && error.title && error.detail && error.title !== error.detail
+        ? `${error.title}: ${error.detail}`
+        : error.message;
+    const errors = error.errors || [];
+
+    if (values.json) {
+        stdout.write(`${JSON.stringify({ error: { message: message, status: error.status ?? null, errors: errors } }, null, 2)}\n`);
+        return;
+    }
+
+    stderr.write(`Error: ${message}\n`);
+    errors.forEach(item => stderr.write(`  ${item.field}: ${item.message}\n`));
+
+    if (error instanceof UsageError) {
+        stderr.write('Run mailchimp --help for usage.\n');
+    }
+}
+
+module.exports = { run, parseCsv, readEnvFile, formatTable };
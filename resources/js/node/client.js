@@ -0,0 +1,216 @@
+/**
+ * Mailchimp API client for Node.js
+ *
+ * Shares its methods with the browser MailchimpAPI class, but sends requests
+ * straight to https://{dc}.api.mailchimp.com/3.0/ with the API key instead of
+ * through the Craft proxy. Responses use the proxy's { success, data, status }
+ * and { success: false, error, code } envelopes, so code written against
+ * one works with the other.
+ *
+ * Loaded by index.cjs and index.mjs.
+ *
+ * @author RCG
+ * @version 2.0.0
+ */
+
+const MailchimpAPI = require('../mailchimp.js');
+
+const { FetchTransport, MailchimpError } = MailchimpAPI;
+
+/**
+ * Data center of an API key, as ApiService::_getServerPrefix() finds it
+ *
+ * Keys look like 0123...cdef-us6. Keys without exactly one dash fall back
+ * to the configured prefix, then MAILCHIMP_SERVER_PREFIX, then 'us1'.
+ */
+function getServerPrefix(apiKey, fallback = null, env = process.env) {
+    if (apiKey && String(apiKey).includes('-')) {
+        const parts = String(apiKey).split('-');
+        if (parts.length === 2) {
+            return parts[1];
+        }
+    }
+
+    return fallback || env.MAILCHIMP_SERVER_PREFIX || 'us1';
+}
+
+/**
+ * Transport that calls the Mailchimp API with an API key
+ *
+ * Mirrors ApiService::request(): GET parameters go in the query string,
+ * others in a JSON body, and HTTP errors resolve with the problem detail
+ * Mailchimp returned. Mailchimp allows 10 simultaneous connections per key,
+ * further requests wait for a free one.
+ */
+class ApiKeyTransport {
+    /**
+     * Options:
+     * - apiKey: Mailchimp API key
+     * - serverPrefix: data center when the key does not name one
+     * - baseUrl: API root to use instead of https://{dc}.api.mailchimp.com/3.0/
+     * - connections: simultaneous requests (default 10)
+     * - fetch: fetch implementation (default the global fetch)
+     * - env: environment variables (default process.env)
+     */
+    constructor(options = {}) {
+        this.apiKey = options.apiKey || '';
+        this.serverPrefix = getServerPrefix(this.apiKey, options.serverPrefix, options.env || process.env);
+        this.baseUrl = (options.baseUrl || `https://${this.serverPrefix}.api.mailchimp.com/3.0/`).replace(/\/*$/, '/');
+        this.connections = options.connections || 10;
+        this.fetch = options.fetch || ((url, init) => fetch(url, init));
+        this.active = 0;
+        this.waiting = [];
+    }
+
+    /**
+     * Send a request: { method, endpoint, params, headers, signal }
+     */
+    async send(request) {
+        if (!this.apiKey) {
+            return { success: false, error: 'Mailchimp API key not configured', code: 500 };
+        }
+
+        const method = String(request.method).toUpperCase();
+        const params = request.params || {};
+        const url = new URL(String(request.endpoint).replace(/^\/+/, ''), this.baseUrl);
+        let body;
+
+        if (method === 'GET') {
+            Object.entries(params)
+                .filter(([, value]) => value !== undefined && value !== null)
+                .forEach(([key, value]) => url.searchParams.set(key, Array.isArray(value) ? value.join(',') : value));
+        } else if (Object.keys(params).length > 0) {
+            body = JSON.stringify(params);
+        }
+
+        const response = await this.connect(() => this.fetch(url.href, {
+            method: method,
+            headers: {
+                'Authorization': `Basic ${Buffer.from(`anystring:${this.apiKey}`).toString('base64')}`,
+                'Accept': 'application/json',
+                'Content-Type': 'application/json',
+                ...request.headers
+            },
+            body: body,
+            signal: request.signal
+        }));
+
+        const text = await response.text();
+        let data = null;
+
+        try {
+            data = text ? JSON.parse(text) : null;
+        } catch (error) {
+            data = response.ok ? text : { detail: text };
+        }
+
+        if (response.ok) {
+            return { success: true, data: data, status: response.status };
+        }
+
+        const result = { success: false, error: data, code: response.status };
+        const retryAfter = response.headers?.get('Retry-After');
+
+        if (retryAfter) {
+            result.retryAfter = retryAfter;
+        }
+
+        return result;
+    }
+
+    /**
+     * Download the results archive of a finished batch
+     *
+     * Mirrors ApiService::getBatchArchive(): the batch is looked up first and
+     * its response_body_url downloaded.
+     */
+    async archive(request) {
+        const batch = await this.send({ method: 'GET', endpoint: `/batches/${request.batchId}`, signal: request.signal });
+
+        if (!batch.success) {
+            throw MailchimpError.fromResponse(batch);
+        }
+
+        if (batch.data.status !== 'finished' || !batch.data.response_body_url) {
+            throw MailchimpError.fromResponse({ success: false, error: 'Batch results are not available yet', code: 409 });
+        }
+
+        const response = await this.connect(() => this.fetch(batch.data.response_body_url, { signal: request.signal }));
+
+        if (!response.ok) {
+            const error = FetchTransport.httpError(response);
+            error.status = 502;
+            throw error;
+        }
+
+        return await response.arrayBuffer();
+    }
+
+    /**
+     * Run a request once a connection is free
+     */
+    async connect(fn) {
+        if (this.active >= this.connections) {
+            await new Promise(resolve => this.waiting.push(resolve));
+        }
+
+        this.active++;
+
+        try {
+            return await fn();
+        } finally {
+            this.active--;
+
+            if (this.waiting.length > 0) {
+                this.waiting.shift()();
+            }
+        }
+    }
+}
+
+/**
+ * MailchimpAPI for Node.js, authenticated with an API key
+ *
+ * Takes the MailchimpAPI options plus those of ApiKeyTransport. apiKey,
+ * listId and serverPrefix default to MAILCHIMP_API_KEY, MAILCHIMP_LIST_ID
+ * and MAILCHIMP_SERVER_PREFIX. A transport passed in options is used as-is,
+ * for example a RecordReplayTransport wrapping an ApiKeyTransport.
+ *
+ * There is no proxy, so the proxy's per-minute rate limit does not apply
+ * unless rateLimit is set.
+ */
+class MailchimpClient extends MailchimpAPI {
+    constructor(options = {}) {
+        const env = options.env || process.env;
+        const transport = options.transport || new ApiKeyTransport({
+            ...options,
+            apiKey: options.apiKey || env.MAILCHIMP_API_KEY,
+            env: env
+        });
+
+        super({
+            ...options,
+            listId: options.listId || env.MAILCHIMP_LIST_ID,
+            rateLimit: options.rateLimit || Infinity,
+            transport: transport
+        });
+    }
+}
+
+module.exports = {
+    MailchimpClient,
+    ApiKeyTransport,
+    getServerPrefix,
+    MailchimpAPI,
+    BatchJob: MailchimpAPI.BatchJob,
+    FetchTransport: MailchimpAPI.FetchTransport,
+    MockTransport: MailchimpAPI.MockTransport,
+    RecordReplayTransport: MailchimpAPI.RecordReplayTransport,
+    MailchimpError: MailchimpAPI.MailchimpError,
+    ValidationError: MailchimpAPI.ValidationError,
+    NotFoundError: MailchimpAPI.NotFoundError,
+    RateLimitError: MailchimpAPI.RateLimitError,
+    TimeoutError: MailchimpAPI.TimeoutError,
+    NetworkError: MailchimpAPI.NetworkError,
+    MemberExistsError: MailchimpAPI.MemberExistsError
+};
@@ -0,0 +1,7 @@
+/**
+ * CommonJS entry point of the Node.js client
+ *
+ *   const { MailchimpClient } = require('craft-mailchimp');
+ */
+
+module.exports = require('./client.js');
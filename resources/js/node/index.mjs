@@ -0,0 +1,27 @@
+/**
+ * ES module entry point of the Node.js client
+ *
+ *   import { MailchimpClient } from 'craft-mailchimp';
+ */
+
+import client from './client.js';
+
+export const {
+    MailchimpClient,
+    ApiKeyTransport,
+    getServerPrefix,
+    MailchimpAPI,
+    BatchJob,
+    FetchTransport,
+    MockTransport,
+    RecordReplayTransport,
+    MailchimpError,
+    ValidationError,
+    NotFoundError,
+    RateLimitError,
+    TimeoutError,
+    NetworkError,
+    MemberExistsError
+} = client;
+
+export default MailchimpClient;
@@ -36,26 +36,10 @@ class ApiController extends Controller
         $this->requireAcceptsJson();
 
         $request = Craft::$app->getRequest();
-        $session = Craft::$app->getSession();
 
-        // Rate limiting (30 requests per minute)
-        $rateLimitKey = 'mailchimp_rate_' . $request->getUserIP();
-        $requests = $session->get($rateLimitKey, []);
-        $now = time();
-        
-        // Clean old requests
-        $requests = array_filter($requests, fn($time) => $time > ($now - 60));
-        
-        if (count($requests) >= 30) {
-            return $this->asJson([
-                'success' => false,
-                'error' => 'Rate limit exceeded. Maximum 30 requests per minute.',
-                'code' => 429
-            ]);
+        if ($rateLimitResponse = $this->_checkRateLimit()) {
+            return $rateLimitResponse;
         }
-        
-        $requests[] = $now;
-        $session->set($rateLimitKey, $requests);
 
         // Get request parameters
         $method = $request->getParam('method', 'GET');
@@ -86,4 +70,80 @@ class ApiController extends Controller
 
         return $this->asJson($response);
     }
+
+    /**
+     * Download the results archive of a finished batch operation
+     *
+     * Mailchimp stores batch results as a gzipped tar archive on a host
+     * without CORS headers, so the archive is fetched server-side and
+     * returned as-is. Only the archive of the given batch can be fetched.
+     */
+    public function actionBatchResponse(): Response
+    {
+        $this->requirePostRequest();
+
+        if ($rateLimitResponse = $this->_checkRateLimit()) {
+            return $rateLimitResponse;
+        }
+
+        $batchId = Craft::$app->getRequest()->getParam('batchId');
+
+        if (!$batchId || !preg_match('/^[a-zA-Z0-9]+$/', $batchId)) {
+            return $this->asJson([
+                'success' => false,
+                'error' => 'A valid batch ID is required',
+                'code' => 400
+            ]);
+        }
+
+        $module = MailchimpModule::getInstance();
+        $result = $module->api->getBatchArchive($batchId);
+
+        if (!$result['success']) {
+            return $this->asJson($result);
+        }
+
+        $response = $this->response;
+        $response->format = Response::FORMAT_RAW;
+        $response->getHeaders()->set('Content-Type', 'application/gzip');
+        $response->data = $result['data'];
+
+        return $response;
+    }
+
+    /**
+     * Rate limiting (30 requests per minute)
+     *
+     * Returns the error response when the limit is exceeded, null otherwise.
+     */
+    private function _checkRateLimit(): ?Response
+    {
+        $request = Craft::$app->getRequest();
+        $session = Craft::$app->getSession();
+
+        $rateLimitKey = 'mailchimp_rate_' . $request->getUserIP();
+        $requests = $session->get($rateLimitKey, []);
+        $now = time();
+        
+        // Clean old requests
+        $requests = array_filter($requests, fn($time) => $time > ($now - 60));
+        
+        if (count($requests) >= 30) {
+            // Seconds until the oldest request leaves the window
+            $retryAfter = max(1, min($requests) + 60 - $now);
+            $this->response->getHeaders()->set('Retry-After', (string)$retryAfter);
+
+            return $this->asJson([
+                'success' => false,
+                'error' => 'Rate limit exceeded. Maximum 30 requests per minute.',
+                'code' => 429,
+                'retryAfter' => $retryAfter
+            ]);
+        }
+        
+        $requests[] = $now;
+        $session->set($rateLimitKey, $requests);
+
+        return null;
+    }
 }
\ No newline at end of file
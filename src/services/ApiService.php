@@ -148,6 +148,47 @@ class ApiService extends Component
         return $this->request('DELETE', $endpoint);
     }
 
+    /**
+     * Download the gzipped tar archive with the results of a finished batch
+     *
+     * The archive data is returned as a binary string in `data`.
+     */
+    public function getBatchArchive(string $batchId): array
+    {
+        $batch = $this->get("/batches/{$batchId}");
+
+        if (!$batch['success']) {
+            return $batch;
+        }
+
+        $url = $batch['data']['response_body_url'] ?? null;
+
+        if (($batch['data']['status'] ?? null) !== 'finished' || !$url) {
+            return [
+                'success' => false,
+                'error' => 'Batch results are not available yet',
+                'code' => 409
+            ];
+        }
+
+        try {
+            $response = Craft::createGuzzleClient(['timeout' => 120])->get($url);
+
+            return [
+                'success' => true,
+                'data' => (string)$response->getBody(),
+                'status' => $response->getStatusCode()
+            ];
+
+        } catch (\Exception $e) {
+            return [
+                'success' => false,
+                'error' => $e->getMessage(),
+                'code' => 502
+            ];
+        }
+    }
+
     /**
      * Get the signup URL for a list
      */
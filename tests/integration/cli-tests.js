@@ -0,0 +1,183 @@
+/**
+ * Integration Tests for the mailchimp command-line tool
+ *
+ * Runs the commands against the Mailchimp API of the stand-in server in
+ * fake-server.js.
+ * Run with: node tests/integration/cli-tests.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run } = require('../../resources/js/node/cli.js');
+const { TestRunner, assert } = require('./example-tests');
+const { FakeServer, md5 } = require('./fake-server');
+
+const server = new FakeServer({ lists: [{ id: 'cli', name: 'CLI List' }] });
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mailchimp-cli-'));
+
+/**
+ * Run a command against the stand-in server with captured output
+ */
+async function cli(...argv) {
+    const output = { stdout: '', stderr: '' };
+
+    output.code = await run(argv, {
+        env: { MAILCHIMP_API_KEY: server.apiKey, MAILCHIMP_LIST_ID: 'cli' },
+        cwd: dir,
+        client: { baseUrl: server.apiUrl },
+        stdout: { write: text => (output.stdout += text) },
+        stderr: { write: text => (output.stderr += text) }
+    });
+
+    return output;
+}
+
+/**
+ * Parse the JSON a command printed
+ */
+function json(output) {
+    return JSON.parse(output.stdout);
+}
+
+/**
+ * Write a CSV file to import
+ */
+function csv(name, lines) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, lines.join('\n'));
+    return file;
+}
+
+const runner = new TestRunner('CLI Integration Tests');
+
+runner.test('ping and lists print tables', async () => {
+    server.reset();
+    server.addMember('jane@example.com');
+
+    const ping = await cli('ping');
+    const lists = await cli('lists');
+
+    assert(ping.code === 0 && ping.stdout.includes("Everything's Chimpy!"), 'ping should print the health status');
+    assert(lists.code === 0 && /^ID\s+NAME\s+SUBSCRIBED/.test(lists.stdout), `Unexpected table ${lists.stdout}`);
+    assert(/cli\s+CLI List\s+1/.test(lists.stdout), 'The list and its member count should be shown');
+});
+
+runner.test('Members are subscribed, read, unsubscribed, archived and deleted', async () => {
+    server.reset();
+
+    const subscribed = await cli('members', 'subscribe', 'jane@example.com', '--merge', 'FNAME=Jane', '--merge', 'Last Name=Doe', '--json');
+    const member = await cli('members', 'get', 'jane@example.com');
+    const unsubscribed = await cli('members', 'unsubscribe', 'jane@example.com', '--json');
+    const archived = await cli('members', 'archive', 'jane@example.com');
+    const deleted = await cli('members', 'delete', 'jane@example.com', '--yes');
+
+    assert(subscribed.code === 0 && json(subscribed).merge_fields.LNAME === 'Doe', 'Merge field names should be mapped to tags');
+    assert(member.code === 0 && /jane@example\.com\s+subscribed\s+Jane Doe/.test(member.stdout), `Unexpected member ${member.stdout}`);
+    assert(json(unsubscribed).status === 'unsubscribed', 'The member should be unsubscribed');
+    assert(archived.code === 0 && deleted.code === 0, 'Archive and delete should succeed');
+    assert(server.state.forgotten.has(`cli:${md5('jane@example.com')}`), 'The member should be deleted permanently');
+});
+
+runner.test('Failed requests exit with code 1', async () => {
+    server.reset();
+
+    const missing = await cli('members', 'get', 'nobody@example.com');
+    const invalid = await cli('members', 'subscribe', 'jane@example.com', '--merge', 'NOPE=1', '--json');
+    const wrongKey = await run(['ping'], {
+        env: { MAILCHIMP_API_KEY: 'wrong-us1' },
+        cwd: dir,
+        client: { baseUrl: server.apiUrl },
+        stdout: { write: () => {} },
+        stderr: { write: () => {} }
+    });
+
+    assert(missing.code === 1 && missing.stderr.includes('Resource Not Found'), 'Missing members should fail');
+    assert(invalid.code === 1 && json(invalid).error.errors[0].field === 'NOPE', 'Unknown merge fields should be named');
+    assert(wrongKey === 1, 'Invalid keys should fail');
+});
+
+runner.test('Tags are added and removed', async () => {
+    server.reset();
+    server.addMember('jane@example.com');
+
+    const added = await cli('tags', 'add', 'jane@example.com', 'VIP', 'Buyer');
+    const removed = await cli('tags', 'remove', 'jane@example.com', 'Buyer');
+    const member = await cli('members', 'get', 'jane@example.com', '--json');
+
+    assert(added.code === 0 && removed.code === 0, 'Tag commands should succeed');
+    assert(json(member).tags.map(tag => tag.name).join() === 'VIP', 'Only VIP should be left');
+});
+
+runner.test('Dry runs print the writes without sending them', async () => {
+    server.reset();
+    server.addMember('jane@example.com');
+
+    const output = await cli('members', 'delete', 'jane@example.com', '--dry-run', '--json');
+    const [write] = json(output);
+
+    assert(output.code === 0 && output.stderr.includes('nothing was changed'), 'The dry run should be announced');
+    assert(write.method === 'POST' && write.endpoint.endsWith('/actions/delete-permanent'), 'The delete should be shown');
+    assert(server.state.lists.cli.members[md5('jane@example.com')], 'The member should be kept');
+});
+
+runner.test('CSV files are imported as a batch', async () => {
+    server.reset();
+    server.addMember('jane@example.com', { status: 'unsubscribed' });
+
+    const file = csv('import.csv', [
+        'Email Address,First Name,Last Name',
+        'jane@example.com,Jane,Doe',
+        '"john@example.com","John",',
+        'not-an-email,Nobody,',
+        'JOHN@example.com,Again,'
+    ]);
+
+    const planned = await cli('batch', 'import', file, '--dry-run', '--json');
+    const imported = await cli('batch', 'import', file, '--wait', '--interval', '0.001');
+    const operation = json(planned)[0].params.operations[0];
+
+    assert(planned.code === 1 && JSON.parse(operation.body).merge_fields.FNAME === 'Jane', 'Planned operations should map merge fields');
+    assert(planned.stderr.includes('Row 4 skipped (not-an-email): Invalid email address'), 'Invalid rows should be reported');
+    assert(planned.stderr.includes('Row 5 skipped (JOHN@example.com): Duplicate of row 3'), 'Duplicates should be reported');
+    assert(imported.code === 1 && /\s2\s+0\s+2$/m.test(imported.stdout), `Unexpected summary ${imported.stdout}`);
+    assert(server.state.lists.cli.members[md5('jane@example.com')].status === 'unsubscribed', 'Existing members should keep their status');
+    assert(server.state.lists.cli.members[md5('john@example.com')].status === 'subscribed', 'New members should be subscribed');
+});
+
+runner.test('Batch status, segments and webhooks are shown', async () => {
+    server.reset();
+    server.addMember('jane@example.com', { tags: ['VIP'] });
+
+    const batch = json(await cli('batch', 'import', csv('one.csv', ['email', 'jane@example.com']), '--json'));
+    const status = await cli('batch', 'status', batch.batches[0]);
+    const segments = await cli('segments');
+    const created = await cli('webhooks', 'create', 'https://example.com/hook', '--events', 'subscribe,unsubscribe', '--sources', 'user,admin,api', '--json');
+    const webhooks = await cli('webhooks', 'list');
+    const unknown = await cli('webhooks', 'create', 'https://example.com/hook', '--events', 'opened');
+
+    assert(status.code === 0 && status.stdout.includes(batch.batches[0]), 'The batch should be shown');
+    assert(/VIP\s+static\s+1/.test(segments.stdout), `Unexpected segments ${segments.stdout}`);
+    assert(created.code === 0 && json(created).sources.api === true && json(created).events.profile === false, 'The webhook should be created as asked');
+    assert(webhooks.stdout.includes('https://example.com/hook  subscribe,unsubscribe  user,admin,api'), `Unexpected webhooks ${webhooks.stdout}`);
+    assert(unknown.code === 2 && unknown.stderr.includes('Unknown webhook event: opened'), 'Unknown events should be refused');
+});
+
+/**
+ * Run the tests against a local server
+ */
+async function main() {
+    await server.start();
+
+    try {
+        await runner.run();
+    } finally {
+        await server.stop();
+        fs.rmSync(dir, { recursive: true });
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Test runner failed:', error);
+    process.exit(1);
+});
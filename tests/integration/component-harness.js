@@ -0,0 +1,316 @@
+/**
+ * jsdom harness for the module's Twig components
+ *
+ * Renders a component template the way Craft would for the expressions the
+ * components use, loads mailchimp.js and the component's {% js %} block into
+ * a jsdom window and points their requests at a running FakeServer. Twig
+ * expressions the harness does not know make it throw, so template changes
+ * that need Craft are noticed instead of rendering wrong markup.
+ *
+ * Usage:
+ *   const { renderComponent } = require('./component-harness');
+ *   const page = await renderComponent('mailchimp-optin-validator', {
+ *       server: server,
+ *       variables: { doubleOptin: true }
+ *   });
+ *   page.document.getElementById('email-input').value = 'jane@example.com';
+ *   await page.waitFor(() => ...);
+ *   page.close();
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const TEMPLATES = path.join(__dirname, '../../templates/components');
+const SCRIPT = path.join(__dirname, '../../resources/js/mailchimp.js');
+
+/**
+ * Escape text for HTML, as Twig's autoescaping does
+ */
+function escape(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#039;'
+    })[char]);
+}
+
+/**
+ * Split a Twig expression on a separator outside of brackets and strings
+ */
+function split(expression, separator) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+
+    for (let i = 0; i < expression.length; i++) {
+        const char = expression[i];
+
+        if (quote) {
+            quote = char === quote && expression[i - 1] !== '\\' ? null : quote;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if ('([{'.includes(char)) {
+            depth++;
+        } else if (')]}'.includes(char)) {
+            depth--;
+        } else if (depth === 0 && expression.startsWith(separator, i)) {
+            parts.push(current);
+            current = '';
+            i += separator.length - 1;
+            continue;
+        }
+
+        current += char;
+    }
+
+    parts.push(current);
+    return parts.map(part => part.trim());
+}
+
+/**
+ * Evaluates the subset of Twig the components use
+ */
+class TwigContext {
+    constructor(variables, globals) {
+        this.variables = { ...variables };
+        this.globals = globals;
+    }
+
+    /**
+     * Value of an expression
+     */
+    evaluate(expression) {
+        const source = expression.trim();
+        const [value, ...filters] = split(source, '|');
+
+        if (filters.length) {
+            return filters.reduce((result, filter) => this.filter(filter, result, source), this.evaluate(value));
+        }
+
+        const hash = source.match(/^\{([\s\S]*)\}$/);
+        if (hash) {
+            return Object.fromEntries(split(hash[1], ',').filter(Boolean).map(pair => {
+                const colon = pair.indexOf(':');
+                return [pair.slice(0, colon).trim().replace(/^(['"])(.*)\1$/, '$2'), this.evaluate(pair.slice(colon + 1))];
+            }));
+        }
+
+        const coalesce = split(source, '??');
+        if (coalesce.length > 1) {
+            return coalesce.reduce((result, part) => result ?? this.evaluate(part), null);
+        }
+
+        const [test, branches] = split(source, '?');
+        if (branches !== undefined) {
+            const [then, otherwise] = split(branches, ':');
+            return this.evaluate(test) ? this.evaluate(then) : this.evaluate(otherwise);
+        }
+
+        const isNull = source.match(/^(.+)\s+is null$/);
+        if (isNull) {
+            return this.evaluate(isNull[1]) === null;
+        }
+
+        if (/^(['"]).*\1$/s.test(source)) {
+            return source.slice(1, -1).replace(/\\(['"])/g, '$1');
+        }
+
+        if (/^\(.*\)$/s.test(source) && split(source.slice(1, -1), ')').length === 1) {
+            return this.evaluate(source.slice(1, -1));
+        }
+
+        if (source === '[]') {
+            return [];
+        }
+
+        const literals = { true: true, false: false, null: null };
+        if (source in literals) {
+            return literals[source];
+        }
+
+        if (source in this.globals) {
+            return this.globals[source];
+        }
+
+        const call = source.match(/^(\w+)\((.*)\)$/s);
+        if (call && this.globals[call[1]] instanceof Function) {
+            return this.globals[call[1]](...split(call[2], ',').filter(Boolean).map(arg => this.evaluate(arg)));
+        }
+
+        const config = source.match(/^craft\.app\.config\.getConfigFromFile\((['"])mailchimp\1\)\.(\w+)$/);
+        if (config) {
+            return this.globals.config[config[2]] ?? null;
+        }
+
+        if (/^\w+$/.test(source)) {
+            return this.variables[source] ?? null;
+        }
+
+        throw new Error(`Unsupported Twig expression: ${source}`);
+    }
+
+    /**
+     * Apply a filter to a value
+     */
+    filter(name, value, source) {
+        switch (name) {
+            case 'raw':
+                return { raw: typeof value === 'object' && value?.raw !== undefined ? value.raw : value };
+            case 'json_encode':
+                return JSON.stringify(value);
+            default:
+                throw new Error(`Unsupported Twig filter ${name} in ${source}`);
+        }
+    }
+
+    /**
+     * Output of a {{ }} tag, escaped unless marked raw
+     */
+    print(expression) {
+        const value = this.evaluate(expression);
+
+        if (value && typeof value === 'object' && 'raw' in value) {
+            return String(value.raw);
+        }
+
+        return escape(value === true ? '1' : value === false ? '' : value);
+    }
+
+    /**
+     * Render a template: comments, set tags, css and js blocks and {{ }} output
+     *
+     * Returns { html, css, js }.
+     */
+    render(template) {
+        let css = '';
+        let js = '';
+
+        const body = template
+            .replace(/\{#[\s\S]*?#\}/g, '')
+            .replace(/\{%\s*css\s*%\}([\s\S]*?)\{%\s*endcss\s*%\}/g, (match, content) => {
+                css += content;
+                return '';
+            })
+            .replace(/\{%\s*js\s*%\}([\s\S]*?)\{%\s*endjs\s*%\}/g, (match, content) => {
+                js += content;
+                return '';
+            })
+            .replace(/\{%\s*set\s+(\w+)\s*=\s*([\s\S]*?)\s*%\}/g, (match, name, expression) => {
+                this.variables[name] = this.evaluate(expression);
+                return '';
+            });
+
+        if (/\{%/.test(body)) {
+            throw new Error(`Unsupported Twig tag: ${body.match(/\{%[\s\S]*?%\}/)[0]}`);
+        }
+
+        const output = text => text.replace(/\{\{([\s\S]*?)\}\}/g, (match, expression) => this.print(expression));
+
+        return { html: output(body), css: output(css), js: output(js) };
+    }
+}
+
+/**
+ * Render a component into a jsdom window talking to a FakeServer
+ *
+ * Options:
+ * - server: running FakeServer that answers the component's requests
+ * - variables: variables passed to the component, as with {% include ... with %}
+ * - env: environment variables read with getenv() (MAILCHIMP_LIST_ID
+ *   defaults to the server's first list)
+ * - config: contents of config/mailchimp.php
+ * - language: language of the current site (default 'en')
+ * - html: extra markup to add after the component
+ *
+ * Resolves once the page has loaded with { window, document, errors,
+ * waitFor(), close() }. errors collects script errors and console.error output.
+ */
+async function renderComponent(name, options = {}) {
+    const { server, variables = {}, config = {}, language = 'en', html = '' } = options;
+    const env = { MAILCHIMP_LIST_ID: Object.keys(server.state.lists)[0], MAILCHIMP_SIGNUP_URL: '', ...options.env };
+
+    const context = new TwigContext(variables, {
+        config: config,
+        'currentSite.language': language,
+        'craft.app.config.general.csrfTokenName': server.csrfTokenName,
+        'craft.app.request.csrfToken': server.csrfToken,
+        getenv: key => env[key] ?? null,
+        csrfInput: () => ({ raw: `<input type="hidden" name="${escape(server.csrfTokenName)}" value="${escape(server.csrfToken)}">` }),
+        attr: attributes => ({
+            raw: Object.entries(attributes)
+                .filter(([, value]) => value !== false && value !== null)
+                .map(([key, value]) => (value === true ? ` ${key}` : ` ${key}="${escape(value)}"`))
+                .join('')
+        })
+    });
+
+    const rendered = context.render(fs.readFileSync(path.join(TEMPLATES, `${name}.twig`), 'utf8'));
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+
+    virtualConsole.on('jsdomError', error => errors.push(error));
+    virtualConsole.on('error', (...args) => errors.push(new Error(args.join(' '))));
+
+    let loaded;
+    const ready = new Promise(resolve => {
+        loaded = resolve;
+    });
+
+    const dom = new JSDOM(`<!DOCTYPE html>
+<html lang="${escape(language)}">
+<head><style>${rendered.css}</style></head>
+<body>
+${rendered.html}
+${html}
+<script>${fs.readFileSync(SCRIPT, 'utf8')}</script>
+<script>${rendered.js}</script>
+</body>
+</html>`, {
+        url: `${server.baseUrl}/`,
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole: virtualConsole,
+        beforeParse(window) {
+            // jsdom has no fetch or TextEncoder, Node's are used instead
+            window.fetch = (url, init) => fetch(new URL(url, window.location.href), init);
+            window.AbortController = AbortController;
+            window.AbortSignal = AbortSignal;
+            window.TextEncoder = TextEncoder;
+            window.TextDecoder = TextDecoder;
+            window.addEventListener('load', () => setTimeout(loaded, 0));
+        }
+    });
+
+    await ready;
+
+    return {
+        window: dom.window,
+        document: dom.window.document,
+        errors: errors,
+
+        /**
+         * Resolve once a condition holds, reject after the timeout
+         */
+        async waitFor(condition, timeout = 2000) {
+            const start = Date.now();
+
+            while (!condition()) {
+                if (Date.now() - start > timeout) {
+                    throw new Error(`Timed out after ${timeout}ms waiting for ${condition}`);
+                }
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+        },
+
+        close() {
+            dom.window.close();
+        }
+    };
+}
+
+module.exports = { renderComponent, TwigContext };
@@ -6,6 +6,9 @@
  * 
  * IMPORTANT: These tests will create/modify real data in your Mailchimp account.
  * Use a test list and test email addresses.
+ *
+ * To run them offline against the stand-in server in fake-server.js, use
+ * node tests/integration/offline-tests.js instead.
  */
 
 // Configuration - Update these values
@@ -14,14 +17,16 @@ const CONFIG = {
     testEmail: 'test@your-domain.com',   // Email address you control
     testListId: 'your-test-list-id',     // Test list ID (not production)
     csrfToken: 'your-csrf-token',        // Get from page source
-    csrfTokenName: 'CRAFT_CSRF_TOKEN'
+    csrfTokenName: 'CRAFT_CSRF_TOKEN',
+    settleDelay: 1000                    // Time Mailchimp needs to show changes, in ms
 };
 
 /**
  * Simple test runner
  */
 class TestRunner {
-    constructor() {
+    constructor(title = 'Mailchimp Integration Tests') {
+        this.title = title;
         this.tests = [];
         this.passed = 0;
         this.failed = 0;
@@ -32,7 +37,7 @@ class TestRunner {
     }
     
     async run() {
-        console.log('🚀 Running Mailchimp Integration Tests\n');
+        console.log(`🚀 Running ${this.title}\n`);
         
         for (const test of this.tests) {
             try {
@@ -75,6 +80,7 @@ async function apiRequest(endpoint, data = {}) {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json',
+            'Accept': 'application/json',
             'X-Requested-With': 'XMLHttpRequest'
         },
         body: JSON.stringify({
@@ -194,7 +200,7 @@ runner.test('Subscribe New Member', async () => {
     assert(subscribeResponse.data.status === 'subscribed', 'Should be subscribed');
     
     // Wait a moment for propagation
-    await sleep(1000);
+    await sleep(CONFIG.settleDelay);
     
     // Verify the member exists
     const checkResponse = await apiRequest('check-member', {
@@ -280,7 +286,7 @@ runner.test('Tag Management', async () => {
             }
         });
         
-        await sleep(1000); // Wait for member to be created
+        await sleep(CONFIG.settleDelay); // Wait for member to be created
         
         // Add tags
         const addTagsResponse = await apiRequest('add-tags', {
@@ -293,7 +299,7 @@ runner.test('Tag Management', async () => {
         
         assert(addTagsResponse.success, 'Should successfully add tags');
         
-        await sleep(1000); // Wait for tags to be added
+        await sleep(CONFIG.settleDelay); // Wait for tags to be added
         
         // Get tags
         const getTagsResponse = await apiRequest('get-tags', {
@@ -374,6 +380,7 @@ runner.test('Webhook Configuration Info', async () => {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json',
+            'Accept': 'application/json',
             'X-Requested-With': 'XMLHttpRequest'
         },
         body: JSON.stringify({
@@ -416,7 +423,7 @@ runner.test('Rate Limiting', async () => {
 // Run all tests
 if (require.main === module) {
     // Check if we're running this file directly
-    if (!CONFIG.baseUrl.includes('your-site')) {
+    if (CONFIG.baseUrl.includes('your-site')) {
         console.log('❌ Please update CONFIG values at the top of this file before running tests\n');
         process.exit(1);
     }
@@ -427,5 +434,5 @@ if (require.main === module) {
     });
 } else {
     // Export for use in other test frameworks
-    module.exports = { TestRunner, assert, apiRequest, webhookRequest };
+    module.exports = { TestRunner, assert, apiRequest, webhookRequest, CONFIG, runner };
 }
\ No newline at end of file
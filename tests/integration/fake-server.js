@@ -0,0 +1,1562 @@
+/**
+ * Local stand-in for a Craft site running the Mailchimp module
+ *
+ * Serves the module's controller actions from an in-memory Mailchimp
+ * account, so the integration tests, MailchimpAPI and the components can be
+ * tested without a network, a Craft install or a Mailchimp account:
+ * - /actions/mailchimp/api/request: the API proxy, with CSRF validation,
+ *   the 30 requests per minute limit and the { success, data, status }
+ *   envelope around Mailchimp's responses and problem-detail errors
+ * - /actions/mailchimp/api/batch-response: gzipped tar results of finished batches
+ * - /actions/mailchimp/webhook/handle and /actions/mailchimp/webhook/info
+ * - /3.0/: the Mailchimp API itself, for clients that call it directly with
+ *   the API key in HTTP Basic auth, as ApiService does
+ * - /batch-results/{id}.tar.gz: the results archives batches link to
+ *
+ * The account has lists with members, tags, segments, merge fields,
+ * interest categories and webhooks, plus batches, member search and /ping.
+ * Other Mailchimp endpoints answer 404.
+ *
+ * Unlike Mailchimp, every change is visible at once. Batches move from
+ * pending to started to finished each time their status is read, and run
+ * their operations when they finish. Member changes made through the API
+ * are delivered to list webhooks that have the api source enabled, webhooks
+ * pointing at this server's handle action are received in-process.
+ *
+ * Usage:
+ *   const { FakeServer } = require('./fake-server');
+ *   const server = new FakeServer({ csrfToken: 'token' });
+ *   await server.start();
+ *   // server.baseUrl, server.apiUrl, server.state, server.requests, server.received
+ *   server.reset();
+ *   await server.stop();
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+const PROBLEM_TYPE = 'https://mailchimp.com/developer/marketing/docs/errors/';
+const MEMBER_STATUSES = ['subscribed', 'unsubscribed', 'cleaned', 'pending', 'transactional'];
+const WEBHOOK_EVENTS = ['subscribe', 'unsubscribe', 'profile', 'cleaned', 'upemail', 'campaign'];
+const BATCH_STATES = ['pending', 'started', 'finished'];
+
+/**
+ * Mailchimp's subscriber hash of an email address
+ */
+function md5(email) {
+    return crypto.createHash('md5').update(String(email).toLowerCase()).digest('hex');
+}
+
+/**
+ * Random lowercase hex ID
+ */
+function randomId(length = 10) {
+    return crypto.randomBytes(Math.ceil(length / 2)).toString('hex').slice(0, length);
+}
+
+/**
+ * Current time in Mailchimp's ISO 8601 format
+ */
+function timestamp() {
+    return new Date().toISOString().replace(/\.\d+Z$/, '+00:00');
+}
+
+/**
+ * Successful Mailchimp response
+ */
+function ok(data, status = 200) {
+    return { status: status, data: data };
+}
+
+/**
+ * Mailchimp problem-detail error
+ */
+function problem(status, title, detail, errors = null) {
+    const error = {
+        type: PROBLEM_TYPE,
+        title: title,
+        status: status,
+        detail: detail,
+        instance: crypto.randomUUID()
+    };
+
+    if (errors) {
+        error.errors = errors;
+    }
+
+    return { status: status, data: error };
+}
+
+/**
+ * 404 for a missing resource
+ */
+function notFound() {
+    return problem(404, 'Resource Not Found', 'The requested resource could not be found.');
+}
+
+/**
+ * 400 for a request body with invalid fields
+ */
+function invalid(field, message) {
+    return problem(400, 'Invalid Resource', "The resource submitted could not be validated. For field-specific details, see the 'errors' array.", [
+        { field: field, message: message }
+    ]);
+}
+
+/**
+ * One page of items, using Mailchimp's count and offset parameters
+ */
+function page(items, params) {
+    const offset = Number(params.offset) || 0;
+    const count = Math.min(Number(params.count) || 10, 1000);
+
+    return items.slice(offset, offset + count);
+}
+
+/**
+ * Compare a value the way segment conditions do
+ */
+function compare(op, actual, expected) {
+    const value = actual === undefined || actual === null ? '' : String(actual).toLowerCase();
+    const wanted = String(expected ?? '').toLowerCase();
+    const numeric = value !== '' && !isNaN(value) && wanted !== '' && !isNaN(wanted);
+
+    switch (op) {
+        case 'is': return value === wanted;
+        case 'not': return value !== wanted;
+        case 'contains': return value.includes(wanted);
+        case 'notcontain': return !value.includes(wanted);
+        case 'starts': return value.startsWith(wanted);
+        case 'ends': return value.endsWith(wanted);
+        case 'greater': return numeric ? Number(value) > Number(wanted) : value > wanted;
+        case 'less': return numeric ? Number(value) < Number(wanted) : value < wanted;
+        case 'blank': return value === '';
+        case 'blank_not': return value !== '';
+        default: return null;
+    }
+}
+
+/**
+ * Parse a form-encoded body, including PHP style data[merges][FNAME] keys
+ */
+function parseForm(body) {
+    const result = {};
+
+    for (const [key, value] of new URLSearchParams(body)) {
+        const path = key.replace(/\]/g, '').split('[');
+        let target = result;
+
+        path.slice(0, -1).forEach(part => {
+            target = target[part] = target[part] && typeof target[part] === 'object' ? target[part] : {};
+        });
+
+        target[path[path.length - 1]] = value;
+    }
+
+    return result;
+}
+
+/**
+ * Build a tar archive from { name: content } pairs
+ */
+function tar(files) {
+    const blocks = [];
+
+    for (const [name, content] of Object.entries(files)) {
+        const data = Buffer.from(content);
+        const header = Buffer.alloc(512);
+
+        header.write(name, 0);
+        header.write('0000644\0', 100);
+        header.write(data.length.toString(8).padStart(11, '0') + '\0', 124);
+        header.write('0', 156);
+
+        blocks.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+    }
+
+    blocks.push(Buffer.alloc(1024));
+    return Buffer.concat(blocks);
+}
+
+class FakeServer {
+    /**
+     * Options:
+     * - csrfTokenName: name of the CSRF parameter (default 'CRAFT_CSRF_TOKEN')
+     * - csrfToken: CSRF token requests must send (default 'test-csrf-token')
+     * - rateLimit: proxy requests per minute and client (default 30, as in ApiController)
+     * - webhookSecret: verify X-Mailchimp-Signature headers as the webhook controller does
+     * - apiKey: API key /3.0/ requests must send (default FakeServer.API_KEY)
+     * - lists: lists to start with, see reset() (default one list with ID 'test-list')
+     */
+    constructor(options = {}) {
+        this.csrfTokenName = options.csrfTokenName || 'CRAFT_CSRF_TOKEN';
+        this.csrfToken = options.csrfToken || 'test-csrf-token';
+        this.rateLimit = options.rateLimit ?? 30;
+        this.webhookSecret = options.webhookSecret || null;
+        this.apiKey = options.apiKey || FakeServer.API_KEY;
+        this.lists = options.lists || [{ id: 'test-list', name: 'Test List' }];
+        this.server = null;
+        this.baseUrl = null;
+        this.apiUrl = null;
+
+        this.routes = [
+            [/^\/ping$/, { GET: this.ping }],
+            [/^\/lists$/, { GET: this.getLists }],
+            [/^\/lists\/(?<listId>\w+)$/, { GET: this.getList }],
+            [/^\/lists\/(?<listId>\w+)\/members$/, { GET: this.getMembers, POST: this.createMember }],
+            [/^\/lists\/(?<listId>\w+)\/members\/(?<hash>[^/]+)$/, { GET: this.getMember, PUT: this.putMember, PATCH: this.patchMember, DELETE: this.archiveMember }],
+            [/^\/lists\/(?<listId>\w+)\/members\/(?<hash>[^/]+)\/actions\/delete-permanent$/, { POST: this.deleteMemberPermanently }],
+            [/^\/lists\/(?<listId>\w+)\/members\/(?<hash>[^/]+)\/tags$/, { GET: this.getMemberTags, POST: this.updateMemberTags }],
+            [/^\/lists\/(?<listId>\w+)\/tag-search$/, { GET: this.searchTags }],
+            [/^\/lists\/(?<listId>\w+)\/segments$/, { GET: this.getSegments, POST: this.createSegment }],
+            [/^\/lists\/(?<listId>\w+)\/segments\/(?<segmentId>\d+)$/, { GET: this.getSegment, PATCH: this.updateSegment, POST: this.updateSegmentMembers, DELETE: this.deleteSegment }],
+            [/^\/lists\/(?<listId>\w+)\/segments\/(?<segmentId>\d+)\/members$/, { GET: this.getSegmentMembers }],
+            [/^\/lists\/(?<listId>\w+)\/merge-fields$/, { GET: this.getMergeFields }],
+            [/^\/lists\/(?<listId>\w+)\/interest-categories$/, { GET: this.getInterestCategories }],
+            [/^\/lists\/(?<listId>\w+)\/interest-categories\/(?<categoryId>\w+)\/interests$/, { GET: this.getInterests }],
+            [/^\/lists\/(?<listId>\w+)\/webhooks$/, { GET: this.getWebhooks, POST: this.createWebhook }],
+            [/^\/lists\/(?<listId>\w+)\/webhooks\/(?<webhookId>\w+)$/, { GET: this.getWebhook, PATCH: this.updateWebhook, DELETE: this.deleteWebhook }],
+            [/^\/batches$/, { GET: this.getBatches, POST: this.createBatch }],
+            [/^\/batches\/(?<batchId>\w+)$/, { GET: this.getBatch, DELETE: this.deleteBatch }],
+            [/^\/search-members$/, { GET: this.searchMembers }]
+        ];
+
+        this.reset();
+    }
+
+    /**
+     * Start listening on a local port, resolves with the base URL
+     */
+    async start(port = 0) {
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch(error => {
+                this.send(res, 500, { name: 'Internal Server Error', message: error.message, status: 500 });
+            });
+        });
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', resolve);
+        });
+
+        this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+        this.apiUrl = `${this.baseUrl}/3.0/`;
+        return this.baseUrl;
+    }
+
+    /**
+     * Stop listening and close open connections
+     */
+    async stop() {
+        if (!this.server) {
+            return;
+        }
+
+        const server = this.server;
+        this.server = null;
+
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    }
+
+    /**
+     * Empty the account and forget rate limits and logged requests
+     *
+     * Lists are created from the lists option: { id, name, mergeFields,
+     * interestCategories }, where interestCategories have an interests array.
+     * Lists get FNAME and LNAME text merge fields by default.
+     */
+    reset() {
+        this.state = { lists: {}, batches: {}, forgotten: new Set() };
+        this.rateLog = {};
+        this.requests = [];
+        this.deliveries = [];
+        this.received = [];
+        this.nextId = 1;
+
+        for (const list of this.lists) {
+            this.addList(list);
+        }
+    }
+
+    /**
+     * Add a list to the account
+     */
+    addList({ id, name, mergeFields, interestCategories = [], ...data }) {
+        const listId = id || randomId();
+
+        this.state.lists[listId] = {
+            data: {
+                id: listId,
+                web_id: this.nextId++,
+                name: name || listId,
+                contact: { company: 'Example', address1: '', city: '', country: 'US' },
+                permission_reminder: 'You signed up on our website.',
+                campaign_defaults: { from_name: 'Example', from_email: 'news@example.com', subject: '', language: 'en' },
+                subscribe_url_short: `https://eepurl.com/${listId}`,
+                subscribe_url_long: `https://example.us1.list-manage.com/subscribe?u=test&id=${listId}`,
+                double_optin: false,
+                marketing_permissions: false,
+                date_created: timestamp(),
+                ...data
+            },
+            members: {},
+            segments: [],
+            webhooks: [],
+            mergeFields: (mergeFields || [
+                { tag: 'FNAME', name: 'First Name', type: 'text' },
+                { tag: 'LNAME', name: 'Last Name', type: 'text' }
+            ]).map((field, index) => ({
+                merge_id: index + 1,
+                required: false,
+                default_value: '',
+                public: true,
+                display_order: index + 2,
+                options: {},
+                list_id: listId,
+                ...field
+            })),
+            interestCategories: interestCategories
+        };
+
+        return this.state.lists[listId];
+    }
+
+    /**
+     * Add a member directly, without webhooks or request logs
+     *
+     * Fields are member fields as sent to Mailchimp, plus tags: an array of tag names.
+     */
+    addMember(email, fields = {}, listId = null) {
+        const list = this.state.lists[listId || Object.keys(this.state.lists)[0]];
+        const member = this.newMember(list, email);
+
+        list.members[member.id] = member;
+        this.applyMember(list, member, { status: 'subscribed', ...fields });
+        (fields.tags || []).forEach(name => this.setMemberTag(list, member, name, true));
+
+        return this.memberData(list, member);
+    }
+
+    /**
+     * Confirm a pending member, as if they clicked the link in the confirmation email
+     */
+    confirm(email, listId = null) {
+        const list = this.state.lists[listId || Object.keys(this.state.lists)[0]];
+        const member = list.members[md5(email)];
+
+        if (member && member.status === 'pending') {
+            member.status = 'subscribed';
+            member.timestamp_opt = timestamp();
+            this.notify(list, 'subscribe', member, 'user');
+        }
+
+        return member ? this.memberData(list, member) : null;
+    }
+
+    // HTTP
+
+    /**
+     * Route an HTTP request to a controller action
+     */
+    async handle(req, res) {
+        const url = new URL(req.url, this.baseUrl || 'http://127.0.0.1');
+        const raw = await new Promise(resolve => {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => resolve(Buffer.concat(chunks).toString()));
+        });
+
+        let body = {};
+
+        try {
+            body = (req.headers['content-type'] || '').includes('json') ? JSON.parse(raw || '{}') : parseForm(raw);
+        } catch (error) {
+            return this.send(res, 400, { name: 'Bad Request', message: 'Invalid JSON data in request body', status: 400 });
+        }
+
+        if (url.pathname.startsWith('/3.0/')) {
+            return this.apiRequest(req, res, url, body);
+        }
+
+        const archive = url.pathname.match(/^\/batch-results\/(\w+)\.tar\.gz$/);
+
+        if (archive) {
+            return this.batchResults(res, archive[1]);
+        }
+
+        // Craft validates the CSRF token of POST requests to actions that enable it
+        const csrfActions = ['/actions/mailchimp/api/request', '/actions/mailchimp/api/batch-response'];
+        const csrf = body[this.csrfTokenName] ?? req.headers['x-csrf-token'];
+
+        if (req.method === 'POST' && csrfActions.includes(url.pathname) && csrf !== this.csrfToken) {
+            return this.send(res, 400, { name: 'Bad Request', message: 'Unable to verify your data submission.', status: 400 });
+        }
+
+        switch (url.pathname) {
+            case '/actions/mailchimp/api/request':
+                return this.actionRequest(req, res, body);
+            case '/actions/mailchimp/api/batch-response':
+                return this.actionBatchResponse(req, res, body);
+            case '/actions/mailchimp/webhook/handle':
+                return this.actionWebhookHandle(req, res, raw, req.method === 'POST' ? body : Object.fromEntries(url.searchParams));
+            case '/actions/mailchimp/webhook/info':
+                return this.actionWebhookInfo(req, res);
+            default:
+                return this.send(res, 404, { name: 'Not Found', message: 'Page not found.', status: 404 });
+        }
+    }
+
+    /**
+     * Write a JSON response
+     */
+    send(res, status, data, headers = {}) {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=UTF-8', ...headers });
+        res.end(JSON.stringify(data));
+    }
+
+    /**
+     * Whether the request accepts a JSON response, as Craft's requireAcceptsJson() checks
+     */
+    acceptsJson(req) {
+        return (req.headers.accept || '').includes('application/json');
+    }
+
+    /**
+     * Record a proxy request, returns the seconds to wait when over the limit
+     */
+    checkRateLimit(req) {
+        const key = req.socket.remoteAddress;
+        const now = Math.floor(Date.now() / 1000);
+        const requests = (this.rateLog[key] || []).filter(time => time > now - 60);
+
+        if (requests.length >= this.rateLimit) {
+            this.rateLog[key] = requests;
+            return Math.max(1, Math.min(...requests) + 60 - now);
+        }
+
+        requests.push(now);
+        this.rateLog[key] = requests;
+
+        return null;
+    }
+
+    /**
+     * Write the rate limit response, returns false when the request may continue
+     */
+    rateLimited(req, res) {
+        const retryAfter = this.checkRateLimit(req);
+
+        if (retryAfter === null) {
+            return false;
+        }
+
+        this.send(res, 200, {
+            success: false,
+            error: 'Rate limit exceeded. Maximum 30 requests per minute.',
+            code: 429,
+            retryAfter: retryAfter
+        }, { 'Retry-After': String(retryAfter) });
+
+        return true;
+    }
+
+    /**
+     * ApiController::actionRequest()
+     */
+    actionRequest(req, res, body) {
+        if (req.method !== 'POST') {
+            return this.send(res, 400, { name: 'Bad Request', message: 'Post request required', status: 400 });
+        }
+
+        if (!this.acceptsJson(req)) {
+            return this.send(res, 400, { name: 'Bad Request', message: 'Request must accept JSON in response', status: 400 });
+        }
+
+        if (this.rateLimited(req, res)) {
+            return;
+        }
+
+        const method = String(body.method || 'GET').toUpperCase();
+        const endpoint = body.endpoint;
+        const params = body.params || {};
+
+        if (!endpoint) {
+            return this.send(res, 200, { success: false, error: 'Endpoint is required', code: 400 });
+        }
+
+        if (!['GET', 'POST', 'PATCH', 'PUT', 'DELETE'].includes(method)) {
+            return this.send(res, 200, { success: false, error: 'Invalid HTTP method', code: 400 });
+        }
+
+        this.requests.push({ method: method, endpoint: endpoint, params: params });
+
+        const result = this.dispatch(method, endpoint, params);
+
+        if (result.status >= 400) {
+            return this.send(res, 200, { success: false, error: result.data, code: result.status });
+        }
+
+        this.send(res, 200, { success: true, data: result.data, status: result.status });
+    }
+
+    /**
+     * ApiController::actionBatchResponse()
+     */
+    actionBatchResponse(req, res, body) {
+        if (req.method !== 'POST') {
+            return this.send(res, 400, { name: 'Bad Request', message: 'Post request required', status: 400 });
+        }
+
+        if (this.rateLimited(req, res)) {
+            return;
+        }
+
+        const batchId = body.batchId;
+
+        if (!batchId || !/^[a-zA-Z0-9]+$/.test(batchId)) {
+            return this.send(res, 200, { success: false, error: 'A valid batch ID is required', code: 400 });
+        }
+
+        const batch = this.state.batches[batchId];
+
+        if (!batch) {
+            return this.send(res, 200, { success: false, error: notFound().data, code: 404 });
+        }
+
+        if (batch.data.status !== 'finished') {
+            return this.send(res, 200, { success: false, error: 'Batch results are not available yet', code: 409 });
+        }
+
+        this.sendArchive(res, batch);
+    }
+
+    /**
+     * Write the gzipped tar archive with the results of a batch
+     */
+    sendArchive(res, batch) {
+        const batchId = batch.data.id;
+
+        res.writeHead(200, { 'Content-Type': 'application/gzip' });
+        res.end(zlib.gzipSync(tar({ [`${batchId}/${batchId}.json`]: JSON.stringify(batch.results) })));
+    }
+
+    /**
+     * The results archive a finished batch links to in response_body_url
+     */
+    batchResults(res, batchId) {
+        const batch = this.state.batches[batchId];
+
+        if (!batch || batch.data.status !== 'finished') {
+            res.writeHead(403, { 'Content-Type': 'application/xml' });
+            return res.end('<?xml version="1.0" encoding="UTF-8"?><Error><Code>AccessDenied</Code><Message>Access Denied</Message></Error>');
+        }
+
+        this.sendArchive(res, batch);
+    }
+
+    /**
+     * A request to the Mailchimp API with the API key, as ApiService makes them
+     *
+     * GET parameters come from the query string, others from the JSON body.
+     * Errors are problem details with their HTTP status, empty responses 204.
+     */
+    apiRequest(req, res, url, body) {
+        const credentials = String(req.headers.authorization || '').replace(/^Basic\s+/i, '');
+        const key = Buffer.from(credentials, 'base64').toString().split(':')[1];
+
+        if (key !== this.apiKey) {
+            const { status, data } = problem(401, 'API Key Invalid', "Your API key may be invalid, or you've attempted to access the wrong datacenter.");
+            return this.send(res, status, data, { 'Content-Type': 'application/problem+json; charset=utf-8' });
+        }
+
+        const method = req.method.toUpperCase();
+        const endpoint = url.pathname.slice('/3.0'.length);
+        const params = method === 'GET' ? Object.fromEntries(url.searchParams) : body;
+
+        this.requests.push({ method: method, endpoint: endpoint, params: params });
+
+        const result = this.dispatch(method, endpoint, params);
+
+        if (result.data === null) {
+            res.writeHead(result.status);
+            return res.end();
+        }
+
+        this.send(res, result.status, result.data, result.status >= 400
+            ? { 'Content-Type': 'application/problem+json; charset=utf-8' }
+            : {});
+    }
+
+    /**
+     * WebhookController::actionHandle()
+     */
+    actionWebhookHandle(req, res, raw, data) {
+        const signature = req.headers['x-mailchimp-signature'];
+
+        if (this.webhookSecret && signature) {
+            const expected = crypto.createHmac('sha256', this.webhookSecret).update(raw).digest('hex');
+
+            if (signature !== expected) {
+                return this.send(res, 200, { error: 'Invalid signature' });
+            }
+        }
+
+        this.received.push(data);
+        this.send(res, 200, { success: true });
+    }
+
+    /**
+     * WebhookController::actionInfo()
+     */
+    actionWebhookInfo(req, res) {
+        if (!this.acceptsJson(req)) {
+            return this.send(res, 400, { name: 'Bad Request', message: 'Request must accept JSON in response', status: 400 });
+        }
+
+        this.send(res, 200, {
+            webhook_url: `${this.baseUrl}/actions/mailchimp/webhook/handle`,
+            available_events: {
+                subscribe: 'Triggered when a subscriber joins the list',
+                unsubscribe: 'Triggered when a subscriber unsubscribes',
+                profile: 'Triggered when a subscriber updates their profile',
+                upemail: 'Triggered when a subscriber changes their email address',
+                cleaned: 'Triggered when an email is cleaned from the list',
+                campaign: 'Triggered for campaign events'
+            },
+            configuration_help: 'Add this URL to your Mailchimp list webhook settings'
+        });
+    }
+
+    // Mailchimp API
+
+    /**
+     * Answer a Mailchimp API request, resolves with { status, data }
+     */
+    dispatch(method, endpoint, params = {}) {
+        const path = '/' + String(endpoint).split('?')[0].replace(/^\/+|\/+$/g, '');
+
+        for (const [pattern, handlers] of this.routes) {
+            const match = path.match(pattern);
+
+            if (!match) {
+                continue;
+            }
+
+            if (!handlers[method]) {
+                return problem(405, 'Method Not Allowed', "The requested method and resource are not compatible. See the Allow header for this resource's available methods.");
+            }
+
+            return handlers[method].call(this, match.groups || {}, params || {});
+        }
+
+        return notFound();
+    }
+
+    ping() {
+        return ok({ health_status: "Everything's Chimpy!" });
+    }
+
+    getLists(route, params) {
+        const lists = Object.values(this.state.lists).map(list => this.listData(list));
+        return ok({ lists: page(lists, params), total_items: lists.length });
+    }
+
+    getList({ listId }) {
+        const list = this.state.lists[listId];
+        return list ? ok(this.listData(list)) : notFound();
+    }
+
+    /**
+     * A list with its member counts
+     */
+    listData(list) {
+        const members = Object.values(list.members);
+        const count = status => members.filter(member => member.status === status).length;
+
+        return {
+            ...list.data,
+            stats: {
+                member_count: count('subscribed'),
+                unsubscribe_count: count('unsubscribed'),
+                cleaned_count: count('cleaned'),
+                campaign_count: 0
+            }
+        };
+    }
+
+    getMembers({ listId }, params) {
+        const list = this.state.lists[listId];
+
+        if (!list) {
+            return notFound();
+        }
+
+        const members = Object.values(list.members).filter(member => (params.status
+            ? member.status === params.status
+            : member.status !== 'archived'));
+
+        return ok({
+            members: page(members, params).map(member => this.memberData(list, member)),
+            list_id: listId,
+            total_items: members.length
+        });
+    }
+
+    getMember({ listId, hash }) {
+        const list = this.state.lists[listId];
+        const member = list && list.members[this.hashOf(hash)];
+
+        return member ? ok(this.memberData(list, member)) : notFound();
+    }
+
+    createMember({ listId }, params) {
+        const list = this.state.lists[listId];
+
+        if (!list) {
+            return notFound();
+        }
+
+        const existing = list.members[md5(params.email_address || '')];
+
+        if (existing && existing.status !== 'archived') {
+            return problem(400, 'Member Exists', `${params.email_address} is already a list member. Use PUT to insert or update list members.`);
+        }
+
+        return this.writeMember(list, existing || null, params, true);
+    }
+
+    putMember({ listId, hash }, params) {
+        const list = this.state.lists[listId];
+
+        if (!list) {
+            return notFound();
+        }
+
+        return this.writeMember(list, list.members[this.hashOf(hash)] || null, params, false);
+    }
+
+    patchMember({ listId, hash }, params) {
+        const list = this.state.lists[listId];
+        const member = list && list.members[this.hashOf(hash)];
+
+        if (!member) {
+            return notFound();
+        }
+
+        return this.writeMember(list, member, params, false);
+    }
+
+    /**
+     * Create or update a member and notify the list webhooks
+     *
+     * Tags are only added when a member is created with POST, as in Mailchimp.
+     */
+    writeMember(list, member, params, acceptsTags) {
+        const email = params.email_address;
+        const isNew = !member;
+        const status = params.status || (isNew || member.status === 'archived' ? params.status_if_new : null);
+
+        if ((isNew || email !== undefined) && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email || '')) {
+            return problem(400, 'Invalid Resource', 'Please provide a valid email address.');
+        }
+
+        if (isNew && !status) {
+            return invalid('status', 'Schema describes enum, NULL found instead');
+        }
+
+        if (status && !MEMBER_STATUSES.includes(status)) {
+            return invalid('status', `Data presented is not one of the accepted values: ${MEMBER_STATUSES.join(', ')}.`);
+        }
+
+        if (isNew && this.state.forgotten.has(`${list.data.id}:${md5(email)}`)) {
+            return problem(400, 'Forgotten Email Not Subscribed', `${email} was permanently deleted and cannot be re-imported. The contact must re-subscribe to get back on the list.`);
+        }
+
+        const before = member ? JSON.parse(JSON.stringify(member)) : null;
+
+        if (!isNew && email && email.toLowerCase() !== member.email_address.toLowerCase()) {
+            const other = list.members[md5(email)];
+
+            if (other && other.status !== 'archived') {
+                return problem(400, 'Member Exists', `${email} is already a list member. Use PUT to insert or update list members.`);
+            }
+
+            delete list.members[member.id];
+            member.id = md5(email);
+            member.email_address = email;
+            list.members[member.id] = member;
+        }
+
+        if (isNew) {
+            member = this.newMember(list, email);
+            list.members[member.id] = member;
+        }
+
+        this.applyMember(list, member, { ...params, status: status || undefined });
+
+        if (isNew && acceptsTags && Array.isArray(params.tags)) {
+            params.tags.forEach(name => this.setMemberTag(list, member, name, true));
+        }
+
+        this.notifyChanges(list, before, member);
+
+        return ok(this.memberData(list, member));
+    }
+
+    archiveMember({ listId, hash }) {
+        const list = this.state.lists[listId];
+        const member = list && list.members[this.hashOf(hash)];
+
+        if (!member || member.status === 'archived') {
+            return notFound();
+        }
+
+        member.status = 'archived';
+        member.last_changed = timestamp();
+
+        return ok(null, 204);
+    }
+
+    deleteMemberPermanently({ listId, hash }) {
+        const list = this.state.lists[listId];
+        const member = list && list.members[this.hashOf(hash)];
+
+        if (!member) {
+            return notFound();
+        }
+
+        delete list.members[member.id];
+        list.segments.forEach(segment => segment.members.delete(member.id));
+        this.state.forgotten.add(`${listId}:${member.id}`);
+
+        return ok(null, 204);
+    }
+
+    getMemberTags({ listId, hash }, params) {
+        const list = this.state.lists[listId];
+        const member = list && list.members[this.hashOf(hash)];
+
+        if (!member) {
+            return notFound();
+        }
+
+        const tags = this.memberTags(list, member);
+        return ok({ tags: page(tags, params), total_items: tags.length });
+    }
+
+    updateMemberTags({ listId, hash }, params) {
+        const list = this.state.lists[listId];
+        const member = list && list.members[this.hashOf(hash)];
+
+        if (!member) {
+            return notFound();
+        }
+
+        if (!Array.isArray(params.tags)) {
+            return invalid('tags', 'Schema describes array, NULL found instead');
+        }
+
+        for (const tag of params.tags) {
+            this.setMemberTag(list, member, tag.name, tag.status !== 'inactive');
+        }
+
+        return ok(null, 204);
+    }
+
+    searchTags({ listId }, params) {
+        const list = this.state.lists[listId];
+
+        if (!list) {
+            return notFound();
+        }
+
+        const name = String(params.name || '').toLowerCase();
+        const tags = list.segments
+            .filter(segment => segment.type === 'static' && segment.name.toLowerCase().startsWith(name))
+            .map(segment => ({ id: segment.id, name: segment.name }));
+
+        return ok({ tags: page(tags, params), total_items: tags.length });
+    }
+
+    getSegments({ listId }, params) {
+        const list = this.state.lists[listId];
+
+        if (!list) {
+            return notFound();
+        }
+
+        const segments = list.segments.filter(segment => !params.type || segment.type === params.type);
+        const data = [];
+
+        for (const segment of page(segments, params)) {
+            const result = this.segmentData(list, segment);
+
+            if (result.status >= 400) {
+                return result;
+            }
+
+            data.push(result.data);
+        }
+
+        return ok({ segments: data, list_id: listId, total_items: segments.length });
+    }
+
+    createSegment({ listId }, params) {
+        const list = this.state.lists[listId];
+
+        if (!list) {
+            return notFound();
+        }
+
+        if (!params.name) {
+            return invalid('name', 'Schema describes string, NULL found instead');
+        }
+
+        if (!params.options && !Array.isArray(params.static_segment)) {
+            return invalid('static_segment', 'A segment needs either static_segment or options');
+        }
+
+        if (list.segments.some(segment => segment.name.toLowerCase() === params.name.toLowerCase())) {
+            return problem(400, 'Invalid Resource', `Sorry, you already have a segment or tag named "${params.name}".`);
+        }
+
+        const segment = {
+            id: this.nextId++,
+            name: params.name,
+            type: params.options ? 'saved' : 'static',
+            options: params.options || null,
+            members: new Set(),
+            created_at: timestamp(),
+            updated_at: timestamp()
+        };
+
+        for (const email of params.static_segment || []) {
+            const member = list.members[md5(email)];
+
+            if (member) {
+                segment.members.add(member.id);
+            }
+        }
+
+        list.segments.push(segment);
+
+        const result = this.segmentData(list, segment);
+
+        if (result.status >= 400) {
+            list.segments.pop();
+        }
+
+        return result;
+    }
+
+    getSegment({ listId, segmentId }) {
+        const list = this.state.lists[listId];
+        const segment = list && this.findSegment(list, segmentId);
+
+        return segment ? this.segmentData(list, segment) : notFound();
+    }
+
+    updateSegment({ listId, segmentId }, params) {
+        const list = this.state.lists[listId];
+        const segment = list && this.findSegment(list, segmentId);
+
+        if (!segment) {
+            return notFound();
+        }
+
+        const previous = { name: segment.name, options: segment.options, members: new Set(segment.members) };
+
+        if (params.name) {
+            segment.name = params.name;
+        }
+
+        if (params.options && segment.type === 'saved') {
+            segment.options = params.options;
+        }
+
+        if (Array.isArray(params.static_segment) && segment.type === 'static') {
+            segment.members = new Set(params.static_segment.map(email => list.members[md5(email)]?.id).filter(Boolean));
+        }
+
+        segment.updated_at = timestamp();
+
+        const result = this.segmentData(list, segment);
+
+        if (result.status >= 400) {
+            Object.assign(segment, previous);
+        }
+
+        return result;
+    }
+
+    updateSegmentMembers({ listId, segmentId }, params) {
+        const list = this.state.lists[listId];
+        const segment = list && this.findSegment(list, segmentId);
+
+        if (!segment) {
+            return notFound();
+        }
+
+        if (segment.type !== 'static') {
+            return problem(400, 'Invalid Resource', 'Members can only be added to or removed from static segments and tags.');
+        }
+
+        const result = { members_added: [], members_removed: [], errors: [], total_added: 0, total_removed: 0, error_count: 0 };
+        const refused = [];
+
+        for (const [emails, add] of [[params.members_to_add || [], true], [params.members_to_remove || [], false]]) {
+            for (const email of emails) {
+                const member = list.members[md5(email)];
+
+                if (!member) {
+                    refused.push(email);
+                    continue;
+                }
+
+                if (add) {
+                    segment.members.add(member.id);
+                    result.members_added.push(this.memberData(list, member));
+                } else {
+                    segment.members.delete(member.id);
+                    result.members_removed.push(this.memberData(list, member));
+                }
+            }
+        }
+
+        if (refused.length) {
+            result.errors.push({ email_addresses: refused, error: 'Email addresses are not subscribed to the list' });
+        }
+
+        result.total_added = result.members_added.length;
+        result.total_removed = result.members_removed.length;
+        result.error_count = refused.length;
+
+        return ok(result);
+    }
+
+    deleteSegment({ listId, segmentId }) {
+        const list = this.state.lists[listId];
+        const segment = list && this.findSegment(list, segmentId);
+
+        if (!segment) {
+            return notFound();
+        }
+
+        list.segments = list.segments.filter(item => item !== segment);
+        return ok(null, 204);
+    }
+
+    getSegmentMembers({ listId, segmentId }, params) {
+        const list = this.state.lists[listId];
+        const segment = list && this.findSegment(list, segmentId);
+
+        if (!segment) {
+            return notFound();
+        }
+
+        const matched = this.segmentMembers(list, segment);
+
+        if (matched.error) {
+            return matched.error;
+        }
+
+        return ok({
+            members: page(matched.members, params).map(member => this.memberData(list, member)),
+            total_items: matched.members.length
+        });
+    }
+
+    getMergeFields({ listId }, params) {
+        const list = this.state.lists[listId];
+
+        if (!list) {
+            return notFound();
+        }
+
+        return ok({ merge_fields: page(list.mergeFields, params), list_id: listId, total_items: list.mergeFields.length });
+    }
+
+    getInterestCategories({ listId }, params) {
+        const list = this.state.lists[listId];
+
+        if (!list) {
+            return notFound();
+        }
+
+        const categories = list.interestCategories.map(({ interests, ...category }, index) => ({
+            list_id: listId,
+            display_order: index,
+            type: 'checkboxes',
+            ...category
+        }));
+
+        return ok({ categories: page(categories, params), list_id: listId, total_items: categories.length });
+    }
+
+    getInterests({ listId, categoryId }, params) {
+        const list = this.state.lists[listId];
+        const category = list && list.interestCategories.find(item => item.id === categoryId);
+
+        if (!category) {
+            return notFound();
+        }
+
+        const interests = (category.interests || []).map((interest, index) => ({
+            category_id: categoryId,
+            list_id: listId,
+            display_order: index,
+            subscriber_count: String(Object.values(list.members).filter(member => member.interests[interest.id]).length),
+            ...interest
+        }));
+
+        return ok({ interests: page(interests, params), list_id: listId, category_id: categoryId, total_items: interests.length });
+    }
+
+    getWebhooks({ listId }) {
+        const list = this.state.lists[listId];
+        return list ? ok({ webhooks: list.webhooks, list_id: listId, total_items: list.webhooks.length }) : notFound();
+    }
+
+    createWebhook({ listId }, params) {
+        const list = this.state.lists[listId];
+
+        if (!list) {
+            return notFound();
+        }
+
+        if (!/^https?:\/\/[^\s/]+/.test(params.url || '')) {
+            return invalid('url', 'This value should be a valid URL.');
+        }
+
+        const webhook = {
+            id: randomId(),
+            url: params.url,
+            events: Object.fromEntries(WEBHOOK_EVENTS.map(event => [event, params.events?.[event] ?? true])),
+            sources: { user: true, admin: true, api: false, ...params.sources },
+            list_id: listId
+        };
+
+        list.webhooks.push(webhook);
+        return ok(webhook);
+    }
+
+    getWebhook({ listId, webhookId }) {
+        const list = this.state.lists[listId];
+        const webhook = list && list.webhooks.find(item => item.id === webhookId);
+
+        return webhook ? ok(webhook) : notFound();
+    }
+
+    updateWebhook({ listId, webhookId }, params) {
+        const list = this.state.lists[listId];
+        const webhook = list && list.webhooks.find(item => item.id === webhookId);
+
+        if (!webhook) {
+            return notFound();
+        }
+
+        if (params.url !== undefined && !/^https?:\/\/[^\s/]+/.test(params.url)) {
+            return invalid('url', 'This value should be a valid URL.');
+        }
+
+        webhook.url = params.url ?? webhook.url;
+        Object.assign(webhook.events, params.events);
+        Object.assign(webhook.sources, params.sources);
+
+        return ok(webhook);
+    }
+
+    deleteWebhook({ listId, webhookId }) {
+        const list = this.state.lists[listId];
+
+        if (!list || !list.webhooks.some(item => item.id === webhookId)) {
+            return notFound();
+        }
+
+        list.webhooks = list.webhooks.filter(item => item.id !== webhookId);
+        return ok(null, 204);
+    }
+
+    getBatches(route, params) {
+        const batches = Object.values(this.state.batches).map(batch => batch.data);
+        return ok({ batches: page(batches, params), total_items: batches.length });
+    }
+
+    createBatch(route, params) {
+        if (!Array.isArray(params.operations) || params.operations.length === 0) {
+            return invalid('operations', 'Schema describes array, NULL found instead');
+        }
+
+        const id = randomId();
+
+        this.state.batches[id] = {
+            operations: params.operations,
+            results: [],
+            data: {
+                id: id,
+                status: 'pending',
+                total_operations: params.operations.length,
+                finished_operations: 0,
+                errored_operations: 0,
+                submitted_at: timestamp(),
+                completed_at: '',
+                response_body_url: ''
+            }
+        };
+
+        return ok(this.state.batches[id].data);
+    }
+
+    getBatch({ batchId }) {
+        const batch = this.state.batches[batchId];
+
+        if (!batch) {
+            return notFound();
+        }
+
+        const next = BATCH_STATES[BATCH_STATES.indexOf(batch.data.status) + 1];
+
+        if (next === 'started') {
+            batch.data.status = next;
+        } else if (next === 'finished') {
+            this.runBatch(batch);
+        }
+
+        return ok({ ...batch.data });
+    }
+
+    deleteBatch({ batchId }) {
+        if (!this.state.batches[batchId]) {
+            return notFound();
+        }
+
+        delete this.state.batches[batchId];
+        return ok(null, 204);
+    }
+
+    /**
+     * Run the operations of a batch and store their results
+     */
+    runBatch(batch) {
+        for (const operation of batch.operations) {
+            let params = operation.params || {};
+
+            try {
+                params = { ...params, ...(operation.body ? JSON.parse(operation.body) : {}) };
+            } catch (error) {
+                params = null;
+            }
+
+            const result = params
+                ? this.dispatch(String(operation.method || 'GET').toUpperCase(), operation.path || '', params)
+                : problem(400, 'JSON Parse Error', "We encountered an unspecified JSON parsing error.");
+
+            batch.results.push({
+                status_code: result.status,
+                operation_id: operation.operation_id ?? null,
+                response: result.data === null ? '' : JSON.stringify(result.data)
+            });
+        }
+
+        Object.assign(batch.data, {
+            status: 'finished',
+            finished_operations: batch.operations.length,
+            errored_operations: batch.results.filter(result => result.status_code >= 400).length,
+            completed_at: timestamp(),
+            response_body_url: `${this.baseUrl || 'http://127.0.0.1'}/batch-results/${batch.data.id}.tar.gz`
+        });
+    }
+
+    searchMembers(route, params) {
+        const query = String(params.query || '').toLowerCase();
+        const lists = params.list_id ? [this.state.lists[params.list_id]].filter(Boolean) : Object.values(this.state.lists);
+        const exact = [];
+        const full = [];
+
+        if (!query) {
+            return invalid('query', 'Schema describes string, NULL found instead');
+        }
+
+        for (const list of lists) {
+            for (const member of Object.values(list.members)) {
+                const names = Object.values(member.merge_fields).join(' ').toLowerCase();
+
+                if (member.email_address.toLowerCase() === query) {
+                    exact.push(this.memberData(list, member));
+                } else if (member.email_address.toLowerCase().includes(query) || names.includes(query)) {
+                    full.push(this.memberData(list, member));
+                }
+            }
+        }
+
+        return ok({
+            exact_matches: { members: exact.slice(0, 10), total_items: exact.length },
+            full_search: { members: full.slice(0, 10), total_items: full.length }
+        });
+    }
+
+    // Members
+
+    /**
+     * Subscriber hash from a URL segment, which may also be an email address
+     */
+    hashOf(hash) {
+        const value = decodeURIComponent(hash);
+        return value.includes('@') ? md5(value) : value.toLowerCase();
+    }
+
+    /**
+     * A member record with Mailchimp's defaults
+     */
+    newMember(list, email) {
+        const id = md5(email);
+
+        return {
+            id: id,
+            email_address: email,
+            unique_email_id: id.slice(0, 10),
+            contact_id: id,
+            web_id: this.nextId++,
+            email_type: 'html',
+            status: 'subscribed',
+            merge_fields: Object.fromEntries(list.mergeFields.map(field => [field.tag, ''])),
+            interests: Object.fromEntries(list.interestCategories.flatMap(category => (category.interests || []).map(interest => [interest.id, false]))),
+            language: '',
+            vip: false,
+            member_rating: 2,
+            timestamp_signup: '',
+            timestamp_opt: timestamp(),
+            last_changed: timestamp(),
+            source: 'API - Generic',
+            list_id: list.data.id
+        };
+    }
+
+    /**
+     * Copy writable fields onto a member
+     */
+    applyMember(list, member, params) {
+        if (params.status) {
+            member.status = params.status;
+
+            if (['subscribed', 'pending'].includes(params.status)) {
+                member.timestamp_opt = timestamp();
+            }
+        }
+
+        for (const field of ['email_type', 'language', 'vip', 'ip_signup', 'timestamp_signup', 'marketing_permissions', 'location']) {
+            if (params[field] !== undefined) {
+                member[field] = params[field];
+            }
+        }
+
+        Object.assign(member.merge_fields, params.merge_fields || {});
+        Object.assign(member.interests, params.interests || {});
+        member.last_changed = timestamp();
+    }
+
+    /**
+     * A member as Mailchimp returns it, with its tags
+     */
+    memberData(list, member) {
+        const tags = this.memberTags(list, member).map(tag => ({ id: tag.id, name: tag.name }));
+        const name = [member.merge_fields.FNAME, member.merge_fields.LNAME].filter(Boolean).join(' ');
+
+        return { ...JSON.parse(JSON.stringify(member)), full_name: name, tags_count: tags.length, tags: tags };
+    }
+
+    /**
+     * The tags of a member, which are the static segments they are in
+     */
+    memberTags(list, member) {
+        return list.segments
+            .filter(segment => segment.type === 'static' && segment.members.has(member.id))
+            .map(segment => ({ id: segment.id, name: segment.name, date_added: segment.updated_at }));
+    }
+
+    /**
+     * Add a member to a tag, creating the tag, or remove them from it
+     */
+    setMemberTag(list, member, name, active) {
+        let tag = list.segments.find(segment => segment.type === 'static' && segment.name.toLowerCase() === String(name).toLowerCase());
+
+        if (!tag && active) {
+            tag = { id: this.nextId++, name: String(name), type: 'static', options: null, members: new Set(), created_at: timestamp(), updated_at: timestamp() };
+            list.segments.push(tag);
+        }
+
+        if (tag && active) {
+            tag.members.add(member.id);
+        } else if (tag) {
+            tag.members.delete(member.id);
+        }
+    }
+
+    // Segments
+
+    findSegment(list, segmentId) {
+        return list.segments.find(segment => segment.id === Number(segmentId)) || null;
+    }
+
+    /**
+     * A segment as Mailchimp returns it, with its member count
+     */
+    segmentData(list, segment) {
+        const matched = this.segmentMembers(list, segment);
+
+        if (matched.error) {
+            return matched.error;
+        }
+
+        const { members, ...data } = segment;
+
+        return ok({ ...data, options: segment.options || undefined, member_count: matched.members.length, list_id: list.data.id });
+    }
+
+    /**
+     * Members of a static segment, or members matching the conditions of a saved one
+     *
+     * Resolves with { members } or { error } for conditions the fake can not evaluate.
+     */
+    segmentMembers(list, segment) {
+        const members = Object.values(list.members).filter(member => member.status !== 'archived');
+
+        if (segment.type === 'static') {
+            return { members: members.filter(member => segment.members.has(member.id)) };
+        }
+
+        const conditions = segment.options?.conditions || [];
+        const matches = [];
+
+        for (const member of members) {
+            const results = [];
+
+            for (const condition of conditions) {
+                const result = this.matchCondition(list, member, condition);
+
+                if (result === null) {
+                    return {
+                        error: invalid('options.conditions', `Unsupported condition ${condition.condition_type} ${condition.op}`)
+                    };
+                }
+
+                results.push(result);
+            }
+
+            if (results.length && (segment.options.match === 'any' ? results.some(Boolean) : results.every(Boolean))) {
+                matches.push(member);
+            }
+        }
+
+        return { members: matches };
+    }
+
+    /**
+     * Whether a member matches a segment condition, null when the condition is not supported
+     */
+    matchCondition(list, member, condition) {
+        const { condition_type: type, field, op, value } = condition;
+
+        switch (type) {
+            case 'EmailAddress':
+                return compare(op, member.email_address, value);
+            case 'TextMerge':
+            case 'SelectMerge':
+            case 'DateMerge':
+            case 'BirthdayMerge':
+            case 'ZipMerge':
+            case 'AddressMerge': {
+                const actual = member.merge_fields[field];
+                return compare(op, actual && typeof actual === 'object' ? Object.values(actual).join(' ') : actual, value);
+            }
+            case 'Language':
+                return compare(op, member.language, value);
+            case 'MemberRating':
+                return compare(op, member.member_rating, value);
+            case 'Date':
+                return compare(op, member.timestamp_opt.slice(0, 10), condition.extra);
+            case 'StaticSegment': {
+                const tag = this.findSegment(list, value);
+                const tagged = Boolean(tag && tag.members.has(member.id));
+                return op === 'static_is' ? tagged : op === 'static_not' ? !tagged : null;
+            }
+            case 'Interests': {
+                const ids = Array.isArray(value) ? value : [value];
+                const has = ids.map(id => Boolean(member.interests[id]));
+
+                switch (op) {
+                    case 'interestcontains': return has.some(Boolean);
+                    case 'interestcontainsall': return has.every(Boolean);
+                    case 'interestnotcontains': return !has.some(Boolean);
+                    default: return null;
+                }
+            }
+            default:
+                return null;
+        }
+    }
+
+    // Webhooks
+
+    /**
+     * Send the webhook events a member change causes
+     */
+    notifyChanges(list, before, member) {
+        if (before && before.email_address !== member.email_address) {
+            this.notify(list, 'upemail', member, 'api', {
+                new_id: member.id,
+                new_email: member.email_address,
+                old_email: before.email_address
+            });
+        }
+
+        if (!before || before.status !== member.status) {
+            const event = { subscribed: 'subscribe', unsubscribed: 'unsubscribe', cleaned: 'cleaned' }[member.status];
+
+            if (event) {
+                this.notify(list, event, member, 'api');
+            }
+        } else if (JSON.stringify(before.merge_fields) !== JSON.stringify(member.merge_fields)
+            || JSON.stringify(before.interests) !== JSON.stringify(member.interests)) {
+            this.notify(list, 'profile', member, 'api');
+        }
+    }
+
+    /**
+     * Deliver an event to the list webhooks listening for it from the given source
+     */
+    notify(list, type, member, source, data = null) {
+        const payload = {
+            type: type,
+            fired_at: new Date().toISOString().replace('T', ' ').slice(0, 19),
+            data: data ? { list_id: list.data.id, ...data } : {
+                id: member.unique_email_id,
+                list_id: list.data.id,
+                email: member.email_address,
+                email_type: member.email_type,
+                merges: { EMAIL: member.email_address, ...member.merge_fields },
+                ...(type === 'unsubscribe' ? { action: 'unsub', reason: 'manual' } : {}),
+                ...(type === 'cleaned' ? { reason: 'hard' } : {})
+            }
+        };
+
+        for (const webhook of list.webhooks) {
+            if (!webhook.events[type] || !webhook.sources[source]) {
+                continue;
+            }
+
+            this.deliveries.push({ webhookId: webhook.id, url: webhook.url, payload: payload });
+
+            if (this.baseUrl && webhook.url === `${this.baseUrl}/actions/mailchimp/webhook/handle`) {
+                this.received.push(payload);
+            }
+        }
+    }
+}
+
+// Format of a real key, ending in the data center as ApiService expects
+FakeServer.API_KEY = '0123456789abcdef0123456789abcdef-us1';
+
+module.exports = { FakeServer, md5 };
@@ -0,0 +1,38 @@
+/**
+ * Helpers shared by the unit and integration tests
+ *
+ * Answer requests with MockTransport routes built from reply(), and check
+ * thrown errors with rejection().
+ */
+
+const { MockTransport } = require('../../resources/js/mailchimp.js');
+
+/**
+ * Response envelope for a mock route
+ *
+ * Statuses below 300 succeed with the data; others fail with a Mailchimp
+ * problem detail taking its title and detail from the data.
+ */
+function reply(data, status = 200) {
+    if (status < 300) {
+        return MockTransport.reply(data, status);
+    }
+
+    return MockTransport.error(status, data?.title || 'Error', data?.detail || '');
+}
+
+/**
+ * Run a function and return the error it throws, or null
+ *
+ * With an error class, errors of other classes also return null.
+ */
+async function rejection(fn, ErrorClass = Error) {
+    try {
+        await fn();
+    } catch (error) {
+        return error instanceof ErrorClass ? error : null;
+    }
+    return null;
+}
+
+module.exports = { reply, rejection };
@@ -0,0 +1,109 @@
+/**
+ * Integration Tests for the Node.js client
+ *
+ * Runs MailchimpClient, loaded through both entry points, against the
+ * Mailchimp API of the stand-in server in fake-server.js.
+ * Run with: node tests/integration/node-client-tests.js
+ */
+
+const { MailchimpClient, NotFoundError } = require('../../resources/js/node/index.cjs');
+const { TestRunner, assert } = require('./example-tests');
+const { FakeServer } = require('./fake-server');
+
+const server = new FakeServer({ lists: [{ id: 'node', name: 'Node List' }] });
+
+/**
+ * Create a client talking to the stand-in server's API
+ */
+function createClient(Client = MailchimpClient, options = {}) {
+    return new Client({
+        apiKey: server.apiKey,
+        baseUrl: server.apiUrl,
+        listId: 'node',
+        env: {},
+        onError: () => {},
+        ...options
+    });
+}
+
+const runner = new TestRunner('Node Client Integration Tests');
+
+runner.test('Members are managed with the API key', async () => {
+    server.reset();
+    const mailchimp = createClient();
+
+    const subscribed = await mailchimp.subscribeMember('jane@example.com', { FNAME: 'Jane' });
+    const status = await mailchimp.getSubscriptionStatus('jane@example.com');
+    const tagged = await mailchimp.setTags('jane@example.com', ['VIP']);
+    const archived = await mailchimp.archiveMember('jane@example.com');
+
+    assert(subscribed.success && subscribed.data.merge_fields.FNAME === 'Jane', 'The member should be subscribed');
+    assert(status.found && status.subscribed, 'The status should be read');
+    assert(tagged.success && server.state.lists.node.segments[0].name === 'VIP', 'The tag should be added');
+    assert(archived.success && archived.status === 204, 'The member should be archived');
+    assert(server.requests.every(request => !('CRAFT_CSRF_TOKEN' in request.params)), 'No CSRF token should be sent');
+});
+
+runner.test('Query parameters and errors reach the caller', async () => {
+    server.reset();
+    ['a', 'b', 'c'].forEach(name => server.addMember(`${name}@example.com`));
+    const mailchimp = createClient(MailchimpClient, { throwOnError: true });
+
+    const page = await mailchimp.getMembers({ count: 2, offset: 1 });
+    let missing = null;
+
+    try {
+        await mailchimp.request('GET', '/lists/node/members/nobody@example.com');
+    } catch (error) {
+        missing = error;
+    }
+
+    assert(page.data.members.length === 2 && page.data.members[0].email_address === 'b@example.com', 'count and offset should be sent');
+    assert(missing instanceof NotFoundError && missing.status === 404, 'Not found should be a typed error');
+});
+
+runner.test('Wrong keys are refused', async () => {
+    server.reset();
+
+    const response = await createClient(MailchimpClient, { apiKey: 'wrong-us1' }).request('GET', '/ping');
+
+    assert(!response.success && response.code === 401 && response.error.title === 'API Key Invalid', 'The problem detail should be returned');
+});
+
+runner.test('Batch results are downloaded from the batch', async () => {
+    server.reset();
+    server.addMember('jane@example.com');
+
+    const job = await createClient().batchSubscribe(['jane@example.com', 'john@example.com']);
+    const done = await job.wait({ interval: 1 });
+
+    assert(done.total_operations === 2 && done.errored_operations === 0, 'Both operations should succeed');
+    assert(done.results['john@example.com'].data.status === 'subscribed', 'Results should be read from the archive');
+});
+
+runner.test('The ES module works against the same server', async () => {
+    server.reset();
+    const { MailchimpClient: EsmClient } = await import('../../resources/js/node/index.mjs');
+
+    const response = await createClient(EsmClient).request('GET', '/lists');
+
+    assert(response.success && response.data.lists[0].id === 'node', 'Lists should be returned');
+});
+
+/**
+ * Run the tests against a local server
+ */
+async function main() {
+    await server.start();
+
+    try {
+        await runner.run();
+    } finally {
+        await server.stop();
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Test runner failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,197 @@
+/**
+ * Offline Integration Tests
+ *
+ * Runs the integration tests in example-tests.js, then MailchimpAPI itself,
+ * against the local stand-in server in fake-server.js instead of a Craft
+ * site and a Mailchimp account. Nothing leaves the machine.
+ * Run with: node tests/integration/offline-tests.js
+ */
+
+const MailchimpAPI = require('../../resources/js/mailchimp.js');
+const { TestRunner, assert, CONFIG, runner } = require('./example-tests');
+const { FakeServer } = require('./fake-server');
+const { rejection } = require('./helpers');
+
+const { MemberExistsError, NotFoundError, ValidationError, RecordReplayTransport } = MailchimpAPI;
+
+const server = new FakeServer({ lists: [{ id: 'offline', name: 'Offline List' }] });
+
+/**
+ * Create a client talking to the stand-in server
+ */
+function createClient(options = {}) {
+    return new MailchimpAPI({
+        endpoint: `${server.baseUrl}/actions/mailchimp/api/request`,
+        batchResponseEndpoint: `${server.baseUrl}/actions/mailchimp/api/batch-response`,
+        csrfTokenValue: server.csrfToken,
+        listId: 'offline',
+        onError: () => {},
+        ...options
+    });
+}
+
+const offline = new TestRunner('MailchimpAPI Offline Tests');
+
+offline.test('Members are subscribed, updated and unsubscribed', async () => {
+    server.reset();
+    const mailchimp = createClient();
+
+    const subscribed = await mailchimp.subscribeMember('jane@example.com', { FNAME: 'Jane' });
+    assert(subscribed.success && subscribed.data.status === 'subscribed', 'The member should be subscribed');
+    assert(server.requests[0].params.merge_fields.FNAME === 'Jane', 'Merge fields should reach Mailchimp');
+
+    await mailchimp.updateMember('jane@example.com', { merge_fields: { LNAME: 'Doe' } });
+    const member = (await mailchimp.checkSubscription('jane@example.com')).data;
+    assert(member.full_name === 'Jane Doe', 'The update should be kept');
+
+    await mailchimp.unsubscribeMember('jane@example.com');
+    const status = await mailchimp.getSubscriptionStatus('jane@example.com', { cache: false });
+    assert(status.found && status.unsubscribed, 'The member should be unsubscribed');
+});
+
+offline.test('Mailchimp errors arrive as problem details', async () => {
+    server.reset();
+    server.addMember('jane@example.com');
+    const mailchimp = createClient({ throwOnError: true });
+
+    const exists = await rejection(() => mailchimp.request('POST', '/lists/offline/members', { email_address: 'jane@example.com', status: 'subscribed' }));
+    assert(exists instanceof MemberExistsError && exists.status === 400, 'Existing members should be reported');
+    assert(exists.type.startsWith('https://mailchimp.com/') && exists.instance, 'The problem detail should be kept');
+
+    const missing = await rejection(() => mailchimp.request('GET', '/lists/offline/members/nobody@example.com'));
+    assert(missing instanceof NotFoundError, 'Missing members should be not found');
+
+    const invalid = await rejection(() => mailchimp.request('PUT', '/lists/offline/members/x', { email_address: 'x@example.com', status: 'maybe' }));
+    assert(invalid instanceof ValidationError && invalid.errors[0].field === 'status', 'Invalid fields should be named');
+});
+
+offline.test('The proxy checks the CSRF token and the rate limit', async () => {
+    server.reset();
+
+    const forged = await createClient({ csrfTokenValue: 'forged' }).request('GET', '/ping');
+    assert(!forged.success && forged.code === 400 && forged.reason === 'http', 'Requests without the token should be refused');
+
+    const mailchimp = createClient({ rateLimit: 100 });
+    let result = null;
+
+    for (let i = 0; i < 31; i++) {
+        result = await mailchimp.request('GET', '/ping', {}, { cache: false });
+    }
+
+    assert(!result.success && result.code === 429, 'The 31st request in a minute should be refused');
+    assert(Number(result.retryAfter) > 0, 'The time to wait should be returned');
+    assert(server.requests.length === 30, 'Refused requests should not reach Mailchimp');
+});
+
+offline.test('Batches run and return per-email results', async () => {
+    server.reset();
+    server.addMember('jane@example.com');
+    server.state.forgotten.add('offline:' + MailchimpAPI.md5Hex('gone@example.com'));
+
+    const job = await createClient().batchSubscribe(['jane@example.com', 'john@example.com', 'gone@example.com']);
+    const events = [];
+    job.on('started', () => events.push('started')).on('finished', () => events.push('finished'));
+
+    const done = await job.wait({ interval: 1 });
+
+    assert(events.join() === 'started,finished', `Unexpected events ${events.join()}`);
+    assert(done.total_operations === 3 && done.errored_operations === 1, 'One operation should fail');
+    assert(done.results['john@example.com'].success && done.results['john@example.com'].data.status === 'subscribed', 'New members should be subscribed');
+    assert(done.results['gone@example.com'].error.title === 'Forgotten Email Not Subscribed', 'Errors should be parsed from the archive');
+});
+
+offline.test('Tags and segments are kept per list', async () => {
+    server.reset();
+    server.addMember('jane@example.com', { merge_fields: { FNAME: 'Jane' } });
+    server.addMember('john@example.com', { merge_fields: { FNAME: 'John' }, tags: ['VIP'] });
+    const mailchimp = createClient();
+
+    const tagged = await mailchimp.setTags('jane@example.com', ['VIP', 'Buyer']);
+    assert(tagged.success && tagged.added.length === 2, 'Tags should be added');
+    assert((await mailchimp.getAllListTags()).map(tag => tag.name).join() === 'VIP,Buyer', 'Tags should be listed once');
+
+    const preview = await mailchimp.segment('Johns').where('merge.FNAME', 'is', 'john').and('tag', 'is', 'VIP').preview();
+    assert(preview.success && preview.count === 1, `Unexpected count ${preview.count}`);
+    assert(server.state.lists.offline.segments.length === 2, 'The preview segment should be deleted');
+
+    const vip = await mailchimp.findTag('vip');
+    const members = await mailchimp.request('GET', `/lists/offline/segments/${vip.id}/members`);
+    assert(members.data.total_items === 2, 'Both members should have the tag');
+});
+
+offline.test('Member changes are delivered to the webhook handler', async () => {
+    server.reset();
+    const mailchimp = createClient();
+
+    const webhook = await mailchimp.request('POST', '/lists/offline/webhooks', {
+        url: `${server.baseUrl}/actions/mailchimp/webhook/handle`,
+        events: { campaign: false },
+        sources: { api: true }
+    });
+    assert(webhook.success && webhook.data.events.subscribe, 'The webhook should be created');
+
+    await mailchimp.subscribeMember('jane@example.com');
+    await mailchimp.updateMember('jane@example.com', { merge_fields: { FNAME: 'Jane' } });
+    await mailchimp.changeEmail('jane@example.com', 'jane.doe@example.com');
+    await mailchimp.unsubscribeMember('jane.doe@example.com');
+
+    assert(server.received.map(event => event.type).join() === 'subscribe,profile,upemail,unsubscribe', `Unexpected events ${server.received.map(event => event.type)}`);
+    assert(server.received[1].data.merges.FNAME === 'Jane', 'Merge fields should be sent');
+    assert(server.received[2].data.old_email === 'jane@example.com', 'Email changes should name the old address');
+});
+
+offline.test('Email changes to an existing address are refused', async () => {
+    server.reset();
+    server.addMember('jane@example.com');
+    server.addMember('jane.doe@example.com');
+
+    const response = await createClient().changeEmail('jane@example.com', 'jane.doe@example.com');
+
+    assert(!response.success && response.resolution === 'aborted', 'The change should be aborted');
+    assert(server.state.lists.offline.members[MailchimpAPI.md5Hex('jane@example.com')], 'The old member should be kept');
+});
+
+offline.test('Recorded sessions replay without the server', async () => {
+    server.reset();
+    const recorder = new RecordReplayTransport({ mode: 'record' });
+    const recording = createClient({ transport: recorder });
+
+    await recording.subscribeMember('jane@example.com', { FNAME: 'Jane' });
+    await recording.checkSubscription('jane@example.com');
+
+    const fixture = JSON.stringify(recorder);
+    const sent = server.requests.length;
+    const mailchimp = createClient({ transport: new RecordReplayTransport({ fixture: fixture }) });
+
+    const subscribed = await mailchimp.subscribeMember('john@example.com', { FNAME: 'Jane' });
+    const member = await mailchimp.checkSubscription('john@example.com');
+
+    assert(!fixture.includes('jane@example.com') && !fixture.includes(server.csrfToken), 'The fixture should be scrubbed');
+    assert(subscribed.success && member.data.email_address === 'john@example.com', 'The session should be replayed');
+    assert(server.requests.length === sent, 'Nothing should reach the server');
+});
+
+/**
+ * Run the integration tests, then the MailchimpAPI tests
+ */
+async function main() {
+    await server.start();
+
+    Object.assign(CONFIG, {
+        baseUrl: server.baseUrl,
+        testEmail: 'test@example.com',
+        testListId: 'offline',
+        csrfToken: server.csrfToken,
+        csrfTokenName: server.csrfTokenName,
+        settleDelay: 0
+    });
+
+    await runner.run();
+    await offline.run();
+    await server.stop();
+}
+
+main().catch(error => {
+    console.error('❌ Test runner failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,149 @@
+/**
+ * Browser Tests for the opt-in validator component
+ *
+ * Renders templates/components/mailchimp-optin-validator.twig in jsdom with
+ * component-harness.js and submits it against the stand-in server in
+ * fake-server.js.
+ * Run with: node tests/integration/optin-validator-tests.js
+ */
+
+const { TestRunner, assert } = require('./example-tests');
+const { FakeServer } = require('./fake-server');
+const { renderComponent } = require('./component-harness');
+
+const server = new FakeServer({ lists: [{ id: 'optin', name: 'Opt-In List' }] });
+
+let page = null;
+
+/**
+ * Render the component for a fresh account
+ */
+async function render(options = {}) {
+    server.reset();
+
+    if (page) {
+        page.close();
+    }
+
+    page = await renderComponent('mailchimp-optin-validator', { server: server, ...options });
+    return page;
+}
+
+/**
+ * Enter an email address and submit the form
+ */
+function submit(email) {
+    const { document, window } = page;
+
+    document.getElementById('email-input').value = email;
+    document.getElementById('mailchimp-email-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+}
+
+/**
+ * Whether an element is shown
+ */
+function visible(id) {
+    return !page.document.getElementById(id).classList.contains('d-none');
+}
+
+const runner = new TestRunner('Opt-In Validator Browser Tests');
+
+runner.test('Text that is not passed in comes from the catalogue', async () => {
+    await render({ variables: { locale: 'de', successMessage: 'Schon dabei!' } });
+    const { document } = page;
+
+    assert(document.querySelector('#check-btn .btn-text').textContent === 'Anmelden', 'The button should be translated');
+    assert(document.getElementById('email-input').placeholder !== '', 'The placeholder should be filled in');
+    assert(document.querySelector('#subscribed-alert p').textContent === 'Schon dabei!', 'Passed text should be kept');
+    assert(page.errors.length === 0, `Unexpected errors ${page.errors.map(error => error.message)}`);
+});
+
+runner.test('New addresses are subscribed in the site language', async () => {
+    await render({ language: 'nl' });
+
+    submit('jane@example.com');
+    await page.waitFor(() => visible('new-subscriber-success'));
+
+    const member = Object.values(server.state.lists.optin.members)[0];
+    assert(member.status === 'subscribed' && member.email_address === 'jane@example.com', 'The member should be subscribed');
+    assert(member.language === 'nl', `Unexpected language ${member.language}`);
+});
+
+runner.test('Existing subscribers are told so', async () => {
+    await render();
+    server.addMember('jane@example.com');
+
+    submit('jane@example.com');
+    await page.waitFor(() => visible('subscribed-alert'));
+
+    assert(server.requests.every(request => request.method === 'GET'), 'Nothing should be written');
+    page.document.getElementById('subscribed-ok-btn').click();
+    assert(visible('email-check-form') && !visible('subscribed-alert'), 'OK should show the form again');
+});
+
+runner.test('Unsubscribed members are sent to the signup form', async () => {
+    await render();
+    server.addMember('jane@example.com', { status: 'unsubscribed' });
+
+    submit('jane@example.com');
+    await page.waitFor(() => visible('unsubscribed-alert'));
+
+    const link = page.document.getElementById('resubscribe-btn').href;
+    assert(link === server.state.lists.optin.data.subscribe_url_long, `Unexpected signup URL ${link}`);
+});
+
+runner.test('Invalid and blocked addresses are rejected in the browser', async () => {
+    await render({ config: { blockedDomains: ['example.org'] } });
+    const input = page.document.getElementById('email-input');
+
+    submit('jane@');
+    assert(input.classList.contains('is-invalid'), 'Invalid addresses should be marked');
+
+    submit('jane@example.org');
+    assert(page.document.querySelector('.invalid-feedback').textContent === 'Sorry, this domain is not part of our target audience.', 'The blocked domain should be explained');
+    assert(server.requests.length === 0, 'Nothing should be sent');
+});
+
+runner.test('Double opt-in waits for the confirmation', async () => {
+    await render({ variables: { doubleOptin: true } });
+
+    submit('jane@example.com');
+    await page.waitFor(() => visible('confirmation-pending'));
+
+    assert(Object.values(server.state.lists.optin.members)[0].status === 'pending', 'The member should be pending');
+});
+
+runner.test('Errors from the proxy are shown', async () => {
+    await render();
+    server.rateLimit = 0;
+
+    try {
+        submit('jane@example.com');
+        await page.waitFor(() => visible('error-alert'));
+    } finally {
+        server.rateLimit = 30;
+    }
+
+    assert(page.document.getElementById('error-message').textContent === 'Unable to check subscription status. Please try again.', 'The status check error should be shown');
+});
+
+/**
+ * Run the tests against a local server
+ */
+async function main() {
+    await server.start();
+
+    try {
+        await runner.run();
+    } finally {
+        if (page) {
+            page.close();
+        }
+        await server.stop();
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Test runner failed:', error);
+    process.exit(1);
+});
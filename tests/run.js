@@ -0,0 +1,40 @@
+/**
+ * Runs every test file that works without a network
+ *
+ * Runs the unit tests, then the offline integration, browser, Node client and
+ * command-line tests, each in its own Node process, and exits with a non-zero code when
+ * any of them fails. The live integration tests in example-tests.js are not run.
+ * Run with: npm test (or node tests/run.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const files = [
+    ...fs.readdirSync(path.join(__dirname, 'unit'))
+        .filter(file => file.endsWith('-tests.js'))
+        .sort()
+        .map(file => path.join('unit', file)),
+    path.join('integration', 'offline-tests.js'),
+    path.join('integration', 'optin-validator-tests.js'),
+    path.join('integration', 'node-client-tests.js'),
+    path.join('integration', 'cli-tests.js')
+];
+
+const failed = [];
+
+for (const file of files) {
+    const result = spawnSync(process.execPath, [path.join(__dirname, file)], { stdio: 'inherit' });
+
+    if (result.status !== 0) {
+        failed.push(file);
+    }
+}
+
+console.log(`\n📦 ${files.length - failed.length}/${files.length} test files passed`);
+
+if (failed.length > 0) {
+    console.log(`❌ Failed: ${failed.join(', ')}`);
+    process.exit(1);
+}
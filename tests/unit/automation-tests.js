@@ -0,0 +1,134 @@
+/**
+ * Unit Tests for automations and Customer Journeys
+ *
+ * Answers requests with a MockTransport that keeps one workflow with two
+ * emails and the subscribers queued for them.
+ * Run with: node tests/unit/automation-tests.js
+ */
+
+const MailchimpAPI = require('../../resources/js/mailchimp.js');
+const { TestRunner, assert } = require('../integration/example-tests');
+const { reply, rejection } = require('../integration/helpers');
+
+const { MailchimpError, MockTransport, ValidationError } = MailchimpAPI;
+
+const notFound = reply({ title: 'Resource Not Found', detail: 'The requested resource could not be found.' }, 404);
+
+let requests = [];
+let queues = {};
+let removed = [];
+
+/**
+ * Create a client with an empty workflow
+ */
+function createClient() {
+    queues = {};
+    removed = [];
+
+    const transport = new MockTransport()
+        .on('GET', '/automations', { automations: [{ id: 'wf1' }], total_items: 1 })
+        .on('GET', '/automations/wf1/emails', {
+            emails: [
+                { id: 'e2', position: 2, status: 'paused', settings: { title: 'Reminder' } },
+                { id: 'e1', position: 1, status: 'sending', settings: { title: 'Welcome' } }
+            ],
+            total_items: 2
+        })
+        .on('POST', '/automations/*/emails/*/queue', ({ endpoint, params }) => {
+            const emailId = endpoint.split('/')[4];
+            (queues[emailId] = queues[emailId] || []).push(MailchimpAPI.md5Hex(params.email_address));
+            return reply(null, 204);
+        })
+        .on('GET', '/automations/*/emails/*/queue/*', ({ endpoint }) => {
+            const [, , , , emailId, , hash] = endpoint.split('/');
+            return (queues[emailId] || []).includes(hash) ? { id: hash, next_send: '2024-05-01T10:00:00+00:00' } : notFound;
+        })
+        .on('POST', '/automations/*/removed-subscribers', ({ params }) => {
+            removed.push(MailchimpAPI.md5Hex(params.email_address));
+            return reply(null, 204);
+        })
+        .on('GET', '/automations/*/removed-subscribers/*', ({ endpoint }) => {
+            const hash = endpoint.split('/').pop();
+            return removed.includes(hash) ? { id: hash } : notFound;
+        })
+        .on('POST', /\/actions\//, reply(null, 204));
+
+    requests = transport.requests;
+
+    return new MailchimpAPI({ listId: 'list1', transport: transport, onError: () => {} });
+}
+
+const runner = new TestRunner('Automation Unit Tests');
+
+runner.test('Workflows and their emails are listed', async () => {
+    const mailchimp = createClient();
+
+    assert((await mailchimp.getAllAutomations())[0].id === 'wf1', 'Automations should be listed');
+
+    const emails = await mailchimp.getAutomationEmails('wf1');
+    assert(emails.data.emails.map(email => email.id).join() === 'e1,e2', 'Emails should be in sending order');
+});
+
+runner.test('Workflows and single emails start and pause', async () => {
+    const mailchimp = createClient();
+
+    await mailchimp.pauseWorkflow('wf1');
+    await mailchimp.startWorkflow('wf1');
+    await mailchimp.pauseWorkflowEmail('wf1', 'e2');
+    await mailchimp.startWorkflowEmail('wf1', 'e2');
+
+    assert(requests.map(request => request.endpoint).join() === [
+        '/automations/wf1/actions/pause-all-emails',
+        '/automations/wf1/actions/start-all-emails',
+        '/automations/wf1/emails/e2/actions/pause',
+        '/automations/wf1/emails/e2/actions/start'
+    ].join(), `Unexpected endpoints ${requests.map(request => request.endpoint)}`);
+    assert(requests.every(request => request.method === 'POST'), 'Actions should be posted');
+});
+
+runner.test('Triggering queues the first email unless one is given', async () => {
+    const mailchimp = createClient();
+
+    await mailchimp.triggerAutomation('wf1', 'jane@example.com');
+    assert(requests[1].endpoint === '/automations/wf1/emails/e1/queue', 'The first email should be used');
+    assert(requests[1].params.email_address === 'jane@example.com', 'The subscriber should be sent');
+
+    requests.splice(0);
+    await mailchimp.triggerAutomation('wf1', 'jane@example.com', 'e2');
+    assert(requests.length === 1 && requests[0].endpoint === '/automations/wf1/emails/e2/queue', 'The given email should be used');
+});
+
+runner.test('The queue state of a subscriber is reported per email', async () => {
+    const mailchimp = createClient();
+    await mailchimp.triggerAutomation('wf1', 'jane@example.com', 'e2');
+
+    const state = await mailchimp.getAutomationQueueState('wf1', 'jane@example.com');
+
+    assert(state.success && !state.data.removed, 'The subscriber should not be removed');
+    assert(state.data.emails.map(email => email.queued).join() === 'false,true', 'Only the second email should be queued');
+    assert(state.data.emails[1].nextSend === '2024-05-01T10:00:00+00:00' && state.data.emails[1].title === 'Reminder', 'Queue details should be reported');
+});
+
+runner.test('Permanent removal is named as such and pauseAutomation no longer removes anyone', async () => {
+    const mailchimp = createClient();
+
+    await mailchimp.removeFromAutomationPermanently('wf1', 'jane@example.com');
+    const error = await rejection(() => mailchimp.pauseAutomation('wf1', 'john@example.com'), MailchimpError);
+
+    assert(error && error.message.includes('removeFromAutomationPermanently()'), 'pauseAutomation should point to the permanent removal');
+    assert(requests.length === 1 && requests[0].endpoint === '/automations/wf1/removed-subscribers', 'Only the permanent removal should be sent');
+    assert(!removed.includes(MailchimpAPI.md5Hex('john@example.com')), 'pauseAutomation should not remove the subscriber');
+    assert((await mailchimp.getAutomationQueueState('wf1', 'jane@example.com')).data.removed, 'The removal should show in the queue state');
+});
+
+runner.test('Customer Journey steps are triggered', async () => {
+    const mailchimp = createClient();
+
+    await mailchimp.triggerJourneyStep(12, 34, 'jane@example.com');
+    assert(requests[0].endpoint === '/customer-journeys/journeys/12/steps/34/actions/trigger', 'The step trigger should be used');
+    assert(requests[0].params.email_address === 'jane@example.com', 'The contact should be sent');
+
+    assert(await rejection(() => mailchimp.triggerJourneyStep(12, null, 'jane@example.com'), ValidationError), 'The step should be required');
+});
+
+runner.run();
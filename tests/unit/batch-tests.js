@@ -0,0 +1,155 @@
+/**
+ * Unit Tests for MailchimpAPI batch operations and BatchJob
+ *
+ * Answers requests with a MockTransport keeping the batches in memory and
+ * builds the results archive with Node's zlib.
+ * Run with: node tests/unit/batch-tests.js
+ */
+
+const zlib = require('zlib');
+const MailchimpAPI = require('../../resources/js/mailchimp.js');
+const { TestRunner, assert } = require('../integration/example-tests');
+const { reply, rejection } = require('../integration/helpers');
+
+const { MockTransport } = MailchimpAPI;
+
+/**
+ * Build a tar archive from { name: content } pairs
+ */
+function tar(files) {
+    const blocks = [];
+
+    for (const [name, content] of Object.entries(files)) {
+        const data = Buffer.from(content);
+        const header = Buffer.alloc(512);
+
+        header.write(name, 0);
+        header.write('0000644\0', 100);
+        header.write(data.length.toString(8).padStart(11, '0') + '\0', 124);
+        header.write('0', 156);
+
+        blocks.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+    }
+
+    blocks.push(Buffer.alloc(1024));
+    return Buffer.concat(blocks);
+}
+
+/**
+ * Build the gzipped results archive of a batch, failing its first operation
+ */
+function resultsArchive(batch) {
+    const entries = batch.operations.map((operation, index) => ({
+        status_code: index === 0 ? 400 : 200,
+        operation_id: operation.operation_id,
+        response: JSON.stringify(index === 0
+            ? { title: 'Invalid Resource', status: 400, detail: 'Looks fake or invalid' }
+            : { email_address: operation.operation_id, status: 'subscribed' })
+    }));
+
+    return zlib.gzipSync(tar({ [`${batch.id}/results.json`]: JSON.stringify(entries) }));
+}
+
+let batches = {};
+let submitted = [];
+
+const transport = new MockTransport()
+    .on('POST', '/batches', ({ params }) => {
+        const id = `batch${submitted.length + 1}`;
+        submitted.push(params.operations);
+        batches[id] = { id, operations: params.operations, polls: 0 };
+        transport.onArchive(id, resultsArchive(batches[id]));
+        return { id, status: 'pending' };
+    })
+    .on('GET', '/batches/*', ({ endpoint }) => {
+        const batch = batches[endpoint.split('/').pop()];
+        const states = ['pending', 'started', 'finished'];
+        const status = states[Math.min(batch.polls++, 2)];
+        const total = batch.operations.length;
+
+        return {
+            id: batch.id,
+            status: status,
+            total_operations: total,
+            finished_operations: status === 'finished' ? total : Math.floor(total / 2),
+            errored_operations: status === 'finished' ? 1 : 0,
+            response_body_url: status === 'finished' ? `https://example.com/${batch.id}.tar.gz` : ''
+        };
+    });
+
+const runner = new TestRunner('Batch Unit Tests');
+
+runner.test('batchSubscribe returns a BatchJob compatible with the old response', async () => {
+    batches = {};
+    submitted = [];
+    const mailchimp = new MailchimpAPI({ listId: 'list1', transport: transport });
+    const job = await mailchimp.batchSubscribe(['a@example.com', 'b@example.com']);
+
+    assert(job instanceof MailchimpAPI.BatchJob, 'Should return a BatchJob');
+    assert(job.success && job.data.id === 'batch1', 'Old response fields should be available');
+    assert(job.id === 'batch1', 'Job should expose the batch ID');
+    assert(submitted[0][0].operation_id === 'a@example.com', 'Operations should be keyed by email');
+});
+
+runner.test('Large inputs are split into several batches', async () => {
+    batches = {};
+    submitted = [];
+    const mailchimp = new MailchimpAPI({ listId: 'list1', transport: transport, batchSize: 2 });
+    const emails = ['a@example.com', 'b@example.com', 'c@example.com', 'd@example.com', 'e@example.com'];
+    const job = await mailchimp.batchUnsubscribe(emails);
+
+    assert(submitted.length === 3, `Expected 3 batches, got ${submitted.length}`);
+    assert(submitted.map(operations => operations.length).join() === '2,2,1', 'Chunks should respect batchSize');
+    assert(job.ids.join() === 'batch1,batch2,batch3', 'Job should track every batch');
+    assert(job.totalOperations === 5, 'Job should count every operation');
+});
+
+runner.test('wait() emits progress events and resolves with per-email results', async () => {
+    batches = {};
+    submitted = [];
+    const mailchimp = new MailchimpAPI({ listId: 'list1', transport: transport, batchSize: 2 });
+    const job = await mailchimp.batchSubscribe(['a@example.com', 'b@example.com', 'c@example.com']);
+    const events = [];
+    const progress = [];
+
+    job.on('pending', () => events.push('pending'))
+        .on('started', () => events.push('started'))
+        .on('finished', () => events.push('finished'))
+        .on('progress', snapshot => progress.push(snapshot));
+
+    const result = await job.wait({ interval: 1 });
+
+    assert(events.join() === 'pending,started,finished', `Unexpected events ${events.join()}`);
+    assert(progress.length === 3, `Expected 3 progress events, got ${progress.length}`);
+    assert(result.finished_operations === 3, 'All operations should be finished');
+    assert(result.errored_operations === 2, 'Errors should be summed over batches');
+
+    const { results } = result;
+    assert(Object.keys(results).length === 3, 'There should be a result per email');
+    assert(results['b@example.com'].success, 'b should have succeeded');
+    assert(results['b@example.com'].data.status === 'subscribed', 'Response body should be parsed');
+    assert(!results['a@example.com'].success, 'a should have failed');
+    assert(results['a@example.com'].error instanceof MailchimpAPI.ValidationError, 'Failures should be typed errors');
+});
+
+runner.test('A rejected submission is reported on the job', async () => {
+    const rejected = new MockTransport().on('POST', '/batches', reply({ title: 'Invalid Resource', detail: 'Bad batch' }, 400));
+    const mailchimp = new MailchimpAPI({ listId: 'list1', transport: rejected, onError: () => {} });
+
+    const job = await mailchimp.batchSubscribe(['a@example.com']);
+    assert(!job.success && job.code === 400, 'Job should carry the failure');
+
+    const error = await rejection(() => job.wait({ interval: 1 }));
+    assert(error instanceof MailchimpAPI.ValidationError, 'wait() should reject with the submission error');
+});
+
+runner.test('The tar reader returns every file', async () => {
+    const archive = tar({ 'batch1/results.json': '[]', 'batch1/notes.txt': 'hello' });
+    const files = MailchimpAPI.BatchJob.untar(new Uint8Array(archive));
+
+    assert(files.length === 2, `Expected 2 files, got ${files.length}`);
+    assert(files[0].name === 'batch1/results.json', 'File names should be read');
+    assert(Buffer.from(files[1].content).toString() === 'hello', 'File content should be read');
+});
+
+runner.run();
@@ -0,0 +1,171 @@
+/**
+ * Unit Tests for the MailchimpAPI response cache
+ *
+ * Answers requests with a slow MockTransport so cache hits and shared
+ * requests can be observed.
+ * Run with: node tests/unit/cache-tests.js
+ */
+
+const MailchimpAPI = require('../../resources/js/mailchimp.js');
+const { TestRunner, assert } = require('../integration/example-tests');
+
+const { MockTransport } = MailchimpAPI;
+
+// Give concurrent callers the chance to overlap
+const transport = new MockTransport().on('*', /.*/, ({ endpoint }) => ({ endpoint: endpoint, call: calls.length }), { delay: 5 });
+const calls = transport.requests;
+
+/**
+ * Count the requests sent for an endpoint
+ */
+function count(request) {
+    return calls.filter(call => `${call.method} ${call.endpoint}` === request).length;
+}
+
+const runner = new TestRunner('Cache Unit Tests');
+
+runner.test('The cache is disabled by default', async () => {
+    calls.splice(0);
+    const mailchimp = new MailchimpAPI({ listId: 'list1', transport: transport });
+
+    await mailchimp.getList();
+    await mailchimp.getList();
+
+    assert(count('GET /lists/list1') === 2, 'Both calls should reach the proxy');
+});
+
+runner.test('Repeated GET requests are served from the cache', async () => {
+    calls.splice(0);
+    const mailchimp = new MailchimpAPI({ listId: 'list1', transport: transport, cache: true });
+
+    const first = await mailchimp.getList();
+    const second = await mailchimp.getList();
+    await mailchimp.getMembers({ status: 'subscribed', count: 10 });
+    await mailchimp.getMembers({ count: 10, status: 'subscribed' });
+    await mailchimp.getMembers({ count: 20, status: 'subscribed' });
+
+    assert(count('GET /lists/list1') === 1, 'getList should be cached');
+    assert(second.data.call === first.data.call, 'Cached result should be returned');
+    assert(second !== first, 'Callers should get their own copy');
+    assert(count('GET /lists/list1/members') === 2, 'Params should be part of the cache key, in any order');
+});
+
+runner.test('Identical in-flight requests are shared', async () => {
+    calls.splice(0);
+    const mailchimp = new MailchimpAPI({ listId: 'list1', transport: transport, cache: true });
+
+    const results = await Promise.all([
+        mailchimp.checkSubscription('user@example.com'),
+        mailchimp.checkSubscription('user@example.com'),
+        mailchimp.checkSubscription('USER@example.com ')
+    ]);
+
+    assert(calls.length === 1, `Expected 1 request, got ${calls.length}`);
+    assert(results.every(result => result.success), 'Every caller should get the result');
+});
+
+runner.test('Writes invalidate the member and its list', async () => {
+    calls.splice(0);
+    const mailchimp = new MailchimpAPI({ listId: 'list1', transport: transport, cache: true });
+    const hash = mailchimp.subscriberHash('user@example.com');
+
+    await mailchimp.checkSubscription('user@example.com');
+    await mailchimp.getTags('user@example.com');
+    await mailchimp.getList();
+    await mailchimp.getInterestCategories();
+    await mailchimp.checkSubscription('other@example.com');
+
+    await mailchimp.addTags('user@example.com', ['vip']);
+
+    await mailchimp.checkSubscription('user@example.com');
+    await mailchimp.getTags('user@example.com');
+    await mailchimp.getList();
+    await mailchimp.getInterestCategories();
+    await mailchimp.checkSubscription('other@example.com');
+
+    assert(count(`GET /lists/list1/members/${hash}`) === 2, 'Member should be refetched');
+    assert(count(`GET /lists/list1/members/${hash}/tags`) === 2, 'Member tags should be refetched');
+    assert(count('GET /lists/list1') === 2, 'List stats should be refetched');
+    assert(count('GET /lists/list1/interest-categories') === 1, 'Unrelated list data should stay cached');
+    assert(calls.filter(call => call.method === 'GET' && call.endpoint.startsWith('/lists/list1/members/')).length === 5, 'Other members should stay cached');
+});
+
+runner.test('Per-endpoint TTLs and manual invalidation', async () => {
+    calls.splice(0);
+    const mailchimp = new MailchimpAPI({
+        listId: 'list1',
+        transport: transport,
+        cache: { ttl: 60000, ttls: { '/lists/*/members': 0 } }
+    });
+
+    await mailchimp.checkSubscription('user@example.com');
+    await mailchimp.checkSubscription('user@example.com');
+    assert(calls.length === 2, 'A TTL of 0 should disable caching for matching endpoints');
+
+    calls.splice(0);
+    await mailchimp.getInterestCategories();
+    mailchimp.invalidate('/lists/*/interest-categories');
+    await mailchimp.getInterestCategories();
+    assert(calls.length === 2, 'invalidate() should clear matching entries');
+
+    calls.splice(0);
+    await mailchimp.request('GET', '/lists/list1', {}, { cache: false });
+    await mailchimp.request('GET', '/lists/list1', {}, { cache: false });
+    assert(calls.length === 2, 'cache: false should bypass the cache');
+});
+
+runner.test('Expired entries are refetched', async () => {
+    calls.splice(0);
+    const mailchimp = new MailchimpAPI({ listId: 'list1', transport: transport, cache: { ttl: 10 } });
+
+    await mailchimp.getList();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await mailchimp.getList();
+
+    assert(calls.length === 2, 'Expired entry should not be used');
+});
+
+runner.test('Cache messages go through the debug log', async () => {
+    const logged = [];
+    const printed = [];
+    const original = console.log;
+    console.log = message => printed.push(message);
+
+    try {
+        const mailchimp = new MailchimpAPI({ listId: 'list1', transport: transport, debug: true, cache: true });
+        mailchimp.log = message => logged.push(message);
+
+        await Promise.all([mailchimp.getList(), mailchimp.getList()]);
+        await mailchimp.getList();
+        mailchimp.invalidate('/lists/list1');
+
+        const quiet = new MailchimpAPI({ listId: 'list1', transport: transport, debug: true, cache: { debug: false } });
+        quiet.log = message => logged.push(message);
+        await quiet.getList();
+        await quiet.getList();
+    } finally {
+        console.log = original;
+    }
+
+    const cacheMessages = logged.filter(message => message.includes('Cache'));
+
+    assert(cacheMessages.join() === [
+        'Mailchimp API Cache joined in-flight request:',
+        'Mailchimp API Cache hit:',
+        'Mailchimp API Cache invalidated:'
+    ].join(), `Unexpected cache messages ${cacheMessages.join()}`);
+    assert(printed.length === 0, 'Nothing should bypass the client log');
+});
+
+runner.test('Pattern matching', async () => {
+    const { matches } = MailchimpAPI.ResponseCache;
+
+    assert(matches('/lists/abc/members/123', '/lists/abc/members'), 'Prefix should match descendants');
+    assert(matches('/lists/abc', '/lists/abc'), 'Pattern should match itself');
+    assert(!matches('/lists/abcdef', '/lists/abc'), 'Prefix should stop at segment boundaries');
+    assert(matches('/lists/xyz/interest-categories', '/lists/*/interest-categories'), '* should match one segment');
+    assert(!matches('/lists/a/b/interest-categories', '/lists/*/interest-categories'), '* should not span segments');
+    assert(matches('/campaigns/1/content', /content$/), 'RegExp should be tested');
+});
+
+runner.run();
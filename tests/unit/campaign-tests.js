@@ -0,0 +1,130 @@
+/**
+ * Unit Tests for campaign authoring and sending
+ *
+ * Answers requests with a MockTransport that records them and answers the
+ * send checklist from a configurable list of items.
+ * Run with: node tests/unit/campaign-tests.js
+ */
+
+const MailchimpAPI = require('../../resources/js/mailchimp.js');
+const { TestRunner, assert } = require('../integration/example-tests');
+const { reply, rejection } = require('../integration/helpers');
+
+const { MockTransport, ValidationError } = MailchimpAPI;
+
+let requests = [];
+let checklist = [];
+
+/**
+ * Create a client with a clean request log
+ */
+function createClient(options = {}) {
+    checklist = [];
+
+    const transport = new MockTransport()
+        .on('GET', '/campaigns/*/send-checklist', () => ({
+            is_ready: !checklist.some(item => item.type === 'error'),
+            items: checklist
+        }))
+        .on('POST', '/campaigns/*/actions/*', reply(null, 204))
+        .on('*', /^\/campaigns(\/|$)/, ({ params }) => ({ id: 'camp1', ...params }));
+
+    requests = transport.requests;
+
+    return new MailchimpAPI({ listId: 'list1', transport: transport, ...options });
+}
+
+const settings = { subject_line: 'Spring news', preview_text: 'What is new', from_name: 'Example', reply_to: 'news@example.com' };
+
+const runner = new TestRunner('Campaign Unit Tests');
+
+runner.test('Campaigns are created for a list or segment', async () => {
+    const mailchimp = createClient();
+
+    const response = await mailchimp.createCampaign(settings, { segmentId: '42' });
+    const sent = requests[0];
+
+    assert(response.success && response.data.id === 'camp1', 'The campaign should be created');
+    assert(sent.method === 'POST' && sent.endpoint === '/campaigns', 'The campaign should be posted');
+    assert(sent.params.type === 'regular' && sent.params.recipients.list_id === 'list1', 'The list should be the recipients');
+    assert(sent.params.recipients.segment_opts.saved_segment_id === 42, 'The segment should be a number');
+    assert(sent.params.settings.preview_text === 'What is new', 'The settings should be sent');
+
+    const missing = await rejection(() => mailchimp.createCampaign({ ...settings, from_name: '' }), ValidationError);
+    const invalid = await rejection(() => mailchimp.createCampaign({ ...settings, reply_to: 'news@' }), ValidationError);
+    assert(missing && missing.errors[0].field === 'from_name', 'Required settings should be checked');
+    assert(invalid && invalid.errors[0].field === 'reply_to', 'The reply-to address should be checked');
+});
+
+runner.test('Content is set from HTML or a template with sections', async () => {
+    const mailchimp = createClient();
+
+    await mailchimp.setCampaignContent('camp1', { html: '<h1>Hello</h1>' });
+    await mailchimp.setCampaignContent('camp1', { template: { id: 7, sections: { body: '<p>Entry body</p>' } } });
+
+    assert(requests[0].method === 'PUT' && requests[0].endpoint === '/campaigns/camp1/content', 'The content should be put');
+    assert(requests[1].params.template.sections.body === '<p>Entry body</p>', 'Sections should be sent');
+    assert(await rejection(() => mailchimp.setCampaignContent('camp1', {}), ValidationError), 'Empty content should be rejected');
+    assert(await rejection(() => mailchimp.setCampaignContent('camp1', { template: { sections: {} } }), ValidationError), 'Templates need an ID');
+});
+
+runner.test('The send checklist reports errors and warnings', async () => {
+    const mailchimp = createClient();
+    checklist = [
+        { type: 'success', id: 0, heading: 'Subject', details: 'Looks good' },
+        { type: 'warning', id: 1, heading: 'Preview text', details: 'Consider adding preview text' },
+        { type: 'error', id: 2, heading: 'Content', details: 'The campaign has no content' }
+    ];
+
+    const response = await mailchimp.getSendChecklist('camp1');
+
+    assert(response.success && !response.ready, 'The campaign should not be ready');
+    assert(response.errors.length === 1 && response.errors[0].heading === 'Content', 'Errors should be listed');
+    assert(response.warnings.length === 1 && response.warnings[0].id === 1, 'Warnings should be listed');
+});
+
+runner.test('Campaigns are not sent when the checklist fails', async () => {
+    const mailchimp = createClient({ onError: () => {} });
+    checklist = [{ type: 'error', id: 2, heading: 'Content', details: 'The campaign has no content' }];
+
+    const refused = await mailchimp.sendCampaign('camp1');
+    assert(!refused.success && refused.errors[0].id === 2, 'The checklist errors should be returned');
+    assert(!requests.some(request => request.endpoint.endsWith('/actions/send')), 'Nothing should be sent');
+
+    checklist = [{ type: 'warning', id: 1, heading: 'Preview text', details: 'Consider adding preview text' }];
+    const sent = await mailchimp.sendCampaign('camp1');
+    assert(sent.success && requests[requests.length - 1].endpoint === '/campaigns/camp1/actions/send', 'Warnings should not stop sending');
+
+    requests.length = 0;
+    await mailchimp.sendCampaign('camp1', { checklist: false });
+    assert(requests.length === 1, 'The checklist should be optional');
+});
+
+runner.test('Test emails go to valid reviewer addresses', async () => {
+    const mailchimp = createClient();
+
+    await mailchimp.sendTestEmail('camp1', ['editor@example.com', ' chief@example.com']);
+    assert(requests[0].endpoint === '/campaigns/camp1/actions/test', 'The test action should be used');
+    assert(requests[0].params.test_emails[1] === 'chief@example.com' && requests[0].params.send_type === 'html', 'Addresses should be trimmed');
+
+    assert(await rejection(() => mailchimp.sendTestEmail('camp1', ['editor@']), ValidationError), 'Invalid addresses should be rejected');
+    assert(await rejection(() => mailchimp.sendTestEmail('camp1', ['editor@example.com'], 'pdf'), ValidationError), 'Unknown types should be rejected');
+});
+
+runner.test('Campaigns are scheduled on the quarter hour', async () => {
+    const mailchimp = createClient();
+    const time = new Date(Date.now() + 86400000);
+    time.setUTCMinutes(45, 0, 0);
+
+    await mailchimp.scheduleCampaign('camp1', time, { timewarp: true });
+    assert(requests[0].params.schedule_time === time.toISOString() && requests[0].params.timewarp, 'The time should be sent in UTC');
+
+    await mailchimp.unscheduleCampaign('camp1');
+    assert(requests[1].endpoint === '/campaigns/camp1/actions/unschedule', 'The campaign should be unscheduled');
+
+    time.setUTCMinutes(50);
+    assert(await rejection(() => mailchimp.scheduleCampaign('camp1', time), ValidationError), 'Other minutes should be rejected');
+    assert(await rejection(() => mailchimp.scheduleCampaign('camp1', '2001-01-01T10:00:00Z'), ValidationError), 'Past times should be rejected');
+});
+
+runner.run();
@@ -0,0 +1,195 @@
+/**
+ * Unit Tests for changing member email addresses
+ *
+ * Answers requests with a MockTransport that keeps members by subscriber
+ * hash and, like Mailchimp, refuses to give a member the address of another
+ * one.
+ * Run with: node tests/unit/change-email-tests.js
+ */
+
+const MailchimpAPI = require('../../resources/js/mailchimp.js');
+const { TestRunner, assert } = require('../integration/example-tests');
+const { reply, rejection } = require('../integration/helpers');
+
+const { MemberExistsError, MockTransport, ValidationError } = MailchimpAPI;
+
+let members = {};
+let requests = [];
+const hash = email => MailchimpAPI.md5Hex(email.trim().toLowerCase());
+
+/**
+ * Answer a request for a member or its tags
+ */
+function answer({ method, endpoint, params }) {
+    const match = endpoint.match(/\/members\/([^/]+)(\/tags)?$/);
+    const member = match ? members[match[1]] : null;
+
+    if (!member) {
+        return reply({ title: 'Resource Not Found', detail: 'The requested resource could not be found.' }, 404);
+    }
+
+    if (method === 'GET') {
+        return member;
+    }
+
+    if (method === 'DELETE') {
+        delete members[match[1]];
+        return {};
+    }
+
+    if (match[2]) {
+        params.tags.forEach(tag => member.tags.push({ name: tag.name }));
+        return {};
+    }
+
+    const { email_address: email, merge_fields: mergeFields, interests, ...rest } = params;
+
+    if (email && hash(email) !== match[1]) {
+        if (members[hash(email)]) {
+            return reply({ title: 'Invalid Resource', detail: `${email} is already a list member.` }, 400);
+        }
+
+        delete members[match[1]];
+        members[hash(email)] = member;
+        member.email_address = email;
+    }
+
+    Object.assign(member.merge_fields, mergeFields);
+    Object.assign(member.interests, interests);
+    Object.assign(member, rest);
+
+    return member;
+}
+
+/**
+ * Add a member to the fake list
+ */
+function addMember(email, data = {}) {
+    members[hash(email)] = { email_address: email, status: 'subscribed', merge_fields: {}, interests: {}, tags: [], ...data };
+}
+
+/**
+ * Create a client with an old and, optionally, a new member
+ */
+function createClient(newMember = null, options = {}) {
+    members = {};
+    addMember('jane@example.com', {
+        merge_fields: { FNAME: 'Jane', PHONE: '555-0100' },
+        interests: { news: true, offers: false },
+        tags: [{ name: 'buyer' }, { name: 'vip' }]
+    });
+
+    if (newMember) {
+        addMember('janet@example.com', newMember);
+    }
+
+    const transport = new MockTransport().on('*', /\/members\//, answer);
+    requests = transport.requests;
+
+    return new MailchimpAPI({ listId: 'list1', transport: transport, cache: true, onError: () => {}, ...options });
+}
+
+const runner = new TestRunner('Change Email Unit Tests');
+
+runner.test('The existing member gets the new address', async () => {
+    const mailchimp = createClient();
+    const response = await mailchimp.changeEmail('jane@example.com', ' Janet@Example.com ');
+
+    assert(response.success && response.resolution === 'changed', 'The change should succeed');
+    assert(requests.length === 1 && requests[0].method === 'PATCH', 'One PATCH should be sent');
+    assert(requests[0].endpoint.endsWith(hash('jane@example.com')), 'The old member should be patched');
+    assert(response.subscriberHash === hash('janet@example.com'), 'The new hash should be returned');
+    assert(response.previousHash === hash('jane@example.com'), 'The old hash should be returned');
+    assert(members[response.subscriberHash].tags.length === 2, 'The member should keep its tags');
+});
+
+runner.test('Cached responses for both addresses are cleared', async () => {
+    const mailchimp = createClient();
+
+    await mailchimp.checkSubscription('jane@example.com');
+    await mailchimp.checkSubscription('janet@example.com');
+    await mailchimp.changeEmail('jane@example.com', 'janet@example.com');
+    requests.splice(0);
+
+    const moved = await mailchimp.checkSubscription('janet@example.com');
+    const gone = await mailchimp.checkSubscription('jane@example.com');
+
+    assert(requests.length === 2, 'Both members should be requested again');
+    assert(moved.success && moved.data.merge_fields.FNAME === 'Jane', 'The new address should find the member');
+    assert(!gone.success && gone.code === 404, 'The old address should be gone');
+});
+
+runner.test('Conflicts abort by default', async () => {
+    const mailchimp = createClient({ merge_fields: { FNAME: 'Janet' } });
+    const response = await mailchimp.changeEmail('jane@example.com', 'janet@example.com');
+
+    assert(!response.success && response.resolution === 'aborted', 'The change should be aborted');
+    assert(response.error.title === 'Member Exists', 'The conflict should be reported as Member Exists');
+    assert(response.subscriberHash === hash('jane@example.com'), 'The old hash should stay valid');
+    assert(members[hash('jane@example.com')] && members[hash('janet@example.com')], 'Both members should be kept');
+
+    const error = await rejection(() => createClient({}, { throwOnError: true }).changeEmail('jane@example.com', 'janet@example.com'));
+    assert(error instanceof MemberExistsError, 'throwOnError should throw a MemberExistsError');
+});
+
+runner.test('Conflicts can archive the old member', async () => {
+    const mailchimp = createClient({ status: 'unsubscribed', merge_fields: { FNAME: 'Janet' } });
+    const response = await mailchimp.changeEmail('jane@example.com', 'janet@example.com', { onConflict: 'archive' });
+
+    assert(response.success && response.resolution === 'archived', 'The old member should be archived');
+    assert(!members[hash('jane@example.com')], 'The old member should be removed');
+    assert(members[hash('janet@example.com')].merge_fields.FNAME === 'Janet', 'The new member should be kept as it is');
+    assert(response.subscriberHash === hash('janet@example.com'), 'The new hash should be returned');
+});
+
+runner.test('Conflicts can merge the old member into the new one', async () => {
+    const mailchimp = createClient({
+        status: 'unsubscribed',
+        merge_fields: { FNAME: 'Janet', PHONE: '' },
+        interests: { offers: true },
+        tags: [{ name: 'vip' }]
+    });
+    const response = await mailchimp.changeEmail('jane@example.com', 'janet@example.com', { onConflict: 'merge' });
+    const merged = members[hash('janet@example.com')];
+
+    assert(response.success && response.resolution === 'merged', 'The members should be merged');
+    assert(merged.merge_fields.FNAME === 'Janet', 'Values of the new member should win');
+    assert(merged.merge_fields.PHONE === '555-0100', 'Empty fields should be filled from the old member');
+    assert(merged.interests.news && merged.interests.offers, 'Interests should be combined');
+    assert(merged.tags.map(tag => tag.name).sort().join() === 'buyer,vip', 'Missing tags should be added once');
+    assert(merged.status === 'unsubscribed', 'The new member should keep its status');
+    assert(!members[hash('jane@example.com')], 'The old member should be archived');
+});
+
+runner.test('Other fields are changed with the address', async () => {
+    const mailchimp = createClient();
+    const fields = { email_type: 'text', merge_fields: { FNAME: 'Janet' } };
+    const response = await mailchimp.changeEmail('jane@example.com', 'janet@example.com', { fields: fields });
+
+    assert(response.success && requests.length === 1, 'One PATCH should be sent');
+    assert(requests[0].params.email_address === 'janet@example.com' && requests[0].params.email_type === 'text', 'The fields should be sent with the address');
+    assert(members[hash('janet@example.com')].merge_fields.FNAME === 'Janet', 'The merge field should be changed');
+
+    const archived = createClient({ merge_fields: { FNAME: 'J' } });
+    const conflict = await archived.changeEmail('jane@example.com', 'janet@example.com', { onConflict: 'archive', fields: fields });
+
+    assert(conflict.success && conflict.resolution === 'archived', 'The old member should be archived');
+    assert(members[hash('janet@example.com')].merge_fields.FNAME === 'Janet', 'The fields should be changed on the new member');
+});
+
+runner.test('Invalid input is rejected before sending', async () => {
+    const mailchimp = createClient();
+
+    for (const [args, field] of [
+        [['jane@example.com', 'janet@'], 'email_address'],
+        [['', 'janet@example.com'], 'email_address'],
+        [['jane@example.com', 'janet@example.com', { onConflict: 'replace' }], 'onConflict']
+    ]) {
+        const error = await rejection(() => mailchimp.changeEmail(...args), ValidationError);
+        assert(error && error.errors[0].field === field, `${args.join(' ')} should fail on ${field}`);
+    }
+
+    assert(requests.length === 0, 'Nothing should be sent');
+});
+
+runner.run();
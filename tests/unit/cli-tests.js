@@ -0,0 +1,108 @@
+/**
+ * Unit Tests for the mailchimp command-line tool
+ *
+ * Covers argument and configuration errors, which need no server, and the
+ * CSV, .env and table helpers.
+ * Run with: node tests/unit/cli-tests.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { run, parseCsv, readEnvFile, formatTable } = require('../../resources/js/node/cli.js');
+const { TestRunner, assert } = require('../integration/example-tests');
+
+/**
+ * Run the tool with captured output and no real environment
+ */
+async function cli(argv, env = { MAILCHIMP_API_KEY: 'abc-us1', MAILCHIMP_LIST_ID: 'list1' }) {
+    const output = { stdout: '', stderr: '' };
+    const io = {
+        env: env,
+        cwd: os.tmpdir(),
+        stdout: { write: text => (output.stdout += text) },
+        stderr: { write: text => (output.stderr += text) }
+    };
+
+    output.code = await run(argv, io);
+    return output;
+}
+
+const runner = new TestRunner('CLI Unit Tests');
+
+runner.test('Usage errors exit with code 2', async () => {
+    const none = await cli([]);
+    const unknown = await cli(['campaigns']);
+    const missing = await cli(['members', 'get']);
+    const option = await cli(['ping', '--colour']);
+    const help = await cli(['--help']);
+
+    assert(none.code === 2 && none.stderr.startsWith('Usage: mailchimp'), 'No command should print the usage');
+    assert(unknown.code === 2 && unknown.stderr.includes('Unknown command: campaigns'), 'Unknown commands should be named');
+    assert(missing.code === 2 && missing.stderr.includes('mailchimp members get <email>'), 'Missing arguments should show the usage of the command');
+    assert(option.code === 2 && option.stderr.includes('--colour'), 'Unknown options should be refused');
+    assert(help.code === 0 && help.stdout.includes('batch import <csv>'), '--help should print the usage');
+});
+
+runner.test('Configuration errors exit with code 2 before any request', async () => {
+    const noKey = await cli(['ping'], {});
+    const noList = await cli(['segments'], { MAILCHIMP_API_KEY: 'abc-us1' });
+    const unsafe = await cli(['members', 'delete', 'jane@example.com']);
+    const json = await cli(['lists', '--json'], {});
+
+    assert(noKey.code === 2 && noKey.stderr.includes('MAILCHIMP_API_KEY is not set'), 'A missing key should be reported');
+    assert(noList.code === 2 && noList.stderr.includes('MAILCHIMP_LIST_ID'), 'A missing audience should be reported');
+    assert(unsafe.code === 2 && unsafe.stderr.includes('--yes'), 'Permanent deletes should need --yes');
+    assert(json.code === 2 && JSON.parse(json.stdout).error.message === 'MAILCHIMP_API_KEY is not set', 'Errors should be JSON with --json');
+});
+
+runner.test('Mailchimp settings are read from .env files', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mailchimp-cli-'));
+    fs.writeFileSync(path.join(dir, '.env'), [
+        '# Mailchimp',
+        'MAILCHIMP_API_KEY="abc-us19"',
+        "export MAILCHIMP_LIST_ID='list9'",
+        'CRAFT_ENVIRONMENT=dev'
+    ].join('\n'));
+
+    try {
+        const env = readEnvFile(path.join(dir, '.env'));
+
+        assert(env.MAILCHIMP_API_KEY === 'abc-us19' && env.MAILCHIMP_LIST_ID === 'list9', 'Quoted values should be read');
+        assert(!('CRAFT_ENVIRONMENT' in env), 'Only Mailchimp settings should be read');
+        assert(Object.keys(readEnvFile(path.join(dir, 'missing'))).length === 0, 'A missing file should be ignored');
+    } finally {
+        fs.rmSync(dir, { recursive: true });
+    }
+});
+
+runner.test('CSV files with quotes and line endings are parsed', async () => {
+    const rows = parseCsv('\uFEFFEmail Address,First Name\r\n"doe, jane@example.com","Jane ""JD"""\r\njohn@example.com,"Multi\nline"\n');
+
+    assert(rows.length === 3, `Expected 3 rows, got ${rows.length}`);
+    assert(rows[0][0] === 'Email Address', 'The byte order mark should be removed');
+    assert(rows[1][0] === 'doe, jane@example.com' && rows[1][1] === 'Jane "JD"', 'Quoted fields should be unescaped');
+    assert(rows[2][1] === 'Multi\nline', 'Quoted line breaks should be kept');
+});
+
+runner.test('Tables are aligned under their column names', async () => {
+    const table = formatTable([{ ID: 'a1', Name: 'Newsletter' }, { ID: 'b22', Name: null }]);
+
+    assert(table === 'ID   NAME\na1   Newsletter\nb22\n', `Unexpected table ${JSON.stringify(table)}`);
+    assert(formatTable([]) === '(none)\n', 'Empty tables should say so');
+});
+
+runner.test('The bin script exits with the code of the command', async () => {
+    const script = path.join(__dirname, '../../bin/mailchimp.js');
+    const result = spawnSync(process.execPath, [script, 'ping'], {
+        cwd: os.tmpdir(),
+        env: { PATH: process.env.PATH },
+        encoding: 'utf8',
+        timeout: 10000
+    });
+
+    assert(result.status === 2 && result.stderr.includes('MAILCHIMP_API_KEY'), `Unexpected exit code ${result.status}`);
+});
+
+runner.run();
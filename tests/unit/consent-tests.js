@@ -0,0 +1,170 @@
+/**
+ * Unit Tests for marketing permissions and consent records
+ *
+ * Answers requests with a MockTransport for a list with the three standard
+ * GDPR fields.
+ * Run with: node tests/unit/consent-tests.js
+ */
+
+const MailchimpAPI = require('../../resources/js/mailchimp.js');
+const { TestRunner, assert } = require('../integration/example-tests');
+const { rejection } = require('../integration/helpers');
+
+const { MockTransport, ValidationError } = MailchimpAPI;
+
+const permissions = [
+    { marketing_permission_id: 'perm_email', text: 'Email', enabled: true },
+    { marketing_permission_id: 'perm_mail', text: 'Direct Mail', enabled: false },
+    { marketing_permission_id: 'perm_ads', text: 'Customized Online Advertising', enabled: false }
+];
+
+let requests = [];
+let online = true;
+let members = [{ marketing_permissions: permissions }];
+
+/**
+ * Answer while online, fail like fetch while offline
+ */
+function whenOnline(response) {
+    return call => (online ? response(call) : MockTransport.networkError());
+}
+
+/**
+ * Create a client that collects consent records
+ */
+function createClient(records, options = {}) {
+    online = true;
+    members = [{ marketing_permissions: permissions }];
+
+    const transport = new MockTransport()
+        .on('GET', '/lists/list1/members', whenOnline(() => ({ members: members, total_items: members.length })))
+        .on('GET', '/lists/list1/members/*', whenOnline(() => ({
+            email_address: 'jane@example.com',
+            status: 'subscribed',
+            marketing_permissions: permissions
+        })))
+        .on('*', '/lists/list1/members/*', whenOnline(({ params }) => ({ ...params })));
+
+    requests = transport.requests;
+
+    return new MailchimpAPI({
+        listId: 'list1',
+        transport: transport,
+        onError: () => {},
+        onConsent: record => records.push(record),
+        ...options
+    });
+}
+
+const runner = new TestRunner('Consent Unit Tests');
+
+runner.test('Marketing permissions are discovered with their channel', async () => {
+    const mailchimp = createClient([]);
+    const result = await mailchimp.getMarketingPermissions();
+    await mailchimp.getMarketingPermissions();
+
+    assert(result.length === 3, `Expected 3 permissions, got ${result.length}`);
+    assert(result.map(permission => permission.channel).join() === 'email,direct_mail,customized_ads', 'Channels should be detected');
+    assert(requests.length === 1, 'Permissions should be loaded once');
+    assert(requests[0].params.fields === 'members.marketing_permissions', 'Only permissions should be requested');
+});
+
+runner.test('Consent is sent with the member write', async () => {
+    const records = [];
+    const mailchimp = createClient(records);
+
+    await mailchimp.subscribeMember('jane@example.com', {}, {
+        consent: { email: true, 'Direct Mail': false, perm_ads: true },
+        formId: 'footer-signup',
+        consentWording: 'I agree to receive emails.'
+    });
+
+    const put = requests.find(request => request.method === 'PUT');
+    const sent = Object.fromEntries(put.params.marketing_permissions.map(item => [item.marketing_permission_id, item.enabled]));
+
+    assert(sent.perm_email === true && sent.perm_mail === false && sent.perm_ads === true, `Unexpected permissions ${JSON.stringify(sent)}`);
+    assert(records.length === 1, 'One consent record should be emitted');
+});
+
+runner.test('Consent records have a timestamp, form ID and wording hash but no IP', async () => {
+    const records = [];
+    const mailchimp = createClient(records);
+
+    await mailchimp.addOrUpdateMember('jane@example.com', {}, {
+        consent: ['email'],
+        formId: 'footer-signup',
+        consentWording: 'I agree to receive emails.'
+    });
+
+    const record = records[0];
+    const expected = await MailchimpAPI.hashText('I agree to receive emails.');
+
+    assert(record.formId === 'footer-signup', 'The form ID should be recorded');
+    assert(!Number.isNaN(Date.parse(record.timestamp)), 'The timestamp should be an ISO date');
+    assert(/^sha256:[0-9a-f]{64}$/.test(record.wordingHash) && record.wordingHash === expected, 'The wording should be hashed');
+    assert(!('ip' in record) && !JSON.stringify(record).includes('ip_'), 'No IP address should be recorded');
+    assert(record.permissions.filter(permission => permission.enabled).map(permission => permission.id).join() === 'perm_email', 'Arrays should grant only the listed permissions');
+    assert(record.permissions.length === 3, 'Declined permissions should be recorded too');
+    assert(record.success === true && record.queued === false, 'The outcome should be recorded');
+});
+
+runner.test('Unknown permissions are rejected before sending', async () => {
+    const mailchimp = createClient([]);
+    const error = await rejection(() => mailchimp.updateMarketingPermissions('jane@example.com', { sms: true }), ValidationError);
+
+    assert(error, 'A ValidationError should be thrown');
+    assert(error.errors[0].field === 'sms' && error.errors[0].code === 'unknown_permission', 'The unknown permission should be named');
+    assert(!requests.some(request => request.method === 'PATCH'), 'Nothing should be sent');
+});
+
+runner.test('Member permissions can be read and updated', async () => {
+    const records = [];
+    const mailchimp = createClient(records);
+
+    const current = await mailchimp.getMemberMarketingPermissions('jane@example.com');
+    assert(current.find(permission => permission.channel === 'email').enabled === true, 'Email consent should be read');
+
+    const response = await mailchimp.updateMarketingPermissions('jane@example.com', { direct_mail: true }, { formId: 'preferences' });
+    const patch = requests.find(request => request.method === 'PATCH');
+
+    assert(response.success, 'The update should succeed');
+    assert(patch.params.marketing_permissions.length === 1, 'Only the changed permission should be sent');
+    assert(patch.params.marketing_permissions[0].marketing_permission_id === 'perm_mail', 'Channels should resolve to IDs');
+    assert(records[0].formId === 'preferences' && records[0].wordingHash.startsWith('sha256:'), 'A consent record should be emitted');
+});
+
+runner.test('Permission IDs are sent as given when the permissions cannot be loaded', async () => {
+    const records = [];
+    const mailchimp = createClient(records, { offlineQueue: { storage: 'memory', autoReplay: false } });
+    online = false;
+
+    const response = await mailchimp.addOrUpdateMember('jane@example.com', {}, { consent: { e1a2b3c4d5: true } });
+    const entries = await mailchimp.offlineQueue.getEntries();
+    const error = await rejection(() => mailchimp.addOrUpdateMember('john@example.com', {}, { consent: { email: true } }));
+
+    assert(response.queued, 'The write should be queued');
+    assert(entries[0].params.marketing_permissions[0].marketing_permission_id === 'e1a2b3c4d5', 'The ID should be queued');
+    assert(records[0].queued === true, 'The record should show the write was queued');
+    assert(error?.errors?.[0]?.code === 'unknown_permission', 'Channels should be rejected offline');
+    assert((await mailchimp.offlineQueue.getEntries()).length === 1, 'A write with an unresolved channel should not be queued');
+});
+
+runner.test('Lists without members only accept permission IDs', async () => {
+    const mailchimp = createClient([]);
+    members = [];
+    const error = await rejection(() => mailchimp.subscribeMember('jane@example.com', {}, { consent: { email: true, 'Direct Mail': false } }), ValidationError);
+
+    assert(error, 'A ValidationError should be thrown');
+    assert(error.errors.map(item => `${item.field}:${item.code}`).join() === 'email:unknown_permission,Direct Mail:unknown_permission', 'Channels and texts should be named');
+    assert(!requests.some(request => request.method === 'PUT'), 'Nothing should be sent');
+
+    const mapped = createClient([], { marketingPermissionIds: { email: 'e1a2b3c4d5' } });
+    members = [];
+
+    await mapped.subscribeMember('jane@example.com', {}, { consent: { email: true, f6a7b8c9d0: false } });
+    const put = requests.find(request => request.method === 'PUT');
+
+    assert(put.params.marketing_permissions.map(item => `${item.marketing_permission_id}:${item.enabled}`).join() === 'e1a2b3c4d5:true,f6a7b8c9d0:false', `Unexpected permissions ${JSON.stringify(put.params.marketing_permissions)}`);
+});
+
+runner.run();
@@ -0,0 +1,138 @@
+/**
+ * Unit Tests for the double opt-in subscription flow
+ *
+ * Answers requests with a MockTransport that keeps one member and applies
+ * PUT semantics.
+ * Run with: node tests/unit/double-optin-tests.js
+ */
+
+const MailchimpAPI = require('../../resources/js/mailchimp.js');
+const { TestRunner, assert } = require('../integration/example-tests');
+const { reply, rejection } = require('../integration/helpers');
+
+const { MockTransport } = MailchimpAPI;
+
+let member = null;
+let writes = [];
+let statusSequence = [];
+
+/**
+ * Apply a member PUT the way Mailchimp does
+ */
+function putMember(params) {
+    if (!member) {
+        member = { email_address: params.email_address, status: params.status || params.status_if_new };
+    } else if (params.status) {
+        member = { ...member, status: params.status };
+    }
+
+    return member;
+}
+
+/**
+ * Create a client with a known member status
+ */
+function createClient(status, options = {}) {
+    member = status ? { email_address: 'jane@example.com', status: status } : null;
+    writes = [];
+    statusSequence = [];
+
+    const transport = new MockTransport()
+        .on('PUT', '/lists/*/members/*', ({ params }) => {
+            writes.push(params);
+            return { ...putMember(params) };
+        })
+        .on('GET', '/lists/*/members/*', () => {
+            if (statusSequence.length > 0) {
+                const next = statusSequence.shift();
+                return next instanceof Error ? next : { email_address: 'jane@example.com', status: next };
+            }
+
+            return member ? { ...member } : reply({ title: 'Resource Not Found', detail: 'Not found' }, 404);
+        });
+
+    return new MailchimpAPI({ listId: 'list1', transport: transport, doubleOptin: true, onError: () => {}, ...options });
+}
+
+const runner = new TestRunner('Double Opt-In Unit Tests');
+
+runner.test('Single opt-in still subscribes directly', async () => {
+    const mailchimp = createClient(null, { doubleOptin: false });
+    const response = await mailchimp.subscribeMember('jane@example.com');
+
+    assert(writes[0].status === 'subscribed', 'Status should be subscribed');
+    assert(!('status_if_new' in writes[0]), 'status_if_new should not be sent');
+    assert(response.data.status === 'subscribed', 'The member should be subscribed');
+});
+
+runner.test('New members are added as pending', async () => {
+    const mailchimp = createClient(null);
+    const response = await mailchimp.subscribeMember('jane@example.com', { FNAME: 'Jane' });
+
+    assert(writes[0].status_if_new === 'pending', 'status_if_new should be pending');
+    assert(!('status' in writes[0]), 'status should be left out');
+    assert(response.confirmationSent === true, 'A confirmation email should be reported');
+    assert(response.previousStatus === 'not_found', `Unexpected previous status ${response.previousStatus}`);
+});
+
+runner.test('Existing subscribers are not downgraded', async () => {
+    const mailchimp = createClient('subscribed');
+    const response = await mailchimp.subscribeMember('jane@example.com', { FNAME: 'Jane' });
+
+    assert(!('status' in writes[0]), 'status should be left out');
+    assert(response.data.status === 'subscribed', 'The member should stay subscribed');
+    assert(response.confirmationSent === false, 'No confirmation email should be reported');
+});
+
+runner.test('Pending and unsubscribed members get a new confirmation email', async () => {
+    for (const status of ['pending', 'unsubscribed']) {
+        const mailchimp = createClient(status);
+        const response = await mailchimp.subscribeMember('jane@example.com');
+
+        assert(writes[0].status === 'pending', `${status} members should be set to pending`);
+        assert(response.confirmationSent === true, `${status} members should get a confirmation email`);
+        assert(response.previousStatus === status, 'The previous status should be reported');
+    }
+
+    const mailchimp = createClient('pending');
+    await mailchimp.resendConfirmation('jane@example.com');
+    assert(writes[0].status === 'pending', 'resendConfirmation should set the member to pending');
+});
+
+runner.test('waitForConfirmation polls with backoff until the member confirms', async () => {
+    const mailchimp = createClient('pending', { cache: true });
+    const delays = [];
+    const wait = mailchimp.wait.bind(mailchimp);
+    mailchimp.wait = (ms, signal) => {
+        delays.push(ms);
+        return wait(1, signal);
+    };
+    statusSequence = ['pending', MockTransport.networkError(), 'pending', 'subscribed'];
+
+    const result = await mailchimp.waitForConfirmation('jane@example.com', { interval: 100, factor: 2, maxInterval: 300 });
+
+    assert(result.confirmed && result.status === 'subscribed', 'The confirmation should be detected');
+    assert(result.attempts === 4, `Expected 4 checks, got ${result.attempts}`);
+    assert(delays.join() === '100,200,300,300', `Unexpected delays ${delays.join()}`);
+});
+
+runner.test('waitForConfirmation stops at the timeout', async () => {
+    const mailchimp = createClient('pending');
+    const result = await mailchimp.waitForConfirmation('jane@example.com', { interval: 5, factor: 1, timeout: 30 });
+
+    assert(!result.confirmed && result.timedOut, 'Polling should time out');
+    assert(result.status === 'pending', 'The member should still be pending');
+    assert(result.attempts >= 1 && result.attempts <= 6, `Unexpected number of checks ${result.attempts}`);
+});
+
+runner.test('waitForConfirmation can be cancelled', async () => {
+    const mailchimp = createClient('pending');
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 10);
+
+    const error = await rejection(() => mailchimp.waitForConfirmation('jane@example.com', { interval: 5, factor: 1, signal: controller.signal }));
+
+    assert(error && error.name === 'AbortError', 'Polling should reject with an AbortError');
+});
+
+runner.run();
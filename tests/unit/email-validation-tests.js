@@ -0,0 +1,139 @@
+/**
+ * Unit Tests for the email validator chain
+ *
+ * Run with: node tests/unit/email-validation-tests.js
+ */
+
+const MailchimpAPI = require('../../resources/js/mailchimp.js');
+const { TestRunner, assert } = require('../integration/example-tests');
+
+const { EmailValidator } = MailchimpAPI;
+
+const runner = new TestRunner('Email Validation Unit Tests');
+
+runner.test('Syntax follows RFC 5322 addr-spec', async () => {
+    const valid = [
+        'jane@example.com',
+        'jane.doe+news@mail.example.co.uk',
+        "o'brien@example.ie",
+        '"jane doe"@example.com',
+        'jane@xn--bcher-kva.example',
+        'jane@bücher.de'
+    ];
+    const invalid = [
+        'jane',
+        'jane@',
+        '@example.com',
+        'jane..doe@example.com',
+        '.jane@example.com',
+        'jane@example',
+        'jane@-example.com',
+        'jane@example..com',
+        'jane@[192.168.0.1]',
+        'jane doe@example.com',
+        `${'a'.repeat(65)}@example.com`
+    ];
+
+    valid.forEach(email => assert(EmailValidator.isValidSyntax(email), `${email} should be valid`));
+    invalid.forEach(email => assert(!EmailValidator.isValidSyntax(email), `${email} should be invalid`));
+});
+
+runner.test('Every rule reports a reason code', async () => {
+    const validator = new EmailValidator();
+    const codes = email => validator.validateSync(email).errors.map(error => error.code).join();
+
+    assert(codes('') === 'required', 'Empty addresses should be required');
+    assert(codes('not-an-email') === 'invalid_syntax', 'Bad syntax should be reported');
+    assert(codes('ivan@mail.ru') === 'blocked_domain', 'The default TLD blocklist should apply');
+    assert(codes('jane@mailinator.com') === 'disposable_domain', 'Disposable domains should be rejected');
+    assert(codes('jane@inbox.mailinator.com') === 'disposable_domain', 'Subdomains of disposable domains should be rejected');
+    assert(validator.validateSync('jane@example.com').valid, 'Ordinary addresses should pass');
+
+    const blocked = validator.validateSync('ivan@mail.ru');
+    assert(blocked.code === 'blocked_domain' && blocked.error === EmailValidator.MESSAGES.blocked_domain, 'The first error should be summarized');
+    assert(blocked.errors[0].rule === '.ru', 'The matching rule should be reported');
+});
+
+runner.test('Allow and deny lists match domains, subdomains and TLDs', async () => {
+    const validator = new EmailValidator({
+        blockedDomains: ['competitor.com', '*.internal.example', '.test'],
+        allowedDomains: ['partner.ru']
+    });
+
+    assert(validator.isBlocked('jane@competitor.com'), 'Full domains should be blocked');
+    assert(!validator.isBlocked('jane@shop.competitor.com'), 'A full domain should not block its subdomains');
+    assert(validator.isBlocked('jane@hr.internal.example'), 'Subdomain patterns should block subdomains');
+    assert(!validator.isBlocked('jane@internal.example'), 'Subdomain patterns should not block the domain itself');
+    assert(validator.isBlocked('jane@site.test'), 'TLD patterns should block the TLD');
+    assert(validator.isBlocked('ivan@mail.ru'), 'Configured domains should add to the defaults');
+    assert(!validator.isBlocked('ivan@partner.ru'), 'Allowed domains should win over blocked ones');
+});
+
+runner.test('Typos are suggested without failing validation', async () => {
+    const validator = new EmailValidator();
+
+    assert(validator.suggest('jane@gmial.com') === 'jane@gmail.com', 'Swapped letters should be corrected');
+    assert(validator.suggest('jane@hotmial.co.uk') === 'jane@hotmail.co.uk', 'Regional domains should be corrected');
+    assert(validator.suggest('jane@example.con') === 'jane@example.com', 'TLD typos should be corrected');
+    assert(validator.suggest('jane@gmail.com') === null, 'Correct domains should not get suggestions');
+    assert(validator.suggest('jane@mail.com') === null, 'Other common domains should not be corrected');
+
+    const result = validator.validateSync('jane@gmial.com');
+    assert(result.valid, 'A typo should only be a warning');
+    assert(result.suggestion === 'jane@gmail.com', 'The suggestion should be returned');
+    assert(result.warnings[0].message === 'Did you mean jane@gmail.com?', 'The message should include the suggestion');
+});
+
+runner.test('Role accounts warn by default and can be blocked', async () => {
+    const warn = new EmailValidator().validateSync('info@example.com');
+    const block = new EmailValidator({ roleAccounts: 'block' }).validateSync('Admin+news@example.com');
+    const off = new EmailValidator({ roleAccounts: false }).validateSync('info@example.com');
+
+    assert(warn.valid && warn.warnings[0].code === 'role_account', 'Role accounts should warn');
+    assert(!block.valid && block.code === 'role_account', 'Role accounts should be blockable');
+    assert(off.warnings.length === 0, 'Role account detection should be optional');
+});
+
+runner.test('Custom async validators run after the built-in rules', async () => {
+    const checked = [];
+    const validator = new EmailValidator({
+        validators: [
+            async (email, { domain }) => {
+                checked.push(email);
+                if (domain === 'example.org') {
+                    return { code: 'no_mx_record', message: 'This domain does not receive email.' };
+                }
+                return null;
+            },
+            email => (email.startsWith('test') ? { code: 'test_address', level: 'warning' } : null)
+        ]
+    });
+
+    const rejected = await validator.validate('jane@example.org');
+    const warned = await validator.validate('test@example.com');
+    await validator.validate('not-an-email');
+
+    assert(!rejected.valid && rejected.code === 'no_mx_record', 'Custom errors should fail validation');
+    assert(rejected.error === 'This domain does not receive email.', 'Custom messages should be used');
+    assert(warned.valid && warned.warnings[0].code === 'test_address', 'Custom warnings should be reported');
+    assert(warned.warnings[0].message === EmailValidator.MESSAGES.invalid, 'Missing messages should fall back');
+    assert(checked.length === 2, 'Custom validators should not run for invalid syntax');
+});
+
+runner.test('MailchimpAPI uses the configured validator', async () => {
+    const mailchimp = new MailchimpAPI({
+        emailValidation: {
+            blockedDomains: ['.tmp'],
+            disposableDomains: false,
+            validators: [async () => ({ code: 'custom' })]
+        }
+    });
+
+    assert(mailchimp.isDomainBlocked('jane@site.tmp'), 'The blockedDomains setting should be honoured');
+    assert(mailchimp.isValidEmail('jane@example.com') && !mailchimp.isValidEmail('jane@'), 'isValidEmail should check syntax');
+    assert(mailchimp.validateEmail('jane@mailinator.com').valid, 'The disposable list should be optional');
+    assert(mailchimp.validateEmail('jane@example.com').valid, 'validateEmail should skip async validators');
+    assert((await mailchimp.validateEmailAsync('jane@example.com')).code === 'custom', 'validateEmailAsync should run them');
+});
+
+runner.run();
@@ -0,0 +1,136 @@
+/**
+ * Unit Tests for MailchimpAPI error classes
+ *
+ * Answers requests with a MockTransport that returns the next response as
+ * given.
+ * Run with: node tests/unit/error-tests.js
+ */
+
+const MailchimpAPI = require('../../resources/js/mailchimp.js');
+const { TestRunner, assert } = require('../integration/example-tests');
+const { rejection } = require('../integration/helpers');
+
+const {
+    MailchimpError,
+    ValidationError,
+    NotFoundError,
+    RateLimitError,
+    TimeoutError,
+    NetworkError,
+    MemberExistsError,
+    MockTransport
+} = MailchimpAPI;
+
+let nextResponse = null;
+
+const transport = new MockTransport().on('*', /.*/, () => nextResponse);
+
+const runner = new TestRunner('Error Unit Tests');
+
+runner.test('Envelopes map to the matching error class', async () => {
+    const cases = [
+        [{ success: false, error: { title: 'Resource Not Found', status: 404, detail: 'Not found' }, code: 404 }, NotFoundError],
+        [{ success: false, error: 'Rate limit exceeded. Maximum 30 requests per minute.', code: 429, retryAfter: 12 }, RateLimitError],
+        [{ success: false, error: { title: 'Member Exists', status: 400, detail: 'Already a list member' }, code: 400 }, MemberExistsError],
+        [{ success: false, error: { title: 'Invalid Resource', status: 400, errors: [{ field: 'FNAME', message: 'Too long' }] }, code: 400 }, ValidationError],
+        [{ success: false, error: 'Request timeout', code: 500, reason: 'timeout' }, TimeoutError],
+        [{ success: false, error: 'Failed to fetch', code: 500, reason: 'network' }, NetworkError],
+        [{ success: false, error: 'Mailchimp API key not configured', code: 500 }, MailchimpError]
+    ];
+
+    for (const [response, ErrorClass] of cases) {
+        const error = MailchimpError.fromResponse(response);
+        assert(error.constructor === ErrorClass, `Expected ${ErrorClass.name}, got ${error.name}`);
+        assert(error instanceof MailchimpError && error instanceof Error, `${error.name} should extend MailchimpError`);
+        assert(error.response === response, 'Error should keep the envelope');
+    }
+});
+
+runner.test('Problem-detail fields are exposed', async () => {
+    const error = MailchimpError.fromResponse({
+        success: false,
+        error: {
+            type: 'https://mailchimp.com/developer/marketing/docs/errors/',
+            title: 'Invalid Resource',
+            status: 400,
+            detail: 'The resource submitted could not be validated.',
+            instance: '995c5cb0-3280-4a6e-808b-3b096d0bb219',
+            errors: [{ field: 'email_address', message: 'This value should be a valid email.' }]
+        },
+        code: 400
+    });
+
+    assert(error.status === 400, 'status');
+    assert(error.title === 'Invalid Resource', 'title');
+    assert(error.detail === 'The resource submitted could not be validated.', 'detail');
+    assert(error.message === error.detail, 'message should be the detail');
+    assert(error.instance === '995c5cb0-3280-4a6e-808b-3b096d0bb219', 'instance');
+    assert(error.errors[0].field === 'email_address', 'errors[]');
+});
+
+runner.test('String errors keep the subclass title', async () => {
+    const error = MailchimpError.fromResponse({ success: false, error: 'Request timeout', code: 500, reason: 'timeout' });
+    const rateLimit = MailchimpError.fromResponse({ success: false, error: 'Rate limit exceeded.', code: 429, retryAfter: 12 });
+
+    assert(error.title === 'Request Timeout', `Unexpected title ${error.title}`);
+    assert(error.detail === 'Request timeout', 'detail should be the string error');
+    assert(rateLimit.retryAfter === 12, 'RateLimitError should expose retryAfter');
+});
+
+runner.test('Input validation throws ValidationError with the field', async () => {
+    const mailchimp = new MailchimpAPI({ listId: 'list1', transport: transport });
+    const error = await rejection(() => mailchimp.addTags('user@example.com', []));
+
+    assert(error instanceof ValidationError, 'Should throw a ValidationError');
+    assert(error.message === 'Tags must be a non-empty array', 'Message should be unchanged');
+    assert(error.status === null, 'Local validation has no status');
+    assert(error.errors[0].field === 'tags', 'Field should be listed in errors[]');
+});
+
+runner.test('throwOnError rejects instead of resolving the envelope', async () => {
+    const errors = [];
+    const mailchimp = new MailchimpAPI({ listId: 'list1', transport: transport, throwOnError: true, onError: error => errors.push(error) });
+
+    nextResponse = { success: false, error: { title: 'Resource Not Found', status: 404, detail: 'Not found' }, code: 404 };
+    const error = await rejection(() => mailchimp.checkSubscription('user@example.com'));
+
+    assert(error instanceof NotFoundError, 'Should reject with a NotFoundError');
+    assert(errors.length === 1, 'onError should still fire');
+    assert(error.toResponse().code === 404, 'toResponse() should return the envelope');
+
+    nextResponse = { success: true, data: { status: 'subscribed' }, status: 200 };
+    const response = await mailchimp.checkSubscription('user@example.com');
+    assert(response.success, 'Successful responses still resolve with the envelope');
+});
+
+runner.test('throwOnError can be set per call and envelopes stay the default', async () => {
+    const mailchimp = new MailchimpAPI({ listId: 'list1', transport: transport, onError: () => {} });
+    nextResponse = MockTransport.networkError();
+
+    const response = await mailchimp.request('GET', '/lists');
+    assert(response.success === false && response.reason === 'network', 'Envelope should be returned by default');
+
+    const error = await rejection(() => mailchimp.request('GET', '/lists', {}, { throwOnError: true }));
+
+    assert(error instanceof NetworkError, 'Per-call throwOnError should reject with a NetworkError');
+});
+
+runner.test('getSubscriptionStatus still reports not_found with throwOnError', async () => {
+    const mailchimp = new MailchimpAPI({ listId: 'list1', transport: transport, throwOnError: true, onError: () => {} });
+    nextResponse = { success: false, error: { title: 'Resource Not Found', status: 404 }, code: 404 };
+
+    const status = await mailchimp.getSubscriptionStatus('user@example.com');
+    assert(status.found === false && status.status === 'not_found', 'A 404 should not throw');
+});
+
+runner.test('getSubscriptionStatus throws typed errors', async () => {
+    const mailchimp = new MailchimpAPI({ listId: 'list1', transport: transport, onError: () => {} });
+    nextResponse = { success: false, error: 'Rate limit exceeded.', code: 429 };
+
+    const error = await rejection(() => mailchimp.getSubscriptionStatus('user@example.com'));
+
+    assert(error instanceof RateLimitError, 'Should throw a RateLimitError');
+    assert(error.message === 'Rate limit exceeded.', 'String errors should become the message');
+});
+
+runner.run();
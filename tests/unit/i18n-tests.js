@@ -0,0 +1,149 @@
+/**
+ * Unit Tests for the message catalogue and locale handling
+ *
+ * Answers requests with a MockTransport that echoes writes and serves a small
+ * merge field schema.
+ * Run with: node tests/unit/i18n-tests.js
+ */
+
+const MailchimpAPI = require('../../resources/js/mailchimp.js');
+const { TestRunner, assert } = require('../integration/example-tests');
+
+const { MockTransport } = MailchimpAPI;
+
+const fields = [
+    { tag: 'FNAME', name: 'Vorname', type: 'text', required: true, options: {} },
+    { tag: 'AGE', name: 'Alter', type: 'number', required: false, options: {} }
+];
+
+let requests = [];
+
+/**
+ * Create a client for a locale
+ */
+function createClient(locale, options = {}) {
+    const transport = new MockTransport()
+        .on('GET', '/lists/*/merge-fields', { merge_fields: fields, total_items: fields.length })
+        .on('*', /.*/, ({ params }) => params);
+
+    requests = transport.requests;
+
+    return new MailchimpAPI({ listId: 'list1', locale: locale, transport: transport, onError: () => {}, ...options });
+}
+
+const runner = new TestRunner('I18n Unit Tests');
+
+runner.test('Messages fall back from region to language to English', async () => {
+    assert(createClient('de-AT').t('ui.subscribe') === 'Anmelden', 'Regional locales should use their language');
+    assert(createClient('fr_CA').t('ui.cancel') === 'Annuler', 'Underscores should be accepted');
+    assert(createClient('ja').t('ui.subscribe') === 'Subscribe', 'Unknown locales should fall back to English');
+    assert(createClient(null).t('ui.nope') === 'ui.nope', 'Unknown keys should resolve to themselves');
+    assert(createClient('es').t('error.status', { status: 'cleaned' }).includes('cleaned'), 'Placeholders should be filled');
+});
+
+runner.test('The t option and messages override the catalogue', async () => {
+    const calls = [];
+    const mailchimp = createClient('de', {
+        messages: { 'ui.ok': 'Alles klar' },
+        t: (key, params, locale) => {
+            calls.push(locale);
+            return key === 'ui.cancel' ? 'Zurück zu {page}' : undefined;
+        }
+    });
+
+    assert(mailchimp.t('ui.cancel', { page: 'Start' }) === 'Zurück zu Start', 't should win and get placeholders filled');
+    assert(mailchimp.t('ui.ok') === 'Alles klar', 'messages should win over the catalogue');
+    assert(mailchimp.t('ui.resubscribe') === 'Erneut anmelden', 'Other keys should come from the catalogue');
+    assert(calls.every(locale => locale === 'de'), 't should receive the active locale');
+});
+
+runner.test('Email validation messages follow the locale', async () => {
+    const mailchimp = createClient('de', {
+        emailValidation: {
+            messages: { role_account: 'Keine Sammeladressen' },
+            validators: [email => (email.startsWith('test') ? { code: 'test_address' } : null)]
+        }
+    });
+
+    assert(mailchimp.validateEmail('').error === 'Bitte geben Sie Ihre E-Mail-Adresse ein', 'Errors should be translated');
+    assert(mailchimp.validateEmail('jane@gmial.com').warnings[0].message === 'Meinten Sie jane@gmail.com?', 'Suggestions should be translated');
+    assert(mailchimp.validateEmail('info@example.com').warnings[0].message === 'Keine Sammeladressen', 'Configured messages should win');
+    assert((await mailchimp.validateEmailAsync('test@example.com')).error === 'Bitte geben Sie eine gültige E-Mail-Adresse ein', 'Unknown codes should use the translated fallback');
+    assert(new MailchimpAPI.EmailValidator().validateSync('').error === 'Email address is required', 'Standalone validators should stay English');
+});
+
+runner.test('Merge field and consent errors follow the locale', async () => {
+    const mailchimp = createClient('de');
+    const result = await mailchimp.validateMergeFields({ AGE: 'zwölf', CITY: 'Berlin' });
+    const messages = Object.fromEntries(result.errors.map(error => [error.code, error.message]));
+
+    assert(messages.invalid_number === 'Alter muss eine Zahl sein', `Unexpected message ${messages.invalid_number}`);
+    assert(messages.unknown_field === 'CITY ist kein Feld dieser Liste', `Unexpected message ${messages.unknown_field}`);
+    assert(messages.required === 'Vorname ist ein Pflichtfeld', `Unexpected message ${messages.required}`);
+
+    const english = new MailchimpAPI.MergeFieldSchema(fields).validate({ AGE: 'twelve' }, { partial: true });
+    assert(english.errors[0].message === 'Alter must be a number', 'Schemas without translate should use English');
+});
+
+runner.test('Subscribers get the language of the locale', async () => {
+    await createClient('de-AT').subscribeMember('jane@example.com');
+    assert(requests[0].params.language === 'de', 'Regional locales should use their language');
+
+    await createClient('es-ES').subscribeMember('jane@example.com');
+    assert(requests[0].params.language === 'es_ES', 'Regional languages Mailchimp knows should be kept');
+
+    await createClient('de').addOrUpdateMember('jane@example.com', { status: 'subscribed', language: 'fr' });
+    assert(requests[0].params.language === 'fr', 'An explicit language should be kept');
+
+    await createClient('de').unsubscribeMember('jane@example.com');
+    assert(!('language' in requests[0].params), 'Unsubscribing should not change the language');
+
+    await createClient('de', { memberLanguage: false }).subscribeMember('jane@example.com');
+    assert(!('language' in requests[0].params), 'The language should be optional');
+
+    await createClient(null).subscribeMember('jane@example.com');
+    assert(!('language' in requests[0].params), 'No language should be sent without a locale');
+});
+
+runner.test('The locale defaults to the lang attribute of the page', async () => {
+    global.document = { documentElement: { lang: 'nl' } };
+
+    try {
+        const mailchimp = new MailchimpAPI({ listId: 'list1' });
+        assert(mailchimp.locale === 'nl', `Unexpected locale ${mailchimp.locale}`);
+        assert(mailchimp.t('ui.subscribe') === 'Aanmelden', 'Messages should use the page language');
+        assert(new MailchimpAPI({ locale: 'fr' }).locale === 'fr', 'The locale option should win');
+    } finally {
+        delete global.document;
+    }
+});
+
+runner.test('Every bundled language has every message', async () => {
+    const keys = Object.keys(MailchimpAPI.translations.en);
+
+    for (const [locale, messages] of Object.entries(MailchimpAPI.translations)) {
+        const missing = keys.filter(key => !(key in messages));
+        assert(missing.length === 0, `${locale} is missing ${missing.join(', ')}`);
+    }
+});
+
+runner.test('localize fills marked elements', async () => {
+    const button = { dataset: { mailchimpText: 'ui.subscribe' }, textContent: '' };
+    const input = { dataset: { mailchimpPlaceholder: 'ui.email_placeholder', mailchimpLabel: 'ui.email' }, attributes: {} };
+    input.setAttribute = (name, value) => { input.attributes[name] = value; };
+    const root = {
+        querySelectorAll: selector => ({
+            '[data-mailchimp-text]': [button],
+            '[data-mailchimp-placeholder]': [input],
+            '[data-mailchimp-label]': [input]
+        })[selector]
+    };
+
+    createClient('fr').localize(root);
+
+    assert(button.textContent === "S'inscrire", 'Text should be translated');
+    assert(input.placeholder === 'votre.email@exemple.fr', 'Placeholders should be translated');
+    assert(input.attributes['aria-label'] === 'Adresse e-mail', 'Labels should be translated');
+});
+
+runner.run();
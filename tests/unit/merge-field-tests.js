@@ -0,0 +1,165 @@
+/**
+ * Unit Tests for MailchimpAPI merge field schema and validation
+ *
+ * Answers requests with a MockTransport that serves a fixed merge field
+ * schema and echoes writes.
+ * Run with: node tests/unit/merge-field-tests.js
+ */
+
+const MailchimpAPI = require('../../resources/js/mailchimp.js');
+const { TestRunner, assert } = require('../integration/example-tests');
+const { rejection } = require('../integration/helpers');
+
+const { MockTransport } = MailchimpAPI;
+
+const fields = [
+    { tag: 'FNAME', name: 'First Name', type: 'text', required: true, options: {} },
+    { tag: 'LNAME', name: 'Last Name', type: 'text', required: false, options: {} },
+    { tag: 'BIRTHDAY', name: 'Birthday', type: 'birthday', required: false, options: { date_format: 'DD/MM' } },
+    { tag: 'JOINED', name: 'Joined', type: 'date', required: false, options: { date_format: 'MM/DD/YYYY' } },
+    { tag: 'AGE', name: 'Age', type: 'number', required: false, options: {} },
+    { tag: 'ADDRESS', name: 'Address', type: 'address', required: false, options: {} },
+    { tag: 'SIZE', name: 'Shirt Size', type: 'dropdown', required: false, options: { choices: ['S', 'M', 'L'] } },
+    { tag: 'PROMO', name: 'Promo Code', type: 'text', required: false, options: { size: 8 } }
+];
+
+let requests = [];
+let schemaAvailable = true;
+
+/**
+ * Create a client with the example config mappings
+ */
+function createClient(options = {}) {
+    schemaAvailable = true;
+
+    const transport = new MockTransport()
+        .on('GET', '/lists/*/merge-fields', () => (schemaAvailable
+            ? { merge_fields: fields, total_items: fields.length }
+            : MockTransport.networkError()))
+        .on('*', /.*/, ({ params }) => params);
+
+    requests = transport.requests;
+
+    return new MailchimpAPI({
+        listId: 'list1',
+        transport: transport,
+        mergeFieldMappings: { firstName: 'FNAME', lastName: 'LNAME', birthday: 'BIRTHDAY' },
+        onError: () => {},
+        ...options
+    });
+}
+
+const runner = new TestRunner('Merge Field Unit Tests');
+
+runner.test('Friendly names, tags and field names resolve to merge tags', async () => {
+    const mailchimp = createClient();
+    const result = await mailchimp.validateMergeFields({
+        firstName: 'Jane',
+        lname: 'Doe',
+        'shirt size': 'M',
+        age: '42'
+    });
+
+    assert(result.valid, `Expected valid fields: ${JSON.stringify(result.errors)}`);
+    assert(result.mergeFields.FNAME === 'Jane' && result.mergeFields.LNAME === 'Doe', 'Names should map to tags');
+    assert(result.mergeFields.SIZE === 'M', 'Field names should map to tags');
+    assert(result.mergeFields.AGE === 42, 'Numeric strings should become numbers');
+});
+
+runner.test('Field-level errors carry the caller key, tag and code', async () => {
+    const mailchimp = createClient();
+    const result = await mailchimp.validateMergeFields({
+        lastName: 'x'.repeat(256),
+        age: 'forty',
+        SIZE: 'XXL',
+        address: { addr1: '1 Main St', city: 'Springfield' },
+        nickname: 'JD'
+    });
+
+    const codes = Object.fromEntries(result.errors.map(error => [error.field, error.code]));
+
+    assert(!result.valid, 'Validation should fail');
+    assert(codes.lastName === 'too_long', 'Long text should be rejected');
+    assert(codes.age === 'invalid_number', 'Non-numeric values should be rejected');
+    assert(codes.SIZE === 'invalid_choice', 'Unknown choices should be rejected');
+    assert(codes.address === 'invalid_address', 'Incomplete addresses should be rejected');
+    assert(codes.nickname === 'unknown_field', 'Unknown keys should be rejected');
+    assert(codes.firstName === 'required', 'Missing required fields should be reported by their friendly name');
+    assert(result.errors.find(error => error.field === 'firstName').tag === 'FNAME', 'Errors should include the tag');
+});
+
+runner.test('Text fields are limited to their size option', async () => {
+    const mailchimp = createClient();
+    const short = await mailchimp.validateMergeFields({ firstName: 'Jane', PROMO: 'SPRING24' });
+    const long = await mailchimp.validateMergeFields({ firstName: 'Jane', PROMO: 'SPRING2024' });
+    const fallback = await mailchimp.validateMergeFields({ firstName: 'x'.repeat(255) });
+
+    assert(short.valid, `Expected valid fields: ${JSON.stringify(short.errors)}`);
+    assert(long.errors[0].code === 'too_long' && long.errors[0].message === 'Promo Code must be at most 8 characters', 'The size option should be the limit');
+    assert(fallback.valid, 'Fields without a size should allow 255 characters');
+});
+
+runner.test('Dates are checked and written in the list format', async () => {
+    const mailchimp = createClient();
+    const valid = await mailchimp.validateMergeFields({
+        birthday: '29/02',
+        joined: new Date(2024, 0, 5)
+    }, { partial: true });
+    const invalid = await mailchimp.validateMergeFields({
+        birthday: '02/31',
+        joined: '2024-13-01'
+    }, { partial: true });
+
+    assert(valid.valid, `Expected valid dates: ${JSON.stringify(valid.errors)}`);
+    assert(valid.mergeFields.BIRTHDAY === '29/02', 'Birthday should keep the DD/MM format');
+    assert(valid.mergeFields.JOINED === '01/05/2024', 'Dates should be written as MM/DD/YYYY');
+    assert(invalid.errors.length === 2 && invalid.errors.every(error => error.code === 'invalid_date'), 'Impossible dates should be rejected');
+});
+
+runner.test('The schema is loaded once per list', async () => {
+    const mailchimp = createClient();
+
+    await mailchimp.validateMergeFields({ firstName: 'Jane' });
+    await mailchimp.validateMergeFields({ firstName: 'John' });
+
+    const schemaRequests = requests.filter(request => request.endpoint === '/lists/list1/merge-fields');
+    assert(schemaRequests.length === 1, `Expected 1 schema request, got ${schemaRequests.length}`);
+});
+
+runner.test('subscribeMember rejects invalid merge fields without sending', async () => {
+    const mailchimp = createClient({ mergeFieldValidation: true });
+    const error = await rejection(() => mailchimp.subscribeMember('jane@example.com', { lastName: 'Doe', age: 'old' }));
+
+    assert(error instanceof MailchimpAPI.ValidationError, 'A ValidationError should be thrown');
+    assert(error.errors.map(item => item.code).sort().join() === 'invalid_number,required', 'All field errors should be listed');
+    assert(!requests.some(request => request.method === 'PUT'), 'Nothing should be sent');
+});
+
+runner.test('Member writes send merge tags', async () => {
+    const mailchimp = createClient({ mergeFieldValidation: true });
+    const response = await mailchimp.subscribeMember('jane@example.com', { firstName: 'Jane', birthday: '1/2' });
+
+    assert(response.success, 'Subscription should be sent');
+    assert(response.data.merge_fields.FNAME === 'Jane', 'First name should be sent as FNAME');
+    assert(response.data.merge_fields.BIRTHDAY === '01/02', 'Birthday should be normalized');
+
+    // Updates do not have to repeat required fields
+    const update = await mailchimp.addOrUpdateMember('jane@example.com', { merge_fields: { lastName: 'Doe' } });
+    assert(update.success && update.data.merge_fields.LNAME === 'Doe', 'Partial updates should be allowed');
+});
+
+runner.test('Mappings apply without validation and a missing schema does not block writes', async () => {
+    const mailchimp = createClient();
+    const response = await mailchimp.subscribeMember('jane@example.com', { firstName: 'Jane' });
+
+    assert(response.data.merge_fields.FNAME === 'Jane', 'Mappings should apply without validation');
+    assert(requests.length === 1, 'The schema should not be loaded without validation');
+
+    const validating = createClient({ mergeFieldValidation: true });
+    schemaAvailable = false;
+    const fallback = await validating.subscribeMember('jane@example.com', { firstName: 'Jane' });
+
+    assert(fallback.success && fallback.data.merge_fields.FNAME === 'Jane', 'The write should be sent unvalidated');
+});
+
+runner.run();
@@ -0,0 +1,126 @@
+/**
+ * Unit Tests for MailchimpAPI middleware
+ *
+ * Answers requests with a MockTransport that echoes the request back.
+ * Run with: node tests/unit/middleware-tests.js
+ */
+
+const MailchimpAPI = require('../../resources/js/mailchimp.js');
+const { TestRunner, assert } = require('../integration/example-tests');
+const { rejection } = require('../integration/helpers');
+
+const { MockTransport } = MailchimpAPI;
+
+const transport = new MockTransport().on('*', /.*/, ({ endpoint, params }) => ({ endpoint: endpoint, params: params }));
+const requests = transport.requests;
+
+const runner = new TestRunner('Middleware Unit Tests');
+
+runner.test('Middleware runs in the order it was added', async () => {
+    requests.splice(0);
+    const order = [];
+    const mailchimp = new MailchimpAPI({ transport: transport })
+        .use(async (context, next) => {
+            order.push('first:before');
+            await next();
+            order.push('first:after');
+        })
+        .use(async (context, next) => {
+            order.push('second:before');
+            await next();
+            order.push('second:after');
+        });
+
+    await mailchimp.request('GET', '/lists');
+
+    assert(order.join() === 'first:before,second:before,second:after,first:after', `Unexpected order: ${order.join()}`);
+    assert(requests.length === 1, 'One request should be sent');
+});
+
+runner.test('Middleware can change the request and add headers', async () => {
+    requests.splice(0);
+    const mailchimp = new MailchimpAPI({ transport: transport });
+    mailchimp.use((context, next) => {
+        context.headers['X-Correlation-ID'] = 'abc-123';
+        context.params = { ...context.params, count: 5 };
+        return next();
+    });
+
+    await mailchimp.request('GET', '/lists', { offset: 10 });
+
+    assert(requests[0].headers['X-Correlation-ID'] === 'abc-123', 'Custom header should be sent');
+    assert(requests[0].params.count === 5 && requests[0].params.offset === 10, 'Params should be changed');
+});
+
+runner.test('Middleware can transform the response', async () => {
+    const mailchimp = new MailchimpAPI({ transport: transport });
+    mailchimp.use(async (context, next) => {
+        const result = await next();
+        result.data.transformed = true;
+    });
+
+    const response = await mailchimp.request('GET', '/lists');
+
+    assert(response.data.transformed === true, 'Response should be transformed');
+});
+
+runner.test('Returning a result without calling next skips the request', async () => {
+    requests.splice(0);
+    const successes = [];
+    const mailchimp = new MailchimpAPI({ transport: transport, onSuccess: result => successes.push(result) });
+    mailchimp.use(async context => {
+        if (context.endpoint === '/ping') {
+            return { success: true, data: { health_status: 'Stubbed' }, status: 200 };
+        }
+    });
+    mailchimp.use((context, next) => next());
+
+    const response = await mailchimp.request('GET', '/ping');
+
+    assert(response.data.health_status === 'Stubbed', 'Short-circuit result should be returned');
+    assert(requests.length === 0, 'No request should be sent');
+    assert(successes.length === 1, 'onSuccess should still fire');
+});
+
+runner.test('A chain that never produces a result rejects', async () => {
+    const mailchimp = new MailchimpAPI({ transport: transport });
+    mailchimp.use(async () => {});
+
+    const error = await rejection(() => mailchimp.request('GET', '/lists'));
+
+    assert(error && /did not produce a result/.test(error.message), 'Request should reject');
+});
+
+runner.test('Debug logging goes through the replaceable context logger', async () => {
+    const logged = [];
+    const original = console.log;
+    console.log = (message, data) => logged.push(data);
+
+    try {
+        const mailchimp = new MailchimpAPI({ transport: transport, debug: true });
+        mailchimp.use((context, next) => {
+            const log = context.log;
+            context.log = (message, data, level) => log(message, JSON.parse(
+                JSON.stringify(data).replace(/[^"@]+@[^"]+/g, '[redacted]')
+            ), level);
+            return next();
+        });
+
+        await mailchimp.request('GET', '/search-members', { query: 'jane@example.com' });
+    } finally {
+        console.log = original;
+    }
+
+    assert(logged.length === 2, `Expected request and response logs, got ${logged.length}`);
+    assert(!JSON.stringify(logged).includes('jane@example.com'), 'Email should be redacted in logs');
+    assert(requests[requests.length - 1].params.query === 'jane@example.com', 'Sent params should be untouched');
+});
+
+runner.test('use() rejects anything but a function', async () => {
+    const mailchimp = new MailchimpAPI({ transport: transport });
+    const error = await rejection(() => mailchimp.use('not a function'));
+
+    assert(error instanceof TypeError, 'A TypeError should be thrown');
+});
+
+runner.run();
@@ -0,0 +1,139 @@
+/**
+ * Unit Tests for the Node.js client
+ *
+ * Replaces fetch with a stub through the fetch option.
+ * Run with: node tests/unit/node-client-tests.js
+ */
+
+const { MailchimpClient, ApiKeyTransport, getServerPrefix, MemberExistsError } = require('../../resources/js/node/index.cjs');
+const { TestRunner, assert } = require('../integration/example-tests');
+const { rejection } = require('../integration/helpers');
+
+const KEY = '0123456789abcdef0123456789abcdef-us6';
+
+let sent = [];
+let responses = [];
+
+/**
+ * fetch stub answering with the queued responses, then with an empty object
+ */
+async function fakeFetch(url, init) {
+    sent.push({ url: url, init: init });
+    const { status = 200, body = {}, headers = {} } = responses.shift() || {};
+
+    return {
+        ok: status >= 200 && status < 300,
+        status: status,
+        headers: { get: name => headers[name] ?? null },
+        text: async () => (body === null ? '' : JSON.stringify(body)),
+        arrayBuffer: async () => new Uint8Array([31, 139]).buffer
+    };
+}
+
+/**
+ * Create a client using the fetch stub
+ */
+function createClient(options = {}) {
+    sent = [];
+    responses = [];
+    return new MailchimpClient({ apiKey: KEY, listId: 'list1', fetch: fakeFetch, env: {}, onError: () => {}, ...options });
+}
+
+const runner = new TestRunner('Node Client Unit Tests');
+
+runner.test('The data center is taken from the key like ApiService does', async () => {
+    assert(getServerPrefix(KEY, null, {}) === 'us6', 'The key suffix should be used');
+    assert(getServerPrefix('0123-us6-extra', null, { MAILCHIMP_SERVER_PREFIX: 'us19' }) === 'us19', 'Keys with two dashes should use the configured prefix');
+    assert(getServerPrefix('', 'us3', {}) === 'us3', 'The serverPrefix option should be used');
+    assert(getServerPrefix(null, null, {}) === 'us1', 'us1 should be the default');
+    assert(new ApiKeyTransport({ apiKey: KEY }).baseUrl === 'https://us6.api.mailchimp.com/3.0/', 'The data center should be in the URL');
+});
+
+runner.test('Requests go to Mailchimp with the API key', async () => {
+    const mailchimp = createClient();
+    responses.push({ body: { members: [], total_items: 0 } });
+
+    const response = await mailchimp.request('GET', '/lists/list1/members', { count: 5, fields: ['members.id', 'total_items'] });
+    const { url, init } = sent[0];
+
+    assert(response.success && response.status === 200 && response.data.total_items === 0, 'The response should be wrapped');
+    assert(url === 'https://us6.api.mailchimp.com/3.0/lists/list1/members?count=5&fields=members.id%2Ctotal_items', `Unexpected URL ${url}`);
+    assert(init.method === 'GET' && init.body === undefined, 'GET parameters should not be sent as a body');
+    assert(init.headers.Authorization === `Basic ${Buffer.from(`anystring:${KEY}`).toString('base64')}`, 'The key should be sent with Basic auth');
+});
+
+runner.test('Writes send JSON and share the browser method surface', async () => {
+    const mailchimp = createClient();
+    responses.push({ body: { id: 'abc', status: 'subscribed' } });
+
+    const response = await mailchimp.subscribeMember('jane@example.com', { FNAME: 'Jane' });
+    const body = JSON.parse(sent[0].init.body);
+
+    assert(response.success && sent[0].init.method === 'PUT', 'subscribeMember should PUT the member');
+    assert(sent[0].url.endsWith(`/lists/list1/members/${mailchimp.subscriberHash('jane@example.com')}`), 'The subscriber hash should be used');
+    assert(body.email_address === 'jane@example.com' && body.merge_fields.FNAME === 'Jane', 'The member should be sent');
+});
+
+runner.test('Empty responses and problem details keep the proxy envelopes', async () => {
+    const mailchimp = createClient({ throwOnError: true });
+    responses.push({ status: 204, body: null });
+    responses.push({ status: 400, body: { title: 'Member Exists', status: 400, detail: 'jane@example.com is already a list member.' } });
+    responses.push({ status: 429, body: { title: 'Too Many Requests', status: 429 }, headers: { 'Retry-After': '3' } });
+
+    const archived = await mailchimp.archiveMember('jane@example.com');
+    const exists = await rejection(() => mailchimp.request('POST', '/lists/list1/members', { email_address: 'jane@example.com' }));
+    const limited = await rejection(() => mailchimp.request('GET', '/ping', {}, { retry: false }));
+
+    assert(archived.success && archived.status === 204 && archived.data === null, 'Empty responses should succeed');
+    assert(exists instanceof MemberExistsError && exists.status === 400, 'Problem details should become typed errors');
+    assert(limited.status === 429 && Number(limited.retryAfter) === 3, 'Retry-After should be passed on');
+});
+
+runner.test('Configuration comes from the environment', async () => {
+    const mailchimp = new MailchimpClient({ env: { MAILCHIMP_API_KEY: 'abc-us19', MAILCHIMP_LIST_ID: 'envlist' }, onError: () => {} });
+    const missing = await new MailchimpClient({ env: {}, fetch: fakeFetch, onError: () => {} }).request('GET', '/ping');
+
+    assert(mailchimp.listId === 'envlist' && mailchimp.transport.baseUrl === 'https://us19.api.mailchimp.com/3.0/', 'Environment variables should be used');
+    assert(mailchimp.rateLimit === Infinity, 'The proxy rate limit should not apply');
+    assert(!missing.success && missing.error === 'Mailchimp API key not configured', 'A missing key should be reported as ApiService does');
+});
+
+runner.test('Unthrottled requests only remember the rate limit window', async () => {
+    const mailchimp = createClient();
+    const hourAgo = Date.now() - 3600000;
+    mailchimp.requestLog = [hourAgo, hourAgo + 1000, Date.now() - 1000];
+
+    await mailchimp.request('GET', '/ping');
+    await mailchimp.request('GET', '/ping');
+
+    assert(mailchimp.requestLog.length === 3, `Expected 3 requests in the window, got ${mailchimp.requestLog.length}`);
+    assert(mailchimp.requestLog.every(time => time > hourAgo + 1000), 'Requests outside the window should be forgotten');
+});
+
+runner.test('No more than the allowed connections are open at once', async () => {
+    let open = 0;
+    let most = 0;
+    const transport = new ApiKeyTransport({
+        apiKey: KEY,
+        connections: 2,
+        fetch: async () => {
+            most = Math.max(most, ++open);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            open--;
+            return { ok: true, status: 200, headers: { get: () => null }, text: async () => '{}' };
+        }
+    });
+
+    await Promise.all([1, 2, 3, 4, 5].map(() => transport.send({ method: 'GET', endpoint: '/ping' })));
+
+    assert(most === 2, `Expected 2 connections, saw ${most}`);
+});
+
+runner.test('The ES module exports the same client', async () => {
+    const esm = await import('../../resources/js/node/index.mjs');
+
+    assert(esm.default === MailchimpClient && esm.MailchimpClient === MailchimpClient, 'Both entry points should share the core');
+    assert(esm.getServerPrefix === getServerPrefix, 'Helpers should be exported');
+});
+
+runner.run();
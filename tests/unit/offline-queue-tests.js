@@ -0,0 +1,163 @@
+/**
+ * Unit Tests for the MailchimpAPI offline write queue
+ *
+ * Answers requests with a MockTransport that can be switched offline.
+ * Run with: node tests/unit/offline-queue-tests.js
+ */
+
+const MailchimpAPI = require('../../resources/js/mailchimp.js');
+const { TestRunner, assert } = require('../integration/example-tests');
+const { reply } = require('../integration/helpers');
+
+const { MockTransport } = MailchimpAPI;
+
+let online = false;
+
+const transport = new MockTransport().on('*', /^\/lists\//, ({ params }) => {
+    if (!online) {
+        return MockTransport.networkError();
+    }
+
+    return params.email_address === 'fake@example.com'
+        ? reply({ title: 'Invalid Resource', detail: 'Looks fake' }, 400)
+        : params;
+});
+
+const sent = transport.requests;
+
+/**
+ * Create a client with a queue that only replays when asked to
+ */
+function createClient(storage = null) {
+    return new MailchimpAPI({
+        listId: 'list1',
+        csrfTokenValue: 'token-1',
+        transport: transport,
+        onError: () => {},
+        offlineQueue: { storage: storage || 'memory', autoReplay: false }
+    });
+}
+
+const runner = new TestRunner('Offline Queue Unit Tests');
+
+runner.test('Failed writes are queued, reads are not', async () => {
+    online = false;
+    const mailchimp = createClient();
+    const queued = [];
+    mailchimp.offlineQueue.on('queued', event => queued.push(event));
+
+    const response = await mailchimp.subscribeMember('user@example.com', { FNAME: 'Ada' });
+    const status = await mailchimp.checkSubscription('user@example.com');
+
+    assert(response.queued === true && response.queueId, 'Subscribe should be queued');
+    assert(!status.queued, 'Reads should not be queued');
+    assert(queued.length === 1 && queued[0].size === 1, 'queued event should fire');
+
+    const [entry] = await mailchimp.offlineQueue.getEntries();
+    assert(entry.csrf.value === 'token-1', 'CSRF context should be stored');
+    assert(entry.subscriberHash === mailchimp.subscriberHash('user@example.com'), 'Subscriber hash should be stored');
+});
+
+runner.test('Writes to the same member are merged in place', async () => {
+    online = false;
+    const mailchimp = createClient();
+
+    await mailchimp.subscribeMember('user@example.com', { FNAME: 'Ada' });
+    await mailchimp.addTags('user@example.com', ['a', 'b']);
+    await mailchimp.subscribeMember('USER@example.com', { LNAME: 'Lovelace' });
+    await mailchimp.removeTags('user@example.com', ['b']);
+    await mailchimp.updateMemberInterests('user@example.com', { abc: true });
+
+    const entries = await mailchimp.offlineQueue.getEntries();
+
+    assert(entries.length === 2, `Expected 2 entries, got ${entries.length}`);
+    assert(entries[0].method === 'PUT', 'Subscribe should stay first and keep PUT');
+    assert(entries[0].params.interests.abc === true, 'The PATCH should be merged into the subscribe');
+    assert(entries[0].params.merge_fields.FNAME === 'Ada' && entries[0].params.merge_fields.LNAME === 'Lovelace', 'Merge fields should be combined');
+    assert(entries[1].params.tags.map(tag => `${tag.name}:${tag.status}`).join() === 'a:active,b:inactive', 'Later tag changes should win');
+});
+
+runner.test('Replay sends writes in order and drains the queue', async () => {
+    online = false;
+    const mailchimp = createClient();
+    const events = [];
+
+    ['replayed', 'failed', 'drained'].forEach(name => mailchimp.offlineQueue.on(name, () => events.push(name)));
+
+    await mailchimp.subscribeMember('user@example.com');
+    await mailchimp.subscribeMember('fake@example.com');
+    await mailchimp.updateMemberInterests('other@example.com', { abc: true });
+
+    online = true;
+    sent.splice(0);
+    mailchimp.csrfTokenValue = 'token-2';
+
+    const summary = await mailchimp.offlineQueue.replay();
+
+    assert(sent.map(request => request.method).join() === 'PUT,PUT,PATCH', 'Writes should be replayed in order');
+    assert(sent.every(request => request.csrf.value === 'token-2'), 'The current CSRF token should be used');
+    assert(summary.replayed === 2 && summary.failed === 1 && summary.remaining === 0, 'Summary should count outcomes');
+    assert(events.join() === 'replayed,failed,replayed,drained', `Unexpected events ${events.join()}`);
+    assert(await mailchimp.offlineQueue.size() === 0, 'Queue should be empty');
+});
+
+runner.test('Replay stops while still offline', async () => {
+    online = false;
+    const mailchimp = createClient();
+    let paused = null;
+    mailchimp.offlineQueue.on('paused', event => (paused = event));
+
+    await mailchimp.subscribeMember('one@example.com');
+    await mailchimp.subscribeMember('two@example.com');
+
+    const summary = await mailchimp.offlineQueue.replay();
+
+    assert(summary.remaining === 2, 'Entries should stay queued');
+    assert(paused && paused.size === 2, 'paused event should fire');
+});
+
+runner.test('The queue survives a new page load', async () => {
+    online = false;
+    const items = new Map();
+    const storage = {
+        getItem: key => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, value)
+    };
+
+    await createClient(storage).subscribeMember('user@example.com');
+
+    online = true;
+    sent.splice(0);
+    const summary = await createClient(storage).offlineQueue.replay();
+
+    assert(summary.replayed === 1, 'Queued write from the previous page should be sent');
+    assert(sent[0].csrf.value === 'token-1', 'CSRF token should be sent');
+});
+
+runner.test('Automatic replay failures are reported, not left unhandled', async () => {
+    const unhandled = [];
+    const onUnhandled = reason => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+
+    try {
+        const mailchimp = new MailchimpAPI({
+            listId: 'list1',
+            onError: () => {},
+            offlineQueue: {
+                storage: { read: async () => { throw new Error('Storage blocked'); }, write: async () => {} }
+            }
+        });
+        const errors = [];
+        mailchimp.offlineQueue.on('error', event => errors.push(event));
+        mailchimp.offlineQueue.on('error', () => { throw new Error('Broken handler'); });
+
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        assert(errors.length === 1 && errors[0].error.message === 'Storage blocked', 'The error event should fire');
+        assert(unhandled.length === 0, `Unexpected unhandled rejection ${unhandled[0]}`);
+    } finally {
+        process.off('unhandledRejection', onUnhandled);
+    }
+});
+
+runner.run();
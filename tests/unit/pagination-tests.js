@@ -0,0 +1,109 @@
+/**
+ * Unit Tests for MailchimpAPI pagination iterators
+ *
+ * Answers requests with a MockTransport serving an in-memory list, so no
+ * Craft site is needed.
+ * Run with: node tests/unit/pagination-tests.js
+ */
+
+const MailchimpAPI = require('../../resources/js/mailchimp.js');
+const { TestRunner, assert } = require('../integration/example-tests');
+const { reply, rejection } = require('../integration/helpers');
+
+const { MockTransport } = MailchimpAPI;
+
+const members = Array.from({ length: 250 }, (_, index) => ({
+    id: `member-${index}`,
+    email_address: `member-${index}@example.com`
+}));
+
+const transport = new MockTransport().on('GET', '/lists/*/members', ({ params }) => ({
+    members: members.slice(params.offset, params.offset + params.count),
+    total_items: members.length
+}));
+const requests = transport.requests;
+
+const runner = new TestRunner('Pagination Unit Tests');
+
+runner.test('Iterator yields every member across pages', async () => {
+    requests.splice(0);
+    const mailchimp = new MailchimpAPI({ listId: 'list1', transport: transport });
+    const seen = [];
+
+    for await (const member of mailchimp.iterateMembers({ status: 'subscribed' }, { pageSize: 100 })) {
+        seen.push(member.id);
+    }
+
+    assert(seen.length === 250, `Expected 250 members, got ${seen.length}`);
+    assert(seen[249] === 'member-249', 'Members should stay in order');
+    assert(requests.length === 3, `Expected 3 requests, got ${requests.length}`);
+    assert(requests.every(request => request.params.status === 'subscribed'), 'Params should be kept on every page');
+});
+
+runner.test('getAllMembers fetches pages concurrently', async () => {
+    requests.splice(0);
+    const mailchimp = new MailchimpAPI({ listId: 'list1', transport: transport });
+    const all = await mailchimp.getAllMembers({}, { pageSize: 50, concurrency: 4 });
+
+    assert(all.length === 250, `Expected 250 members, got ${all.length}`);
+    assert(all.map(member => member.id).join() === members.map(member => member.id).join(), 'Order should be preserved');
+    assert(requests.length === 5, `Expected 5 requests, got ${requests.length}`);
+});
+
+runner.test('Breaking out of the loop stops further requests', async () => {
+    requests.splice(0);
+    const mailchimp = new MailchimpAPI({ listId: 'list1', transport: transport });
+
+    for await (const member of mailchimp.iterateMembers({}, { pageSize: 10 })) {
+        if (member.id === 'member-5') {
+            break;
+        }
+    }
+
+    assert(requests.length === 1, `Expected 1 request, got ${requests.length}`);
+});
+
+runner.test('AbortSignal cancels paging', async () => {
+    requests.splice(0);
+    const mailchimp = new MailchimpAPI({ listId: 'list1', transport: transport });
+    const controller = new AbortController();
+    let count = 0;
+
+    const error = await rejection(async () => {
+        for await (const member of mailchimp.iterateMembers({}, { pageSize: 10, signal: controller.signal })) {
+            count++;
+            if (count === 15) {
+                controller.abort();
+            }
+        }
+    });
+
+    assert(error && error.name === 'AbortError', 'Aborting should reject with an AbortError');
+    assert(requests.length === 2, `Expected 2 requests, got ${requests.length}`);
+});
+
+runner.test('Paging waits when the rate limit is reached', async () => {
+    requests.splice(0);
+    const mailchimp = new MailchimpAPI({ listId: 'list1', transport: transport, rateLimit: 2 });
+    const controller = new AbortController();
+
+    setTimeout(() => controller.abort(), 50);
+
+    const error = await rejection(() => mailchimp.getAllMembers({}, { pageSize: 50, signal: controller.signal }));
+
+    assert(error && error.name === 'AbortError', 'Waiting for the rate limit should be abortable');
+    assert(requests.length === 2, `Expected 2 requests within the limit, got ${requests.length}`);
+});
+
+runner.test('Unsuccessful pages reject the iterator', async () => {
+    const missing = new MockTransport().on('GET', '/lists/*/segments', reply({ detail: 'Resource Not Found' }, 404));
+    const mailchimp = new MailchimpAPI({ listId: 'list1', transport: missing, onError: () => {} });
+
+    const error = await rejection(() => mailchimp.getAllSegments());
+
+    assert(error instanceof MailchimpAPI.NotFoundError, 'A 404 should reject with a NotFoundError');
+    assert(error.message === 'Resource Not Found', 'Error detail should be used as message');
+    assert(error.status === 404, 'Error should carry the response status');
+});
+
+runner.run();
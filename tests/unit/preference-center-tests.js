@@ -0,0 +1,362 @@
+/**
+ * Unit Tests for the preference centre
+ *
+ * Uses a minimal stand-in for the DOM and a MockTransport that keeps one
+ * member.
+ * Run with: node tests/unit/preference-center-tests.js
+ */
+
+const MailchimpAPI = require('../../resources/js/mailchimp.js');
+const { TestRunner, assert } = require('../integration/example-tests');
+const { reply } = require('../integration/helpers');
+
+const { MockTransport, PreferenceCenter } = MailchimpAPI;
+
+/**
+ * Just enough of an element for PreferenceCenter
+ */
+class FakeElement {
+    constructor(tagName, props = {}, children = []) {
+        this.tagName = tagName.toUpperCase();
+        this.dataset = {};
+        this.attributes = {};
+        this.hidden = false;
+        this.disabled = false;
+        this.textContent = '';
+        this.listeners = {};
+        this.children = children;
+        Object.assign(this, props);
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+    }
+
+    removeAttribute(name) {
+        delete this.attributes[name];
+    }
+
+    addEventListener(type, handler) {
+        (this.listeners[type] = this.listeners[type] || []).push(handler);
+    }
+
+    removeEventListener(type, handler) {
+        this.listeners[type] = (this.listeners[type] || []).filter(listener => listener !== handler);
+    }
+
+    dispatchEvent(event) {
+        (this.listeners[event.type] || []).forEach(handler => handler(event));
+        return true;
+    }
+
+    get descendants() {
+        return this.children.flatMap(child => [child, ...child.descendants]);
+    }
+
+    get elements() {
+        return this.descendants.filter(element => ['INPUT', 'BUTTON', 'SELECT', 'TEXTAREA'].includes(element.tagName));
+    }
+
+    matches(selector) {
+        return selector.split(',').some(part => {
+            const [, tag, attribute, value] = part.trim().match(/^(\w+)?(?:\[([\w-]+)(?:="([^"]*)")?\])?$/);
+
+            if (tag && tag.toUpperCase() !== this.tagName) {
+                return false;
+            }
+
+            if (!attribute) {
+                return true;
+            }
+
+            const actual = attribute.startsWith('data-')
+                ? this.dataset[attribute.slice(5).replace(/-(\w)/g, (match, letter) => letter.toUpperCase())]
+                : this[attribute];
+
+            return value === undefined ? actual !== undefined : actual === value;
+        });
+    }
+
+    querySelectorAll(selector) {
+        return this.descendants.filter(element => element.matches(selector));
+    }
+}
+
+const el = (tagName, props, children) => new FakeElement(tagName, props, children);
+
+/**
+ * Build a preference form like the Twig component renders
+ */
+function createForm() {
+    const form = el('form', {}, [
+        el('input', { type: 'hidden', name: 'CRAFT_CSRF_TOKEN', value: 'token-123' }),
+        el('input', { type: 'text', name: 'firstName', value: '' }),
+        el('div', { dataset: { mailchimpErrorFor: 'firstName' }, hidden: true }),
+        el('input', { type: 'text', name: 'AGE', value: '' }),
+        el('input', { type: 'text', name: 'ADDRESS[city]', value: '' }),
+        el('input', { type: 'email', name: 'email_address', value: '' }),
+        el('div', { dataset: { mailchimpErrorFor: 'email_address' }, hidden: true }),
+        el('input', { type: 'radio', name: 'email_type', value: 'html' }),
+        el('input', { type: 'radio', name: 'email_type', value: 'text' }),
+        el('input', { type: 'checkbox', name: 'interests', value: 'int1' }),
+        el('input', { type: 'checkbox', name: 'interests', value: 'int2' }),
+        el('input', { type: 'radio', name: 'subscription', value: 'subscribed' }),
+        el('input', { type: 'radio', name: 'subscription', value: 'paused' }),
+        el('input', { type: 'radio', name: 'subscription', value: 'unsubscribed' }),
+        el('button', { type: 'submit' }),
+        el('div', { dataset: { mailchimpShow: 'saved' } }),
+        el('span', { dataset: { mailchimpMessage: '' } })
+    ]);
+
+    form.dataset = { mailchimpPreferences: '', email: 'jane@example.com', listId: 'list1' };
+    return form;
+}
+
+/**
+ * Find an input of a form by name (and value for radios and checkboxes)
+ */
+function input(form, name, value) {
+    return form.elements.find(element => element.name === name && (value === undefined || element.value === value));
+}
+
+let member = null;
+let failNext = null;
+let hold = null;
+
+const transport = new MockTransport()
+    .on('GET', '/lists/*/interest-categories', {
+        categories: [{ id: 'c2', title: 'Topics', display_order: 2 }, { id: 'c1', title: 'Frequency', display_order: 1 }],
+        total_items: 2
+    })
+    .on('GET', '/lists/*/interest-categories/*/interests', {
+        interests: [{ id: 'b', name: 'B', display_order: 2 }, { id: 'a', name: 'A', display_order: 1 }],
+        total_items: 2
+    })
+    .on('*', /\/members\//, async ({ method, params }) => {
+        if (hold) {
+            await hold;
+        }
+
+        if (failNext && method === failNext.method) {
+            const failure = reply({ title: failNext.title || 'Internal Server Error', detail: failNext.detail }, failNext.code || 500);
+            failNext = null;
+            return failure;
+        }
+
+        if (!member && method === 'GET') {
+            return reply({ title: 'Resource Not Found', detail: 'Not found' }, 404);
+        }
+
+        if (method === 'PATCH') {
+            member = { ...member, ...params };
+        }
+
+        return { ...member };
+    });
+
+const requests = transport.requests;
+
+/**
+ * Load a preference form for a member
+ */
+async function createCenter(data = {}) {
+    member = {
+        email_address: 'jane@example.com',
+        status: 'subscribed',
+        email_type: 'html',
+        merge_fields: { FNAME: 'Jane', AGE: 30, ADDRESS: { addr1: '1 Main St', city: 'Berlin', state: 'BE', zip: '10115' } },
+        interests: { int1: true, int2: false },
+        tags: [],
+        ...data
+    };
+    failNext = null;
+    hold = null;
+
+    const form = createForm();
+    const events = [];
+    ['mailchimp:loaded', 'mailchimp:saved', 'mailchimp:error'].forEach(type => form.addEventListener(type, event => events.push(event)));
+
+    const center = new PreferenceCenter(form, { transport: transport, mergeFieldMappings: { firstName: 'FNAME' } });
+    await center.loaded;
+    requests.splice(0);
+
+    return { form, center, events };
+}
+
+const runner = new TestRunner('Preference Center Unit Tests');
+
+runner.test('The member is loaded into the form', async () => {
+    const { form, center, events } = await createCenter({ tags: [{ id: 1, name: 'Paused' }] });
+
+    assert(form.dataset.mailchimpState === 'ready', `Unexpected state ${form.dataset.mailchimpState}`);
+    assert(input(form, 'firstName').value === 'Jane', 'Mapped merge fields should be filled');
+    assert(input(form, 'ADDRESS[city]').value === 'Berlin', 'Address parts should be filled');
+    assert(input(form, 'email_type', 'html').checked && !input(form, 'email_type', 'text').checked, 'The email format should be selected');
+    assert(input(form, 'interests', 'int1').checked && !input(form, 'interests', 'int2').checked, 'Interests should be checked');
+    assert(input(form, 'subscription', 'paused').checked, 'The pause tag should show as paused');
+    assert(!center.isDirty(), 'A freshly loaded form should not be dirty');
+    assert(events[0].type === 'mailchimp:loaded', 'mailchimp:loaded should fire');
+});
+
+runner.test('Unknown members show the not-found state', async () => {
+    member = null;
+    const form = createForm();
+    const center = new PreferenceCenter(form, { transport: transport });
+    await center.loaded;
+
+    assert(form.dataset.mailchimpState === 'not-found', `Unexpected state ${form.dataset.mailchimpState}`);
+    assert(form.elements.find(element => element.type === 'submit').disabled, 'Saving should be disabled');
+});
+
+runner.test('Changes are tracked against the loaded member', async () => {
+    const { form, center } = await createCenter();
+
+    input(form, 'AGE').value = '30';
+    assert(!center.isDirty(), 'Numbers and their text should compare equal');
+
+    input(form, 'firstName').value = 'Janet';
+    input(form, 'interests', 'int2').checked = true;
+    form.dispatchEvent({ type: 'input' });
+
+    const changes = center.getChanges();
+    assert(form.dataset.mailchimpState === 'dirty', 'Edits should mark the form dirty');
+    assert(JSON.stringify(changes) === JSON.stringify({ merge_fields: { FNAME: 'Janet' }, interests: { int2: true } }), `Unexpected changes ${JSON.stringify(changes)}`);
+
+    input(form, 'firstName').value = 'Jane';
+    input(form, 'interests', 'int2').checked = false;
+    form.dispatchEvent({ type: 'change' });
+    assert(form.dataset.mailchimpState === 'ready', 'Undoing the edits should clear the dirty state');
+});
+
+runner.test('Saving sends one PATCH with only the changed fields', async () => {
+    const { form, center, events } = await createCenter();
+
+    input(form, 'firstName').value = 'Janet';
+    input(form, 'ADDRESS[city]').value = 'Hamburg';
+    input(form, 'email_type', 'html').checked = false;
+    input(form, 'email_type', 'text').checked = true;
+
+    const result = await center.save();
+    const patch = requests[0];
+
+    assert(requests.length === 1 && patch.method === 'PATCH', `Expected one PATCH, got ${requests.map(request => request.method).join()}`);
+    assert(JSON.stringify(Object.keys(patch.params).sort()) === '["email_type","merge_fields"]', `Unexpected fields ${Object.keys(patch.params)}`);
+    assert(JSON.stringify(Object.keys(patch.params.merge_fields).sort()) === '["ADDRESS","FNAME"]', 'Only changed merge fields should be sent');
+    assert(patch.params.merge_fields.ADDRESS.addr1 === '1 Main St', 'Address parts should be merged into the address');
+    assert(result.success && form.dataset.mailchimpState === 'saved', 'The form should be saved');
+    assert(!center.isDirty(), 'Saved values should become the new baseline');
+    assert(events.some(event => event.type === 'mailchimp:saved'), 'mailchimp:saved should fire');
+    assert((await center.save()).response === null && requests.length === 1, 'Saving without changes should send nothing');
+});
+
+runner.test('The UI is optimistic and rolls back when saving fails', async () => {
+    const { form, center, events } = await createCenter();
+    let release;
+    hold = new Promise(resolve => {
+        release = resolve;
+    });
+    failNext = { method: 'PATCH', detail: 'Mailchimp is unavailable' };
+
+    input(form, 'firstName').value = 'Janet';
+    const saving = center.save();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    assert(form.dataset.mailchimpState === 'saved', 'The change should show as saved while the request runs');
+    assert(form.attributes['aria-busy'] === 'true', 'The form should be marked busy');
+
+    release();
+    const result = await saving;
+
+    assert(!result.success && form.dataset.mailchimpState === 'error', 'The failure should be shown');
+    assert(input(form, 'firstName').value === 'Jane', 'The input should be rolled back');
+    assert(!center.isDirty() && center.original.merge_fields.FNAME === 'Jane', 'The baseline should be rolled back');
+    assert(form.querySelectorAll('[data-mailchimp-message]')[0].textContent === MailchimpAPI.translations.en['error.save'], 'The save error should be shown');
+    assert(events.some(event => event.type === 'mailchimp:error'), 'mailchimp:error should fire');
+});
+
+runner.test('Members can pause, unsubscribe and subscribe again', async () => {
+    let { form, center } = await createCenter();
+    input(form, 'subscription', 'subscribed').checked = false;
+    input(form, 'subscription', 'paused').checked = true;
+    await center.save();
+
+    assert(requests.length === 1 && requests[0].endpoint.endsWith('/tags'), 'Pausing should only add the tag');
+    assert(requests[0].params.tags[0].name === 'Paused' && requests[0].params.tags[0].status === 'active', 'The pause tag should be added');
+
+    ({ form, center } = await createCenter({ tags: [{ id: 1, name: 'Paused' }] }));
+    input(form, 'subscription', 'paused').checked = false;
+    input(form, 'subscription', 'unsubscribed').checked = true;
+    await center.save();
+
+    assert(requests[0].method === 'PATCH' && requests[0].params.status === 'unsubscribed', 'Unsubscribing should PATCH the status');
+    assert(requests[1].params.tags[0].status === 'inactive', 'The pause tag should be removed');
+
+    ({ form, center } = await createCenter({ status: 'unsubscribed' }));
+    input(form, 'subscription', 'unsubscribed').checked = false;
+    input(form, 'subscription', 'subscribed').checked = true;
+    await center.save();
+
+    assert(requests.length === 1 && requests[0].params.status === 'pending', 'Subscribing again should require confirmation');
+});
+
+runner.test('The email address can be changed', async () => {
+    const { form, center } = await createCenter();
+    const oldEndpoint = `/lists/list1/members/${center.api.subscriberHash('jane@example.com')}`;
+
+    input(form, 'email_address').value = 'not-an-email';
+    const invalid = await center.save();
+
+    assert(!invalid.success && requests.length === 0, 'Invalid addresses should not be sent');
+    assert(form.dataset.mailchimpState === 'invalid', 'The form should be invalid');
+    assert(!form.querySelectorAll('[data-mailchimp-error-for="email_address"]')[0].hidden, 'The email error should be shown');
+
+    input(form, 'email_address').value = 'janet@example.com';
+    await center.save();
+
+    assert(requests[0].endpoint === oldEndpoint, 'The old member should be updated');
+    assert(requests[0].params.email_address === 'janet@example.com', 'The new address should be sent');
+    assert(center.email === 'janet@example.com', 'The form should follow the new address');
+});
+
+runner.test('A new address is sent in the same PATCH as the other changes', async () => {
+    const { form, center } = await createCenter();
+
+    input(form, 'email_address').value = 'janet@example.com';
+    input(form, 'firstName').value = 'Janet';
+    input(form, 'subscription', 'subscribed').checked = false;
+    input(form, 'subscription', 'paused').checked = true;
+    const result = await center.save();
+    const patch = requests[0];
+
+    assert(result.success, 'The changes should be saved');
+    assert(requests.map(request => request.method).join() === 'PATCH,POST', `Expected one PATCH and the pause tag, got ${requests.map(request => request.method).join()}`);
+    assert(patch.params.email_address === 'janet@example.com' && patch.params.merge_fields.FNAME === 'Janet', 'The address and the merge field should be sent together');
+    assert(requests[1].endpoint.endsWith(`/members/${center.api.subscriberHash('janet@example.com')}/tags`), 'The pause tag should go to the new address');
+});
+
+runner.test('Addresses of other members are refused', async () => {
+    const { form, center } = await createCenter();
+
+    input(form, 'email_address').value = 'janet@example.com';
+    input(form, 'firstName').value = 'Janet';
+    failNext = { method: 'PATCH', title: 'Member Exists', detail: 'janet@example.com is already a list member.', code: 400 };
+    const result = await center.save();
+
+    assert(!result.success && result.error.name === 'MemberExistsError', 'The conflict should be reported');
+    assert(requests.length === 1, 'Nothing else should be sent');
+    assert(form.dataset.mailchimpState === 'invalid', 'The form should be invalid');
+    assert(form.querySelectorAll('[data-mailchimp-error-for="email_address"]')[0].textContent === 'This email address is already subscribed.', 'The email error should be shown');
+    assert(input(form, 'email_address').value === 'jane@example.com' && input(form, 'firstName').value === 'Jane', 'The form should roll back');
+    assert(center.email === 'jane@example.com', 'The form should keep the old address');
+});
+
+runner.test('Interest groups are loaded in display order', async () => {
+    const mailchimp = new MailchimpAPI({ listId: 'list1', transport: transport });
+    const groups = await mailchimp.getInterestGroups();
+
+    assert(groups.map(group => group.id).join() === 'c1,c2', 'Categories should be sorted');
+    assert(groups[0].interests.map(interest => interest.id).join() === 'a,b', 'Interests should be sorted');
+    assert(JSON.stringify(groups[0].interests[0]) === '{"id":"a","name":"A"}', 'Interests should be reduced to id and name');
+});
+
+runner.run();
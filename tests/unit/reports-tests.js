@@ -0,0 +1,132 @@
+/**
+ * Unit Tests for campaign reports
+ *
+ * Answers requests with a MockTransport that serves reports for two
+ * campaigns and pages through their details.
+ * Run with: node tests/unit/reports-tests.js
+ */
+
+const MailchimpAPI = require('../../resources/js/mailchimp.js');
+const { TestRunner, assert } = require('../integration/example-tests');
+const { reply } = require('../integration/helpers');
+
+const { MockTransport } = MailchimpAPI;
+
+const reports = {
+    spring: {
+        id: 'spring',
+        campaign_title: 'Spring',
+        subject_line: 'Spring news',
+        emails_sent: 1000,
+        abuse_reports: 1,
+        unsubscribed: 10,
+        send_time: '2024-03-01T09:00:00+00:00',
+        bounces: { hard_bounces: 15, soft_bounces: 5, syntax_errors: 0 },
+        opens: { opens_total: 700, unique_opens: 490 },
+        clicks: { clicks_total: 150, unique_subscriber_clicks: 98 }
+    },
+    summer: {
+        id: 'summer',
+        campaign_title: 'Summer',
+        subject_line: 'Summer news',
+        emails_sent: 500,
+        abuse_reports: 0,
+        unsubscribed: 2,
+        send_time: '2024-06-01T09:00:00+00:00',
+        bounces: { hard_bounces: 0, soft_bounces: 0, syntax_errors: 0 },
+        opens: { opens_total: 300, unique_opens: 250 },
+        clicks: { clicks_total: 80, unique_subscriber_clicks: 75 }
+    }
+};
+
+const activity = Array.from({ length: 150 }, (value, index) => ({
+    email_address: `member${index}@example.com`,
+    activity: [
+        { action: 'open', timestamp: new Date(Date.UTC(2024, 2, 1, 10, 0, 150 - index)).toISOString() },
+        { action: 'click', timestamp: new Date(Date.UTC(2024, 2, 1, 11, 0, index)).toISOString(), url: 'https://example.com/' }
+    ]
+}));
+
+const urls = [{ url: 'https://example.com/', total_clicks: 150, unique_clicks: 98 }];
+
+let requests = [];
+
+/**
+ * Answer a report request, or 404 for unknown campaigns
+ */
+function answer({ endpoint, params }) {
+    const [, , campaignId, detail] = endpoint.split('/');
+    const page = items => items.slice(params.offset || 0, (params.offset || 0) + (params.count || 10));
+
+    if (!reports[campaignId]) {
+        return reply({ title: 'Resource Not Found', detail: 'The requested resource could not be found.' }, 404);
+    }
+
+    if (detail === 'email-activity') {
+        return { emails: page(activity), total_items: activity.length };
+    }
+
+    if (detail === 'click-details') {
+        return { urls_clicked: page(urls), total_items: urls.length };
+    }
+
+    return reports[campaignId];
+}
+
+/**
+ * Create a client with a clean request log
+ */
+function createClient() {
+    const transport = new MockTransport().on('GET', /^\/reports\//, answer);
+    requests = transport.requests;
+
+    return new MailchimpAPI({ listId: 'list1', transport: transport, onError: () => {} });
+}
+
+const near = (a, b) => Math.abs(a - b) < 1e-9;
+
+const runner = new TestRunner('Reports Unit Tests');
+
+runner.test('Campaign reports are summarized with rates', async () => {
+    const response = await createClient().getCampaignReport('spring');
+    const summary = response.summary;
+
+    assert(response.success && requests[0].endpoint === '/reports/spring', 'The report should be requested');
+    assert(summary.sent === 1000 && summary.bounces === 20 && summary.delivered === 980, 'Bounces should be subtracted');
+    assert(near(summary.openRate, 0.5) && near(summary.clickRate, 0.1), 'Rates should be relative to delivered emails');
+    assert(near(summary.clickToOpenRate, 0.2), 'The click-to-open rate should be relative to unique opens');
+    assert(near(summary.bounceRate, 0.02) && summary.unsubscribes === 10, 'Bounces and unsubscribes should be reported');
+});
+
+runner.test('Details are paged through', async () => {
+    const mailchimp = createClient();
+
+    const links = await mailchimp.getAllClickDetails('spring');
+    assert(links.length === 1 && links[0].unique_clicks === 98, 'Click details should be returned');
+
+    requests.splice(0);
+    const timeline = await mailchimp.getActivityTimeline('spring');
+    assert(requests.length === 2, 'Both pages of email activity should be requested');
+    assert(timeline.length === 300, 'Every event should be in the timeline');
+    assert(timeline[0].email === 'member149@example.com' && timeline[0].action === 'open', 'The timeline should start with the oldest event');
+    assert(timeline[299].action === 'click' && timeline[299].url === 'https://example.com/', 'Clicks should have their URL');
+});
+
+runner.test('Campaigns are compared in one table', async () => {
+    const table = await createClient().compareCampaigns(['spring', 'summer', 'winter'], { sortBy: 'clickRate' });
+
+    assert(!table.success && table.errors.length === 1 && table.errors[0].campaignId === 'winter', 'Failed reports should be listed');
+    assert(table.errors[0].error instanceof MailchimpAPI.NotFoundError, 'Errors should be typed');
+    assert(table.rows.map(row => row.campaignId).join() === 'summer,spring', 'Rows should be sorted by click rate');
+    assert(table.totals.campaigns === 2 && table.totals.sent === 1500 && table.totals.delivered === 1480, 'Counts should be added up');
+    assert(near(table.totals.openRate, 740 / 1480), 'Total rates should be computed from the totals');
+});
+
+runner.test('Report errors use the error envelope', async () => {
+    const response = await createClient().getCampaignReport('winter');
+
+    assert(!response.success && response.code === 404, 'Missing reports should fail');
+    assert(response.summary === undefined, 'Failed reports should have no summary');
+});
+
+runner.run();
@@ -0,0 +1,148 @@
+/**
+ * Unit Tests for MailchimpAPI retry policy
+ *
+ * Answers requests with a MockTransport that plays a scripted sequence of
+ * responses.
+ * Run with: node tests/unit/retry-tests.js
+ */
+
+const MailchimpAPI = require('../../resources/js/mailchimp.js');
+const { TestRunner, assert } = require('../integration/example-tests');
+const { reply } = require('../integration/helpers');
+
+const { MockTransport } = MailchimpAPI;
+
+let responses = [];
+let calls = 0;
+
+const transport = new MockTransport().on('*', /.*/, () => responses[Math.min(calls++, responses.length - 1)]);
+
+/**
+ * Reset the scripted responses for a test
+ */
+function script(...sequence) {
+    responses = sequence;
+    calls = 0;
+}
+
+const rateLimited = MockTransport.rateLimited(null);
+const serverError = reply({ detail: 'Server error' }, 503);
+const notFound = reply({ detail: 'Resource Not Found' }, 404);
+const ok = reply({ id: 'list1' });
+
+const runner = new TestRunner('Retry Unit Tests');
+
+runner.test('Retries are disabled by default', async () => {
+    script(serverError, ok);
+    const mailchimp = new MailchimpAPI({ transport: transport, onError: () => {} });
+    const response = await mailchimp.request('GET', '/lists/list1');
+
+    assert(!response.success, 'Failure should be returned');
+    assert(calls === 1, `Expected 1 call, got ${calls}`);
+});
+
+runner.test('Idempotent requests retry until they succeed', async () => {
+    script(serverError, rateLimited, ok);
+    const errors = [];
+    const retries = [];
+    const mailchimp = new MailchimpAPI({
+        transport: transport,
+        retry: { baseDelay: 1 },
+        onError: error => errors.push(error),
+        onRetry: info => retries.push(info)
+    });
+
+    const response = await mailchimp.request('GET', '/lists/list1');
+
+    assert(response.success, 'Final response should succeed');
+    assert(calls === 3, `Expected 3 calls, got ${calls}`);
+    assert(errors.length === 0, 'onError should not fire for retried failures');
+    assert(retries.map(info => info.attempt).join() === '2,3', 'onRetry should report the upcoming attempt');
+    assert(retries[1].result.code === 429, 'onRetry should receive the failed response');
+});
+
+runner.test('Gives up after maxAttempts and reports the last error', async () => {
+    script(serverError);
+    const errors = [];
+    const mailchimp = new MailchimpAPI({
+        transport: transport,
+        retry: { maxAttempts: 2, baseDelay: 1 },
+        onError: error => errors.push(error)
+    });
+
+    const response = await mailchimp.request('DELETE', '/lists/list1/members/abc');
+
+    assert(response.code === 503, 'Last failure should be returned');
+    assert(calls === 2, `Expected 2 calls, got ${calls}`);
+    assert(errors.length === 1, 'onError should fire once');
+});
+
+runner.test('Non-idempotent methods and non-retryable codes are not retried', async () => {
+    const mailchimp = new MailchimpAPI({ transport: transport, retry: { baseDelay: 1 }, onError: () => {} });
+
+    script(serverError, ok);
+    await mailchimp.request('POST', '/batches', {});
+    assert(calls === 1, `POST should not retry, got ${calls} calls`);
+
+    script(notFound, ok);
+    await mailchimp.request('GET', '/lists/missing');
+    assert(calls === 1, `404 should not retry, got ${calls} calls`);
+});
+
+runner.test('Per-call override enables and disables retries', async () => {
+    const mailchimp = new MailchimpAPI({ transport: transport, onError: () => {} });
+
+    script(serverError, ok);
+    const response = await mailchimp.request('POST', '/batches', {}, {
+        retry: { methods: ['POST'], baseDelay: 1 }
+    });
+    assert(response.success && calls === 2, 'POST should retry when the call opts in');
+
+    const retrying = new MailchimpAPI({ transport: transport, retry: true, onError: () => {} });
+    script(serverError, ok);
+    await retrying.request('GET', '/lists', {}, { retry: false });
+    assert(calls === 1, 'retry: false should disable retries for the call');
+});
+
+runner.test('Retry-After is honoured', async () => {
+    script(MockTransport.rateLimited('0.05'), ok);
+    const retries = [];
+    const mailchimp = new MailchimpAPI({
+        transport: transport,
+        retry: { baseDelay: 5000 },
+        onRetry: info => retries.push(info)
+    });
+
+    const started = Date.now();
+    const response = await mailchimp.request('GET', '/lists');
+
+    assert(response.success, 'Request should succeed after waiting');
+    assert(retries[0].delay === 50, `Delay should come from Retry-After, got ${retries[0].delay}`);
+    assert(Date.now() - started < 1000, 'Backoff delay should not be used');
+});
+
+runner.test('Network errors and timeouts are retried', async () => {
+    script(MockTransport.networkError(), ok);
+    const mailchimp = new MailchimpAPI({ transport: transport, retry: { baseDelay: 1 } });
+    const response = await mailchimp.request('GET', '/lists');
+
+    assert(response.success, 'Request should succeed after a network error');
+    assert(calls === 2, `Expected 2 calls, got ${calls}`);
+});
+
+runner.test('Backoff grows exponentially within maxDelay', async () => {
+    const mailchimp = new MailchimpAPI({ transport: transport, retry: { baseDelay: 100, maxDelay: 1000 } });
+    const policy = mailchimp.retry;
+
+    for (let i = 0; i < 20; i++) {
+        const first = mailchimp.getRetryDelay(1, {}, policy);
+        const third = mailchimp.getRetryDelay(3, {}, policy);
+        const tenth = mailchimp.getRetryDelay(10, {}, policy);
+
+        assert(first >= 50 && first <= 100, `First delay out of range: ${first}`);
+        assert(third >= 200 && third <= 400, `Third delay out of range: ${third}`);
+        assert(tenth >= 500 && tenth <= 1000, `Delay should be capped: ${tenth}`);
+    }
+});
+
+runner.run();
@@ -0,0 +1,209 @@
+/**
+ * Unit Tests for the segment builder and static segments
+ *
+ * Answers requests with a MockTransport that keeps the segments of a list
+ * and serves a small merge field schema and tag list.
+ * Run with: node tests/unit/segment-tests.js
+ */
+
+const MailchimpAPI = require('../../resources/js/mailchimp.js');
+const { TestRunner, assert } = require('../integration/example-tests');
+const { reply, rejection } = require('../integration/helpers');
+
+const { MockTransport, SegmentBuilder, ValidationError } = MailchimpAPI;
+
+const mergeFields = [
+    { tag: 'CITY', name: 'City', type: 'text', options: {} },
+    { tag: 'SIZE', name: 'Shirt Size', type: 'dropdown', options: { choices: ['S', 'M', 'L'] } },
+    { tag: 'BDAY', name: 'Birthday', type: 'birthday', options: {} }
+];
+
+let segments = [];
+let requests = [];
+let nextId = 100;
+let failedDeletes = 0;
+
+/**
+ * Create a saved or static segment
+ */
+function createSegment({ params }) {
+    const segment = {
+        id: nextId++,
+        name: params.name,
+        type: params.options ? 'saved' : 'static',
+        options: params.options,
+        member_count: params.options ? 42 : 0
+    };
+    segments.push(segment);
+    return segment;
+}
+
+/**
+ * Read, update, delete or change the members of one segment
+ */
+function changeSegment({ method, endpoint, params }) {
+    const segment = segments.find(item => item.id === Number(endpoint.split('/').pop()));
+
+    if (!segment) {
+        return reply({ title: 'Resource Not Found', detail: 'The requested resource could not be found.' }, 404);
+    }
+
+    if (method === 'GET') {
+        return segment;
+    }
+
+    if (method === 'DELETE' && failedDeletes > 0) {
+        failedDeletes--;
+        return reply({ title: 'Too Many Requests', detail: 'You have exceeded the limit of 10 simultaneous connections.' }, 429);
+    }
+
+    if (method === 'DELETE') {
+        segments = segments.filter(item => item !== segment);
+        return reply(null, 204);
+    }
+
+    if (method === 'PATCH') {
+        Object.assign(segment, params);
+        return segment;
+    }
+
+    const emails = params.members_to_add || params.members_to_remove;
+    segment.member_count += params.members_to_add ? emails.length : -emails.length;
+
+    return {
+        total_added: params.members_to_add ? emails.length : 0,
+        total_removed: params.members_to_remove ? emails.length : 0,
+        error_count: 0,
+        errors: []
+    };
+}
+
+/**
+ * Create a client for an empty list
+ */
+function createClient() {
+    segments = [];
+    failedDeletes = 0;
+
+    const transport = new MockTransport()
+        .on('GET', '/lists/list1/merge-fields', { merge_fields: mergeFields, total_items: mergeFields.length })
+        .on('GET', '/lists/list1/tag-search', ({ params }) => {
+            const tags = [{ id: 7, name: 'buyer' }].filter(tag => tag.name.startsWith(params.name || ''));
+            return { tags: tags, total_items: tags.length };
+        })
+        .on('GET', '/lists/list1/segments', ({ params }) => {
+            const matches = segments.filter(segment => !params.type || segment.type === params.type);
+            return { segments: matches, total_items: matches.length };
+        })
+        .on('POST', '/lists/list1/segments', createSegment)
+        .on('*', '/lists/list1/segments/*', changeSegment);
+
+    requests = transport.requests;
+
+    return new MailchimpAPI({ listId: 'list1', transport: transport, onError: () => {}, mergeFieldMappings: { shirtSize: 'SIZE' } });
+}
+
+const runner = new TestRunner('Segment Unit Tests');
+
+runner.test('The builder produces Mailchimp conditions', async () => {
+    const options = await createClient().segment('VIP')
+        .where('merge.CITY', 'is', 'Berlin')
+        .and('tag', 'contains', 'buyer')
+        .and('merge.shirtSize', 'not', 'S')
+        .and('interest.abc123', 'contains', 'def456')
+        .and('date_added', 'greater', '2024-01-01')
+        .and('merge.BDAY', 'blank_not')
+        .toOptions();
+
+    assert(options.match === 'all', 'and() should match all conditions');
+    assert(JSON.stringify(options.conditions) === JSON.stringify([
+        { condition_type: 'TextMerge', field: 'CITY', op: 'is', value: 'Berlin' },
+        { condition_type: 'StaticSegment', field: 'static_segment', op: 'static_is', value: 7 },
+        { condition_type: 'SelectMerge', field: 'SIZE', op: 'not', value: 'S' },
+        { condition_type: 'Interests', field: 'interests-abc123', op: 'interestcontains', value: ['def456'] },
+        { condition_type: 'Date', field: 'timestamp_opt', op: 'greater', value: 'date', extra: '2024-01-01' },
+        { condition_type: 'BirthdayMerge', field: 'BDAY', op: 'blank_not' }
+    ]), `Unexpected conditions ${JSON.stringify(options.conditions)}`);
+});
+
+runner.test('Invalid conditions are rejected before sending', async () => {
+    const mailchimp = createClient();
+
+    assert(await rejection(() => mailchimp.segment('A').where('colour', 'is', 'red'), ValidationError), 'Unknown fields should be rejected');
+    assert(await rejection(() => mailchimp.segment('A').where('merge', 'is', 'x'), ValidationError), 'Merge conditions need a merge tag');
+    assert(await rejection(() => mailchimp.segment('A').where('tag', 'starts', 'buy'), ValidationError), 'Unsupported operators should be rejected');
+    assert(await rejection(() => mailchimp.segment('A').where('email', 'is'), ValidationError), 'Values should be required');
+    assert(await rejection(() => mailchimp.segment('A').where('rating', 'greater', 9), ValidationError), 'Ratings should be checked');
+    assert(await rejection(() => mailchimp.segment('A').where('email', 'ends', '.de').or('rating', 'is', 5).and('language', 'is', 'de'), ValidationError), 'and() and or() should not mix');
+    assert(await rejection(() => mailchimp.segment('A').where('merge.BDAY', 'contains', '12').toOptions(), ValidationError), 'Operators should match the merge field type');
+    assert(await rejection(() => mailchimp.segment('A').where('merge.PHONE', 'is', '1').toOptions(), ValidationError), 'Unknown merge fields should be rejected');
+    assert(await rejection(() => mailchimp.segment('A').where('tag', 'is', 'nobody').toOptions(), ValidationError), 'Unknown tags should be rejected');
+    assert(await rejection(() => mailchimp.segment('A').toOptions(), ValidationError), 'Segments need a condition');
+    assert(!requests.some(request => request.method !== 'GET'), 'Nothing should be written');
+});
+
+runner.test('Saving creates the segment once and updates it after', async () => {
+    const mailchimp = createClient();
+
+    const created = await mailchimp.segment('Berlin').where('merge.CITY', 'is', 'Berlin').or('merge.CITY', 'is', 'Potsdam').save();
+    assert(created.success && segments.length === 1, 'The segment should be created');
+    assert(segments[0].options.match === 'any', 'or() should match any condition');
+
+    const updated = await mailchimp.segment('berlin').where('merge.CITY', 'is', 'Berlin').save();
+    assert(updated.success && segments.length === 1, 'The existing segment should be updated');
+    assert(segments[0].options.conditions.length === 1, 'The conditions should be replaced');
+
+    await mailchimp.segment(segments[0].id).where('email', 'ends', '.de').save();
+    assert(requests[requests.length - 1].params.name === 'Berlin', 'Updates by ID should keep the name');
+});
+
+runner.test('Previews count members without keeping a segment', async () => {
+    const mailchimp = createClient();
+    const preview = await mailchimp.segment('VIP').where('rating', 'greater', 3).preview();
+
+    assert(preview.success && preview.count === 42, `Unexpected count ${preview.count}`);
+    assert(preview.options.conditions[0].condition_type === 'MemberRating', 'The conditions should be returned');
+    assert(segments.length === 0, 'The temporary segment should be deleted');
+    assert(!preview.cleanupFailed, 'The cleanup should succeed');
+});
+
+runner.test('Previews retry the cleanup and report a segment left behind', async () => {
+    const mailchimp = createClient();
+    failedDeletes = 1;
+
+    const retried = await mailchimp.segment('VIP').where('rating', 'greater', 3).preview();
+    assert(retried.count === 42 && !retried.cleanupFailed && segments.length === 0, 'A failed delete should be tried again');
+
+    failedDeletes = 2;
+    const preview = await mailchimp.segment('VIP').where('rating', 'greater', 3).preview();
+
+    assert(preview.success && preview.count === 42, 'The count should still be returned');
+    assert(preview.cleanupFailed === true && preview.segmentId === segments[0].id, 'The segment left behind should be reported');
+    assert(requests.filter(request => request.method === 'DELETE').length === 4, 'Each cleanup should be tried twice at most');
+});
+
+runner.test('Static segments are created, filled and deleted', async () => {
+    const mailchimp = createClient();
+    const emails = Array.from({ length: 700 }, (value, index) => `member${index}@example.com`);
+
+    const created = await mailchimp.createStaticSegment('Webinar', emails);
+    assert(created.success && created.data.member_count === 700, 'Members should be added');
+    assert(requests.filter(request => request.method === 'POST').length === 3, 'Members should be added 500 at a time');
+
+    const removed = await mailchimp.removeSegmentMembers(created.data.id, emails.slice(0, 10));
+    assert(removed.data.total_removed === 10 && segments[0].member_count === 690, 'Members should be removed');
+
+    const deleted = await mailchimp.deleteSegment(created.data.id);
+    assert(deleted.success && segments.length === 0, 'The segment should be deleted');
+});
+
+runner.test('SegmentBuilder is exported and takes names or IDs', async () => {
+    assert(typeof SegmentBuilder === 'function', 'SegmentBuilder should be available on MailchimpAPI');
+    assert(createClient().segment('A') instanceof SegmentBuilder, 'segment() should return a builder');
+
+    const mailchimp = createClient();
+    assert(mailchimp.segment('123').name === '123' && mailchimp.segment('123').id === null, 'Strings should be names');
+    assert(mailchimp.segment(123).id === 123 && mailchimp.segment({ id: '123' }).id === 123, 'Numbers and { id } should be IDs');
+});
+
+runner.run();
@@ -0,0 +1,291 @@
+/**
+ * Unit Tests for the declarative signup form
+ *
+ * Uses a minimal stand-in for the DOM and a MockTransport keyed by member
+ * status.
+ * Run with: node tests/unit/signup-form-tests.js
+ */
+
+const MailchimpAPI = require('../../resources/js/mailchimp.js');
+const { TestRunner, assert } = require('../integration/example-tests');
+const { reply } = require('../integration/helpers');
+
+const { MockTransport, SignupForm } = MailchimpAPI;
+
+/**
+ * Just enough of an element for SignupForm
+ */
+class FakeElement {
+    constructor(tagName, props = {}, children = []) {
+        this.tagName = tagName.toUpperCase();
+        this.dataset = {};
+        this.attributes = {};
+        this.hidden = false;
+        this.disabled = false;
+        this.textContent = '';
+        this.listeners = {};
+        this.children = children;
+        Object.assign(this, props);
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+    }
+
+    removeAttribute(name) {
+        delete this.attributes[name];
+    }
+
+    getAttribute(name) {
+        return this.attributes[name] ?? null;
+    }
+
+    addEventListener(type, handler) {
+        (this.listeners[type] = this.listeners[type] || []).push(handler);
+    }
+
+    removeEventListener(type, handler) {
+        this.listeners[type] = (this.listeners[type] || []).filter(listener => listener !== handler);
+    }
+
+    dispatchEvent(event) {
+        (this.listeners[event.type] || []).forEach(handler => handler(event));
+        return true;
+    }
+
+    click() {
+        this.dispatchEvent({ type: 'click', currentTarget: this });
+    }
+
+    get descendants() {
+        return this.children.flatMap(child => [child, ...child.descendants]);
+    }
+
+    get elements() {
+        return this.descendants.filter(element => ['INPUT', 'BUTTON', 'SELECT', 'TEXTAREA'].includes(element.tagName));
+    }
+
+    matches(selector) {
+        return selector.split(',').some(part => {
+            const [, tag, attribute, value] = part.trim().match(/^(\w+)?(?:\[([\w-]+)(?:="([^"]*)")?\])?$/);
+
+            if (tag && tag.toUpperCase() !== this.tagName) {
+                return false;
+            }
+
+            if (!attribute) {
+                return true;
+            }
+
+            const actual = attribute.startsWith('data-')
+                ? this.dataset[attribute.slice(5).replace(/-(\w)/g, (match, letter) => letter.toUpperCase())]
+                : this[attribute];
+
+            return value === undefined ? actual !== undefined : actual === value;
+        });
+    }
+
+    querySelectorAll(selector) {
+        return this.descendants.filter(element => element.matches(selector));
+    }
+}
+
+const el = (tagName, props, children) => new FakeElement(tagName, props, children);
+
+/**
+ * Build a signup form like the Twig component renders
+ */
+function createForm(dataset = {}) {
+    const form = el('form', {}, [
+        el('input', { type: 'hidden', name: 'CRAFT_CSRF_TOKEN', value: 'token-123' }),
+        el('input', { type: 'text', name: 'firstName', value: 'Jane' }),
+        el('input', { type: 'text', name: 'LNAME', value: '' }),
+        el('input', { type: 'text', name: 'ADDRESS[city]', value: 'Berlin' }),
+        el('input', { type: 'checkbox', name: 'interests', value: 'int1', checked: true }),
+        el('input', { type: 'checkbox', name: 'interests', value: 'int2', checked: false }),
+        el('input', { type: 'checkbox', name: 'marketing_permissions', value: 'e1a2b3c4d5', checked: true }),
+        el('input', { type: 'email', name: 'email', value: 'jane@example.com' }),
+        el('div', { dataset: { mailchimpErrorFor: 'email' } }),
+        el('button', { type: 'submit' }),
+        el('div', { dataset: { mailchimpShow: 'idle error invalid' } }),
+        el('div', { dataset: { mailchimpShow: 'unsubscribed' } }, [
+            el('button', { type: 'button', dataset: { mailchimpResubscribe: '' } })
+        ]),
+        el('button', { type: 'button', dataset: { mailchimpReset: '' } }),
+        el('span', { dataset: { mailchimpMessage: '' } })
+    ]);
+
+    form.dataset = { mailchimpSignup: '', listId: 'list1', ...dataset };
+    return form;
+}
+
+let memberStatus = null;
+let failTags = false;
+
+const transport = new MockTransport()
+    .on('GET', '/lists/*/members/*', () => (memberStatus
+        ? { email_address: 'jane@example.com', status: memberStatus }
+        : reply({ title: 'Resource Not Found', detail: 'Not found' }, 404)))
+    .on('POST', '/lists/*/members/*/tags', ({ params }) => (failTags
+        ? reply({ title: 'Invalid Resource', detail: 'Tag names are too long' }, 400)
+        : params))
+    .on('*', /.*/, ({ params }) => params);
+
+const requests = transport.requests;
+
+/**
+ * Submit a form and wait for the flow to finish
+ */
+async function submit(form) {
+    await form.mailchimpSignup.submit();
+}
+
+/**
+ * Record the events dispatched on a form
+ */
+function recordEvents(form) {
+    const events = [];
+    form.addEventListener('mailchimp:subscribed', event => events.push(event));
+    form.addEventListener('mailchimp:error', event => events.push(event));
+    return events;
+}
+
+const runner = new TestRunner('Signup Form Unit Tests');
+
+runner.test('Every signup form on the page gets its own client', async () => {
+    const first = createForm({ listId: 'list1' });
+    const second = createForm({ listId: 'list2' });
+    const page = el('div', {}, [first, second]);
+
+    const forms = SignupForm.init(page);
+
+    assert(forms.length === 2, `Expected 2 forms, got ${forms.length}`);
+    assert(forms[0].api.listId === 'list1' && forms[1].api.listId === 'list2', 'Each form should use its own list');
+    assert(forms[0].api.csrfTokenValue === 'token-123', 'The CSRF token should come from the form');
+    assert(SignupForm.init(page)[0] === forms[0], 'Forms should only be enhanced once');
+    assert(first.dataset.mailchimpState === 'idle', 'Forms should start idle');
+});
+
+runner.test('Inputs are mapped to merge fields and interests by name', async () => {
+    const form = createForm();
+    const signup = new SignupForm(form);
+    const data = signup.collect();
+
+    assert(data.email === 'jane@example.com', 'Email should be read');
+    assert(data.mergeFields.firstName === 'Jane', 'Merge fields should be keyed by input name');
+    assert(!('LNAME' in data.mergeFields), 'Blank inputs should be left out');
+    assert(data.mergeFields.ADDRESS.city === 'Berlin', 'Address parts should be grouped');
+    assert(data.interests.int1 === true && data.interests.int2 === false, 'Interests should follow the checkboxes');
+    assert(data.consent.e1a2b3c4d5 === true && !('marketing_permissions' in data.mergeFields), 'Consent checkboxes should be read');
+    assert(!('CRAFT_CSRF_TOKEN' in data.mergeFields), 'The CSRF input should be skipped');
+});
+
+runner.test('New subscribers are added with double opt-in and tags', async () => {
+    requests.splice(0);
+    memberStatus = null;
+    const form = createForm({ tags: 'website, newsletter', doubleOptin: '' });
+    const events = recordEvents(form);
+    new SignupForm(form, { transport: transport, mergeFieldMappings: { firstName: 'FNAME' } });
+
+    await submit(form);
+
+    const put = requests.find(request => request.method === 'PUT');
+    const tags = requests.find(request => request.endpoint.endsWith('/tags'));
+
+    assert(put.params.status === 'pending', 'Double opt-in should subscribe as pending');
+    assert(put.params.merge_fields.FNAME === 'Jane', 'Merge fields should be mapped');
+    assert(put.params.interests.int1 === true, 'Interests should be sent');
+    assert(tags.params.tags.map(tag => tag.name).join() === 'website,newsletter', 'Tags should be added');
+    assert(form.dataset.mailchimpState === 'pending', `Unexpected state ${form.dataset.mailchimpState}`);
+    assert(events.length === 1 && events[0].type === 'mailchimp:subscribed', 'mailchimp:subscribed should fire');
+    assert(events[0].detail.email === 'jane@example.com' && events[0].bubbles, 'The event should bubble with details');
+});
+
+runner.test('A failed tag update is reported without undoing the subscription', async () => {
+    requests.splice(0);
+    memberStatus = null;
+    failTags = true;
+    const form = createForm({ tags: 'website' });
+    const events = recordEvents(form);
+    form.addEventListener('mailchimp:tags-failed', event => events.push(event));
+    new SignupForm(form, { transport: transport });
+
+    try {
+        await submit(form);
+    } finally {
+        failTags = false;
+    }
+
+    assert(form.dataset.mailchimpState === 'subscribed', `Unexpected state ${form.dataset.mailchimpState}`);
+    assert(events.map(event => event.type).join() === 'mailchimp:tags-failed,mailchimp:subscribed', `Unexpected events ${events.map(event => event.type)}`);
+    assert(events[0].detail.tags.join() === 'website' && events[0].detail.error.status === 400, 'The event should carry the tags and the error');
+});
+
+runner.test('Invalid email addresses show a field error', async () => {
+    requests.splice(0);
+    const form = createForm();
+    form.children.find(element => element.type === 'email').value = 'not-an-email';
+    const events = recordEvents(form);
+    new SignupForm(form, { transport: transport });
+
+    await submit(form);
+
+    const emailError = form.querySelectorAll('[data-mailchimp-error-for]')[0];
+
+    assert(requests.length === 0, 'Nothing should be sent');
+    assert(form.dataset.mailchimpState === 'invalid', 'The form should be invalid');
+    assert(!emailError.hidden && emailError.textContent.length > 0, 'The email error should be shown');
+    assert(form.children.find(element => element.type === 'email').attributes['aria-invalid'] === 'true', 'The input should be marked invalid');
+    assert(events[0].type === 'mailchimp:error', 'mailchimp:error should fire');
+});
+
+runner.test('State elements follow the form state', async () => {
+    memberStatus = 'subscribed';
+    const form = createForm();
+    new SignupForm(form, { transport: transport });
+    const [idleBlock, unsubscribedBlock] = form.querySelectorAll('[data-mailchimp-show]');
+
+    assert(!idleBlock.hidden && unsubscribedBlock.hidden, 'Only idle elements should show at first');
+
+    await submit(form);
+    assert(form.dataset.mailchimpState === 'already-subscribed', 'Subscribed members should be recognised');
+    assert(idleBlock.hidden, 'The form fields should be hidden');
+
+    form.querySelectorAll('[data-mailchimp-reset]')[0].click();
+    assert(form.dataset.mailchimpState === 'idle' && !idleBlock.hidden, 'Reset should return to idle');
+});
+
+runner.test('Unsubscribed members resubscribe as pending', async () => {
+    requests.splice(0);
+    memberStatus = 'unsubscribed';
+    const form = createForm();
+    const events = recordEvents(form);
+    new SignupForm(form, { transport: transport });
+
+    await submit(form);
+    assert(form.dataset.mailchimpState === 'unsubscribed', 'Unsubscribed members should be offered to resubscribe');
+    assert(!requests.some(request => request.method === 'PUT'), 'Nothing should be written yet');
+
+    form.querySelectorAll('[data-mailchimp-resubscribe]')[0].click();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const put = requests.find(request => request.method === 'PUT');
+    assert(put && put.params.status === 'pending', 'Resubscribing should require confirmation');
+    assert(form.dataset.mailchimpState === 'pending', 'The form should show the pending state');
+    assert(events[0].type === 'mailchimp:subscribed', 'mailchimp:subscribed should fire');
+});
+
+runner.test('Errors from Mailchimp are shown in the message element', async () => {
+    memberStatus = 'cleaned';
+    const form = createForm();
+    const events = recordEvents(form);
+    new SignupForm(form, { transport: transport });
+
+    await submit(form);
+
+    assert(form.dataset.mailchimpState === 'error', 'The form should show an error');
+    assert(form.querySelectorAll('[data-mailchimp-message]')[0].textContent.includes('cleaned'), 'The message should be shown');
+    assert(events[0].detail.error instanceof MailchimpAPI.MailchimpError, 'The event should carry the error');
+});
+
+runner.run();
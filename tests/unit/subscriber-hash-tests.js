@@ -0,0 +1,57 @@
+/**
+ * Unit Tests for MailchimpAPI subscriber hashing
+ *
+ * Verifies the bundled MD5 implementation against Node's crypto module.
+ * Run with: node tests/unit/subscriber-hash-tests.js
+ */
+
+const crypto = require('crypto');
+const MailchimpAPI = require('../../resources/js/mailchimp.js');
+const { TestRunner, assert } = require('../integration/example-tests');
+const { rejection } = require('../integration/helpers');
+
+/**
+ * Reference MD5 hash using Node's crypto module
+ */
+function md5(string) {
+    return crypto.createHash('md5').update(string).digest('hex');
+}
+
+const runner = new TestRunner('Subscriber Hash Unit Tests');
+const mailchimp = new MailchimpAPI({ listId: 'test-list' });
+
+runner.test('MD5 matches Node crypto for known inputs', async () => {
+    const inputs = [
+        '',
+        'a',
+        'abc',
+        'message digest',
+        'user@example.com',
+        'x'.repeat(55),
+        'x'.repeat(56),
+        'x'.repeat(64),
+        'x'.repeat(1000),
+        'jürgen.müller@exämple.de',
+        '用户@例子.广告'
+    ];
+
+    for (const input of inputs) {
+        assert(MailchimpAPI.md5Hex(input) === md5(input), `Hash mismatch for "${input.slice(0, 20)}"`);
+    }
+});
+
+runner.test('Subscriber hash trims and lowercases the email', async () => {
+    const expected = md5('user@example.com');
+
+    assert(mailchimp.subscriberHash('user@example.com') === expected, 'Plain email should hash');
+    assert(mailchimp.subscriberHash('  User@Example.COM \n') === expected, 'Email should be normalised');
+    assert(mailchimp.md5('USER@example.com') === expected, 'md5() should stay compatible');
+});
+
+runner.test('Subscriber hash requires an email', async () => {
+    const error = await rejection(() => mailchimp.subscriberHash(''));
+
+    assert(error, 'Empty email should throw');
+});
+
+runner.run();
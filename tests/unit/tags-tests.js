@@ -0,0 +1,183 @@
+/**
+ * Unit Tests for tag management
+ *
+ * Answers requests with a MockTransport that keeps the tags of a list as
+ * static segments and the tags of one member.
+ * Run with: node tests/unit/tags-tests.js
+ */
+
+const MailchimpAPI = require('../../resources/js/mailchimp.js');
+const { TestRunner, assert } = require('../integration/example-tests');
+const { reply, rejection } = require('../integration/helpers');
+
+const { MockTransport, ValidationError } = MailchimpAPI;
+
+let tags = [];
+let memberTags = [];
+let requests = [];
+let nextId = 100;
+
+/**
+ * Answer a request for a tag segment
+ */
+function answerSegment({ method, endpoint, params }) {
+    const id = Number(endpoint.split('/').pop());
+    const tag = tags.find(item => item.id === id);
+
+    if (!tag) {
+        return reply({ title: 'Resource Not Found', detail: 'The requested resource could not be found.' }, 404);
+    }
+
+    if (method === 'DELETE') {
+        tags = tags.filter(item => item !== tag);
+        return reply(null, 204);
+    }
+
+    if (method === 'PATCH') {
+        tag.name = params.name;
+        return tag;
+    }
+
+    const emails = params.members_to_add || params.members_to_remove;
+    const refused = emails.filter(email => email.endsWith('@invalid'));
+    const accepted = emails.filter(email => !refused.includes(email));
+
+    return {
+        members_added: params.members_to_add ? accepted : [],
+        members_removed: params.members_to_remove ? accepted : [],
+        errors: refused.length ? [{ email_addresses: refused, error: 'Email address is not valid' }] : [],
+        total_added: params.members_to_add ? accepted.length : 0,
+        total_removed: params.members_to_remove ? accepted.length : 0,
+        error_count: refused.length
+    };
+}
+
+/**
+ * Create a client for a list with some tags
+ */
+function createClient(options = {}) {
+    tags = [{ id: 1, name: 'Buyer' }, { id: 2, name: 'Buyer 2023' }, { id: 3, name: 'VIP' }];
+    memberTags = [];
+
+    const transport = new MockTransport()
+        .on('GET', '/lists/*/tag-search', ({ params }) => {
+            const matches = tags.filter(tag => !params.name || tag.name.toLowerCase().startsWith(params.name.toLowerCase()));
+            return { tags: matches.slice(params.offset || 0, (params.offset || 0) + params.count), total_items: matches.length };
+        })
+        .on('GET', '/lists/*/members/*/tags', ({ params }) => {
+            const page = memberTags.slice(params.offset || 0, (params.offset || 0) + (params.count || 10));
+            return { tags: page.map(name => ({ name: name })), total_items: memberTags.length };
+        })
+        .on('POST', '/lists/*/members/*/tags', reply(null, 204))
+        .on('POST', '/lists/*/segments', ({ params }) => {
+            const tag = { id: nextId++, name: params.name };
+            tags.push(tag);
+            return { ...tag, type: 'static' };
+        })
+        .on('*', '/lists/*/segments/*', answerSegment);
+
+    requests = transport.requests;
+
+    return new MailchimpAPI({ listId: 'list1', transport: transport, onError: () => {}, ...options });
+}
+
+const runner = new TestRunner('Tags Unit Tests');
+
+runner.test('setTags sends only the difference in one request', async () => {
+    const mailchimp = createClient();
+    memberTags = ['Buyer', 'Newsletter', 'Automation'];
+
+    const response = await mailchimp.setTags('jane@example.com', ['buyer', 'VIP', 'vip'], { keep: ['automation'] });
+    const writes = requests.filter(request => request.method === 'POST');
+
+    assert(response.success, 'setTags should succeed');
+    assert(writes.length === 1, 'One write should be sent');
+    assert(JSON.stringify(writes[0].params.tags) === JSON.stringify([
+        { name: 'VIP', status: 'active' },
+        { name: 'Newsletter', status: 'inactive' }
+    ]), `Unexpected tags ${JSON.stringify(writes[0].params.tags)}`);
+    assert(response.added.join() === 'VIP' && response.removed.join() === 'Newsletter', 'The difference should be returned');
+});
+
+runner.test('setTags reads every page of member tags', async () => {
+    const mailchimp = createClient();
+    memberTags = Array.from({ length: 150 }, (value, index) => `tag-${index}`);
+
+    const response = await mailchimp.setTags('jane@example.com', memberTags);
+
+    assert(requests.filter(request => request.method === 'GET').length === 2, 'Both pages should be read');
+    assert(response.success && response.added.length === 0 && response.removed.length === 0, 'Nothing should change');
+    assert(!requests.some(request => request.method === 'POST'), 'Nothing should be sent');
+});
+
+runner.test('List tags can be listed, searched and found', async () => {
+    const mailchimp = createClient();
+
+    assert((await mailchimp.getAllListTags()).length === 3, 'Every tag should be listed');
+    assert((await mailchimp.searchTags('buy')).data.total_items === 2, 'Tags should be searched by name');
+    assert((await mailchimp.findTag('buyer')).id === 1, 'Exact names should be found ignoring case');
+    assert(await mailchimp.findTag('Buy') === null, 'Prefixes should not count as a match');
+    assert(requests.every(request => request.endpoint === '/lists/list1/tag-search'), 'The tag search should be used');
+});
+
+runner.test('Many members are tagged in requests of 500', async () => {
+    const mailchimp = createClient();
+    const emails = Array.from({ length: 1200 }, (value, index) => `member${index}@example.com`);
+    emails[7] = 'broken@invalid';
+
+    const response = await mailchimp.tagMembers('VIP', emails);
+    const writes = requests.filter(request => request.method === 'POST');
+
+    assert(writes.length === 3 && writes.every(request => request.endpoint === '/lists/list1/segments/3'), 'The tag segment should get three requests');
+    assert(writes[2].params.members_to_add.length === 200, 'The last request should get the rest');
+    assert(response.success && response.data.total_added === 1199, `Unexpected total ${response.data.total_added}`);
+    assert(response.data.error_count === 1 && response.data.errors[0].email_addresses[0] === 'broken@invalid', 'Refused addresses should be reported');
+});
+
+runner.test('Tagging creates missing tags and untagging skips them', async () => {
+    const mailchimp = createClient();
+
+    const tagged = await mailchimp.tagMembers('Summer Sale', ['jane@example.com']);
+    assert(tagged.data.tag.name === 'Summer Sale' && tags.length === 4, 'The tag should be created');
+    assert(requests.some(request => request.endpoint === '/lists/list1/segments' && request.params.static_segment.length === 0), 'The tag should be a static segment');
+
+    requests.splice(0);
+    const untagged = await mailchimp.untagMembers('Winter Sale', ['jane@example.com']);
+    assert(untagged.success && untagged.data.tag === null, 'Unknown tags should have nothing to remove');
+    assert(!requests.some(request => request.method === 'POST'), 'Nothing should be sent');
+
+    await mailchimp.untagMembers(3, ['jane@example.com']);
+    assert(requests[requests.length - 1].params.members_to_remove[0] === 'jane@example.com', 'Tags should be accepted by ID');
+});
+
+runner.test('Numbers and { id } are tag IDs, strings are names', async () => {
+    const mailchimp = createClient();
+
+    const byNumber = await mailchimp.resolveTag(3);
+    const byObject = await mailchimp.resolveTag({ id: '3' });
+    assert(byNumber.id === 3 && byObject.id === 3, 'Numbers and { id } should be IDs');
+    assert(requests.length === 0, 'IDs should not be searched by name');
+
+    const created = await mailchimp.tagMembers('2024', ['jane@example.com']);
+    const found = await mailchimp.resolveTag('2024');
+
+    assert(created.data.tag.name === '2024' && tags.length === 4, 'Digit strings should be tag names');
+    assert(found.id === created.data.tag.id, 'A tag named with digits should be found by its name');
+});
+
+runner.test('Tags can be renamed and deleted', async () => {
+    const mailchimp = createClient();
+
+    const renamed = await mailchimp.renameTag('vip', 'Very Important');
+    assert(renamed.success && tags[2].name === 'Very Important', 'The tag should be renamed');
+
+    const deleted = await mailchimp.deleteTag(1);
+    assert(deleted.success && !tags.some(tag => tag.id === 1), 'The tag should be deleted');
+
+    const missing = await mailchimp.deleteTag('Nope');
+    assert(!missing.success && missing.code === 404, 'Unknown tags should be reported as not found');
+
+    assert(await rejection(() => mailchimp.renameTag('Buyer 2023', ' '), ValidationError), 'Empty names should be rejected');
+});
+
+runner.run();
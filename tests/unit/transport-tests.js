@@ -0,0 +1,158 @@
+/**
+ * Unit Tests for the MailchimpAPI transports
+ *
+ * Covers the default fetch transport, the scriptable MockTransport and
+ * recording and replaying sessions with RecordReplayTransport.
+ * Run with: node tests/unit/transport-tests.js
+ */
+
+const MailchimpAPI = require('../../resources/js/mailchimp.js');
+const { TestRunner, assert } = require('../integration/example-tests');
+const { rejection } = require('../integration/helpers');
+
+const { FetchTransport, MockTransport, RecordReplayTransport, MemberExistsError } = MailchimpAPI;
+
+let fetched = [];
+
+global.fetch = async (url, init) => {
+    fetched.push({ url: url, init: init });
+
+    return {
+        ok: true,
+        headers: { get: () => null },
+        json: async () => ({ success: true, data: { health_status: "Everything's Chimpy!" }, status: 200 })
+    };
+};
+
+/**
+ * Create a client using a transport
+ */
+function createClient(transport, options = {}) {
+    return new MailchimpAPI({ listId: 'list1', transport: transport, onError: () => {}, ...options });
+}
+
+const runner = new TestRunner('Transport Unit Tests');
+
+runner.test('Requests are posted to the proxy with fetch by default', async () => {
+    fetched = [];
+    const mailchimp = new MailchimpAPI({ csrfTokenValue: 'token-1' });
+
+    const response = await mailchimp.request('GET', '/ping', {}, { headers: { 'X-Correlation-ID': 'abc-123' } });
+    const body = JSON.parse(fetched[0].init.body);
+
+    assert(mailchimp.transport instanceof FetchTransport, 'FetchTransport should be the default');
+    assert(response.success && fetched[0].url === '/actions/mailchimp/api/request', 'The proxy should be called');
+    assert(body.endpoint === '/ping' && body.CRAFT_CSRF_TOKEN === 'token-1', 'The CSRF token should be sent');
+    assert(fetched[0].init.headers['X-Correlation-ID'] === 'abc-123', 'Extra headers should be sent');
+    assert(fetched[0].init.headers['Content-Type'] === 'application/json', 'Default headers should be kept');
+});
+
+runner.test('Mock routes match methods and endpoint patterns in order', async () => {
+    const mock = new MockTransport()
+        .once('GET', '/lists/*/members/*', { status: 'pending' })
+        .on('GET', '/lists/*/members/*', call => ({ status: 'subscribed', id: call.endpoint.split('/').pop() }))
+        .on('*', /^\/ping$/, MockTransport.reply({ health_status: 'ok' }));
+    const mailchimp = createClient(mock, { csrfTokenValue: 'token-1' });
+
+    const first = await mailchimp.checkSubscription('jane@example.com');
+    const second = await mailchimp.checkSubscription('jane@example.com');
+    const ping = await mailchimp.request('POST', '/ping', {}, { headers: { 'X-Correlation-ID': 'abc-123' } });
+
+    assert(first.data.status === 'pending' && second.data.status === 'subscribed', 'once() should answer one request');
+    assert(second.data.id === MailchimpAPI.md5Hex('jane@example.com'), 'Functions should get the request');
+    assert(ping.success && ping.data.health_status === 'ok', 'Envelopes should be returned as they are');
+    assert(mock.requests.length === 3 && mock.unmatched.length === 0, 'Requests should be kept');
+    assert(mock.requests[2].csrf.value === 'token-1' && mock.requests[2].headers['X-Correlation-ID'] === 'abc-123', 'The CSRF token and headers should be kept');
+    assert(!MockTransport.matches('/lists/list1/members/abc/tags', '/lists/*/members/*'), 'Patterns should match whole endpoints');
+});
+
+runner.test('Mock errors reach the caller like proxy errors', async () => {
+    const mock = new MockTransport()
+        .on('POST', '/lists/list1/members', MockTransport.error(400, 'Member Exists', 'jane@example.com is already a list member.'))
+        .on('GET', '/ping', MockTransport.networkError())
+        .on('GET', '/lists', MockTransport.rateLimited(12));
+    const mailchimp = createClient(mock);
+
+    const exists = await rejection(() => mailchimp.request('POST', '/lists/list1/members', {}, { throwOnError: true }));
+    const offline = await mailchimp.request('GET', '/ping');
+    const limited = await mailchimp.request('GET', '/lists');
+    const unknown = await mailchimp.request('GET', '/campaigns');
+
+    assert(exists instanceof MemberExistsError, 'Problem details should become typed errors');
+    assert(offline.reason === 'network' && offline.error === 'Failed to fetch', 'Network errors should be reported');
+    assert(limited.code === 429 && limited.retryAfter === 12, 'The proxy rate limit should be mocked');
+    assert(unknown.code === 501 && unknown.error === 'No mock response for GET /campaigns', 'Unmatched requests should fail');
+    assert(mock.unmatched[0].endpoint === '/campaigns', 'Unmatched requests should be kept');
+});
+
+runner.test('Delayed mock responses time out', async () => {
+    const mock = new MockTransport().on('GET', '/ping', {}, { delay: 200 });
+    const mailchimp = createClient(mock, { requestTimeout: 20 });
+
+    const response = await mailchimp.request('GET', '/ping');
+
+    assert(response.reason === 'timeout', `Unexpected reason ${response.reason}`);
+});
+
+runner.test('Recorded sessions are scrubbed', async () => {
+    const source = new MockTransport()
+        .on('PUT', '/lists/list1/members/*', call => ({ id: call.endpoint.split('/').pop(), email_address: call.params.email_address }))
+        .on('GET', '/ping', MockTransport.httpError(403));
+    const recorder = new RecordReplayTransport({ mode: 'record', transport: source });
+    const mailchimp = createClient(recorder);
+
+    await mailchimp.request('PUT', `/lists/list1/members/${MailchimpAPI.md5Hex('jane@example.com')}`, {
+        email_address: 'Jane@Example.com',
+        note: 'key 0123456789abcdef0123456789abcdef-us6'
+    });
+    await mailchimp.request('GET', '/ping');
+
+    const fixture = JSON.parse(JSON.stringify(recorder));
+    const text = JSON.stringify(fixture);
+    const [put, ping] = fixture.interactions;
+
+    assert(!/jane/i.test(text) && !text.includes(MailchimpAPI.md5Hex('jane@example.com')), 'Addresses and hashes should be removed');
+    assert(put.request.params.email_address === 'scrubbed1@example.com', 'Addresses should be replaced in order');
+    assert(put.response.data.id === MailchimpAPI.md5Hex('scrubbed1@example.com'), 'Hashes should match the replacement');
+    assert(put.request.params.note === `key ${'0'.repeat(32)}-us6`, 'API keys should keep only the data center');
+    assert(ping.error.status === 403, 'Errors should be recorded');
+});
+
+runner.test('Replays answer in recorded order with the session addresses', async () => {
+    const source = new MockTransport()
+        .once('GET', '/batches/b1', { status: 'started' })
+        .on('GET', '/batches/b1', { status: 'finished' })
+        .on('GET', '/lists/list1/members/*', { email_address: 'old@example.com', status: 'subscribed' });
+    const recorder = new RecordReplayTransport({ mode: 'record', transport: source, emails: ['old@example.com'] });
+    const recording = createClient(recorder);
+
+    await recording.request('GET', '/batches/b1');
+    await recording.request('GET', '/batches/b1');
+    await recording.checkSubscription('old@example.com');
+
+    const player = new RecordReplayTransport({ fixture: JSON.stringify(recorder), emails: ['new@example.com'] });
+    const mailchimp = createClient(player);
+
+    const started = await mailchimp.request('GET', '/batches/b1');
+    const finished = await mailchimp.request('GET', '/batches/b1');
+    const member = await mailchimp.checkSubscription('new@example.com');
+    const extra = await mailchimp.request('GET', '/batches/b1');
+
+    assert(player.mode === 'replay', 'A fixture should select replay');
+    assert(started.data.status === 'started' && finished.data.status === 'finished', 'Responses should replay in order');
+    assert(member.success && member.data.email_address === 'new@example.com', 'The session address should be restored');
+    assert(extra.code === 501, 'Recordings should only be used once');
+});
+
+runner.test('Batch archives go through the transport', async () => {
+    const archive = new Uint8Array([1, 2, 3]);
+    const mock = new MockTransport().onArchive('b1', archive);
+
+    const buffer = await createClient(mock).getBatchArchive('b1');
+    const missing = await rejection(() => createClient(mock).getBatchArchive('b2'));
+
+    assert(buffer instanceof ArrayBuffer && buffer.byteLength === 3, 'The archive should be returned');
+    assert(missing.status === 501, 'Unknown archives should fail');
+});
+
+runner.run();